@@ -7,6 +7,10 @@ class ApiClient {
     constructor() {
         this.baseUrl = this.detectBaseUrl();
         this.apiBaseUrl = `${this.baseUrl}/api`;
+        this.conversationId = null;
+        this.intakeId = null;
+        // Signed anonymous session token, echoed back for browsers that block the session cookie
+        this.sessionToken = null;
     }
 
     /**
@@ -38,12 +42,14 @@ class ApiClient {
             ...options,
             headers: {
                 ...defaultOptions.headers,
+                ...this.sessionHeaders(),
                 ...options.headers,
             },
         };
 
         try {
             const response = await fetch(url, finalOptions);
+            this.rememberSession(response);
             
             if (!response.ok) {
                 throw new Error(`API request failed: ${response.status} ${response.statusText}`);
@@ -58,16 +64,190 @@ class ApiClient {
 
     /**
      * Chat with the AI
+     * Follow-up messages continue the same server-side conversation
+     * options.articleSlug grounds the answer in that article (article pages)
      */
     async chat(message, systemMessage = null, options = {}) {
-        return this.request('/chat', {
+        const { articleSlug, ...chatOptions } = options;
+        const result = await this.request('/chat', {
             method: 'POST',
             body: JSON.stringify({
                 message,
                 systemMessage,
-                options
+                conversationId: this.conversationId,
+                articleSlug,
+                options: chatOptions
             })
         });
+
+        if (result.conversationId) {
+            this.conversationId = result.conversationId;
+        }
+
+        return result;
+    }
+
+    /**
+     * Chat with the AI over typed SSE events
+     * Handlers: onContext, onToken, onSources, onVerification, onCitations, onLiaCase, onUsage, onDone, onError
+     * Resumes from the last event ID if the connection drops mid-answer; a stream that drops
+     * before its first event is reported through onError, never sent again
+     * options.articleSlug grounds the answer in that article; the done event then carries grounding
+     */
+    async chatStream(message, handlers = {}, systemMessage = null, options = {}) {
+        const maxReconnects = options.maxReconnects ?? 3;
+        const { maxReconnects: _, articleSlug, ...chatOptions } = options;
+        const result = { response: '', conversationId: this.conversationId, events: {} };
+        let lastEventId = null;
+        let finished = false;
+
+        const dispatch = (event, data) => {
+            result.events[event] = data;
+
+            switch (event) {
+                case 'context':
+                    if (data.conversationId) {
+                        this.conversationId = data.conversationId;
+                        result.conversationId = data.conversationId;
+                    }
+                    handlers.onContext?.(data);
+                    break;
+                case 'token':
+                    result.response += data.content;
+                    handlers.onToken?.(data.content, result.response);
+                    break;
+                case 'sources':
+                    handlers.onSources?.(data);
+                    break;
+                case 'verification':
+                    // Verification may rewrite the streamed answer
+                    result.response = data.response ?? result.response;
+                    handlers.onVerification?.(data);
+                    break;
+                case 'citations':
+                    result.citations = data.citations;
+                    handlers.onCitations?.(data.citations);
+                    break;
+                case 'lia_case':
+                    handlers.onLiaCase?.(data.liaCase);
+                    break;
+                case 'usage':
+                    handlers.onUsage?.(data);
+                    break;
+                case 'done':
+                    finished = true;
+                    handlers.onDone?.(data, result);
+                    break;
+                case 'error':
+                    finished = true;
+                    result.error = data.error;
+                    handlers.onError?.(new Error(data.error));
+                    break;
+            }
+        };
+
+        for (let attempt = 0; !finished && attempt <= maxReconnects; attempt++) {
+            try {
+                const response = lastEventId
+                    ? await fetch(`${this.apiBaseUrl}/chat/stream`, {
+                        headers: { 'Accept': 'text/event-stream', 'Last-Event-ID': lastEventId, ...this.sessionHeaders() }
+                    })
+                    : await fetch(`${this.apiBaseUrl}/chat`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...this.sessionHeaders() },
+                        body: JSON.stringify({
+                            message,
+                            systemMessage,
+                            conversationId: this.conversationId,
+                            articleSlug,
+                            options: chatOptions
+                        })
+                    });
+
+                this.rememberSession(response);
+
+                if (!response.ok) {
+                    const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                await this.readEventStream(response, (frame) => {
+                    if (frame.id) lastEventId = frame.id;
+                    dispatch(frame.event, frame.data);
+                });
+
+                // Only a stream with an event ID can be resumed; sending the message again would answer it twice
+                if (!finished && !lastEventId) {
+                    throw new Error('Chat stream closed before any events arrived');
+                }
+            } catch (error) {
+                console.error('Chat stream error:', error);
+                // Nothing to resume from (or the stream expired) - report and stop
+                if (!lastEventId || error.status === 404 || attempt === maxReconnects) {
+                    handlers.onError?.(error);
+                    throw error;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Read SSE frames from a fetch response until it closes
+     */
+    async readEventStream(response, onFrame) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffered += decoder.decode(value, { stream: true });
+            const frames = buffered.split('\n\n');
+            buffered = frames.pop();
+
+            for (const frame of frames) {
+                let event = 'message';
+                let id = null;
+                let data = '';
+
+                for (const line of frame.split('\n')) {
+                    // Lines starting with ':' are heartbeats
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('id:')) id = line.slice(3).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                }
+
+                if (!data) continue;
+                onFrame({ event, id, data: JSON.parse(data) });
+            }
+        }
+    }
+
+    /**
+     * Session header for the next request (the cookie covers browsers that accept it)
+     */
+    sessionHeaders() {
+        return this.sessionToken ? { 'X-Session-Id': this.sessionToken } : {};
+    }
+
+    /**
+     * Keep the refreshed session token from a response
+     */
+    rememberSession(response) {
+        const token = response.headers.get('X-Session-Id');
+        if (token) this.sessionToken = token;
+    }
+
+    /**
+     * Start a new conversation on the next chat message
+     */
+    resetConversation() {
+        this.conversationId = null;
     }
 
     /**
@@ -155,14 +335,95 @@ class ApiClient {
     }
 
     /**
-     * Clear cache
+     * Record a click on a source link in a chat answer (queryId comes with the chat response)
      */
-    async clearCache() {
-        return this.request('/cache/clear', {
+    async trackSourceClick(queryId, url) {
+        return this.request('/sources/click', {
+            method: 'POST',
+            body: JSON.stringify({ queryId, url })
+        });
+    }
+
+    /**
+     * Rate a chat answer 'up' or 'down' (queryId comes with the chat response)
+     * Options: reasons (inaccurate, unhelpful, off-topic, outdated) and a comment
+     */
+    async sendFeedback(queryId, rating, options = {}) {
+        return this.request('/feedback', {
+            method: 'POST',
+            body: JSON.stringify({
+                queryId,
+                rating,
+                reasons: options.reasons || [],
+                comment: options.comment || ''
+            })
+        });
+    }
+
+    /**
+     * Start a case-evaluation intake for the current conversation
+     * Answers may be passed up front; the response carries `nextStep` and a `reply` to show
+     */
+    async startIntake(answers = {}, queryId = null) {
+        const result = await this.request('/intake', {
+            method: 'POST',
+            body: JSON.stringify({ answers, queryId, conversationId: this.conversationId })
+        });
+        this.intakeId = result.intakeId;
+        return result;
+    }
+
+    /**
+     * Save intake form fields - rejected fields come back in `errors`, the rest are kept
+     */
+    async saveIntakeAnswers(answers, intakeId = this.intakeId) {
+        return this.request(`/intake/${intakeId}/answers`, {
+            method: 'POST',
+            body: JSON.stringify({ answers })
+        });
+    }
+
+    /**
+     * Answer the current intake question in conversation
+     */
+    async replyToIntake(message, intakeId = this.intakeId) {
+        return this.request(`/intake/${intakeId}/reply`, {
+            method: 'POST',
+            body: JSON.stringify({ message })
+        });
+    }
+
+    /**
+     * Submit a completed intake
+     */
+    async submitIntake(intakeId = this.intakeId) {
+        return this.request(`/intake/${intakeId}/submit`, {
             method: 'POST'
         });
     }
 
+    /**
+     * Clear cache (token from POST /api/analytics/login)
+     */
+    async clearCache(authToken) {
+        return this.request('/cache/clear', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+    }
+
+    /**
+     * Download link for the current conversation's transcript ('md', 'html' or 'pdf')
+     * Pass a queryId (from a chat response) for a single answer
+     * Only the session that had the conversation can download it - the link relies on the session cookie
+     */
+    getTranscriptUrl(format = 'pdf', queryId = null) {
+        if (!this.conversationId) return null;
+        const params = new URLSearchParams({ format });
+        if (queryId) params.set('queryId', queryId);
+        return `${this.apiBaseUrl}/conversations/${this.conversationId}/transcript?${params}`;
+    }
+
     /**
      * Get the current API base URL
      */
@@ -12,487 +12,751 @@ import express from 'express';
 import { QueryTracker } from '../utils/query-tracker.js';
 import { HubSpotInjuryInfoConnector } from '../hubspot-connector.js';
 import { AuthMiddleware } from '../utils/auth-middleware.js';
-
-const router = express.Router();
-
-// Initialize Query Tracker with HubSpot integration
-const hubspotConnector = new HubSpotInjuryInfoConnector();
-const queryTracker = new QueryTracker({
-    hubspotConnector,
-    enableHubSpotTracking: process.env.ENABLE_HUBSPOT_TRACKING !== 'false',
-    enableFileLogging: process.env.ENABLE_FILE_LOGGING !== 'false',
-    batchSize: parseInt(process.env.QUERY_BATCH_SIZE) || 10,
-    batchTimeout: parseInt(process.env.QUERY_BATCH_TIMEOUT) || 60000
-});
-
-// Initialize Authentication Middleware
-const authMiddleware = new AuthMiddleware({
-    credentials: {
-        username: process.env.ANALYTICS_USERNAME || 'admin',
-        password: process.env.ANALYTICS_PASSWORD || 'analytics2024!'
-    },
-    sessionTimeout: parseInt(process.env.ANALYTICS_SESSION_TIMEOUT) || 4 * 60 * 60 * 1000
-});
+import { ExperimentManager } from '../utils/experiments.js';
+import { FEEDBACK_REASONS } from '../utils/feedback.js';
+import { DataIntegrationService } from '../data-integration-service.js';
 
 /**
- * POST /api/analytics/login
- * Authenticate user and get session token
+ * Analytics login, configured from ANALYTICS_USERNAME, ANALYTICS_PASSWORD and ANALYTICS_SESSION_TIMEOUT
  */
-router.post('/login', authMiddleware.handleLogin());
+export function createAnalyticsAuth() {
+    return new AuthMiddleware({
+        credentials: {
+            username: process.env.ANALYTICS_USERNAME || 'admin',
+            password: process.env.ANALYTICS_PASSWORD || 'analytics2024!'
+        },
+        sessionTimeout: parseInt(process.env.ANALYTICS_SESSION_TIMEOUT) || 4 * 60 * 60 * 1000
+    });
+}
 
 /**
- * POST /api/analytics/logout
- * Logout and invalidate session
+ * Create the analytics router
+ * Pass the app's queryTracker so real-time stats include the queries it tracks,
+ * its experimentManager so experiment comparisons default to the running experiment,
+ * its dataService so the column mapping report reads the same data sources,
+ * and its authMiddleware so an analytics login also works on the app's admin routes
  */
-router.post('/logout', authMiddleware.handleLogout());
+export function createQueryAnalyticsRouter(options = {}) {
+    const router = express.Router();
 
-/**
- * GET /api/analytics/session
- * Get current session information
- */
-router.get('/session', authMiddleware.handleSessionInfo());
+    // Initialize Query Tracker with HubSpot integration (unless the app shares its own)
+    const queryTracker = options.queryTracker || new QueryTracker({
+        hubspotConnector: new HubSpotInjuryInfoConnector(),
+        enableHubSpotTracking: process.env.ENABLE_HUBSPOT_TRACKING !== 'false',
+        enableFileLogging: process.env.ENABLE_FILE_LOGGING !== 'false',
+        batchSize: parseInt(process.env.QUERY_BATCH_SIZE) || 10,
+        batchTimeout: parseInt(process.env.QUERY_BATCH_TIMEOUT) || 60000
+    });
 
-/**
- * GET /api/analytics/status
- * Get query tracker status and configuration
- */
-router.get('/status', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const status = queryTracker.getStatus();
-        
-        res.json({
-            success: true,
-            status,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting analytics status:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get analytics status',
-            details: error.message
-        });
-    }
-});
+    const experimentManager = options.experimentManager || new ExperimentManager();
+    const dataService = options.dataService || new DataIntegrationService();
 
-/**
- * GET /api/analytics/realtime
- * Get real-time query statistics
- */
-router.get('/realtime', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const stats = await queryTracker.getRealTimeStats();
-        
-        res.json({
-            success: true,
-            stats,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting real-time stats:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get real-time statistics',
-            details: error.message
-        });
-    }
-});
+    // Initialize Authentication Middleware (unless the app shares its own)
+    const authMiddleware = options.authMiddleware || createAnalyticsAuth();
 
-/**
- * GET /api/analytics/summary
- * Get comprehensive analytics summary
- */
-router.get('/summary', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        const forceRefresh = req.query.refresh === 'true';
-        
-        const analytics = await queryTracker.getAnalytics(days, forceRefresh);
-        
-        res.json({
-            success: true,
-            analytics,
-            days,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting analytics summary:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get analytics summary',
-            details: error.message
-        });
-    }
-});
+    /**
+     * POST /api/analytics/login
+     * Authenticate user and get session token
+     */
+    router.post('/login', authMiddleware.handleLogin());
 
-/**
- * GET /api/analytics/keywords
- * Get top keywords and their frequencies
- */
-router.get('/keywords', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        const limit = parseInt(req.query.limit) || 20;
-        
-        const analytics = await queryTracker.getAnalytics(days);
-        
-        res.json({
-            success: true,
-            keywords: analytics.topKeywords.slice(0, limit),
-            totalKeywords: analytics.topKeywords.length,
-            days,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting keyword analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get keyword analytics',
-            details: error.message
-        });
-    }
-});
+    /**
+     * POST /api/analytics/logout
+     * Logout and invalidate session
+     */
+    router.post('/logout', authMiddleware.handleLogout());
 
-/**
- * GET /api/analytics/lia-cases
- * Get LIA case statistics
- */
-router.get('/lia-cases', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        
-        const analytics = await queryTracker.getAnalytics(days);
-        
-        res.json({
-            success: true,
-            liaCaseStats: analytics.liaCaseStats,
-            totalLiaCases: Object.values(analytics.liaCaseStats).reduce((sum, count) => sum + count, 0),
-            days,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting LIA case analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get LIA case analytics',
-            details: error.message
-        });
-    }
-});
+    /**
+     * GET /api/analytics/session
+     * Get current session information
+     */
+    router.get('/session', authMiddleware.handleSessionInfo());
 
-/**
- * GET /api/analytics/recent-queries
- * Get recent queries
- */
-router.get('/recent-queries', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 7;
-        const limit = parseInt(req.query.limit) || 50;
-        
-        const analytics = await queryTracker.getAnalytics(days);
-        
-        res.json({
-            success: true,
-            recentQueries: analytics.recentQueries.slice(0, limit),
-            totalQueries: analytics.recentQueries.length,
-            days,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('❌ Error getting recent queries:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get recent queries',
-            details: error.message
-        });
-    }
-});
+    /**
+     * GET /api/analytics/status
+     * Get query tracker status and configuration
+     */
+    router.get('/status', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const status = queryTracker.getStatus();
 
-/**
- * GET /api/analytics/export/csv
- * Export query data to CSV
- */
-router.get('/export/csv', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        
-        const result = await queryTracker.exportToCSV(days);
-        
-        if (!result.success) {
-            return res.status(500).json({
+            res.json({
+                success: true,
+                status,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting analytics status:', error);
+            res.status(500).json({
                 success: false,
-                error: 'Failed to export CSV',
-                details: result.error
+                error: 'Failed to get analytics status',
+                details: error.message
             });
         }
-        
-        // In serverless environments, return the CSV data directly
-        if (result.serverless) {
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="query-analytics-${new Date().toISOString().split('T')[0]}.csv"`);
-            res.send(result.csvData);
-        } else {
-            // In traditional environments, return the file path
+    });
+
+    /**
+     * GET /api/analytics/realtime
+     * Get real-time query statistics
+     */
+    router.get('/realtime', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const stats = await queryTracker.getRealTimeStats();
+
             res.json({
                 success: true,
-                file: result.file,
-                message: 'CSV exported successfully',
+                stats,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            console.error('❌ Error getting real-time stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get real-time statistics',
+                details: error.message
+            });
         }
-        
-    } catch (error) {
-        console.error('❌ Error exporting CSV:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to export CSV',
-            details: error.message
-        });
-    }
-});
+    });
 
-/**
- * POST /api/analytics/track
- * Manually track a query (for testing or external integrations)
- */
-router.post('/track', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const { query, source = 'api', metadata = {} } = req.body;
-        
-        if (!query) {
-            return res.status(400).json({
+    /**
+     * GET /api/analytics/summary
+     * Get comprehensive analytics summary
+     */
+    router.get('/summary', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+            const forceRefresh = req.query.refresh === 'true';
+
+            const analytics = await queryTracker.getAnalytics(days, forceRefresh);
+
+            res.json({
+                success: true,
+                analytics,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting analytics summary:', error);
+            res.status(500).json({
                 success: false,
-                error: 'Query is required'
+                error: 'Failed to get analytics summary',
+                details: error.message
             });
         }
-        
-        const trackingData = {
-            query,
-            source,
-            userAgent: req.get('User-Agent'),
-            ipAddress: req.ip || req.connection.remoteAddress,
-            sessionId: req.session?.id || 'api_call',
-            pageUrl: req.get('Referer') || '',
-            referrer: req.get('Referer') || '',
-            ...metadata
-        };
-        
-        const result = await queryTracker.trackQuery(trackingData);
-        
-        res.json({
-            success: result.success,
-            queryId: result.queryId,
-            message: result.success ? 'Query tracked successfully' : 'Failed to track query',
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error tracking query:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to track query',
-            details: error.message
-        });
-    }
-});
+    });
 
-/**
- * POST /api/analytics/cleanup
- * Clean up old data and process pending batches
- */
-router.post('/cleanup', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const result = await queryTracker.cleanup();
-        
-        res.json({
-            success: result.success,
-            message: result.success ? 'Cleanup completed successfully' : 'Cleanup failed',
-            details: result,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error during cleanup:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to perform cleanup',
-            details: error.message
-        });
-    }
-});
+    /**
+     * GET /api/analytics/keywords
+     * Get top keywords and their frequencies
+     */
+    router.get('/keywords', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+            const limit = parseInt(req.query.limit) || 20;
 
-/**
- * POST /api/analytics/track-conversion
- * Track conversion when user visits Legal Injury Advocates page
- */
-router.post('/track-conversion', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const { queryId, pageUrl, conversionType, referralGenerated, userAgent, sessionId } = req.body;
-        
-        if (!queryId || !pageUrl) {
-            return res.status(400).json({
+            const analytics = await queryTracker.getAnalytics(days);
+
+            res.json({
+                success: true,
+                keywords: analytics.topKeywords.slice(0, limit),
+                totalKeywords: analytics.topKeywords.length,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting keyword analytics:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get keyword analytics',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/lia-cases
+     * Get LIA case statistics
+     */
+    router.get('/lia-cases', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+
+            const analytics = await queryTracker.getAnalytics(days);
+
+            res.json({
+                success: true,
+                liaCaseStats: analytics.liaCaseStats,
+                totalLiaCases: Object.values(analytics.liaCaseStats).reduce((sum, count) => sum + count, 0),
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting LIA case analytics:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get LIA case analytics',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/intents
+     * Get query counts per intent (medical info, settlement value, emergency, ...)
+     */
+    router.get('/intents', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+
+            const analytics = await queryTracker.getAnalytics(days);
+            const intentStats = analytics.intentStats || {};
+
+            res.json({
+                success: true,
+                intentStats,
+                totalClassified: Object.values(intentStats).reduce((sum, count) => sum + count, 0),
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting intent analytics:', error);
+            res.status(500).json({
                 success: false,
-                error: 'queryId and pageUrl are required'
+                error: 'Failed to get intent analytics',
+                details: error.message
             });
         }
-        
-        const conversionData = {
-            pageUrl,
-            conversionType: conversionType || 'page_visit',
-            referralGenerated: referralGenerated || false,
-            userAgent: userAgent || req.get('User-Agent'),
-            sessionId: sessionId || req.session?.id || 'unknown'
-        };
-        
-        const result = await queryTracker.trackConversion(queryId, conversionData);
-        
-        if (result.success) {
+    });
+
+    /**
+     * GET /api/analytics/safety
+     * Get crisis/emergency safety responses by category, with the flagged conversations
+     */
+    router.get('/safety', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+
+            const analytics = await queryTracker.getAnalytics(days);
+            const safetyStats = analytics.safetyStats || {};
+
             res.json({
                 success: true,
-                conversionId: result.conversionId,
-                message: 'Conversion tracked successfully',
+                safetyStats,
+                totalFlagged: Object.values(safetyStats).reduce((sum, count) => sum + count, 0),
+                flaggedQueries: (analytics.recentQueries || []).filter(query => query.safetyFlag),
+                days,
                 timestamp: new Date().toISOString()
             });
-        } else {
+        } catch (error) {
+            console.error('❌ Error getting safety analytics:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get safety analytics',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/moderation
+     * Refused, redirected and redacted messages and answers by action, stage and policy category
+     */
+    router.get('/moderation', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+            const limit = parseInt(req.query.limit) || 20;
+
+            const moderationStats = await queryTracker.getModerationStats(days, limit);
+
+            res.json({
+                success: true,
+                ...moderationStats,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting moderation analytics:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get moderation analytics',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/experiments
+     * Compare an experiment's variants (?experimentId=, default: the running experiment)
+     */
+    router.get('/experiments', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+            const status = experimentManager.getStatus();
+            const experimentId = req.query.experimentId || status.active?.id;
+
+            if (!experimentId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No experiment is running - pass experimentId',
+                    experiments: status.defined
+                });
+            }
+
+            const comparison = await queryTracker.getExperimentComparison(experimentId, days);
+
+            res.json({
+                success: true,
+                experiment: status.active?.id === experimentId ? status.active : { id: experimentId },
+                variants: comparison.variants,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting experiment comparison:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get experiment comparison',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/feedback/low-rated
+     * Down-rated answers for review, with their original query, LIA case and sources (?reason= filters by tag)
+     */
+    router.get('/feedback/low-rated', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+            const limit = parseInt(req.query.limit) || 50;
+            const reason = req.query.reason || null;
+
+            if (reason && !FEEDBACK_REASONS.includes(reason)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}`
+                });
+            }
+
+            const answers = await queryTracker.getLowRatedAnswers(days, reason);
+
+            res.json({
+                success: true,
+                answers: answers.slice(0, limit),
+                totalAnswers: answers.length,
+                reason,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting low-rated answers:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get low-rated answers',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/sessions
+     * Anonymous visitor sessions: queries per session, duration, entry page and LIA cases touched
+     */
+    router.get('/sessions', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 7;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const stats = await queryTracker.getSessionStats(days, limit);
+
+            res.json({
+                success: true,
+                ...stats,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting session stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get session stats',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/sessions/:sessionId
+     * One session's summary with its queries and conversions in order
+     */
+    router.get('/sessions/:sessionId', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 7;
+            const session = await queryTracker.getSessionDetail(req.params.sessionId, days);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                session,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting session:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get session',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/recent-queries
+     * Get recent queries
+     */
+    router.get('/recent-queries', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 7;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const analytics = await queryTracker.getAnalytics(days);
+
+            res.json({
+                success: true,
+                recentQueries: analytics.recentQueries.slice(0, limit),
+                totalQueries: analytics.recentQueries.length,
+                days,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting recent queries:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get recent queries',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/export/csv
+     * Export query data to CSV
+     */
+    router.get('/export/csv', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+
+            const result = await queryTracker.exportToCSV(days);
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to export CSV',
+                    details: result.error
+                });
+            }
+
+            // In serverless environments, return the CSV data directly
+            if (result.serverless) {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="query-analytics-${new Date().toISOString().split('T')[0]}.csv"`);
+                res.send(result.csvData);
+            } else {
+                // In traditional environments, return the file path
+                res.json({
+                    success: true,
+                    file: result.file,
+                    message: 'CSV exported successfully',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+        } catch (error) {
+            console.error('❌ Error exporting CSV:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export CSV',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * POST /api/analytics/track
+     * Manually track a query (for testing or external integrations)
+     */
+    router.post('/track', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const { query, source = 'api', metadata = {} } = req.body;
+
+            if (!query) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Query is required'
+                });
+            }
+
+            const trackingData = {
+                query,
+                source,
+                userAgent: req.get('User-Agent'),
+                ipAddress: req.ip || req.connection.remoteAddress,
+                sessionId: req.session?.id || 'api_call',
+                pageUrl: req.get('Referer') || '',
+                referrer: req.get('Referer') || '',
+                ...metadata
+            };
+
+            const result = await queryTracker.trackQuery(trackingData);
+
+            res.json({
+                success: result.success,
+                queryId: result.queryId,
+                message: result.success ? 'Query tracked successfully' : 'Failed to track query',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Error tracking query:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to track query',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * POST /api/analytics/cleanup
+     * Clean up old data and process pending batches
+     */
+    router.post('/cleanup', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const result = await queryTracker.cleanup();
+
+            res.json({
+                success: result.success,
+                message: result.success ? 'Cleanup completed successfully' : 'Cleanup failed',
+                details: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Error during cleanup:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to perform cleanup',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * POST /api/analytics/track-conversion
+     * Track conversion when user visits Legal Injury Advocates page
+     */
+    router.post('/track-conversion', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const { queryId, pageUrl, conversionType, referralGenerated, userAgent, sessionId } = req.body;
+
+            if (!queryId || !pageUrl) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'queryId and pageUrl are required'
+                });
+            }
+
+            const conversionData = {
+                pageUrl,
+                conversionType: conversionType || 'page_visit',
+                referralGenerated: referralGenerated || false,
+                userAgent: userAgent || req.get('User-Agent'),
+                sessionId: sessionId || req.session?.id || 'unknown'
+            };
+
+            const result = await queryTracker.trackConversion(queryId, conversionData);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    conversionId: result.conversionId,
+                    message: 'Conversion tracked successfully',
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to track conversion',
+                    details: result.error
+                });
+            }
+
+        } catch (error) {
+            console.error('❌ Error tracking conversion:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to track conversion',
-                details: result.error
+                details: error.message
             });
         }
-        
-    } catch (error) {
-        console.error('❌ Error tracking conversion:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to track conversion',
-            details: error.message
-        });
-    }
-});
+    });
 
-/**
- * GET /api/analytics/conversions
- * Get conversion statistics
- */
-router.get('/conversions', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        
-        const conversionStats = await queryTracker.getConversionStats(days);
-        
-        res.json({
-            success: true,
-            conversions: conversionStats,
-            days,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error getting conversion stats:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get conversion statistics',
-            details: error.message
-        });
-    }
-});
+    /**
+     * GET /api/analytics/conversions
+     * Get conversion statistics
+     */
+    router.get('/conversions', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
 
-/**
- * GET /api/analytics/hubspot-status
- * Check HubSpot integration status
- */
-router.get('/hubspot-status', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const status = {
-            enabled: queryTracker.enableHubSpotTracking && queryTracker.hubspotConnector,
-            connectorAvailable: !!queryTracker.hubspotConnector,
-            apiKeyConfigured: !!process.env.HUBSPOT_ACCESS_TOKEN,
-            portalIdConfigured: !!process.env.HUBSPOT_PORTAL_ID,
-            environment: process.env.NODE_ENV || 'development'
-        };
-        
-        // Test HubSpot connection if configured
-        if (status.enabled && status.apiKeyConfigured) {
-            try {
-                // Simple test to check if HubSpot API is accessible
-                const testResult = await hubspotConnector.logKeywordQuery('test_connection', 'health_check');
-                status.connectionTest = testResult ? 'success' : 'failed';
-            } catch (error) {
-                status.connectionTest = 'failed';
-                status.connectionError = error.message;
+            const conversionStats = await queryTracker.getConversionStats(days);
+
+            res.json({
+                success: true,
+                conversions: conversionStats,
+                days,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Error getting conversion stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get conversion statistics',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/data-mapping
+     * Spreadsheet column mapping per data source and tab: the column each field was read from,
+     * unmapped headers, missing required columns and skipped rows with their reasons
+     */
+    router.get('/data-mapping', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const sources = await dataService.getColumnMappingReport();
+
+            res.json({
+                success: true,
+                sources,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error getting data mapping report:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get data mapping report',
+                details: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /api/analytics/hubspot-status
+     * Check HubSpot integration status
+     */
+    router.get('/hubspot-status', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const status = {
+                enabled: queryTracker.enableHubSpotTracking && queryTracker.hubspotConnector,
+                connectorAvailable: !!queryTracker.hubspotConnector,
+                apiKeyConfigured: !!process.env.HUBSPOT_ACCESS_TOKEN,
+                portalIdConfigured: !!process.env.HUBSPOT_PORTAL_ID,
+                environment: process.env.NODE_ENV || 'development'
+            };
+
+            // Test HubSpot connection if configured
+            if (status.enabled && status.apiKeyConfigured) {
+                try {
+                    // Simple test to check if HubSpot API is accessible
+                    const testResult = await hubspotConnector.logKeywordQuery('test_connection', 'health_check');
+                    status.connectionTest = testResult ? 'success' : 'failed';
+                } catch (error) {
+                    status.connectionTest = 'failed';
+                    status.connectionError = error.message;
+                }
             }
+
+            res.json({
+                success: true,
+                status,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Error checking HubSpot status:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check HubSpot status',
+                details: error.message
+            });
         }
-        
-        res.json({
-            success: true,
-            status,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error checking HubSpot status:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to check HubSpot status',
-            details: error.message
-        });
-    }
-});
+    });
 
-/**
- * GET /api/analytics/dashboard
- * Get comprehensive dashboard data
- */
-router.get('/dashboard', authMiddleware.requireAuth(), async (req, res) => {
-    try {
-        const days = parseInt(req.query.days) || 30;
-        
-        // Get all analytics data
-        const [analytics, realtimeStats, status] = await Promise.all([
-            queryTracker.getAnalytics(days),
-            queryTracker.getRealTimeStats(),
-            Promise.resolve(queryTracker.getStatus())
-        ]);
-        
-        // Calculate additional metrics
-        const totalQueries = analytics.totalQueries;
-        const uniqueKeywords = analytics.topKeywords.length;
-        const liaCaseCount = Object.values(analytics.liaCaseStats).reduce((sum, count) => sum + count, 0);
-        
-        // Calculate trends (simplified - you could add more sophisticated trend analysis)
-        const recentQueries = analytics.recentQueries.slice(0, 10);
-        const avgQueriesPerDay = totalQueries / days;
-        
-        const dashboard = {
-            overview: {
-                totalQueries,
-                uniqueKeywords,
-                liaCaseCount,
-                avgQueriesPerDay: Math.round(avgQueriesPerDay * 100) / 100,
-                days
-            },
-            realtime: realtimeStats,
-            topKeywords: analytics.topKeywords.slice(0, 10),
-            liaCaseStats: analytics.liaCaseStats,
-            recentQueries,
-            status,
-            timestamp: new Date().toISOString()
-        };
-        
-        res.json({
-            success: true,
-            dashboard
-        });
-        
-    } catch (error) {
-        console.error('❌ Error getting dashboard data:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get dashboard data',
-            details: error.message
-        });
-    }
-});
-
-export default router; 
\ No newline at end of file
+    /**
+     * GET /api/analytics/dashboard
+     * Get comprehensive dashboard data
+     */
+    router.get('/dashboard', authMiddleware.requireAuth(), async (req, res) => {
+        try {
+            const days = parseInt(req.query.days) || 30;
+
+            // Get all analytics data
+            const [analytics, realtimeStats, status] = await Promise.all([
+                queryTracker.getAnalytics(days),
+                queryTracker.getRealTimeStats(),
+                Promise.resolve(queryTracker.getStatus())
+            ]);
+
+            // Calculate additional metrics
+            const totalQueries = analytics.totalQueries;
+            const uniqueKeywords = analytics.topKeywords.length;
+            const liaCaseCount = Object.values(analytics.liaCaseStats).reduce((sum, count) => sum + count, 0);
+
+            // Calculate trends (simplified - you could add more sophisticated trend analysis)
+            const recentQueries = analytics.recentQueries.slice(0, 10);
+            const avgQueriesPerDay = totalQueries / days;
+
+            const dashboard = {
+                overview: {
+                    totalQueries,
+                    uniqueKeywords,
+                    liaCaseCount,
+                    avgQueriesPerDay: Math.round(avgQueriesPerDay * 100) / 100,
+                    ratedAnswers: analytics.feedbackStats?.total || 0,
+                    positiveRate: analytics.feedbackStats?.positiveRate ?? null,
+                    days
+                },
+                realtime: realtimeStats,
+                topKeywords: analytics.topKeywords.slice(0, 10),
+                liaCaseStats: analytics.liaCaseStats,
+                feedback: analytics.feedbackStats || null,
+                recentQueries,
+                status,
+                timestamp: new Date().toISOString()
+            };
+
+            res.json({
+                success: true,
+                dashboard
+            });
+
+        } catch (error) {
+            console.error('❌ Error getting dashboard data:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get dashboard data',
+                details: error.message
+            });
+        }
+    });
+
+    return router;
+}
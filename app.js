@@ -0,0 +1,1881 @@
+/**
+ * Express app factory
+ *
+ * Every route is registered here once. Deployment targets are thin adapters:
+ * - server.js: standalone app.listen() (also the Vercel entry in vercel.json)
+ * - api/index.js: Vercel serverless function
+ * - server-lambda.js: AWS Lambda via serverless-http
+ *
+ * Dependencies can be injected (tests pass a mock LLM provider, fake data service, etc.);
+ * anything not passed in is built from environment configuration.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SERVER_AI_CONFIG, createOpenAIRequest, getServerErrorMessage, getConfigurationStatus, getLLMProviderConfig } from './server-ai-config.js';
+import { createLLMProvider } from './utils/llm-provider.js';
+import { DataIntegrationService } from './data-integration-service.js';
+import { DataVerificationMiddleware } from './data-verification-middleware.js';
+import { getBaseUrl, getApiBaseUrl } from './utils/url-helper.js';
+import { QueryTracker, createQueryId } from './utils/query-tracker.js';
+import { HubSpotInjuryInfoConnector } from './hubspot-connector.js';
+import { ConversationStore, estimateTokens } from './utils/conversation-store.js';
+import { SSEStream, SSEReplayBuffer, resumeStream } from './utils/sse-stream.js';
+import { ChatToolExecutor, runToolLoop, runStreamingToolLoop, sanitizeLawFirm } from './utils/chat-tools.js';
+import { IntentClassifier, INTENTS } from './utils/intent-classifier.js';
+import { SafetyDetector } from './utils/safety-detector.js';
+import { ContentModerator, ModerationStreamFilter, OpenAIModerationClassifier, MODERATION_STAGES, MODERATION_ACTIONS } from './utils/moderation.js';
+import { ContextBuilder, formatContextItems } from './utils/context-builder.js';
+import { CitationRegistry, stripCitationMarkers } from './utils/citations.js';
+import { RateLimiter } from './utils/rate-limiter.js';
+import { AnswerCache, getPromptVersion } from './utils/answer-cache.js';
+import { detectLanguage, toSearchQuery, SUPPORTED_LANGUAGES } from './utils/language.js';
+import { ExperimentManager } from './utils/experiments.js';
+import { validateFeedback } from './utils/feedback.js';
+import { IntakeService, INTAKE_STATUS } from './utils/intake.js';
+import { PIIRedactor } from './utils/pii-redactor.js';
+import { SessionManager } from './utils/session.js';
+import { buildTranscript, renderMarkdown, renderHTML, renderPDF } from './utils/transcript.js';
+import { formatArticleContext, extractGroundingMarker, GroundingMarkerFilter, GROUNDING_SCOPES } from './utils/article-grounding.js';
+import { createQueryAnalyticsRouter, createAnalyticsAuth } from './api/query-analytics.js';
+
+import { getCorsOrigins } from './config/server-urls.js';
+
+// Load environment variables
+dotenv.config({ path: '.env.local' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Query tracker with HubSpot integration, configured from the environment
+ */
+export function createQueryTracker() {
+  return new QueryTracker({
+    hubspotConnector: new HubSpotInjuryInfoConnector(),
+    enableHubSpotTracking: process.env.ENABLE_HUBSPOT_TRACKING !== 'false',
+    enableFileLogging: process.env.ENABLE_FILE_LOGGING !== 'false',
+    batchSize: parseInt(process.env.QUERY_BATCH_SIZE) || 10,
+    batchTimeout: parseInt(process.env.QUERY_BATCH_TIMEOUT) || 60000
+  });
+}
+
+/**
+ * TRUST_PROXY as Express expects it: true/false, a hop count, or a list of addresses
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+/**
+ * Build the Express app with every API route registered
+ *
+ * Options:
+ *   dataService, llm, tracker, config      - core dependencies (built from env when omitted)
+ *   verificationMiddleware, conversationStore, sseReplayBuffer, intentClassifier, safetyDetector, contentModerator,
+ *   contextBuilder, rateLimiter, answerCache, experimentManager, intakeService, piiRedactor,
+ *   sessionManager, authMiddleware - optional overrides
+ *   platform      - 'standalone' | 'vercel' | 'lambda' (reported by /health)
+ *   trustProxy    - Express "trust proxy" setting, so req.ip is the client address
+ *                   (default: TRUST_PROXY, or 1 hop - the platform's own proxy - behind Vercel/API Gateway;
+ *                   never true there, clients can prepend their own X-Forwarded-For entries)
+ *   serveStatic   - serve the HTML pages and static files (default: outside production)
+ *   staticDir     - directory holding index.html and article.html
+ *   spaFallback   - serve index.html for unknown GET paths
+ */
+export function createApp(options = {}) {
+  const {
+    config = SERVER_AI_CONFIG,
+    llm = createLLMProvider(getLLMProviderConfig()),
+    dataService = new DataIntegrationService(),
+    tracker = createQueryTracker(),
+    platform = 'standalone',
+    trustProxy = parseTrustProxy(process.env.TRUST_PROXY) ?? (platform === 'standalone' ? false : 1),
+    serveStatic = process.env.NODE_ENV !== 'production',
+    staticDir = path.join(__dirname, 'public'),
+    spaFallback = false
+  } = options;
+
+  const verificationMiddleware = options.verificationMiddleware || new DataVerificationMiddleware({ dataService });
+  const queryTracker = tracker;
+
+  // Initialize Conversation Store for multi-turn chat
+  const conversationStore = options.conversationStore || new ConversationStore({
+    backendType: process.env.CONVERSATION_STORE || 'memory',
+    directory: process.env.CONVERSATION_STORE_DIR,
+    maxHistoryTokens: parseInt(process.env.CONVERSATION_MAX_HISTORY_TOKENS) || 1500,
+    idleTimeout: parseInt(process.env.CONVERSATION_IDLE_TIMEOUT) || 30 * 60 * 1000
+  });
+
+  // Recent streaming chat events, replayed to clients that reconnect with Last-Event-ID
+  const sseReplayBuffer = options.sseReplayBuffer || new SSEReplayBuffer({
+    ttl: config.chat.sseReplayTtl
+  });
+
+  // Catches crisis and medical-emergency messages before they reach the LLM
+  const safetyDetector = options.safetyDetector || new SafetyDetector({
+    enabled: process.env.SAFETY_DETECTOR_ENABLED !== 'false'
+  });
+
+  // Labels each query (medical info, settlement value, emergency, ...) to drive retrieval and prompts
+  const intentClassifier = options.intentClassifier || new IntentClassifier({
+    llm,
+    llmFallback: config.chat.intentLlmFallback,
+    createRequest: createOpenAIRequest,
+    loadRuleOverrides: () => dataService.getIntentRules?.() || [],
+    // Crisis keywords in lawsuit questions only make an emergency when the detector agrees
+    safetyDetector
+  });
+
+  // Refuses, redirects or redacts messages and answers that break the moderation policy
+  const contentModerator = options.contentModerator || new ContentModerator({
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    classifier: process.env.MODERATION_CLASSIFIER === 'openai'
+      ? new OpenAIModerationClassifier({ provider: llm, model: process.env.MODERATION_MODEL })
+      : null
+  });
+
+  // Ranks retrieved items and packs them under the prompt token budget
+  const contextBuilder = options.contextBuilder || new ContextBuilder({
+    maxTokens: config.chat.contextTokenBudget
+  });
+
+  // Prompt/model experiments: visitors are split between variants by hashing their visitor ID
+  const experimentManager = options.experimentManager || new ExperimentManager({
+    enabled: process.env.EXPERIMENTS_ENABLED !== 'false'
+  });
+
+  // Token-bucket limits per IP, session and API key, configured per route
+  const rateLimiter = options.rateLimiter || new RateLimiter({
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    storeType: process.env.RATE_LIMIT_STORE || 'memory',
+    apiKeys: (process.env.RATE_LIMIT_API_KEYS || '').split(',').map(key => key.trim())
+  });
+
+  // Reuses answers to repeated first-turn questions, keyed on keywords plus prompt and data versions
+  const answerCache = options.answerCache || new AnswerCache({
+    enabled: config.chat.answerCacheEnabled,
+    ttl: config.chat.answerCacheTtl,
+    promptVersion: getPromptVersion(config),
+    normalize: query => dataService.extractKeywords?.(query) || [],
+    detectLanguage,
+    getDataVersion: () => dataService.getDataVersion?.() ?? 0
+  });
+
+  // Masks emails, phone numbers, SSNs and similar in chat messages before they are stored or sent to the LLM
+  const piiRedactor = options.piiRedactor || new PIIRedactor({
+    enabled: process.env.PII_REDACTION_ENABLED !== 'false'
+  });
+
+  // Anonymous visitor sessions (signed cookie or X-Session-Id header) that group tracked queries and conversions
+  const sessionManager = options.sessionManager || new SessionManager({
+    idleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT) || undefined,
+    maxAge: parseInt(process.env.SESSION_MAX_AGE) || undefined,
+    sameSite: process.env.SESSION_COOKIE_SAMESITE
+  });
+
+  // Case-evaluation intake: validated answers saved as they arrive, submitted as a HubSpot contact
+  const intakeService = options.intakeService || new IntakeService({
+    backendType: process.env.INTAKE_STORE || 'memory',
+    directory: process.env.INTAKE_STORE_DIR,
+    hubspot: new HubSpotInjuryInfoConnector(),
+    checkLIAActiveCase: query => dataService.checkLIAActiveCase(query),
+    consentText: config.intake.consentText,
+    consentVersion: config.intake.consentVersion,
+    languages: config.intake.languages
+  });
+
+  const app = express();
+  app.set('trust proxy', trustProxy);
+
+  // One CORS policy for preflight and actual requests, so the allow-list can't drift
+  const corsOptions = {
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin) return callback(null, true);
+
+      const allowedOrigins = getCorsOrigins();
+
+      // Check if origin is explicitly allowed
+      if (allowedOrigins.includes(origin)) {
+        return callback(null, true);
+      }
+
+      // Check wildcard patterns
+      for (const pattern of allowedOrigins) {
+        if (pattern.includes('*')) {
+          const regexPattern = pattern.replace(/\*/g, '.*');
+          if (new RegExp(regexPattern).test(origin)) return callback(null, true);
+        }
+      }
+
+      // Special handling for HubSpot sandbox domains
+      if (origin.includes('hs-sites.com') || origin.includes('hubspot.com')) {
+        return callback(null, true);
+      }
+
+      // Special handling for Vercel domains
+      if (origin.includes('vercel.app')) {
+        return callback(null, true);
+      }
+
+      // Special handling for injuryinfo.com domains
+      if (origin.includes('injuryinfo.com')) {
+        return callback(null, true);
+      }
+
+      // Special handling for any subdomain of injuryinfo.com
+      if (origin.match(/^https?:\/\/([^.]+\.)?injuryinfo\.com$/)) {
+        return callback(null, true);
+      }
+
+      // Log blocked origins for debugging
+      console.log(`🚫 CORS blocked origin: ${origin}`);
+      console.log(`📋 Allowed origins:`, allowedOrigins);
+
+      return callback(new Error('Not allowed by CORS'));
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+      'Content-Type', 
+      'Authorization', 
+      'X-Requested-With',
+      'Cache-Control',
+      'Pragma',
+      'Expires',
+      'Accept',
+      'Accept-Language',
+      'Accept-Encoding',
+      'DNT',
+      'Connection',
+      'Upgrade-Insecure-Requests',
+      'User-Agent',
+      'Sec-Fetch-Dest',
+      'Sec-Fetch-Mode',
+      'Sec-Fetch-Site',
+      'Sec-Fetch-User',
+      'Last-Event-ID',
+      'X-Session-Id',
+      'X-API-Key'
+    ],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Session-Id']
+  };
+
+  // Middleware
+  // Add a simple CORS middleware for production that's more permissive
+  if (process.env.NODE_ENV === 'production') {
+    app.use((req, res, next) => {
+      res.header('Access-Control-Allow-Origin', '*');
+      res.header('Access-Control-Allow-Methods', corsOptions.methods.join(', '));
+      res.header('Access-Control-Allow-Headers', corsOptions.allowedHeaders.join(', '));
+      res.header('Access-Control-Expose-Headers', corsOptions.exposedHeaders.join(', '));
+
+      if (req.method === 'OPTIONS') {
+        res.sendStatus(200);
+      } else {
+        next();
+      }
+    });
+  }
+
+  app.use(cors(corsOptions));
+  app.use(express.json());
+
+  // Every API request belongs to an anonymous session; set before rate limiting so it can key on it
+  app.use('/api', sessionManager.middleware());
+
+  // Rate limits apply to every API route, on every deployment target
+  app.use('/api', rateLimiter.middleware());
+
+  // Handle CORS preflight requests more comprehensively
+  app.options('*', cors(corsOptions));
+
+  // Serve static files (development and serverless targets)
+  if (serveStatic) {
+    app.use(express.static(staticDir));
+  }
+
+  // Analytics login; also guards the admin routes below
+  const authMiddleware = options.authMiddleware || createAnalyticsAuth();
+
+  // Mount analytics API routes (sharing this app's query tracker, data sources and login)
+  app.use('/api/analytics', createQueryAnalyticsRouter({ queryTracker, experimentManager, dataService, authMiddleware }));
+
+  // Snapshot of what was retrieved for a turn, reused when a follow-up retrieves nothing new
+  function buildConversationContext(contextData, liaCaseInfo, citations) {
+    return {
+      items: contextData,
+      // Citation IDs the items' refs point to, so reused items stay citable
+      citations: citations.toJSON(),
+      liaCase: liaCaseInfo && liaCaseInfo.isActive ? liaCaseInfo : null,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Fetch the data the query's intent needs up front (prefetch mode), then pack the most
+  // relevant items under the token budget; the LIA case check always runs.
+  // searchQuery is the message plus English synonyms for non-English messages.
+  async function prefetchContext(message, intent, citations, searchQuery = message) {
+    const { retrieval } = intent;
+    let contextData = [];
+    let contextReport = null;
+    let liaCaseInfo = null;
+    let reputableSources = [];
+    try {
+      const articles = retrieval.articles ? await dataService.searchArticles(searchQuery) : [];
+      const settlements = retrieval.settlements ? await dataService.getSettlementData(searchQuery) : [];
+
+      // Check if this query relates to an LIA active case
+      liaCaseInfo = await dataService.checkLIAActiveCase(message);
+
+      // Get reputable sources for the query
+      reputableSources = retrieval.sources ? await dataService.getReputableSources(message, 5) : [];
+
+      // Law firms only for intents that call for them (firm search, legal rights, eligibility)
+      const lawFirms = retrieval.lawFirms ? await dataService.getLawFirms(searchQuery) : [];
+
+      // Debug: Log which firms were selected
+      if (lawFirms.length > 0) {
+        console.log(`🔍 Smart filtering found ${lawFirms.length} relevant law firms:`);
+        lawFirms.forEach((firm, index) => {
+          console.log(`  ${index + 1}. ${firm.name} (${firm.location}) - Specialties: ${firm.specialties.join(', ')}`);
+        });
+      }
+
+      // Law firms are sanitized by the builder (no contact info or websites)
+      const built = contextBuilder.build({
+        query: searchQuery,
+        articles,
+        settlements,
+        lawFirms,
+        reputableSources,
+        weights: intent.contextWeights,
+        citations
+      });
+      contextData = built.items;
+      contextReport = built.report;
+    } catch (error) {
+      console.warn('Could not fetch context data:', error.message);
+    }
+
+    return { contextData, contextReport, liaCaseInfo, reputableSources };
+  }
+
+  // Article by slug, including the fallback articles and old slugs of renamed articles
+  // (null when there is no such article)
+  async function findArticle(slug) {
+    const articles = await dataService.getAllArticles();
+    const article = articles.find(a => a.slug === slug)
+      || dataService.getFallbackArticles().find(a => a.slug === slug);
+    if (article) return article;
+
+    const currentSlug = await dataService.resolveArticleSlug?.(slug);
+    return (currentSlug && articles.find(a => a.slug === currentSlug)) || null;
+  }
+
+  // Article-grounded context (/article/:slug pages): the article is the only context item,
+  // and reputable sources are scoped to the article's condition instead of the message
+  async function prefetchArticleContext(article, message, citations) {
+    const articleItem = citations.attach('article', article, {
+      type: 'article',
+      title: article.title,
+      slug: article.slug,
+      description: article.description
+    });
+    let liaCaseInfo = null;
+    let reputableSources = [];
+    try {
+      liaCaseInfo = await dataService.checkLIAActiveCase(message);
+      reputableSources = await dataService.getReputableSourcesForDisease(article.title, 5);
+    } catch (error) {
+      console.warn('Could not fetch article context data:', error.message);
+    }
+
+    return { contextData: [articleItem], liaCaseInfo, reputableSources, articleRef: articleItem.ref || null };
+  }
+
+  // Grounding fields exposed to clients
+  function summarizeGrounding(article, marker) {
+    return {
+      articleSlug: article.slug,
+      title: article.title,
+      scope: marker.scope,
+      withinArticle: marker.scope === GROUNDING_SCOPES.ARTICLE,
+      source: marker.source
+    };
+  }
+
+  // Gather what the model retrieved through tools; LIA case and sources are still
+  // resolved for the response metadata when the model didn't ask for them
+  async function collectToolResults(toolExecutor, message, liaCaseInfo, intent) {
+    const contextData = toolExecutor.getContextItems();
+    let resolvedLiaCase = toolExecutor.liaCase || (liaCaseInfo?.isActive ? liaCaseInfo : null);
+    let reputableSources = toolExecutor.reputableSources;
+
+    try {
+      if (!resolvedLiaCase) {
+        resolvedLiaCase = await dataService.checkLIAActiveCase(message);
+      }
+      if (!reputableSources && intent.retrieval.sources) {
+        reputableSources = await dataService.getReputableSources(message, 5);
+      }
+    } catch (error) {
+      console.warn('Could not fetch response metadata:', error.message);
+    }
+
+    console.log(`🛠️ Tools used: ${toolExecutor.calls.map(call => call.name).join(', ') || 'none'}`);
+    return { contextData, liaCaseInfo: resolvedLiaCase, reputableSources: reputableSources || [] };
+  }
+
+  // Intent fields exposed to clients
+  function summarizeIntent(intent) {
+    return { intent: intent.intent, label: intent.label, confidence: intent.confidence, source: intent.source };
+  }
+
+  // Reputable source fields exposed to clients
+  function summarizeSources(reputableSources) {
+    return reputableSources.map(source => ({
+      title: source.sourceTitle,
+      url: source.sourceUrl,
+      type: source.sourceType,
+      priority: source.priority
+    }));
+  }
+
+  // LIA case fields exposed to clients (null unless the case is active)
+  function summarizeLiaCase(liaCaseInfo) {
+    return liaCaseInfo && liaCaseInfo.isActive ? {
+      isActive: true,
+      caseType: liaCaseInfo.caseType,
+      name: liaCaseInfo.name,
+      description: liaCaseInfo.description,
+      keywords: liaCaseInfo.keywords
+    } : null;
+  }
+
+  // Record the query and what was retrieved for it (fire-and-forget)
+  function trackChatQuery({ message, intent, language = null, safety = null, moderation = [], cacheHit = false, conversationId, contextData = [], reputableSources = [], liaCaseInfo = null, verificationWarnings = 0, responseTime, trackingContext }) {
+    queryTracker.trackQuery({
+      query: message,
+      source: 'chatbot',
+      conversationId,
+      safetyFlag: safety?.category || null,
+      moderation: moderation.map(summarizeModeration),
+      cacheHit,
+      verificationWarnings,
+      language,
+      responseTime,
+      sourcesFound: reputableSources.length,
+      sources: reputableSources.map(source => ({ title: source.sourceTitle, url: source.sourceUrl })),
+      articlesFound: contextData.filter(item => item.type === 'article').length,
+      lawFirmsFound: contextData.filter(item => item.type === 'law_firm').length,
+      settlementsFound: contextData.filter(item => item.type === 'settlement').length,
+      intent: intent.intent,
+      intentConfidence: intent.confidence,
+      isLegalQuery: intent.isLegal,
+      liaCaseType: liaCaseInfo?.caseType || null,
+      liaCaseInfo: liaCaseInfo || null,
+      ...trackingContext
+    }).catch(error => {
+      console.warn('Could not track enhanced query data:', error.message);
+    });
+  }
+
+  // Moderation outcome as tracked and returned to the client (without the matched text)
+  function summarizeModeration(outcome) {
+    return { stage: outcome.stage, action: outcome.action, categories: outcome.categories.map(entry => entry.category) };
+  }
+
+  function logModeration(outcome, conversationId) {
+    const categories = outcome.categories.map(entry => `${entry.category} (${entry.source})`).join(', ');
+    console.log(`🛡️ Moderation ${outcome.stage}: ${outcome.action} for conversation ${conversationId} - ${categories}`);
+  }
+
+  // Check the model's answer; refused or redirected answers are replaced, redacted ones lose the matched text
+  async function moderateAnswer(text, moderation, conversationId, language) {
+    const outcome = await contentModerator.moderate(text, MODERATION_STAGES.OUTPUT, { language });
+    if (!outcome) return text;
+
+    logModeration(outcome, conversationId);
+    moderation.push(outcome);
+    return outcome.text;
+  }
+
+  // An answer replaced by a refusal or redirect is not worth caching
+  function isAnswerReplaced(moderation) {
+    return moderation.some(outcome => outcome.stage === MODERATION_STAGES.OUTPUT && outcome.action !== MODERATION_ACTIONS.REDACT);
+  }
+
+  // Query ID (for click and feedback tracking) and experiment variant, returned with every chat response
+  function summarizeTracking(trackingContext) {
+    return {
+      queryId: trackingContext.queryId,
+      ...(trackingContext.experimentId && { experiment: { id: trackingContext.experimentId, variant: trackingContext.variant } })
+    };
+  }
+
+  // Stored with each answer so transcripts can list what it cited and the sources shown with it
+  function answerMetadata(trackingContext, citations = [], reputableSources = []) {
+    return {
+      queryId: trackingContext.queryId,
+      citations,
+      reputableSources: reputableSources.map(({ sourceTitle, sourceType, sourceUrl }) => ({ sourceTitle, sourceType, sourceUrl }))
+    };
+  }
+
+  // Answer a crisis message with its vetted response - no LLM, no law firms, sources or referrals
+  async function sendSafetyResponse({ req, res, message, safety, language, conversation, startTime, trackingContext }) {
+    console.log(`🚨 Safety response (${safety.category}) for conversation ${conversation.id}, matched "${safety.matched}"`);
+
+    await conversationStore.appendTurn(conversation.id, {
+      userMessage: message,
+      assistantMessage: safety.response,
+      metadata: { ...answerMetadata(trackingContext), safetyFlag: safety.category },
+      flags: [`safety:${safety.category}`]
+    });
+
+    const responseTime = Date.now() - startTime;
+    trackChatQuery({
+      message,
+      intent: { intent: INTENTS.EMERGENCY, confidence: 1, isLegal: false },
+      language,
+      safety,
+      conversationId: conversation.id,
+      responseTime,
+      trackingContext
+    });
+
+    const safetyInfo = { category: safety.category, label: safety.label, resources: safety.resources };
+
+    if (req.headers.accept === 'text/event-stream') {
+      const stream = new SSEStream(res, {
+        buffer: sseReplayBuffer,
+        heartbeatInterval: config.chat.sseHeartbeatInterval
+      }).open();
+
+      stream.send('context', { conversationId: conversation.id, streamId: stream.streamId, language, safety: safetyInfo, items: [] });
+      stream.send('token', { content: safety.response });
+      stream.send('sources', { sources: [], formatted: '' });
+      stream.send('lia_case', { liaCase: null });
+      stream.send('usage', { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated: false });
+      stream.send('done', { conversationId: conversation.id, safety: safetyInfo, toolsUsed: [], responseTime, ...summarizeTracking(trackingContext) });
+      return;
+    }
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.json({
+      response: safety.response,
+      conversationId: conversation.id,
+      language,
+      safety: safetyInfo,
+      citations: [],
+      verified: true,
+      warnings: [],
+      claimsVerified: 0,
+      toolsUsed: [],
+      reputableSources: [],
+      liaCase: null,
+      usage: null,
+      ...summarizeTracking(trackingContext)
+    });
+  }
+
+  // Answer a message the moderation policy refuses or redirects - no LLM, no sources or referrals
+  async function sendModerationResponse({ req, res, message, moderation, language, conversation, startTime, trackingContext }) {
+    logModeration(moderation, conversation.id);
+
+    await conversationStore.appendTurn(conversation.id, {
+      userMessage: message,
+      assistantMessage: moderation.text,
+      metadata: answerMetadata(trackingContext),
+      flags: moderation.categories.map(entry => `moderation:${entry.category}`)
+    });
+
+    const responseTime = Date.now() - startTime;
+    trackChatQuery({
+      message,
+      intent: { intent: null, confidence: 1, isLegal: false },
+      language,
+      moderation: [moderation],
+      conversationId: conversation.id,
+      responseTime,
+      trackingContext
+    });
+
+    const moderationInfo = [{ ...summarizeModeration(moderation), suggestions: moderation.suggestions || [] }];
+
+    if (req.headers.accept === 'text/event-stream') {
+      const stream = new SSEStream(res, {
+        buffer: sseReplayBuffer,
+        heartbeatInterval: config.chat.sseHeartbeatInterval
+      }).open();
+
+      stream.send('context', { conversationId: conversation.id, streamId: stream.streamId, language, moderation: moderationInfo, items: [] });
+      stream.send('token', { content: moderation.text });
+      stream.send('sources', { sources: [], formatted: '' });
+      stream.send('lia_case', { liaCase: null });
+      stream.send('usage', { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated: false });
+      stream.send('done', { conversationId: conversation.id, moderation: moderationInfo, toolsUsed: [], responseTime, ...summarizeTracking(trackingContext) });
+      return;
+    }
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.json({
+      response: moderation.text,
+      conversationId: conversation.id,
+      language,
+      moderation: moderationInfo,
+      citations: [],
+      verified: true,
+      warnings: [],
+      claimsVerified: 0,
+      toolsUsed: [],
+      reputableSources: [],
+      liaCase: null,
+      usage: null,
+      ...summarizeTracking(trackingContext)
+    });
+  }
+
+  // What a generated answer needs to be replayed later, on either the JSON or the streaming path
+  function buildCachedAnswer({ intent, language, verification, cited, toolsUsed, reputableSources, context }) {
+    return {
+      response: cited.text,
+      language,
+      citations: cited.citations,
+      verification: { verified: verification.verified, warnings: verification.warnings, claimsVerified: verification.claimsVerified },
+      intent: { ...summarizeIntent(intent), isLegal: intent.isLegal },
+      toolsUsed,
+      reputableSources,
+      context
+    };
+  }
+
+  // Replay a cached answer - no retrieval and no LLM call, but the turn is still stored and tracked
+  async function sendCachedAnswer({ req, res, message, answer, moderation = [], conversation, startTime, trackingContext }) {
+    const { items: contextData, liaCase: liaCaseInfo } = answer.context;
+
+    await conversationStore.appendTurn(conversation.id, {
+      userMessage: message,
+      assistantMessage: stripCitationMarkers(answer.response),
+      context: answer.context,
+      metadata: answerMetadata(trackingContext, answer.citations, answer.reputableSources)
+    });
+
+    const responseTime = Date.now() - startTime;
+    trackChatQuery({
+      message,
+      intent: answer.intent,
+      language: answer.language,
+      moderation,
+      cacheHit: true,
+      conversationId: conversation.id,
+      contextData,
+      reputableSources: answer.reputableSources,
+      liaCaseInfo,
+      verificationWarnings: answer.verification.warnings?.length || 0,
+      responseTime,
+      trackingContext
+    });
+
+    const formattedSources = answer.reputableSources.length > 0 ? dataService.formatReputableSourcesForResponse(answer.reputableSources) : '';
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    if (req.headers.accept === 'text/event-stream') {
+      const stream = new SSEStream(res, {
+        buffer: sseReplayBuffer,
+        heartbeatInterval: config.chat.sseHeartbeatInterval
+      }).open();
+
+      stream.send('context', {
+        conversationId: conversation.id,
+        streamId: stream.streamId,
+        contextMode: config.chat.contextMode,
+        intent: summarizeIntent(answer.intent),
+        language: answer.language,
+        items: summarizeContextItems(contextData),
+        cached: true
+      });
+      stream.send('token', { content: answer.response });
+      stream.send('sources', { sources: summarizeSources(answer.reputableSources), formatted: formattedSources });
+      stream.send('verification', { ...answer.verification, response: answer.response, modified: false });
+      stream.send('citations', { citations: answer.citations });
+      stream.send('lia_case', { liaCase: summarizeLiaCase(liaCaseInfo) });
+      stream.send('usage', { ...usage, estimated: false });
+      stream.send('done', {
+        conversationId: conversation.id,
+        intent: summarizeIntent(answer.intent),
+        toolsUsed: answer.toolsUsed,
+        responseTime,
+        cached: true,
+        ...summarizeTracking(trackingContext)
+      });
+      return;
+    }
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.json({
+      response: answer.response + formattedSources,
+      conversationId: conversation.id,
+      ...answer.verification,
+      intent: summarizeIntent(answer.intent),
+      language: answer.language,
+      citations: answer.citations,
+      toolsUsed: answer.toolsUsed,
+      reputableSources: summarizeSources(answer.reputableSources),
+      liaCase: summarizeLiaCase(liaCaseInfo),
+      apiBaseUrl: getApiBaseUrl(req),
+      usage,
+      cached: true,
+      ...summarizeTracking(trackingContext)
+    });
+  }
+
+  // One-line budget summary (tools mode reports one packing per tool call)
+  function logContextReport(report) {
+    if (!report) return;
+    const packings = report.calls || [report];
+    const included = packings.reduce((total, packing) => total + packing.included.length, 0);
+    const excluded = packings.reduce((total, packing) => total + packing.excluded.length, 0);
+    console.log(`📦 Context: ${report.usedTokens}/${report.budget} tokens, ${included} items included, ${excluded} excluded`);
+  }
+
+  // Short summary of context items for the SSE context event
+  function summarizeContextItems(contextData) {
+    return contextData.map(item => ({
+      type: item.type || (item.slug ? 'article' : item.averageSettlement ? 'settlement' : 'data'),
+      title: item.title || item.name || item.condition || null,
+      slug: item.slug || null
+    }));
+  }
+
+  // Rough usage numbers for providers that don't report streaming usage
+  function estimateUsage(messages, responseText) {
+    const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(responseText);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+  }
+
+  // Resume a dropped chat stream (EventSource-friendly; Last-Event-ID header or ?lastEventId=)
+  app.get('/api/chat/stream', (req, res) => {
+    if (!resumeStream(req, res, sseReplayBuffer, { heartbeatInterval: config.chat.sseHeartbeatInterval })) {
+      res.status(404).json({ error: 'Stream not found or expired' });
+    }
+  });
+
+  // API endpoint for OpenAI chat
+  app.post('/api/chat', async (req, res) => {
+    const startTime = Date.now();
+
+    // A reconnecting client replays the stream it lost instead of asking again
+    if (req.get('Last-Event-ID') && resumeStream(req, res, sseReplayBuffer, { heartbeatInterval: config.chat.sseHeartbeatInterval })) {
+      return;
+    }
+    try {
+      const { message: rawMessage, systemMessage, conversationId, articleSlug, options = {} } = req.body;
+
+      if (!rawMessage) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+
+      // From here on (prompts, conversation history, cache, tracking) the message is redacted
+      let message = piiRedactor.redact(rawMessage);
+
+      // Load prior turns (unknown, expired or another session's IDs start a new conversation)
+      const conversation = await conversationStore.getOrCreateConversation(conversationId, { ownerId: req.session?.id || null });
+
+      // Experiment variant for this visitor (kept when the session rotates)
+      const experiment = experimentManager.assign(req.session?.visitorId || req.session?.id || conversation.id);
+      const chatConfig = experimentManager.applyToConfig(config, experiment);
+
+      // Prepare tracking context for enhanced analytics
+      const trackingContext = {
+        // Signed for the session, so only it can rate the answer (checked without a lookup on any instance)
+        queryId: sessionManager.signFor(createQueryId(), req.session?.id),
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection.remoteAddress,
+        sessionId: req.session?.id || 'unknown',
+        pageUrl: req.get('Referer') || '',
+        referrer: req.get('Referer') || '',
+        experimentId: experiment?.experimentId || null,
+        variant: experiment?.variantId || null
+      };
+
+      // Answer in the user's language - safety responses and refusals included
+      const language = detectLanguage(message);
+
+      // Crisis and emergency messages get a vetted response before anything reaches the LLM
+      const safety = safetyDetector.detect(message, { language });
+      if (safety) {
+        return sendSafetyResponse({ req, res, message, safety, language, conversation, startTime, trackingContext });
+      }
+
+      // Messages the moderation policy refuses or redirects never reach the LLM; redacted ones continue
+      const moderation = [];
+      const inputModeration = await contentModerator.moderate(message, MODERATION_STAGES.INPUT, { language });
+      if (inputModeration) {
+        if (inputModeration.action !== MODERATION_ACTIONS.REDACT) {
+          return sendModerationResponse({ req, res, message, moderation: inputModeration, language, conversation, startTime, trackingContext });
+        }
+        logModeration(inputModeration, conversation.id);
+        moderation.push(inputModeration);
+        message = inputModeration.text;
+      }
+
+      // Remove systemMessage from options since it's already handled in messages
+      const { systemMessage: _, debug: __, ...openAIOptions } = options;
+
+      // Debug metadata (what was packed into the prompt) on request or when enabled in config
+      const debugContext = config.chat.debugContext || options.debug === true;
+
+      // On /article/:slug pages the answer is grounded in that article (unknown slugs fall back to normal chat)
+      const article = articleSlug ? await findArticle(articleSlug) : null;
+      if (articleSlug && !article) {
+        console.warn(`⚠️ Article "${articleSlug}" not found, answering without article grounding`);
+      }
+
+      // Repeated first-turn questions with default settings are answered from the answer cache
+      const answerCacheKey = conversation.turns.length === 0 && Object.keys(openAIOptions).length === 0 && !debugContext && !article
+        ? answerCache.getKey(message, experiment && `${experiment.experimentId}/${experiment.variantId}`)
+        : null;
+      const cachedAnswer = answerCache.get(answerCacheKey);
+      if (cachedAnswer) {
+        return sendCachedAnswer({ req, res, message, answer: cachedAnswer, moderation, conversation, startTime, trackingContext });
+      }
+
+      // Get the base URL from the request
+      const baseUrl = getBaseUrl(req);
+      const apiBaseUrl = getApiBaseUrl(req);
+
+      console.log('Received chat request:', { 
+        message, 
+        conversationId: conversation.id,
+        turns: conversation.turns.length,
+        baseUrl,
+        apiBaseUrl
+      });
+
+      // Keyword lookups also get English synonyms of Spanish terms
+      const searchQuery = toSearchQuery(message, language);
+      if (language !== 'en') console.log(`🌐 Language: ${language}, search query: "${searchQuery}"`);
+
+      // The intent decides what to retrieve, which tools the model gets and the prompt focus
+      const intent = await intentClassifier.classify(searchQuery);
+      console.log(`🏷️ Intent: ${intent.intent} (${intent.confidence}, ${intent.source})`);
+
+      // Tools mode lets the model fetch data on demand; prefetch mode loads it all up front.
+      // Article-grounded answers never use tools - the article is the context.
+      const allowedTools = intentClassifier.getAllowedTools(intent);
+      const useTools = !article && chatConfig.chat.contextMode === 'tools' && allowedTools.length > 0;
+      // Records sent to the model get citation IDs it can reference as [n]
+      const citations = new CitationRegistry();
+
+      const toolExecutor = new ChatToolExecutor({
+        dataService,
+        allowedTools,
+        contextBuilder,
+        contextWeights: intent.contextWeights,
+        citations
+      });
+
+      // Get relevant data for context
+      let contextData = [];
+      let contextReport = null;
+      let liaCaseInfo = null;
+      let reputableSources = [];
+      let articleRef = null;
+      if (article) {
+        ({ contextData, liaCaseInfo, reputableSources, articleRef } = await prefetchArticleContext(article, message, citations));
+        console.log(`📄 Grounding answer in article "${article.slug}"`);
+      } else if (!useTools) {
+        ({ contextData, contextReport, liaCaseInfo, reputableSources } = await prefetchContext(message, intent, citations, searchQuery));
+        logContextReport(contextReport);
+
+        // Follow-ups like "what about in Texas?" retrieve nothing on their own - reuse the conversation's context
+        if (contextData.length === 0 && conversation.context?.items?.length > 0) {
+          console.log(`🧠 Reusing ${conversation.context.items.length} context items from earlier in conversation ${conversation.id}`);
+          contextData = conversation.context.items;
+          citations.load(conversation.context.citations);
+        }
+      }
+
+      if (!liaCaseInfo?.isActive && conversation.context?.liaCase) {
+        liaCaseInfo = conversation.context.liaCase;
+      }
+
+      // Prepare messages for OpenAI
+      const messages = [];
+
+      // General system message (no specific referrals), focused by the query's intent
+      const intentInstructions = config.systemMessages.intents?.[intent.intent];
+      const languageInstructions = config.systemMessages.languages?.[language];
+      const baseSystemMessage = article
+        ? config.systemMessages.articleContext(article.title, formatArticleContext(article, articleRef))
+        : chatConfig.systemMessages.general;
+      const selectedSystemMessage = intentInstructions
+        ? `${baseSystemMessage}\n\n${intentInstructions}`
+        : baseSystemMessage;
+
+      messages.push({
+        role: 'system',
+        content: [
+          selectedSystemMessage,
+          languageInstructions,
+          article ? config.systemMessages.articleGrounding : null,
+          useTools ? config.systemMessages.toolUsage : null,
+          config.systemMessages.citations
+        ].filter(Boolean).join('\n\n')
+      });
+
+      // Add prior turns, trimmed to the history token budget
+      messages.push(...conversationStore.getHistoryMessages(conversation));
+
+      // Add context data if available (an article is already in the system message)
+      if (contextData.length > 0 && !article) {
+        let contextMessage = '';
+
+        if (contextData.length > 0) {
+          contextMessage += `RELEVANT DATA FROM OUR DATABASE:\n${formatContextItems(contextData)}\n\n`;
+        }
+
+        contextMessage += `\n\nUser Question: ${message}\n\nCRITICAL INSTRUCTIONS: 
+        1. ANALYZE the provided data above and USE it to answer the question
+        2. If law firm data is provided, you HAVE the information needed - use it to provide helpful guidance
+        3. Reference actual specialties, locations, and case types from the data
+        4. DO NOT mention specific firm names, contact information, or websites
+        5. DO NOT say "I don't have specific information" when data is provided above
+        6. Focus on geographic coverage, specialties, and case types from the actual data`;
+
+        messages.push({
+          role: 'user',
+          content: contextMessage
+        });
+      } else {
+        messages.push({
+          role: 'user',
+          content: message
+        });
+      }
+
+      // Call OpenAI API using centralized configuration
+      const openAIRequest = createOpenAIRequest(messages, { ...experimentManager.getRequestOptions(experiment), ...openAIOptions });
+
+      // Check if streaming is requested
+      const isStreaming = req.headers.accept === 'text/event-stream';
+
+      if (isStreaming) {
+        // Typed SSE events, buffered so a dropped client can resume with Last-Event-ID
+        const stream = new SSEStream(res, {
+          buffer: sseReplayBuffer,
+          heartbeatInterval: config.chat.sseHeartbeatInterval
+        }).open();
+
+        stream.send('context', {
+          conversationId: conversation.id,
+          streamId: stream.streamId,
+          contextMode: chatConfig.chat.contextMode,
+          intent: summarizeIntent(intent),
+          language,
+          items: summarizeContextItems(contextData)
+        });
+
+        try {
+          let fullResponse = '';
+          let usage = null;
+          // Tokens go out a sentence at a time once they pass output moderation - a refused answer's text never does
+          const moderationFilter = new ModerationStreamFilter(contentModerator, { language });
+          const sendToken = content => {
+            const visible = moderationFilter.push(content);
+            if (visible) stream.send('token', { content: visible });
+          };
+
+          if (useTools) {
+            ({ fullResponse, usage } = await runStreamingToolLoop({
+              provider: llm,
+              request: openAIRequest,
+              executor: toolExecutor,
+              maxIterations: config.chat.maxToolIterations,
+              onToken: sendToken
+            }));
+            ({ contextData, liaCaseInfo, reputableSources } = await collectToolResults(toolExecutor, message, liaCaseInfo, intent));
+            contextReport = toolExecutor.getContextReport();
+            logContextReport(contextReport);
+
+            // The model chose its context while answering - tell the client what it retrieved
+            stream.send('context', {
+              conversationId: conversation.id,
+              streamId: stream.streamId,
+              contextMode: chatConfig.chat.contextMode,
+              intent: summarizeIntent(intent),
+              language,
+              items: summarizeContextItems(contextData),
+              toolsUsed: toolExecutor.getToolsUsed()
+            });
+          } else {
+            // Enable streaming in OpenAI request
+            const streamRequest = { ...openAIRequest, stream: true, stream_options: { include_usage: true } };
+            const completionStream = await llm.createChatCompletion(streamRequest);
+
+            // The grounding marker at the end of article answers is held back, never streamed
+            const markerFilter = article ? new GroundingMarkerFilter() : null;
+            for await (const chunk of completionStream) {
+              if (chunk.usage) usage = chunk.usage;
+              const content = chunk.choices?.[0]?.delta?.content || '';
+              if (content) {
+                fullResponse += content;
+                const visible = markerFilter ? markerFilter.push(content) : content;
+                if (visible) sendToken(visible);
+              }
+            }
+            const remainder = markerFilter?.flush();
+            if (remainder) sendToken(remainder);
+          }
+
+          const marker = article ? extractGroundingMarker(fullResponse, articleRef) : null;
+          if (marker) fullResponse = marker.text;
+
+          // Process the full response for sources and referrals
+          const verification = await verificationMiddleware.verifyResponse(fullResponse, message);
+          const answerText = await moderateAnswer(verification.response, moderation, conversation.id, language);
+
+          // Keep [n] markers that point at a record sent to the model, renumbered; strip the rest
+          const cited = citations.resolve(answerText);
+          const held = moderationFilter.flush(isAnswerReplaced(moderation));
+          if (held) stream.send('token', { content: held });
+
+          const conversationContext = buildConversationContext(contextData, liaCaseInfo, citations);
+          await conversationStore.appendTurn(conversation.id, {
+            userMessage: message,
+            assistantMessage: stripCitationMarkers(answerText),
+            context: conversationContext,
+            metadata: answerMetadata(trackingContext, cited.citations, reputableSources)
+          });
+          answerCache.set(isAnswerReplaced(moderation) ? null : answerCacheKey, buildCachedAnswer({
+            intent, language, verification, cited, toolsUsed: toolExecutor.getToolsUsed(), reputableSources, context: conversationContext
+          }));
+
+          stream.send('sources', {
+            sources: summarizeSources(reputableSources),
+            formatted: reputableSources.length > 0 ? dataService.formatReputableSourcesForResponse(reputableSources) : ''
+          });
+
+          // No automatic referral system - responses are referral-free
+
+          stream.send('verification', {
+            verified: verification.verified,
+            warnings: verification.warnings,
+            claimsVerified: verification.claimsVerified,
+            // Verification and citation cleanup may rewrite the answer - clients should replace the streamed text with this
+            response: cited.text,
+            modified: cited.text !== fullResponse
+          });
+
+          stream.send('citations', { citations: cited.citations });
+
+          stream.send('lia_case', { liaCase: summarizeLiaCase(liaCaseInfo) });
+
+          stream.send('usage', usage?.total_tokens
+            ? { ...usage, estimated: false }
+            : { ...estimateUsage(messages, fullResponse), estimated: true });
+
+          const responseTime = Date.now() - startTime;
+          trackChatQuery({ message, intent, language, moderation, conversationId: conversation.id, contextData, reputableSources, liaCaseInfo, verificationWarnings: verification.warnings.length, responseTime, trackingContext });
+
+          stream.send('done', {
+            conversationId: conversation.id,
+            intent: summarizeIntent(intent),
+            toolsUsed: toolExecutor.getToolsUsed(),
+            responseTime,
+            ...summarizeTracking(trackingContext),
+            ...(moderation.length > 0 && { moderation: moderation.map(summarizeModeration) }),
+            ...(marker && { grounding: summarizeGrounding(article, marker) }),
+            ...(debugContext && { debug: { context: contextReport } })
+          });
+          return;
+
+        } catch (error) {
+          console.error('OpenAI streaming error:', error);
+          stream.send('error', { error: getServerErrorMessage(error) });
+          return;
+        }
+      }
+
+      // Non-streaming response (existing behavior)
+      let completion;
+      let usage;
+      if (useTools) {
+        ({ completion, usage } = await runToolLoop({
+          provider: llm,
+          request: openAIRequest,
+          executor: toolExecutor,
+          maxIterations: config.chat.maxToolIterations
+        }));
+        ({ contextData, liaCaseInfo, reputableSources } = await collectToolResults(toolExecutor, message, liaCaseInfo, intent));
+        contextReport = toolExecutor.getContextReport();
+        logContextReport(contextReport);
+      } else {
+        completion = await llm.createChatCompletion(openAIRequest);
+        usage = completion.usage;
+      }
+      let aiResponse = completion.choices[0].message.content;
+      console.log('OpenAI response received:', aiResponse.substring(0, 100) + '...');
+
+      // Article answers end with a marker saying whether they stayed within the article
+      const marker = article ? extractGroundingMarker(aiResponse, articleRef) : null;
+      if (marker) aiResponse = marker.text;
+
+      // Verify response against data sources, then check it against the moderation policy
+      const verification = await verificationMiddleware.verifyResponse(aiResponse, message);
+      const answerText = await moderateAnswer(verification.response, moderation, conversation.id, language);
+
+      // Keep [n] markers that point at a record sent to the model, renumbered; strip the rest
+      const cited = citations.resolve(answerText);
+
+      // Remember this exchange (without the sources block or citation markers) for follow-up questions
+      const conversationContext = buildConversationContext(contextData, liaCaseInfo, citations);
+      await conversationStore.appendTurn(conversation.id, {
+        userMessage: message,
+        assistantMessage: stripCitationMarkers(answerText),
+        context: conversationContext,
+        metadata: answerMetadata(trackingContext, cited.citations, reputableSources)
+      });
+      answerCache.set(isAnswerReplaced(moderation) ? null : answerCacheKey, buildCachedAnswer({
+        intent, language, verification, cited, toolsUsed: toolExecutor.getToolsUsed(), reputableSources, context: conversationContext
+      }));
+
+      // Add reputable sources to the response
+      let responseWithSources = cited.text;
+      if (reputableSources.length > 0) {
+        const sourcesText = dataService.formatReputableSourcesForResponse(reputableSources);
+        responseWithSources += sourcesText;
+      }
+
+      // No automatic referral messages - system is referral-free
+
+      // No automatic referral system - responses are referral-free
+
+      // No automatic referral system - responses are referral-free
+
+      // Calculate response time
+      const responseTime = Date.now() - startTime;
+
+      // Enhanced tracking with response data
+      trackChatQuery({ message, intent, language, moderation, conversationId: conversation.id, contextData, reputableSources, liaCaseInfo, verificationWarnings: verification.warnings.length, responseTime, trackingContext });
+
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      res.json({ 
+        response: responseWithSources,
+        conversationId: conversation.id,
+        verified: verification.verified,
+        warnings: verification.warnings,
+        claimsVerified: verification.claimsVerified,
+        intent: summarizeIntent(intent),
+        language,
+        citations: cited.citations,
+        toolsUsed: toolExecutor.getToolsUsed(),
+        reputableSources: summarizeSources(reputableSources),
+        liaCase: summarizeLiaCase(liaCaseInfo),
+        apiBaseUrl: apiBaseUrl,
+        usage,
+        ...summarizeTracking(trackingContext),
+        ...(moderation.length > 0 && { moderation: moderation.map(summarizeModeration) }),
+        ...(marker && { grounding: summarizeGrounding(article, marker) }),
+        ...(debugContext && { debug: { context: contextReport } })
+      });
+
+    } catch (error) {
+      console.error('OpenAI API error:', error);
+
+      const errorMessage = getServerErrorMessage(error);
+      const statusCode = error.status || 500;
+
+      res.status(statusCode).json({ error: errorMessage });
+    }
+  });
+
+  // API endpoint to get a conversation's turns (only for the session that started it)
+  app.get('/api/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await conversationStore.getConversation(req.params.id, req.session?.id || null);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found or expired' });
+      }
+
+      res.json({
+        id: conversation.id,
+        createdAt: conversation.createdAt,
+        lastActivity: conversation.lastActivity,
+        flags: conversation.flags || [],
+        turns: conversation.turns
+      });
+    } catch (error) {
+      console.error('❌ Error fetching conversation:', error);
+      res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+  });
+
+  // API endpoint to download a conversation (or one answer, ?queryId=) as Markdown, HTML or PDF - owner session only
+  app.get('/api/conversations/:id/transcript', async (req, res) => {
+    const format = (req.query.format || 'md').toLowerCase();
+    const formats = {
+      md: { type: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+      markdown: { type: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+      html: { type: 'text/html; charset=utf-8', extension: 'html', render: transcript => renderHTML(transcript, sources => dataService.formatReputableSourcesForResponse(sources)) },
+      pdf: { type: 'application/pdf', extension: 'pdf', render: renderPDF }
+    };
+
+    if (!formats[format]) {
+      return res.status(400).json({ error: 'format must be md, html or pdf' });
+    }
+
+    try {
+      const conversation = await conversationStore.getConversation(req.params.id, req.session?.id || null);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found or expired' });
+      }
+
+      const transcript = buildTranscript(conversation, {
+        queryId: req.query.queryId || null,
+        title: config.transcript.title,
+        disclaimer: config.transcript.disclaimer,
+        baseUrl: getBaseUrl(req)
+      });
+
+      if (!transcript) {
+        return res.status(404).json({ error: 'Answer not found in this conversation' });
+      }
+
+      const { type, extension, render } = formats[format];
+      const filename = `injury-info-transcript-${String(req.query.queryId || conversation.id).replace(/[^\w-]/g, '')}.${extension}`;
+      res.set('Content-Type', type);
+      res.set('Content-Disposition', `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${filename}"`);
+      res.send(render(transcript));
+    } catch (error) {
+      console.error('❌ Error rendering transcript:', error);
+      res.status(500).json({ error: 'Failed to render transcript' });
+    }
+  });
+
+  // API endpoint to delete a conversation (only for the session that started it)
+  app.delete('/api/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await conversationStore.getConversation(req.params.id, req.session?.id || null);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found or expired' });
+      }
+
+      await conversationStore.deleteConversation(conversation.id);
+      res.json({ message: 'Conversation deleted successfully' });
+    } catch (error) {
+      console.error('❌ Error deleting conversation:', error);
+      res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+  });
+
+  // API endpoint to get article data
+  app.get('/api/articles', async (req, res) => {
+    try {
+      const articles = await dataService.getAllArticles();
+      res.json(articles);
+    } catch (error) {
+      console.error('❌ Error fetching articles:', error);
+      res.status(500).json({ error: 'Failed to fetch articles' });
+    }
+  });
+
+  // API endpoint to get a specific article by slug
+  app.get('/api/articles/:slug', async (req, res) => {
+    const { slug } = req.params;
+
+    try {
+      const article = await findArticle(slug);
+
+      if (!article) {
+        return res.status(404).json({ error: 'Article not found' });
+      }
+      // Old slug of a renamed article
+      if (article.slug !== slug) {
+        return res.redirect(301, `/api/articles/${encodeURIComponent(article.slug)}`);
+      }
+
+      res.json(article);
+    } catch (error) {
+      console.error('❌ Error fetching article:', error);
+      res.status(500).json({ error: 'Failed to fetch article' });
+    }
+  });
+
+  // API endpoint to search for law firms
+  app.get('/api/law-firms', async (req, res) => {
+    try {
+      const { specialty, location } = req.query;
+
+      const lawFirms = await dataService.getLawFirms(specialty, location);
+
+      res.json(lawFirms);
+    } catch (error) {
+      console.error('❌ Error fetching law firms:', error);
+      res.status(500).json({ error: 'Failed to fetch law firms' });
+    }
+  });
+
+  // API endpoint to get settlement data
+  app.get('/api/settlements', async (req, res) => {
+    try {
+      const { condition, state } = req.query;
+
+      const settlements = await dataService.getSettlementData(condition, state);
+
+      res.json(settlements);
+    } catch (error) {
+      console.error('❌ Error fetching settlement data:', error);
+      res.status(500).json({ error: 'Failed to fetch settlement data' });
+    }
+  });
+
+  // Ranked article search: q (quote words for a phrase), optional category, page and pageSize
+  app.get('/api/search', async (req, res) => {
+    try {
+      const { q, category } = req.query;
+      if (!q || !String(q).trim()) {
+        return res.status(400).json({ error: 'q is required' });
+      }
+
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const pageSize = Math.min(50, Math.max(1, parseInt(req.query.pageSize) || 10));
+      const result = await dataService.search(String(q), { category: category || null, page, pageSize });
+
+      res.json({
+        query: String(q),
+        category: category || null,
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages,
+        results: result.results.map(({ article, score, highlights }) => ({
+          id: article.id,
+          slug: article.slug,
+          url: `/article/${article.slug}`,
+          title: article.title,
+          description: article.description,
+          category: article.category,
+          score,
+          highlights
+        })),
+        facets: result.facets
+      });
+    } catch (error) {
+      console.error('❌ Error searching articles:', error);
+      res.status(500).json({ error: 'Failed to search articles' });
+    }
+  });
+
+  // API endpoint to search for comprehensive condition information
+  app.get('/api/search/:condition', async (req, res) => {
+    try {
+      const { condition } = req.params;
+
+      const result = await dataService.searchCondition(condition);
+
+      res.json(result);
+    } catch (error) {
+      console.error('❌ Error searching condition:', error);
+      res.status(500).json({ error: 'Failed to search condition' });
+    }
+  });
+
+  // API endpoint to get reputable sources for a query
+  app.get('/api/reputable-sources', async (req, res) => {
+    try {
+      const { query, disease, limit = 3 } = req.query;
+
+      if (!query && !disease) {
+        return res.status(400).json({ error: 'Either query or disease parameter is required' });
+      }
+
+      let sources = [];
+
+      if (query) {
+        sources = await dataService.getReputableSources(query, parseInt(limit));
+      } else if (disease) {
+        sources = await dataService.getReputableSourcesForDisease(disease, parseInt(limit));
+      }
+
+      res.json({
+        sources: sources.map(source => ({
+          id: source.id,
+          diseaseAilment: source.diseaseAilment,
+          sourceTitle: source.sourceTitle,
+          sourceUrl: source.sourceUrl,
+          sourceType: source.sourceType,
+          priority: source.priority,
+          description: source.description,
+          lastUpdated: source.lastUpdated
+        })),
+        total: sources.length,
+        query: query || disease
+      });
+    } catch (error) {
+      console.error('❌ Error fetching reputable sources:', error);
+      res.status(500).json({ error: 'Failed to fetch reputable sources' });
+    }
+  });
+
+  // API endpoint to record a click on a source link in a chat answer (compared per experiment variant)
+  app.post('/api/sources/click', async (req, res) => {
+    try {
+      const { queryId, url } = req.body || {};
+
+      if (!queryId || !url) {
+        return res.status(400).json({ error: 'queryId and url are required' });
+      }
+
+      const result = await queryTracker.trackConversion(queryId, {
+        pageUrl: url,
+        conversionType: 'source_click',
+        userAgent: req.get('User-Agent'),
+        sessionId: req.session?.id || 'unknown'
+      });
+
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to track source click' });
+      }
+
+      res.json({ success: true, conversionId: result.conversionId });
+    } catch (error) {
+      console.error('❌ Error tracking source click:', error);
+      res.status(500).json({ error: 'Failed to track source click' });
+    }
+  });
+
+  // API endpoint to rate a chat answer up or down, with optional reason tags and a comment
+  app.post('/api/feedback', async (req, res) => {
+    try {
+      const { feedback, error } = validateFeedback(req.body || {});
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Only the session that got the answer can rate it (its queryId is signed for that session)
+      if (!req.session || !sessionManager.isSignedFor(feedback.queryId, req.session.id)) {
+        return res.status(404).json({ error: 'Query not found' });
+      }
+
+      const result = await queryTracker.trackFeedback(feedback.queryId, {
+        ...feedback,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.session?.id || 'unknown'
+      });
+
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to record feedback' });
+      }
+
+      res.json({ success: true, feedbackId: result.feedbackId });
+    } catch (error) {
+      console.error('❌ Error recording feedback:', error);
+      res.status(500).json({ error: 'Failed to record feedback' });
+    }
+  });
+
+  // Intake response: progress, field errors and the text to show next in conversation
+  function sendIntake(res, intake, errors = {}, status = 200) {
+    const body = intakeService.toResponse(intake);
+    const messages = { ...config.intake, ...config.intake.languages?.[body.language] };
+    // Field errors are in English; other languages get a general note before the question
+    const firstError = Object.values(errors)[0] && (body.language === 'en' ? `${Object.values(errors)[0]}.` : messages.invalidAnswer);
+    let reply = body.nextStep?.question || null;
+    if (intake.status === INTAKE_STATUS.READY) reply = messages.completeMessage;
+    if (intake.status === INTAKE_STATUS.SUBMITTED) reply = messages.submittedMessage;
+    if (firstError) reply = `${firstError} ${reply || ''}`.trim();
+
+    res.status(status).json({ ...body, errors, reply });
+  }
+
+  function intakeMeta(req) {
+    return { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+  }
+
+  // Intakes belong to the visitor, so one can be resumed after the session rotates (within its 7 days)
+  function intakeOwner(req) {
+    return req.session?.visitorId || req.session?.id || null;
+  }
+
+  // The requested language, else the language of the last message in the conversation the intake starts from
+  async function getIntakeLanguage(req) {
+    const { language, conversationId } = req.body || {};
+    if (SUPPORTED_LANGUAGES.includes(language)) return language;
+
+    const conversation = conversationId ? await conversationStore.getConversation(conversationId, req.session?.id || null) : null;
+    const lastMessage = conversation?.turns.filter(turn => turn.role === 'user').pop();
+    return lastMessage ? detectLanguage(lastMessage.content) : 'en';
+  }
+
+  // A submitted intake is an LIA referral, tied to the chat answer it started from
+  async function trackIntakeConversion(req, intake) {
+    await queryTracker.trackConversion(intake.queryId, {
+      conversionType: 'intake_submitted',
+      pageUrl: req.get('Referer') || '',
+      referralGenerated: true,
+      userAgent: req.get('User-Agent'),
+      sessionId: req.session?.id || intake.conversationId || 'unknown'
+    });
+  }
+
+  // API endpoint to start a case-evaluation intake (optionally with answers already known)
+  app.post('/api/intake', async (req, res) => {
+    try {
+      const { answers = {}, conversationId = null, queryId = null } = req.body || {};
+      const language = await getIntakeLanguage(req);
+      const { intake, errors } = await intakeService.start({ answers, conversationId, queryId, language, ownerId: intakeOwner(req), meta: intakeMeta(req) });
+      sendIntake(res, intake, errors, 201);
+    } catch (error) {
+      console.error('❌ Error starting intake:', error);
+      res.status(500).json({ error: 'Failed to start intake' });
+    }
+  });
+
+  // API endpoint to resume an intake (only from the session that started it - it holds contact details)
+  app.get('/api/intake/:id', async (req, res) => {
+    try {
+      const intake = await intakeService.get(req.params.id, intakeOwner(req));
+      if (!intake) {
+        return res.status(404).json({ error: 'Intake not found' });
+      }
+      sendIntake(res, intake);
+    } catch (error) {
+      console.error('❌ Error fetching intake:', error);
+      res.status(500).json({ error: 'Failed to fetch intake' });
+    }
+  });
+
+  // API endpoint to save form answers - valid answers are kept, rejected ones come back in `errors`
+  app.post('/api/intake/:id/answers', async (req, res) => {
+    try {
+      const result = await intakeService.saveAnswers(req.params.id, req.body?.answers, intakeMeta(req), intakeOwner(req));
+      if (!result) {
+        return res.status(404).json({ error: 'Intake not found' });
+      }
+      if (result.submitted) {
+        return res.status(409).json({ error: 'Intake already submitted' });
+      }
+      sendIntake(res, result.intake, result.errors);
+    } catch (error) {
+      console.error('❌ Error saving intake answers:', error);
+      res.status(500).json({ error: 'Failed to save intake answers' });
+    }
+  });
+
+  // API endpoint to answer the current intake question in conversation
+  app.post('/api/intake/:id/reply', async (req, res) => {
+    try {
+      const { message } = req.body || {};
+      if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+
+      const result = await intakeService.reply(req.params.id, message, intakeMeta(req), intakeOwner(req));
+      if (!result) {
+        return res.status(404).json({ error: 'Intake not found' });
+      }
+      if (result.submitted) {
+        return res.status(409).json({ error: 'Intake already submitted' });
+      }
+      sendIntake(res, result.intake, result.errors);
+    } catch (error) {
+      console.error('❌ Error answering intake question:', error);
+      res.status(500).json({ error: 'Failed to save intake answer' });
+    }
+  });
+
+  // API endpoint to submit a completed intake: matches the LIA case and creates the HubSpot contact
+  app.post('/api/intake/:id/submit', async (req, res) => {
+    let result;
+    try {
+      result = await intakeService.submit(req.params.id, intakeOwner(req));
+    } catch (error) {
+      console.error('❌ Error submitting intake:', error);
+      return res.status(502).json({ error: 'Failed to create HubSpot contact - your answers are saved, please try again' });
+    }
+
+    try {
+      if (!result) {
+        return res.status(404).json({ error: 'Intake not found' });
+      }
+      if (result.missing) {
+        return res.status(400).json({ error: 'Intake is incomplete', missing: result.missing, nextStep: intakeService.getNextStep(result.intake) });
+      }
+
+      if (!result.alreadySubmitted) {
+        trackIntakeConversion(req, result.intake).catch(error => {
+          console.warn('Could not track intake conversion:', error.message);
+        });
+      }
+
+      sendIntake(res, result.intake);
+    } catch (error) {
+      console.error('❌ Error submitting intake:', error);
+      res.status(500).json({ error: 'Failed to submit intake' });
+    }
+  });
+
+  // API endpoint to clear cache (requires an analytics login)
+  app.post('/api/cache/clear', authMiddleware.requireAuth(), async (req, res) => {
+    try {
+      dataService.clearCache();
+      answerCache.invalidate('cache cleared');
+      res.json({ message: 'Cache cleared successfully' });
+    } catch (error) {
+      console.error('❌ Error clearing cache:', error);
+      res.status(500).json({ error: 'Failed to clear cache' });
+    }
+  });
+
+  // API endpoint to get cache statistics
+  app.get('/api/cache/stats', async (req, res) => {
+    try {
+      const stats = dataService.getCacheStats();
+      res.json({ ...stats, answers: answerCache.getStats() });
+    } catch (error) {
+      console.error('❌ Error getting cache stats:', error);
+      res.status(500).json({ error: 'Failed to get cache stats' });
+    }
+  });
+
+  // Test endpoint to verify API key
+  app.get('/api/test', async (req, res) => {
+    try {
+      const completion = await llm.createChatCompletion(
+        createOpenAIRequest([{ role: 'user', content: 'Hello, this is a test.' }], { max_tokens: 50 })
+      );
+
+      res.json({ 
+        success: true, 
+        message: 'LLM provider connection successful',
+        provider: llm.getInfo(),
+        response: completion.choices[0].message.content 
+      });
+    } catch (error) {
+      console.error('LLM provider test error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message,
+        provider: llm.getInfo(),
+        details: 'Check your LLM provider settings in .env.local'
+      });
+    }
+  });
+
+  // API endpoint to get configuration status
+  app.get('/api/config/status', (req, res) => {
+    try {
+      const status = getConfigurationStatus();
+      const baseUrl = getBaseUrl(req);
+      const apiBaseUrl = getApiBaseUrl(req);
+
+      // Don't expose sensitive information like API keys
+      const safeStatus = {
+        openai: {
+          configured: status.openai.configured,
+          model: status.openai.model
+        },
+        llm: status.llm,
+        google: {
+          configured: status.google.configured,
+          spreadsheetId: status.google.spreadsheetId ? '***configured***' : null
+        },
+        hubspot: {
+          configured: status.hubspot.configured,
+          portalId: status.hubspot.portalId
+        },
+        validation: status.validation,
+        verification: {
+          enabled: true,
+          features: [
+            'Response verification against data sources',
+            'Claim extraction and validation',
+            'Source citation',
+            'Unverified claim removal'
+          ]
+        },
+        lia: {
+          enabled: true,
+          features: [
+            'Active case detection from Google Sheets',
+            'Automatic referrals for active cases',
+            'Referral-free for inactive cases',
+            'Medical and legal information provided'
+          ]
+        },
+        urls: {
+          baseUrl,
+          apiBaseUrl,
+          environment: process.env.NODE_ENV || 'development'
+        }
+      };
+
+      res.json(safeStatus);
+    } catch (error) {
+      console.error('❌ Error getting configuration status:', error);
+      res.status(500).json({ error: 'Failed to get configuration status' });
+    }
+  });
+
+  // API endpoint to get LIA active cases
+  app.get('/api/lia/active-cases', async (req, res) => {
+    try {
+      const liaData = await dataService.getLIAActiveCases();
+
+      res.json({
+        ...liaData,
+        message: liaData.source === 'fallback' ? 'Using fallback data - Google Sheets not available' : 'Data loaded from Google Sheets'
+      });
+    } catch (error) {
+      console.error('❌ Error getting LIA active cases:', error);
+      res.status(500).json({ error: 'Failed to get LIA active cases' });
+    }
+  });
+
+  // API endpoint to check if a query relates to LIA active cases
+  app.post('/api/lia/check-case', async (req, res) => {
+    try {
+      const { query } = req.body;
+
+      if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+      }
+
+      const result = await dataService.checkLIAActiveCase(query);
+
+      res.json({
+        query,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error in LIA case check:', error);
+      res.status(500).json({ error: 'Failed to check LIA case' });
+    }
+  });
+
+  // API endpoint to get query analytics
+  app.get('/api/analytics/queries', async (req, res) => {
+    try {
+      const { days = 30 } = req.query;
+
+      const analytics = await dataService.getQueryAnalytics(parseInt(days));
+
+      res.json(analytics);
+    } catch (error) {
+      console.error('❌ Error fetching query analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+  });
+
+  // API endpoint to export query analytics as CSV
+  app.get('/api/analytics/export', async (req, res) => {
+    try {
+      const { days = 30 } = req.query;
+
+      // Import the QueryLogger dynamically
+      const { QueryLogger } = await import('./utils/query-logger.js');
+      const queryLogger = new QueryLogger();
+
+      const result = await queryLogger.exportToCSV(parseInt(days));
+
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to export analytics' });
+      }
+
+      // Send the CSV file
+      res.download(result.file, `query-analytics-${new Date().toISOString().split('T')[0]}.csv`);
+
+    } catch (error) {
+      console.error('❌ Error exporting analytics:', error);
+      res.status(500).json({ error: 'Failed to export analytics' });
+    }
+  });
+
+  // API endpoint to verify if an article exists
+  app.post('/api/verify-article', async (req, res) => {
+    try {
+      const { articleTitle } = req.body;
+
+      if (!articleTitle) {
+        return res.status(400).json({ error: 'Article title is required' });
+      }
+
+      const verification = await verificationMiddleware.verifyArticleExists(articleTitle);
+
+      res.json({
+        articleTitle,
+        exists: verification.exists,
+        similarity: verification.similarity,
+        article: verification.article ? {
+          id: verification.article.id,
+          title: verification.article.title,
+          slug: verification.article.slug,
+          category: verification.article.category,
+          source: verification.article.source
+        } : null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error verifying article:', error);
+      res.status(500).json({ error: 'Failed to verify article' });
+    }
+  });
+
+  // Serve the main HTML file and individual article pages
+  if (serveStatic) {
+    app.get('/', (req, res) => {
+      res.sendFile(path.join(staticDir, 'index.html'));
+    });
+
+    app.get('/article/:slug', async (req, res) => {
+      try {
+        const currentSlug = await dataService.resolveArticleSlug?.(req.params.slug);
+        if (currentSlug) {
+          return res.redirect(301, `/article/${encodeURIComponent(currentSlug)}`);
+        }
+      } catch (error) {
+        console.warn('Could not resolve article slug:', error.message);
+      }
+      res.sendFile(path.join(staticDir, 'article.html'));
+    });
+  }
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      platform,
+      ...(process.env.AWS_REGION && { region: process.env.AWS_REGION })
+    });
+  });
+
+  // Catch-all: serve static files, falling back to the main page
+  if (spaFallback) {
+    app.get('*', (req, res) => {
+      res.sendFile(path.join(staticDir, req.path), (err) => {
+        if (err) {
+          res.sendFile(path.join(staticDir, 'index.html'));
+        }
+      });
+    });
+  }
+
+  return app;
+}
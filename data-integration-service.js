@@ -1,48 +1,39 @@
 /**
  * Data Integration Service
- * Fetches data from Google Sheets and HubSpot through MCP connectors
+ * Fetches data from the sources configured in config/data-sources.json (Google Sheets and HubSpot by default)
  * Provides centralized data access for the injury info website
  */
 
-import { HubSpotInjuryInfoConnector } from './hubspot-connector.js';
-import { GoogleSheetsConnector } from './google-sheets-connector.js';
 import { ReputableSourcesService } from './reputable-sources-service.js';
+import { DATA_TYPES, DataSourceRegistry } from './utils/data-sources.js';
+import { SlugRegistry, createRecordId, createSlug } from './utils/record-ids.js';
+import { SearchIndex } from './utils/search-index.js';
+import crypto from 'crypto';
+import { detectLanguage, extractTerms, foldText, toSearchQuery, tokenize } from './utils/language.js';
 
 export class DataIntegrationService {
-    constructor() {
-        // Initialize connectors with error handling
-        try {
-            this.hubspot = new HubSpotInjuryInfoConnector({
-                hubspotApiKey: process.env.HUBSPOT_ACCESS_TOKEN,
-                hubspotPortalId: process.env.HUBSPOT_PORTAL_ID
-            });
-            console.log('✅ HubSpot connector initialized');
-        } catch (error) {
-            console.warn('⚠️ HubSpot connector failed to initialize:', error.message);
-            this.hubspot = null;
-        }
-        
-        try {
-            this.googleSheets = new GoogleSheetsConnector({
-                apiKey: process.env.GOOGLE_API_KEY,
-                spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID
-            });
-            console.log('✅ Google Sheets connector initialized');
-        } catch (error) {
-            console.warn('⚠️ Google Sheets connector failed to initialize:', error.message);
-            this.googleSheets = null;
-        }
+    /**
+     * config.dataSources - a DataSourceRegistry (default: built from config/data-sources.json)
+     * config.slugRegistry - a SlugRegistry (default: kept in SLUG_REGISTRY_FILE, or in memory)
+     */
+    constructor(config = {}) {
+        this.dataSources = config.dataSources || new DataSourceRegistry();
+        this.slugs = config.slugRegistry || new SlugRegistry();
+        this.searchIndex = new SearchIndex();
 
-        // Initialize reputable sources service
-        try {
-            this.reputableSources = new ReputableSourcesService({
-                googleSheets: this.googleSheets
-            });
-            console.log('✅ Reputable sources service initialized');
-        } catch (error) {
-            console.warn('⚠️ Reputable sources service failed to initialize:', error.message);
-            this.reputableSources = null;
-        }
+        // Query logging writes HubSpot notes through the HubSpot source's connector
+        this.hubspot = this.dataSources.sources.find(source => source.type === 'hubspot')?.instance.connector || null;
+
+        this.reputableSources = new ReputableSourcesService({
+            loadSources: () => this.dataSources.collect(DATA_TYPES.REPUTABLE_SOURCES)
+        });
+
+        // Sources that watch their data (local files) drop cached data as soon as it changes
+        this.dataSources.onChange(sourceId => {
+            console.log(`🔄 Data source "${sourceId}" changed, clearing cache`);
+            this.clearCache();
+            this.reputableSources.clearCache();
+        });
 
         // Cache for performance with configurable timeouts
         this.cache = new Map();
@@ -51,14 +42,20 @@ export class DataIntegrationService {
             lawFirms: 60 * 60 * 1000,        // 1 hour - law firm data is relatively stable
             settlements: 15 * 60 * 1000,     // 15 minutes - settlement data may update more frequently
             liaActiveCases: 10 * 60 * 1000,  // 10 minutes - active cases may change
+            intentRules: 30 * 60 * 1000,     // 30 minutes - classifier keyword weights
             reputableSources: 60 * 60 * 1000, // 1 hour - reputable sources are stable
             default: 5 * 60 * 1000           // 5 minutes - fallback for other data
         };
         this.cacheTimeout = this.cacheTimeouts.default; // Keep for backward compatibility
+
+        // Data snapshot version - bumped whenever refreshed data differs from what was cached
+        // before, or the cache is cleared (answer caches key on it)
+        this.dataVersion = 1;
+        this.dataFingerprints = new Map();
     }
 
     /**
-     * Get all articles from Google Sheets and HubSpot
+     * Get all articles from the configured data sources
      */
     async getAllArticles() {
         const cacheKey = 'all_articles';
@@ -68,15 +65,13 @@ export class DataIntegrationService {
         try {
             console.log('🔄 Fetching articles from data sources...');
             
-            const [sheetsArticles, hubspotArticles] = await Promise.all([
-                this.getArticlesFromGoogleSheets(),
-                this.getArticlesFromHubSpot()
-            ]);
+            const articles = await this.dataSources.collect(DATA_TYPES.ARTICLES);
 
-            // Merge and deduplicate articles
-            const allArticles = this.mergeArticles(sheetsArticles, hubspotArticles);
+            // Merge and deduplicate articles, then give each a unique, stable slug
+            const allArticles = this.slugs.assign(this.mergeArticles(articles)
+                .map(article => ({ ...article, id: article.id || createRecordId('article', article.title) })));
             
-            // If no articles found from connectors, use fallback data
+            // If no articles found from data sources, use fallback data
             if (allArticles.length === 0) {
                 console.log('📋 Using fallback article data');
                 const fallbackArticles = this.getFallbackArticles();
@@ -91,139 +86,13 @@ export class DataIntegrationService {
         } catch (error) {
             console.error('❌ Error fetching articles:', error);
             console.log('📋 Using fallback article data due to error');
-            // Return fallback data if connectors fail
+            // Return fallback data if data sources fail
             return this.getFallbackArticles();
         }
     }
 
     /**
-     * Get articles from Google Sheets
-     */
-    async getArticlesFromGoogleSheets() {
-        if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
-            return [];
-        }
-        
-        try {
-            const articles = [];
-            
-            // Read from different sheets - updated to match actual sheet names
-            const sheets = ['Top_10_Cases', 'Case_Amounts'];
-            
-            for (const sheetName of sheets) {
-                try {
-                    const { data } = await this.googleSheets.readSheet(sheetName);
-                    
-                    for (const row of data) {
-                        const article = this.mapSheetRowToArticle(row, sheetName);
-                        if (article) {
-                            articles.push(article);
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`⚠️ Could not read sheet ${sheetName}:`, error.message);
-                }
-            }
-            
-            return articles;
-        } catch (error) {
-            console.error('❌ Error reading Google Sheets:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Get articles from HubSpot
-     */
-    async getArticlesFromHubSpot() {
-        if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
-            return [];
-        }
-        
-        try {
-            // Search for disease/condition content
-            const diseases = await this.hubspot.searchDiseases('', null, 50);
-            
-            return diseases.map(disease => ({
-                id: `hubspot_${disease.id}`,
-                title: disease.name,
-                description: disease.description,
-                slug: this.createSlug(disease.name),
-                category: disease.category || 'medical',
-                date: disease.lastUpdated,
-                content: {
-                    overview: disease.description,
-                    symptoms: disease.symptoms || [],
-                    causes: disease.causes || [],
-                    treatments: [], // Would need to be populated from content
-                    legalOptions: [], // Would need to be populated from content
-                    settlements: '' // Would need to be populated from content
-                },
-                source: 'hubspot'
-            }));
-        } catch (error) {
-            console.error('❌ Error reading HubSpot:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Map Google Sheets row to article format
-     */
-    mapSheetRowToArticle(row, sheetName) {
-        try {
-            switch (sheetName) {
-                case 'Top_10_Cases':
-                    return {
-                        id: `sheets_case_${row.ID || Math.random()}`,
-                        title: row['Case Name'] || row.Name || row['Case Type'] || '',
-                        description: row.Description || row['Case Summary'] || '',
-                        slug: this.createSlug(row['Case Name'] || row.Name || row['Case Type'] || ''),
-                        category: 'legal',
-                        date: row['Date Filed'] || row['Last Updated'] || new Date().toISOString(),
-                        content: {
-                            overview: row.Description || row['Case Summary'] || '',
-                            symptoms: this.parseList(row.Symptoms || ''),
-                            causes: this.parseList(row['Alleged Causes'] || ''),
-                            treatments: [],
-                            legalOptions: this.parseList(row['Legal Options'] || ''),
-                            settlements: row['Settlement Amount'] || row.Settlements || ''
-                        },
-                        source: 'google_sheets'
-                    };
-
-                case 'Case_Amounts':
-                    return {
-                        id: `sheets_settlement_${row.ID || Math.random()}`,
-                        title: row['Case Type'] || row.Name || '',
-                        description: row.Description || row['Case Summary'] || '',
-                        slug: this.createSlug(row['Case Type'] || row.Name || ''),
-                        category: 'settlement',
-                        date: row['Date'] || row['Last Updated'] || new Date().toISOString(),
-                        content: {
-                            overview: row.Description || row['Case Summary'] || '',
-                            symptoms: [],
-                            causes: [],
-                            treatments: [],
-                            legalOptions: [],
-                            settlements: row['Settlement Amount'] || row['Amount'] || row.Settlements || ''
-                        },
-                        source: 'google_sheets'
-                    };
-
-                default:
-                    return null;
-            }
-        } catch (error) {
-            console.error('❌ Error mapping sheet row:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Get law firms from Google Sheets and HubSpot
+     * Get law firms from the configured data sources
      */
     async getLawFirms(specialty = null, location = null) {
         const cacheKey = `law_firms_${specialty}_${location}`;
@@ -231,14 +100,19 @@ export class DataIntegrationService {
         if (cached) return cached;
 
         try {
-            const [sheetsFirms, hubspotFirms] = await Promise.all([
-                this.getLawFirmsFromGoogleSheets(specialty, location),
-                this.getLawFirmsFromHubSpot(specialty, location)
-            ]);
+            const firms = await this.dataSources.collect(DATA_TYPES.LAW_FIRMS, { specialty, location });
 
-            const allFirms = [...sheetsFirms, ...hubspotFirms];
+            const allFirms = firms.filter(firm => {
+                if (specialty && !this.firmHandlesSpecialty(firm, specialty)) {
+                    return false;
+                }
+                if (location && !firm.location?.toLowerCase().includes(location.toLowerCase())) {
+                    return false;
+                }
+                return true;
+            });
             
-            // If no firms found from connectors, use fallback data
+            // If no firms found from data sources, use fallback data
             if (allFirms.length === 0) {
                 console.log('📋 Using fallback law firm data');
                 const fallbackFirms = this.getFallbackLawFirms();
@@ -267,53 +141,14 @@ export class DataIntegrationService {
         }
     }
 
-    /**
-     * Get law firms from Google Sheets with smart filtering
-     */
-    async getLawFirmsFromGoogleSheets(specialty = null, location = null) {
-        if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
-            return [];
-        }
-        
-        try {
-            const { data } = await this.googleSheets.readSheet('Top_10_Firms');
-            
-            return data
-                .filter(firm => {
-                    if (specialty && !this.firmHandlesSpecialty(firm, specialty)) {
-                        return false;
-                    }
-                    if (location && !firm.Headquarters?.toLowerCase().includes(location.toLowerCase())) {
-                        return false;
-                    }
-                    return true;
-                })
-                .map(firm => ({
-                    id: `sheets_firm_${firm.Rank || Math.random()}`,
-                    name: firm.Firm_Name || '',
-                    location: firm.Headquarters || '',
-                    phone: '', // Not available in your current structure
-                    website: firm.Source_Link || '',
-                    specialties: this.parseList(firm.Notable_Mass_Torts || ''),
-                    experience: '', // Not available in your current structure
-                    successRate: '', // Not available in your current structure
-                    notableSettlements: this.parseList(firm.Notable_Mass_Torts || ''),
-                    source: 'google_sheets'
-                }));
-        } catch (error) {
-            console.error('❌ Error reading law firms from sheets:', error);
-            return [];
-        }
-    }
-
     /**
      * Smart matching to see if a firm handles a particular specialty
      */
     firmHandlesSpecialty(firm, specialty) {
-        if (!firm.Notable_Mass_Torts || !specialty) return true;
+        const specialties = [].concat(firm.specialties || []).join(', ');
+        if (!specialties || !specialty) return true;
         
-        const firmSpecialties = firm.Notable_Mass_Torts.toLowerCase();
+        const firmSpecialties = specialties.toLowerCase();
         const searchTerm = specialty.toLowerCase();
         
         // Define related terms for better matching
@@ -359,36 +194,6 @@ export class DataIntegrationService {
         return searchWords.some(word => firmSpecialties.includes(word));
     }
 
-    /**
-     * Get law firms from HubSpot
-     */
-    async getLawFirmsFromHubSpot(specialty = null, location = null) {
-        if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
-            return [];
-        }
-        
-        try {
-            const firms = await this.hubspot.findLawFirms(specialty || '', location, 20);
-            
-            return firms.map(firm => ({
-                id: `hubspot_firm_${firm.id}`,
-                name: firm.name,
-                location: firm.location,
-                phone: firm.phone,
-                website: firm.website,
-                specialties: firm.specialties,
-                experience: firm.experience,
-                successRate: firm.successRate,
-                notableSettlements: firm.notableSettlements,
-                source: 'hubspot'
-            }));
-        } catch (error) {
-            console.error('❌ Error reading law firms from HubSpot:', error);
-            return [];
-        }
-    }
-
     /**
      * Get settlement data for a condition
      */
@@ -398,15 +203,12 @@ export class DataIntegrationService {
         if (cached) return cached;
 
         try {
-            const [sheetsData, hubspotData] = await Promise.all([
-                this.getSettlementDataFromGoogleSheets(condition, state),
-                this.getSettlementDataFromHubSpot(condition, state)
-            ]);
+            const settlements = await this.dataSources.collect(DATA_TYPES.SETTLEMENTS, { condition, state });
 
             // Merge settlement data
-            const mergedData = this.mergeSettlementData(sheetsData, hubspotData);
+            const mergedData = this.mergeSettlementData(settlements);
             
-            // If no settlement data found from connectors, use fallback data
+            // If no settlement data found from data sources, use fallback data
             if (mergedData.length === 0) {
                 console.log('📋 Using fallback settlement data');
                 const fallbackData = this.getDefaultSettlementData(condition);
@@ -424,78 +226,6 @@ export class DataIntegrationService {
         }
     }
 
-    /**
-     * Get settlement data from Google Sheets
-     */
-    async getSettlementDataFromGoogleSheets(condition, state = null) {
-        if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
-            return [];
-        }
-        
-        try {
-            const { results } = await this.googleSheets.searchSheet('Case_Amounts', condition, 'Case Type', 20);
-            
-            return results
-                .map(row => {
-                    // Handle the user's existing structure: Case Type, Settlement_Amount_USD, Source_Link
-                    const settlementAmount = row['Settlement_Amount_USD'] || row['Settlement Amount USD'] || row['Settlement Amount'] || '';
-                    
-                    // Format the settlement amount for display
-                    let formattedAmount = '';
-                    if (settlementAmount) {
-                        const amount = parseFloat(settlementAmount.replace(/[^0-9.]/g, ''));
-                        if (!isNaN(amount)) {
-                            if (amount >= 1000000000) {
-                                formattedAmount = `$${(amount / 1000000000).toFixed(1)} billion`;
-                            } else if (amount >= 1000000) {
-                                formattedAmount = `$${(amount / 1000000).toFixed(1)} million`;
-                            } else if (amount >= 1000) {
-                                formattedAmount = `$${(amount / 1000).toFixed(0)}K`;
-                            } else {
-                                formattedAmount = `$${amount.toLocaleString()}`;
-                            }
-                        }
-                    }
-                    
-                    return {
-                        condition: row['Case Type'] || '',
-                        state: 'All', // Default since no state column in current structure
-                        settlementRange: formattedAmount || 'Varies by case',
-                        averageSettlement: formattedAmount || 'Contact attorney for estimate',
-                        totalCases: 'Varies', // Default since no total cases column
-                        year: '2024', // Default year
-                        source: 'google_sheets',
-                        sourceLink: row['Source_Link'] || row['Source Link'] || ''
-                    };
-                });
-        } catch (error) {
-            console.error('❌ Error reading settlements from sheets:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Get settlement data from HubSpot
-     */
-    async getSettlementDataFromHubSpot(condition, state = null) {
-        if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
-            return [];
-        }
-        
-        try {
-            const data = await this.hubspot.getSettlementData(condition, state);
-            return data.map(item => ({
-                ...item,
-                source: 'hubspot'
-            }));
-        } catch (error) {
-            console.error('❌ Error reading settlements from HubSpot:', error);
-            return [];
-        }
-    }
-
     /**
      * Search for comprehensive information about a condition
      */
@@ -534,24 +264,46 @@ export class DataIntegrationService {
     }
 
     /**
-     * Search articles by condition
+     * Article search index, rebuilt whenever the article list is refreshed
      */
-    async searchArticles(condition) {
-        const allArticles = await this.getAllArticles();
-        
-        return allArticles.filter(article => 
-            article.title.toLowerCase().includes(condition.toLowerCase()) ||
-            article.description.toLowerCase().includes(condition.toLowerCase()) ||
-            article.content.overview.toLowerCase().includes(condition.toLowerCase())
-        );
+    async getSearchIndex() {
+        const articles = await this.getAllArticles();
+        if (this.searchIndex.articles !== articles) {
+            this.searchIndex.build(articles);
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Ranked search with highlights and category facets (GET /api/search)
+     * options: { category, page, pageSize }
+     */
+    async search(query, options = {}) {
+        return (await this.getSearchIndex()).search(query, options);
+    }
+
+    /**
+     * Articles matching a query or condition, best first, with searchScore relative to the best
+     * match (0-1) so chat context ranks them the same way
+     */
+    async searchArticles(query, limit = null) {
+        const index = await this.getSearchIndex();
+        const { results } = index.search(query, { pageSize: limit || index.articles.length });
+        const topScore = results[0]?.score || 1;
+        return results.map(({ article, score }) => ({ ...article, searchScore: Math.round(score / topScore * 1000) / 1000 }));
+    }
+
+    /**
+     * Current slug for the old slug of an article whose title was edited; null otherwise
+     */
+    async resolveArticleSlug(slug) {
+        await this.getAllArticles();
+        return this.slugs.resolve(slug);
     }
 
     // Helper methods
     createSlug(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/(^-|-$)/g, '');
+        return createSlug(text);
     }
 
     parseList(text) {
@@ -559,21 +311,22 @@ export class DataIntegrationService {
         return text.split(/[,;|]/).map(item => item.trim()).filter(item => item);
     }
 
-    mergeArticles(sheetsArticles, hubspotArticles) {
-        const merged = [...sheetsArticles, ...hubspotArticles];
+    // Lists in data source order; the first article with a title wins
+    mergeArticles(...lists) {
+        const merged = lists.flat();
         
         // Remove duplicates based on title
         const seen = new Set();
         return merged.filter(article => {
-            const key = article.title.toLowerCase();
+            const key = (article.title || '').toLowerCase();
             if (seen.has(key)) return false;
             seen.add(key);
             return true;
         });
     }
 
-    mergeSettlementData(sheetsData, hubspotData) {
-        const merged = [...sheetsData, ...hubspotData];
+    mergeSettlementData(...lists) {
+        const merged = lists.flat();
         
         // Group by condition and state
         const grouped = {};
@@ -964,10 +717,34 @@ export class DataIntegrationService {
             type: cacheType
         });
         console.log(`💾 Cached ${key} (${cacheType}) for ${this.cacheTimeouts[cacheType] / 1000 / 60} minutes`);
+
+        const fingerprint = crypto.createHash('sha1').update(JSON.stringify(data) || '').digest('hex');
+        const previous = this.dataFingerprints.get(key);
+        this.dataFingerprints.set(key, fingerprint);
+        if (previous && previous !== fingerprint) {
+            this.dataVersion++;
+            console.log(`🔄 ${key} changed since it was last cached - data version ${this.dataVersion}`);
+        }
     }
 
     clearCache() {
         this.cache.clear();
+        this.dataVersion++;
+    }
+
+    /**
+     * Current data snapshot version
+     */
+    getDataVersion() {
+        return this.dataVersion;
+    }
+
+    /**
+     * How each source's spreadsheet tabs map to columns: unmapped headers, missing
+     * required columns and skipped rows, so editors can check a renamed column
+     */
+    async getColumnMappingReport() {
+        return this.dataSources.getMappingReports();
     }
 
     /**
@@ -976,6 +753,8 @@ export class DataIntegrationService {
     getCacheStats() {
         const stats = {
             totalItems: this.cache.size,
+            dataVersion: this.dataVersion,
+            dataSources: this.dataSources.describe(),
             items: [],
             byType: {}
         };
@@ -1044,6 +823,7 @@ export class DataIntegrationService {
      * Parse the Active field from various formats
      */
     parseActiveField(activeValue) {
+        if (typeof activeValue === 'boolean') return activeValue;
         if (!activeValue) return true; // Default to true if no value provided
         
         const value = activeValue.toString().toLowerCase().trim();
@@ -1063,141 +843,49 @@ export class DataIntegrationService {
     }
 
     /**
-     * Check if a row looks like a header row
-     */
-    isHeaderRow(row) {
-        if (!row || row.length === 0) return false;
-        
-        const firstCell = row[0]?.toString().toLowerCase() || '';
-        
-        // Common header indicators
-        const headerIndicators = [
-            'case type', 'name', 'title', 'header', 'column', 'field',
-            'case', 'type', 'description', 'status', 'active', 'keywords'
-        ];
-        
-        return headerIndicators.some(indicator => firstCell.includes(indicator));
-    }
-
-    /**
-     * Get LIA Active Cases from Google Sheets
+     * Get LIA Active Cases from the configured data sources
+     * Sources list every case with its Active value; the first source to list a case wins
      */
     async getLIAActiveCases() {
         const cacheKey = 'lia_active_cases';
         const cached = this.getFromCache(cacheKey, 'liaActiveCases');
         if (cached) return cached;
 
-        if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available for LIA cases');
-            return this.getFallbackLIACases();
-        }
-
         try {
-            console.log('📊 Fetching LIA Active Cases from Google Sheets...');
-            const { data, headers } = await this.googleSheets.readSheet('Legal Injury Advocates Active cases');
-            
-            console.log('📋 Sheet headers:', headers);
-            console.log('📋 First few rows:', data.slice(0, 3));
-            
-            if (!data || data.length === 0) {
-                console.log('⚠️ No LIA active cases found in Google Sheets, using fallback');
-                return this.getFallbackLIACases();
-            }
-
-            // Handle case list structure with Active field
-            let activeCases = data
-                .filter(row => {
-                    // Check if row has a case name
-                    const caseName = row['Case Type'] || row.Name || row.name || row[Object.keys(row)[0]] || '';
-                    if (!caseName || caseName.trim().length === 0) return false;
-                    
-                    // Check if the case is marked as active
-                    const isActive = this.parseActiveField(row['Active'] || row.active || row['Status'] || row.status || 'true');
-                    return isActive;
-                })
-                .map(row => {
-                    // Get case name from first column or named column
-                    const caseName = row['Case Type'] || row.Name || row.name || row[Object.keys(row)[0]] || '';
-                    
-                    // Generate keywords from case name
-                    const keywords = this.generateKeywordsFromCaseName(caseName);
-                    
-                    return {
-                        caseType: this.createSlug(caseName),
-                        name: caseName,
-                        description: row['Description'] || `${caseName} cases`,
-                        keywords: keywords,
-                        active: true,
-                        lastUpdated: row['Last Updated'] || new Date().toISOString(),
-                        source: 'google_sheets'
-                    };
+            const entries = await this.dataSources.collect(DATA_TYPES.LIA_CASES);
+
+            const allCases = [];
+            const seen = new Set();
+            for (const entry of entries) {
+                const caseName = (entry.name || '').trim();
+                const caseType = entry.caseType || this.createSlug(caseName);
+                if (!caseType || seen.has(caseType)) continue;
+                seen.add(caseType);
+
+                allCases.push({
+                    caseType,
+                    name: caseName,
+                    description: entry.description || `${caseName} cases`,
+                    keywords: entry.keywords?.length > 0 ? entry.keywords : this.generateKeywordsFromCaseName(caseName),
+                    active: this.parseActiveField(entry.active),
+                    lastUpdated: entry.lastUpdated || new Date().toISOString(),
+                    source: entry.source
                 });
-
-            // If no cases found with headers, try reading raw data
-            if (activeCases.length === 0 && headers.length > 0) {
-                console.log('🔄 No cases found with headers, trying raw data approach...');
-                
-                // Get the raw values from the sheet
-                const rawData = await this.googleSheets.makeRequest(`/${this.googleSheets.spreadsheetId}/values/Legal Injury Advocates Active cases`);
-                
-                if (rawData.values && rawData.values.length > 0) {
-                    // Skip first row if it looks like a header, otherwise use all rows
-                    const startRow = this.isHeaderRow(rawData.values[0]) ? 1 : 0;
-                    
-                    activeCases = rawData.values.slice(startRow)
-                        .filter(row => {
-                            // Check if first column has data
-                            if (!row[0] || row[0].trim().length === 0) return false;
-                            
-                            // Check if the case is marked as active (assuming Active is in column 2, or default to true)
-                            const activeValue = row[1] || 'true'; // Column B for Active field
-                            const isActive = this.parseActiveField(activeValue);
-                            return isActive;
-                        })
-                        .map(row => {
-                            const caseName = row[0]; // First column contains case names
-                            const keywords = this.generateKeywordsFromCaseName(caseName);
-                            
-                            return {
-                                caseType: this.createSlug(caseName),
-                                name: caseName,
-                                description: row[2] || `${caseName} cases`, // Column C for Description
-                                keywords: keywords,
-                                active: true,
-                                lastUpdated: row[3] || new Date().toISOString(), // Column D for Last Updated
-                                source: 'google_sheets'
-                            };
-                        });
-                    
-                    console.log(`✅ Found ${activeCases.length} cases using raw data approach`);
-                }
             }
 
-            // Also include all cases (active and inactive) for admin purposes
-            const allCases = data.map(row => {
-                const caseName = row['Case Type'] || row.Name || row.name || row[Object.keys(row)[0]] || '';
-                const isActive = this.parseActiveField(row['Active'] || row.active || row['Status'] || row.status || 'true');
-                
-                const keywords = this.generateKeywordsFromCaseName(caseName);
-                
-                return {
-                    caseType: this.createSlug(caseName),
-                    name: caseName,
-                    description: row['Description'] || `${caseName} cases`,
-                    keywords: keywords,
-                    active: isActive,
-                    lastUpdated: row['Last Updated'] || new Date().toISOString(),
-                    source: 'google_sheets'
-                };
-            });
+            if (allCases.length === 0) {
+                console.log('⚠️ No LIA active cases found in data sources, using fallback');
+                return this.getFallbackLIACases();
+            }
 
+            const activeCases = allCases.filter(caseInfo => caseInfo.active);
             const result = {
                 activeCases,
                 allCases,
                 totalActive: activeCases.length,
                 totalCases: allCases.length,
                 lastUpdated: new Date().toISOString(),
-                source: 'google_sheets'
+                source: [...new Set(allCases.map(caseInfo => caseInfo.source))].join(',')
             };
 
             console.log(`✅ Fetched ${activeCases.length} active LIA cases out of ${allCases.length} total cases`);
@@ -1205,7 +893,7 @@ export class DataIntegrationService {
             return result;
 
         } catch (error) {
-            console.error('❌ Error fetching LIA cases from Google Sheets:', error);
+            console.error('❌ Error fetching LIA cases:', error);
             console.log('📋 Using fallback LIA cases due to error');
             return this.getFallbackLIACases();
         }
@@ -1217,22 +905,23 @@ export class DataIntegrationService {
     async checkLIAActiveCase(query) {
         try {
             const liaData = await this.getLIAActiveCases();
+
+            // Spanish queries are matched on their English synonyms too ("amianto" -> asbestos, mesothelioma)
+            const language = detectLanguage(query);
+            const searchQuery = toSearchQuery(query, language);
+
+            // Normalize the query: split into words, remove punctuation and accents, lowercase
+            const queryWords = tokenize(searchQuery);
             
-            // Normalize the query: split into words, remove punctuation, lowercase
-            const queryWords = query.toLowerCase()
-                .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-                .split(/\s+/) // Split on whitespace
-                .filter(word => word.length > 0); // Remove empty strings
-            
-            console.log(`🔍 Checking LIA active case for query: "${query}"`);
+            console.log(`🔍 Checking LIA active case for query: "${query}" (${language})`);
             console.log(`📋 Query words: [${queryWords.join(', ')}]`);
             console.log(`📋 Available active cases:`, liaData.activeCases.map(c => `${c.name} (${c.caseType})`));
             
             for (const caseInfo of liaData.activeCases) {
                 // First, try exact phrase matching with original keywords
                 const exactPhraseMatches = caseInfo.keywords.filter(keyword => {
-                    const normalizedKeyword = keyword.toLowerCase().trim();
-                    const normalizedQuery = query.toLowerCase().trim();
+                    const normalizedKeyword = foldText(keyword).trim();
+                    const normalizedQuery = foldText(searchQuery).trim();
                     return normalizedQuery.includes(normalizedKeyword);
                 });
                 
@@ -1252,12 +941,7 @@ export class DataIntegrationService {
                 }
                 
                 // If no exact phrase matches, try multi-word matching (require at least 2 keyword matches)
-                const caseKeywords = caseInfo.keywords.flatMap(keyword => {
-                    return keyword.toLowerCase()
-                        .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-                        .split(/\s+/) // Split on whitespace
-                        .filter(word => word.length > 0); // Remove empty strings
-                });
+                const caseKeywords = caseInfo.keywords.flatMap(keyword => tokenize(keyword));
                 
                 // Debug: Log the case keywords being checked
                 console.log(`🔍 Checking case "${caseInfo.name}" with keywords: [${caseKeywords.join(', ')}]`);
@@ -1293,7 +977,21 @@ export class DataIntegrationService {
     }
 
     /**
-     * Fallback LIA cases when Google Sheets is unavailable
+     * Get intent classifier keyword rules from the data sources (the "Intent_Rules" sheet)
+     * Columns: Intent, Keyword, Weight. Returns [] when no source has any (JSON defaults apply)
+     */
+    async getIntentRules() {
+        const cacheKey = 'intent_rules';
+        const cached = this.getFromCache(cacheKey, 'intentRules');
+        if (cached) return cached;
+
+        const rules = await this.dataSources.collect(DATA_TYPES.INTENT_RULES);
+        this.setCache(cacheKey, rules, 'intentRules');
+        return rules;
+    }
+
+    /**
+     * Fallback LIA cases when no data source lists any
      */
     getFallbackLIACases() {
         return {
@@ -1467,38 +1165,9 @@ export class DataIntegrationService {
             return [];
         }
 
-        // Normalize the query
-        const normalized = query.toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Remove punctuation
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
-
-        // Split into words
-        const words = normalized.split(' ');
-
-        // Filter out common stop words and short words
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-            'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
-            'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-            'my', 'your', 'his', 'her', 'its', 'our', 'their', 'mine', 'yours', 'his', 'hers', 'ours', 'theirs',
-            'what', 'when', 'where', 'why', 'how', 'who', 'which', 'whom', 'whose',
-            'if', 'then', 'else', 'than', 'as', 'so', 'because', 'since', 'while', 'until',
-            'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after', 'above', 'below',
-            'from', 'up', 'down', 'out', 'off', 'over', 'under', 'again', 'further', 'then', 'once',
-            'here', 'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more',
-            'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'too', 'very'
-        ]);
-
-        // Extract meaningful keywords
-        const keywords = words
-            .filter(word => word.length > 2) // Remove very short words
-            .filter(word => !stopWords.has(word)) // Remove stop words
-            .filter(word => !/^\d+$/.test(word)) // Remove pure numbers
+        // Stop words for the query's language (English, or Spanish plus English), accents folded
+        return extractTerms(query, detectLanguage(query))
             .slice(0, 10); // Limit to top 10 keywords
-
-        return keywords;
     }
 
     /**
@@ -6,8 +6,9 @@
 import { DataIntegrationService } from './data-integration-service.js';
 
 export class DataVerificationMiddleware {
-    constructor() {
-        this.dataService = new DataIntegrationService();
+    constructor(config = {}) {
+        // Share the app's data service (and its cache) when one is provided
+        this.dataService = config.dataService || new DataIntegrationService();
         this.verificationKeywords = [
             'settlement', 'compensation', 'case', 'lawsuit', 'verdict',
             'symptoms', 'diagnosis', 'treatment', 'medical', 'condition',
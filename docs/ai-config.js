@@ -115,19 +115,7 @@ export async function refreshLIAActiveCases() {
 
 // Note: Removed restrictive messaging - AI now provides helpful guidance for all topics
 
-// Banned topics/keywords for post-checking AI output
-export const BANNED_TOPICS = [
-    'epstein', 'sex trafficking', 'politics', 'celebrity', 'conspiracy', 'terrorism', 'violence', 'murder',
-    'suicide', 'drugs', 'gambling', 'weapons', 'extremism', 'porn', 'adult', 'crypto', 'bitcoin',
-    'stock', 'finance', 'entertainment', 'music', 'movie', 'tv', 'sports', 'dating', 'relationship',
-    'religion', 'spiritual', 'astrology', 'horoscope', 'alien', 'ufo', 'paranormal', 'lottery', 'casino', 'scam',
-    'fraud', 'hacking', 'malware', 'phishing', 'dark web', 'black market', 'escort'
-];
-
-export function isBannedTopic(response) {
-    const lower = response.toLowerCase();
-    return BANNED_TOPICS.some(word => lower.includes(word));
-}
+// Banned topics are enforced by the server's moderation policy (config/moderation-policy.json)
 
 // Article URL mappings for proper linking (DISABLED - pages not built yet)
 export const ARTICLE_MAPPINGS = {};
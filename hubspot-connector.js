@@ -4,6 +4,7 @@
  */
 
 import fetch from 'node-fetch';
+import { redactPII } from './utils/pii-redactor.js';
 
 export class HubSpotInjuryInfoConnector {
   constructor(config = {}) {
@@ -82,13 +83,19 @@ export class HubSpotInjuryInfoConnector {
 
   /**
    * Track user interactions and store as HubSpot contacts/interactions
+   * Only for visitors who gave an email - anonymous interactions are not turned into contacts
    */
   async trackUserInteraction(userInfo, queryData) {
     try {
+      if (!userInfo.email) {
+        console.log('📋 Skipping HubSpot contact tracking for an anonymous visitor');
+        return;
+      }
+
       // Create or update contact in HubSpot
       const contactData = {
         properties: {
-          email: userInfo.email || `anonymous_${Date.now()}@temp.com`,
+          email: userInfo.email,
           firstname: userInfo.firstName || 'Anonymous',
           lastname: userInfo.lastName || 'User',
           injury_condition_searched: queryData.condition,
@@ -116,6 +123,73 @@ export class HubSpotInjuryInfoConnector {
     }
   }
 
+  /**
+   * Create or update the contact for a completed case-evaluation intake
+   * The contact is matched on email; returns { contactId, created }
+   */
+  async upsertIntakeContact(lead) {
+    if (!this.hubspotApiKey) {
+      throw new Error('HubSpot API key not available');
+    }
+
+    const properties = {
+      email: lead.email,
+      firstname: lead.firstName,
+      lastname: lead.lastName,
+      phone: lead.phone,
+      state: lead.state,
+      injury_condition_searched: lead.diagnosis,
+      diagnosis_date: lead.diagnosisDate,
+      exposure_source: lead.exposure,
+      lia_case_type: lead.liaCaseType || '',
+      tcpa_consent: 'true',
+      tcpa_consent_date: lead.consent.agreedAt,
+      tcpa_consent_version: lead.consent.version,
+      tcpa_consent_text: lead.consent.text,
+      intake_id: lead.intakeId,
+      last_interaction_date: new Date().toISOString(),
+      lead_source: 'AI Assistant Intake'
+    };
+
+    const createResponse = await fetch(`${this.baseUrl}/crm/v3/objects/contacts`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ properties })
+    });
+
+    if (createResponse.ok) {
+      const contact = await createResponse.json();
+      console.log(`✅ Intake contact created: ${contact.id}`);
+      return { contactId: contact.id, created: true };
+    }
+
+    if (createResponse.status !== 409) {
+      const errorText = await createResponse.text();
+      throw new Error(`HubSpot contact creation failed: ${createResponse.status} - ${errorText}`);
+    }
+
+    // Contact already exists - update it with the intake answers
+    const errorData = await createResponse.json();
+    const match = errorData.message?.match(/Existing ID: (\d+)/);
+    if (!match) {
+      throw new Error('Could not extract contact ID from 409 error');
+    }
+
+    const updateResponse = await fetch(`${this.baseUrl}/crm/v3/objects/contacts/${match[1]}`, {
+      method: 'PATCH',
+      headers: this.headers,
+      body: JSON.stringify({ properties })
+    });
+
+    if (!updateResponse.ok) {
+      const errorText = await updateResponse.text();
+      throw new Error(`HubSpot contact update failed: ${updateResponse.status} - ${errorText}`);
+    }
+
+    console.log(`✅ Intake contact updated: ${match[1]}`);
+    return { contactId: match[1], created: false };
+  }
+
   /**
    * Get legal timeline data from HubSpot CMS or custom objects
    */
@@ -253,8 +327,11 @@ export class HubSpotInjuryInfoConnector {
    * Log keyword queries as contact notes for analytics
    * This approach is lightweight and doesn't clutter the main contact record
    */
-  async logKeywordQuery(query, source = 'chatbot') {
+  async logKeywordQuery(rawQuery, source = 'chatbot') {
     try {
+      // Notes are stored in the CRM - never send emails, phone numbers or other PII in them
+      const query = redactPII(rawQuery);
+
       if (!this.hubspotApiKey) {
         console.log('⚠️ HubSpot API key not available for query logging');
         return;
@@ -370,7 +447,7 @@ export class HubSpotInjuryInfoConnector {
 
       // Create a summary note with all queries
       const timestamp = new Date().toISOString();
-      const queryList = queries.map(q => `- "${q}"`).join('\n');
+      const queryList = queries.map(q => `- "${redactPII(q)}"`).join('\n');
       
       const noteContent = `Keyword Query Batch (${queries.length} queries)\nSource: ${source}\nTimestamp: ${timestamp}\n\nQueries:\n${queryList}`;
       
@@ -3,13 +3,18 @@
  * 
  * This service manages reputable sources from Google Sheets and provides
  * relevant, verified links for AI responses based on user queries.
+ *
+ * Sources come from config.loadSources (DataIntegrationService passes its data source
+ * registry), or from the Reputable_Sources tab of config.googleSheets.
  */
 
-import { GoogleSheetsConnector } from './google-sheets-connector.js';
+import { GoogleSheetsSource } from './utils/google-sheets-source.js';
+import { DEFAULT_LANGUAGE, detectLanguage, extractTerms, foldText, getSynonyms, toSearchQuery, tokenize } from './utils/language.js';
 
 export class ReputableSourcesService {
     constructor(config = {}) {
         this.googleSheets = config.googleSheets || null;
+        this.loadSources = config.loadSources || (this.googleSheets ? () => new GoogleSheetsSource({ connector: this.googleSheets }).getReputableSources() : null);
         this.cache = new Map();
         this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
         
@@ -17,13 +22,13 @@ export class ReputableSourcesService {
         this.keywordIndex = new Map(); // Index for faster keyword lookups
         this.diseaseIndex = new Map(); // Index for disease-based lookups
         
-        if (!this.googleSheets) {
-            console.warn('⚠️ Google Sheets connector not provided to ReputableSourcesService');
+        if (!this.loadSources) {
+            console.warn('⚠️ No reputable source data provided to ReputableSourcesService');
         }
     }
 
     /**
-     * Get all reputable sources from Google Sheets
+     * Get all active reputable sources
      * Includes LIA sources (Legal Injury Advocates) which are automatically
      * included in search results when queries relate to LIA active cases
      */
@@ -32,26 +37,20 @@ export class ReputableSourcesService {
         const cached = this.getFromCache(cacheKey);
         if (cached) return cached;
 
-        if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available for reputable sources');
+        if (!this.loadSources) {
+            console.log('⚠️ No data source available for reputable sources');
             return this.getFallbackSources();
         }
 
         try {
-            console.log('📊 Fetching reputable sources from Google Sheets...');
-            const { data, headers } = await this.googleSheets.readSheet('Reputable_Sources');
+            console.log('📊 Fetching reputable sources...');
+            const validSources = (await this.loadSources() || []).filter(source => source.active !== false);
             
-            if (!data || data.length === 0) {
-                console.log('⚠️ No reputable sources found in Google Sheets, using fallback');
+            if (validSources.length === 0) {
+                console.log('⚠️ No reputable sources found, using fallback');
                 return this.getFallbackSources();
             }
 
-            // Filter active sources and validate
-            const validSources = data
-                .filter(source => this.isActiveSource(source))
-                .map(source => this.mapSheetRowToSource(source))
-                .filter(source => source !== null);
-
             // Build indexes for faster searching
             this.buildSearchIndexes(validSources);
 
@@ -72,6 +71,7 @@ export class ReputableSourcesService {
      * - First two links: priority 1 or 2
      * - Next two links (3rd and 4th): priority 3, 4, or 5
      * - Fifth link: priority 5
+     * Sources in the query's language (optional Language column) are preferred
      */
     async findRelevantSources(query, limit = 5) {
         if (!query || typeof query !== 'string') {
@@ -80,15 +80,18 @@ export class ReputableSourcesService {
 
         try {
             const allSources = await this.getAllReputableSources();
-            const queryWords = this.extractQueryWords(query);
+            const language = detectLanguage(query);
+            const queryWords = this.extractQueryWords(query, language);
+            // Spanish queries also match on the English disease names and keywords in the sheet
+            const searchQuery = toSearchQuery(query, language);
             
             // Early filtering for better performance with large datasets
-            const preFilteredSources = this.preFilterSources(allSources, queryWords, query);
+            const preFilteredSources = this.preFilterSources(allSources, queryWords, searchQuery);
             
             // Score all sources
             const scoredSources = preFilteredSources.map(source => ({
                 ...source,
-                score: this.calculateRelevanceScore(source, queryWords, query)
+                score: this.calculateRelevanceScore(source, queryWords, searchQuery, language)
             }));
 
             // Sort all sources by score first, then by priority
@@ -208,12 +211,12 @@ export class ReputableSourcesService {
     /**
      * Calculate relevance score for a source based on query
      */
-    calculateRelevanceScore(source, queryWords, originalQuery) {
+    calculateRelevanceScore(source, queryWords, originalQuery, language = DEFAULT_LANGUAGE) {
         let score = 0;
         const sourceKeywords = this.parseKeywords(source.keywords);
-        const sourceTitle = source.sourceTitle.toLowerCase();
-        const sourceDescription = source.description.toLowerCase();
-        const originalQueryLower = originalQuery.toLowerCase();
+        const sourceTitle = foldText(source.sourceTitle);
+        const sourceDescription = foldText(source.description);
+        const originalQueryLower = foldText(originalQuery);
 
         // Check for exact matches in keywords
         for (const queryWord of queryWords) {
@@ -242,37 +245,31 @@ export class ReputableSourcesService {
         }
 
         // Bonus for disease/ailment match
-        const sourceDisease = source.diseaseAilment.toLowerCase();
+        const sourceDisease = foldText(source.diseaseAilment);
         if (originalQueryLower.includes(sourceDisease) || sourceDisease.includes(originalQueryLower)) {
             score += 20; // Very high bonus for disease match
         }
 
+        // Bonus for relevant sources in the query's language (e.g. Spanish pages for Spanish queries)
+        if (score > 0 && (source.language || DEFAULT_LANGUAGE) === language) {
+            score += 25;
+        }
+
         return score;
     }
 
     /**
      * Extract meaningful words from a query
      */
-    extractQueryWords(query) {
+    extractQueryWords(query, language = detectLanguage(query)) {
         if (!query || typeof query !== 'string') {
             return [];
         }
 
-        // Remove common stop words and extract meaningful terms
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-            'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
-            'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-            'what', 'when', 'where', 'why', 'how', 'who', 'which', 'whose', 'whom'
-        ]);
-
-        return query
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Remove punctuation
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !stopWords.has(word))
-            .filter(word => !/^\d+$/.test(word)); // Remove pure numbers
+        // Remove stop words for the query's language, plus English synonyms of non-English terms
+        const words = extractTerms(query, language);
+        const synonymWords = getSynonyms(words, language).flatMap(synonym => tokenize(synonym));
+        return [...new Set([...words, ...synonymWords])];
     }
 
     /**
@@ -285,51 +282,10 @@ export class ReputableSourcesService {
 
         return keywordsString
             .split(',')
-            .map(keyword => keyword.trim().toLowerCase())
+            .map(keyword => foldText(keyword.trim()))
             .filter(keyword => keyword.length > 0);
     }
 
-    /**
-     * Check if a source is active
-     */
-    isActiveSource(source) {
-        const activeValue = source.Active || source.active || 'TRUE';
-        return activeValue.toString().toUpperCase() === 'TRUE';
-    }
-
-    /**
-     * Map Google Sheets row to source object
-     * Handles LIA sources (Legal Injury Advocates) with source types:
-     * - "LIA": General Legal Injury Advocates sources
-     * - "LIA Blog Post": Specific blog articles from Legal Injury Advocates
-     */
-    mapSheetRowToSource(row) {
-        try {
-            // Validate required fields
-            if (!row.Disease_Ailment || !row.Source_Title || !row.Source_URL) {
-                console.warn('⚠️ Skipping source with missing required fields:', row);
-                return null;
-            }
-
-            return {
-                id: `source_${row.ID || Math.random()}`,
-                diseaseAilment: row.Disease_Ailment,
-                sourceTitle: row.Source_Title,
-                sourceUrl: row.Source_URL,
-                sourceType: row.Source_Type || 'Medical',
-                priority: parseInt(row.Priority) || 3,
-                keywords: row.Keywords || '',
-                description: row.Description || '',
-                lastUpdated: row.Last_Updated || '',
-                active: this.isActiveSource(row),
-                source: 'google_sheets'
-            };
-        } catch (error) {
-            console.error('❌ Error mapping source row:', error);
-            return null;
-        }
-    }
-
     /**
      * Format sources for AI response
      */
@@ -411,7 +367,7 @@ export class ReputableSourcesService {
 
         for (const source of sources) {
             // Index by disease/ailment
-            const diseaseKey = source.diseaseAilment.toLowerCase();
+            const diseaseKey = foldText(source.diseaseAilment);
             if (!this.diseaseIndex.has(diseaseKey)) {
                 this.diseaseIndex.set(diseaseKey, []);
             }
@@ -499,7 +455,7 @@ export class ReputableSourcesService {
             return allSources;
         }
 
-        const queryLower = originalQuery.toLowerCase();
+        const queryLower = foldText(originalQuery);
         const candidateSources = new Set();
 
         // Use indexes for faster lookups
@@ -534,4 +490,4 @@ export class ReputableSourcesService {
         console.log(`🔍 Pre-filtered ${allSources.length} sources down to ${preFiltered.length} candidates`);
         return preFiltered;
     }
-} 
\ No newline at end of file
+}
@@ -10,11 +10,43 @@ export const SERVER_AI_CONFIG = {
     // OpenAI API Settings
     api: {
         apiKey: process.env.OPENAI_API_KEY,
-        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
         temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
         max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 500
     },
 
+    // LLM Provider Settings
+    llm: {
+        // 'openai', 'openai-compatible' (custom base URL) or 'mock' (scripted, offline)
+        provider: process.env.LLM_PROVIDER || 'openai',
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        // Request timeout in ms for chat and moderation calls (SDK default when unset)
+        timeout: parseInt(process.env.LLM_TIMEOUT) || undefined,
+        mockScriptPath: process.env.LLM_MOCK_SCRIPT
+    },
+
+    // Chat Pipeline Settings
+    chat: {
+        // 'tools' lets the model call data tools on demand; 'prefetch' loads all context up front
+        contextMode: process.env.CHAT_CONTEXT_MODE || 'tools',
+        maxToolIterations: parseInt(process.env.CHAT_MAX_TOOL_ITERATIONS) || 3,
+        // Prompt token budget for retrieved context (articles, settlements, law firms)
+        contextTokenBudget: parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 1200,
+        // Include what was packed into the context (and what was left out) in chat responses
+        debugContext: process.env.CHAT_DEBUG_CONTEXT === 'true',
+        // Streaming: comment heartbeat interval and how long events stay replayable after a stream ends
+        sseHeartbeatInterval: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15000,
+        sseReplayTtl: parseInt(process.env.SSE_REPLAY_TTL) || 5 * 60 * 1000,
+        // Ask the LLM to label queries the keyword rules are unsure about
+        intentLlmFallback: process.env.INTENT_LLM_FALLBACK === 'true',
+        // Reuse answers to repeated first-turn questions until the TTL, a prompt change or a data change
+        answerCacheEnabled: process.env.ANSWER_CACHE_ENABLED !== 'false',
+        answerCacheTtl: parseInt(process.env.ANSWER_CACHE_TTL) || 15 * 60 * 1000,
+        // Bump to invalidate cached answers by hand (default: a hash of the system messages and model settings)
+        promptVersion: process.env.PROMPT_VERSION
+    },
+
     // Google Sheets Configuration
     google: {
         apiKey: process.env.GOOGLE_API_KEY,
@@ -91,7 +123,58 @@ CRITICAL INSTRUCTIONS:
 5. Focus on medical and legal information
 6. DO NOT mention Legal Injury Advocates or any specific law firm in your responses
 7. Focus on providing helpful information about medical conditions, legal rights, and available compensation
-8. Keep responses professional and informative without promotional language`
+8. Keep responses professional and informative without promotional language`,
+
+        // Appended to the system message for the query's intent (see utils/intent-classifier.js)
+        intents: {
+            medical_info: `QUERY TYPE: Medical information. Focus on symptoms, diagnosis, treatment and prognosis. Mention legal options only briefly, if at all.`,
+            legal_rights: `QUERY TYPE: Legal rights. Explain the user's general legal options and how these cases usually work. This is general information, not legal advice.`,
+            settlement_value: `QUERY TYPE: Settlement value. Use the settlement ranges from the data and explain the factors that move a case up or down. Never promise a specific amount.`,
+            firm_search: `QUERY TYPE: Finding legal representation. Describe the specialties, locations and case types covered by firms in the data, without naming firms or giving contact details.`,
+            eligibility: `QUERY TYPE: Eligibility. Explain the usual qualifying criteria (diagnosis, exposure, timing, statute of limitations) and suggest confirming with a qualified attorney.`,
+            off_topic: `QUERY TYPE: Off-topic. Politely explain that you can only help with injury, medical and legal information, and invite a related question.`,
+            emergency: `QUERY TYPE: Possible emergency. Tell the user to call 911 (or their local emergency number) right away before anything else, and keep the answer short.`
+        },
+
+        // Appended to every chat system message: cite data records by their "ref"
+        citations: `CITATIONS:
+Each record from our database has a "ref" number. When a sentence uses information from a record, put its ref in square brackets right after the sentence, e.g. "The average settlement is $1.8 million [2]." Cite several records as [1][3]. Only use refs that appear in the data, never invent them, and don't add citations for general knowledge.`,
+
+        // Appended to the system message when the user writes in a language other than English (see utils/language.js)
+        languages: {
+            es: `LANGUAGE: The user is writing in Spanish. Answer entirely in clear, neutral Spanish, even though the data and sources are in English. Keep product, drug and company names as they are, and translate medical and legal terms into the words a Spanish-speaking patient would use.`
+        },
+
+        // Appended to the articleContext system message on /article/:slug pages (see utils/article-grounding.js)
+        articleGrounding: `GROUNDING:
+Answer from the article above and cite it by its ref. Only add general knowledge when the article doesn't cover the question, and say so when you do. Don't name law firms or Legal Injury Advocates. End your answer with [[ARTICLE]] on its own line if everything came from the article, or [[GENERAL]] if any of it came from general knowledge.`,
+
+        // Appended to the system message when the model can call data tools
+        toolUsage: `TOOLS:
+You can look up data with tools instead of guessing. Call search_articles for conditions and products, get_settlement_data for settlement ranges, find_law_firms only for legal representation questions, check_lia_case when the user describes an injury or exposure that may match an active case, and get_reputable_sources for authoritative references. Only call the tools you need, then answer using the results. If a tool returns nothing, say the information isn't in our database rather than inventing it.`
+    },
+
+    // Downloadable transcripts (GET /api/conversations/:id/transcript)
+    transcript: {
+        title: 'Injury Info - Conversation Transcript',
+        disclaimer: 'This information is provided for general educational purposes and is not medical or legal advice. For advice about your situation, please consult a qualified doctor or attorney.'
+    },
+
+    // Case-evaluation intake (/api/intake) - bump consentVersion whenever either consentText changes
+    intake: {
+        consentVersion: '2024-06',
+        consentText: 'By agreeing, I give Legal Injury Advocates and its partner law firms permission to contact me about my case at the phone number and email I provided, including by autodialed or prerecorded calls and text messages. Consent is not a condition of any purchase or service. Message and data rates may apply. I can opt out at any time.',
+        completeMessage: 'Thank you - your case evaluation request is ready to submit.',
+        submittedMessage: 'Thank you - your case evaluation request has been sent. A member of the Legal Injury Advocates team will contact you soon.',
+        // Intakes started in Spanish; invalidAnswer comes before the question when an answer is rejected
+        languages: {
+            es: {
+                consentText: 'Al aceptar, autorizo a Legal Injury Advocates y a sus bufetes de abogados asociados a comunicarse conmigo sobre mi caso al número de teléfono y al correo electrónico que proporcioné, incluso mediante llamadas automáticas o pregrabadas y mensajes de texto. El consentimiento no es una condición para ninguna compra o servicio. Pueden aplicarse tarifas de mensajes y datos. Puedo cancelar en cualquier momento.',
+                completeMessage: 'Gracias. Su solicitud de evaluación de caso está lista para enviarse.',
+                submittedMessage: 'Gracias. Su solicitud de evaluación de caso fue enviada. Un miembro del equipo de Legal Injury Advocates se comunicará con usted pronto.',
+                invalidAnswer: 'No pudimos usar esa respuesta.'
+            }
+        }
     },
 
     // Error Messages
@@ -122,6 +205,19 @@ export function createOpenAIRequest(messages, options = {}) {
     return request;
 }
 
+// Helper function to get options for createLLMProvider()
+export function getLLMProviderConfig() {
+    const { provider, baseURL, apiKey, timeout, mockScriptPath } = SERVER_AI_CONFIG.llm;
+    return {
+        provider,
+        model: SERVER_AI_CONFIG.api.model,
+        apiKey: provider === 'openai' ? SERVER_AI_CONFIG.api.apiKey : (apiKey || SERVER_AI_CONFIG.api.apiKey),
+        baseURL,
+        timeout,
+        scriptPath: mockScriptPath
+    };
+}
+
 // Helper function to get error message based on error type
 export function getServerErrorMessage(error) {
     if (error.status === 401) {
@@ -139,10 +235,14 @@ export function getServerErrorMessage(error) {
 export function validateConfiguration() {
     const errors = [];
     
-    if (!SERVER_AI_CONFIG.api.apiKey) {
+    if (SERVER_AI_CONFIG.llm.provider === 'openai' && !SERVER_AI_CONFIG.api.apiKey) {
         errors.push('OPENAI_API_KEY is missing');
     }
     
+    if (SERVER_AI_CONFIG.llm.provider === 'openai-compatible' && !SERVER_AI_CONFIG.llm.baseURL) {
+        errors.push('LLM_BASE_URL is missing');
+    }
+    
     if (!SERVER_AI_CONFIG.google.apiKey) {
         errors.push('GOOGLE_API_KEY is missing');
     }
@@ -174,6 +274,12 @@ export function getConfigurationStatus() {
             configured: !!SERVER_AI_CONFIG.api.apiKey,
             model: SERVER_AI_CONFIG.api.model
         },
+        llm: {
+            provider: SERVER_AI_CONFIG.llm.provider,
+            configured: SERVER_AI_CONFIG.llm.provider === 'mock' ||
+                (SERVER_AI_CONFIG.llm.provider === 'openai-compatible' ? !!SERVER_AI_CONFIG.llm.baseURL : !!SERVER_AI_CONFIG.api.apiKey),
+            model: SERVER_AI_CONFIG.api.model
+        },
         google: {
             configured: !!SERVER_AI_CONFIG.google.apiKey && !!SERVER_AI_CONFIG.google.spreadsheetId,
             spreadsheetId: SERVER_AI_CONFIG.google.spreadsheetId
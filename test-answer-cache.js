@@ -0,0 +1,142 @@
+/**
+ * Test script for the chat answer cache
+ * Checks query normalization, TTL and version invalidation, and cached replies on
+ * the JSON and streaming paths. Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { AnswerCache, getPromptVersion } = await import('./utils/answer-cache.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+// Keyword extraction from the real service, without connecting to any data source
+const extractKeywords = query => DataIntegrationService.prototype.extractKeywords(query);
+
+const article = {
+    title: 'Mesothelioma',
+    slug: 'mesothelioma',
+    description: 'Asbestos-related cancer.',
+    content: { overview: 'Mesothelioma is caused by asbestos exposure.' },
+    source: 'google_sheets'
+};
+
+async function testAnswerCache() {
+    console.log('🧪 Testing Answer Cache\n');
+
+    console.log('📋 Test 1: Keys and versions');
+    let dataVersion = 1;
+    const cache = new AnswerCache({ promptVersion: 'p1', normalize: extractKeywords, getDataVersion: () => dataVersion });
+    const key = cache.getKey('What is mesothelioma?');
+    check(key === cache.getKey('mesothelioma - what is it'), 'Stop words, case and punctuation are ignored');
+    check(cache.getKey('Can I sue my employer?') !== cache.getKey('Can I not sue my employer?'), 'Negations are part of the key');
+    check(cache.getKey("can't I sue?") === cache.getKey('can I not sue?') && cache.getKey('¿No puedo demandar?') !== cache.getKey('¿Puedo demandar?'), 'Contractions and Spanish negations count as negations');
+    check(cache.getKey('Can my employer sue a worker?') !== cache.getKey('Can a worker sue my employer?'), 'Keyword order is part of the key');
+    check(key !== cache.getKey('mesothelioma symptoms'), 'Different keywords get different keys');
+    check(cache.getKey('what is it?') === null, 'Queries with no keywords are not cached');
+    check(new AnswerCache({ promptVersion: 'p2', normalize: extractKeywords }).getKey('mesothelioma') !== cache.getKey('mesothelioma'), 'Prompt version is part of the key');
+
+    check(cache.get(key) === null, 'First lookup misses');
+    cache.set(key, { response: 'cached' });
+    check(cache.get(key)?.response === 'cached', 'Stored answer is returned');
+    dataVersion = 2;
+    check(cache.get(key) === null && cache.entries.size === 0, 'A data version change invalidates cached answers');
+    cache.set(key, { response: 'stale' });
+    check(cache.entries.size === 0, 'Answers generated under an older data version are not stored');
+
+    const expiring = new AnswerCache({ ttl: 1, normalize: extractKeywords });
+    const expiringKey = expiring.getKey('mesothelioma');
+    expiring.set(expiringKey, { response: 'old' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    check(expiring.get(expiringKey) === null && expiring.getStats().expired === 1, 'Entries expire after the TTL');
+
+    const stats = cache.getStats();
+    check(stats.hits === 1 && stats.misses === 2 && stats.hitRate === 0.333, `Hit and miss counts (${stats.hits}/${stats.misses})`);
+
+    const changedPrompt = { ...SERVER_AI_CONFIG, systemMessages: { ...SERVER_AI_CONFIG.systemMessages, general: 'Changed' } };
+    check(getPromptVersion(SERVER_AI_CONFIG) !== getPromptVersion(changedPrompt), 'Editing a system message changes the prompt version');
+
+    console.log('\n📋 Test 2: /api/chat replays cached answers');
+    const llm = new MockLLMProvider({ responses: ['Mesothelioma is a cancer caused by asbestos [1].'] });
+    const dataService = {
+        dataVersion: 1,
+        extractKeywords,
+        getDataVersion() { return this.dataVersion; },
+        async searchArticles() { return [article]; },
+        async getSettlementData() { return []; },
+        async getLawFirms() { return []; },
+        async checkLIAActiveCase() { return { isActive: false }; },
+        async getReputableSources() { return []; },
+        formatReputableSourcesForResponse() { return ''; },
+        clearCache() { this.dataVersion++; },
+        getCacheStats() { return { totalItems: 0, items: [], byType: {} }; }
+    };
+    const app = createApp({
+        llm,
+        dataService,
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', debugContext: false, answerCacheEnabled: true } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // One visitor session throughout, so its conversations can be read and continued
+    let session = null;
+    const sessionHeaders = () => session ? { 'X-Session-Id': session } : {};
+    const chat = (message, extra = {}, headers = {}) => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...sessionHeaders(), ...headers },
+        body: JSON.stringify({ message, ...extra })
+    }).then(response => {
+        session = response.headers.get('X-Session-Id');
+        return response;
+    });
+
+    try {
+        const first = await (await chat('What is mesothelioma?')).json();
+        const second = await (await chat('mesothelioma, what is it')).json();
+        check(llm.requests.length === 1, 'Second question answered without an LLM call');
+        check(second.cached === true && !first.cached, 'Cached response is flagged');
+        check(second.response === first.response && second.citations.length === first.citations.length, 'Cached response matches the original, citations included');
+        check(second.conversationId !== first.conversationId, 'Each cached reply starts its own conversation');
+
+        const conversation = await (await fetch(`${base}/api/conversations/${second.conversationId}`, { headers: sessionHeaders() })).json();
+        check(conversation.turns.length === 2 && !conversation.turns[1].content.includes('[1]'), 'Cached turn stored for follow-ups');
+
+        await chat('what about in texas?', { conversationId: second.conversationId });
+        check(llm.requests.length === 2, 'Follow-up questions are never served from the cache');
+
+        const streamed = await (await chat('What is mesothelioma', {}, { accept: 'text/event-stream' })).text();
+        check(llm.requests.length === 2, 'Streaming request served from the cache');
+        check(/event: token/.test(streamed) && /event: citations/.test(streamed) && /"cached":true/.test(streamed), 'Cached answer replayed as token, citations and done events');
+
+        const stats = await (await fetch(`${base}/api/cache/stats`)).json();
+        check(stats.answers.hits === 2 && stats.answers.misses === 1, `/api/cache/stats reports hits and misses (${stats.answers.hits}/${stats.answers.misses})`);
+
+        check((await fetch(`${base}/api/cache/clear`, { method: 'POST' })).status === 401, 'Clearing the cache requires an analytics login');
+        await chat('What is mesothelioma?');
+        check(llm.requests.length === 2, 'Anonymous clear leaves cached answers in place');
+
+        const login = await (await fetch(`${base}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'test-admin', password: 'test-password' })
+        })).json();
+        await fetch(`${base}/api/cache/clear`, { method: 'POST', headers: { Authorization: `Bearer ${login.token}` } });
+        await chat('What is mesothelioma?');
+        check(llm.requests.length === 3, 'Clearing the data cache invalidates cached answers');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Answer cache tests completed!');
+}
+
+testAnswerCache().catch(fail);
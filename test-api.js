@@ -115,7 +115,19 @@ async function testAPI() {
         
         // Test cache clear endpoint
         console.log('\n6. Testing cache clear endpoint...');
-        const cacheResponse = await fetch(`${baseUrl}/api/cache/clear`, { method: 'POST' });
+        const loginResponse = await fetch(`${baseUrl}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: process.env.ANALYTICS_USERNAME || 'admin',
+                password: process.env.ANALYTICS_PASSWORD || 'analytics2024!'
+            })
+        });
+        const { token } = await loginResponse.json();
+        const cacheResponse = await fetch(`${baseUrl}/api/cache/clear`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` }
+        });
         const cacheData = await cacheResponse.json();
         console.log('✅ Cache clear endpoint:', cacheData.message);
         
@@ -0,0 +1,123 @@
+/**
+ * Route parity test for the app factory
+ * Checks that the standalone, Vercel and Lambda targets expose the same endpoints
+ * and answer them the same way. Uses the mock LLM provider - no API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { createApp } = await import('./app.js');
+const { default: vercelApp } = await import('./api/index.js');
+const { app: lambdaApp, handler: lambdaHandler } = await import('./server-lambda.js');
+
+/**
+ * List "METHOD /path" for every route, including mounted routers
+ */
+function listRoutes(app) {
+    const routes = [];
+
+    const walk = (stack, prefix = '') => {
+        for (const layer of stack) {
+            if (layer.route) {
+                for (const method of Object.keys(layer.route.methods)) {
+                    routes.push(`${method.toUpperCase()} ${prefix}${layer.route.path}`);
+                }
+            } else if (layer.name === 'router' && layer.handle.stack) {
+                const mountPath = layer.regexp.source
+                    .replace('^\\', '')
+                    .replace('\\/?(?=\\/|$)', '')
+                    .replace(/\\\//g, '/');
+                walk(layer.handle.stack, prefix + mountPath);
+            }
+        }
+    };
+
+    walk(app._router.stack);
+    return routes;
+}
+
+const apiRoutes = app => listRoutes(app).filter(route => route.includes(' /api/') || route.endsWith(' /health')).sort();
+
+async function request(app, method, url) {
+    const server = app.listen(0);
+    const { port } = server.address();
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}${url}`, { method });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testAppRoutes() {
+    console.log('🧪 Testing App Factory Route Parity\n');
+
+    // Test 1: Same API routes on every target
+    console.log('1. Comparing registered routes...');
+    const standaloneRoutes = apiRoutes(createApp({ platform: 'standalone' }));
+    const vercelRoutes = apiRoutes(vercelApp);
+    const lambdaRoutes = apiRoutes(lambdaApp);
+
+    check(standaloneRoutes.length > 20, `Standalone app registers ${standaloneRoutes.length} API routes`);
+    check(JSON.stringify(vercelRoutes) === JSON.stringify(standaloneRoutes), 'Vercel routes match standalone');
+    check(JSON.stringify(lambdaRoutes) === JSON.stringify(standaloneRoutes), 'Lambda routes match standalone');
+
+    for (const route of ['POST /api/chat', 'GET /api/reputable-sources', 'GET /api/cache/stats', 'POST /api/verify-article', 'GET /api/analytics/dashboard']) {
+        check(standaloneRoutes.includes(route), `${route} available everywhere`);
+    }
+
+    // Test 2: Same responses
+    console.log('\n2. Comparing responses...');
+    const standaloneHealth = await request(createApp({ platform: 'standalone' }), 'GET', '/health');
+    const vercelHealth = await request(vercelApp, 'GET', '/health');
+    check(standaloneHealth.body.status === 'ok' && vercelHealth.body.status === 'ok', 'Health check answers on standalone and Vercel');
+    check(vercelHealth.body.platform === 'vercel', 'Health check reports the platform');
+
+    const lambdaResponse = await lambdaHandler({
+        httpMethod: 'GET',
+        path: '/api/test',
+        headers: {},
+        queryStringParameters: null,
+        requestContext: {}
+    }, {});
+    const lambdaBody = JSON.parse(lambdaResponse.body);
+    check(lambdaResponse.statusCode === 200 && lambdaBody.provider?.provider === 'mock', 'Lambda handler reaches /api/test through serverless-http');
+
+    const standaloneTest = await request(createApp(), 'GET', '/api/test');
+    check(standaloneTest.body.message === lambdaBody.message, 'Standalone and Lambda return the same /api/test payload');
+
+    // Test 3: Injected dependencies
+    console.log('\n3. Testing dependency injection...');
+    const fakeDataService = {
+        async getAllArticles() {
+            return [{ id: 'a1', title: 'Injected Article', slug: 'injected-article' }];
+        }
+    };
+    const injected = await request(createApp({ dataService: fakeDataService }), 'GET', '/api/articles');
+    check(injected.body[0]?.title === 'Injected Article', 'Injected data service used by routes');
+
+    // Test 4: One CORS policy for preflight and actual requests
+    console.log('\n4. Testing CORS...');
+    const corsServer = createApp({ dataService: fakeDataService }).listen(0);
+    const corsUrl = `http://127.0.0.1:${corsServer.address().port}/api/articles`;
+    const preflight = origin => fetch(corsUrl, {
+        method: 'OPTIONS',
+        headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'X-Session-Id' }
+    });
+    try {
+        const allowedPreflight = await preflight('https://preview.vercel.app');
+        const allowedGet = await fetch(corsUrl, { headers: { Origin: 'https://preview.vercel.app' } });
+        check(allowedPreflight.headers.get('access-control-allow-origin') === 'https://preview.vercel.app' && allowedPreflight.headers.get('access-control-allow-headers').includes('X-Session-Id'), 'Allowed origins pass preflight with the shared header list');
+        check(allowedGet.headers.get('access-control-allow-origin') === 'https://preview.vercel.app' && allowedGet.headers.get('access-control-expose-headers').includes('X-Session-Id'), 'Actual requests get the same policy');
+        check(!(await preflight('https://blocked.example')).headers.get('access-control-allow-origin'), 'Preflight uses the same allow-list');
+    } finally {
+        corsServer.close();
+    }
+
+    console.log('\n✅ App route parity tests complete!');
+}
+
+// Run the test
+testAppRoutes().catch(fail);
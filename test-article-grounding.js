@@ -0,0 +1,106 @@
+/**
+ * Test script for article-grounded chat
+ * Checks the grounding marker, the streamed marker filter and /api/chat with an articleSlug.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { extractGroundingMarker, GroundingMarkerFilter, formatArticleContext } = await import('./utils/article-grounding.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const article = DataIntegrationService.prototype.getFallbackArticles()[0];
+
+async function testArticleGrounding() {
+    console.log('🧪 Testing Article-Grounded Chat\n');
+
+    console.log('📋 Test 1: Article context and grounding marker');
+    const formatted = formatArticleContext(article, 1);
+    check(['Ref: 1', 'Overview:', 'Symptoms:', 'Causes:', 'Legal options:', 'Settlements:'].every(label => formatted.includes(label)), 'Article context has every section');
+    check(!formatArticleContext({ title: 'Empty', content: { symptoms: [] } }).includes('Symptoms'), 'Empty sections are left out');
+
+    const withMarker = extractGroundingMarker('Mesothelioma is caused by asbestos [1].\n\n[[ARTICLE]]', 1);
+    check(withMarker.scope === 'article' && withMarker.source === 'model' && withMarker.text === 'Mesothelioma is caused by asbestos [1].', 'Marker is stripped and reported');
+    check(extractGroundingMarker('It may also be linked to radiation. [[GENERAL]]').scope === 'general', 'General-knowledge marker');
+    const inferred = extractGroundingMarker('Settlements range widely [1].', 1);
+    check(inferred.scope === 'article' && inferred.source === 'inferred', 'Missing marker: citing the article counts as within it');
+    check(extractGroundingMarker('Settlements range widely.', 1).scope === 'general', 'Missing marker and no article citation counts as general knowledge');
+
+    const filter = new GroundingMarkerFilter();
+    const streamed = ['Asbestos is the cause [1].', '\n\n[[ART', 'ICLE]', ']'].map(chunk => filter.push(chunk)).join('') + filter.flush();
+    check(streamed === 'Asbestos is the cause [1].', `Marker split across chunks is never streamed ("${streamed}")`);
+    const bracketFilter = new GroundingMarkerFilter();
+    const brackets = ['See [', '1] and [[notes]]'].map(chunk => bracketFilter.push(chunk)).join('') + bracketFilter.flush();
+    check(brackets === 'See [1] and [[notes]]', 'Other brackets pass through');
+
+    console.log('\n📋 Test 2: /api/chat with an articleSlug');
+    const llm = new MockLLMProvider({
+        responses: [
+            'Common symptoms include chest pain and shortness of breath [1].\n[[ARTICLE]]',
+            'Symptoms often appear decades after exposure [1].\n[[GENERAL]]',
+            'Mesothelioma is a cancer caused by asbestos.'
+        ]
+    });
+    const sourceQueries = [];
+    const app = createApp({
+        llm,
+        dataService: {
+            async getAllArticles() { return [article]; },
+            getFallbackArticles() { return []; },
+            async searchArticles() { throw new Error('searchArticles should not be called for article chat'); },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSourcesForDisease(disease) {
+                sourceQueries.push(disease);
+                return [{ sourceTitle: 'Mesothelioma - Mayo Clinic', sourceUrl: 'https://www.mayoclinic.org/meso', sourceType: 'Medical', priority: 1, diseaseAilment: 'Mesothelioma' }];
+            },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'tools', answerCacheEnabled: true } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const chat = (body, headers = {}) => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        const body = await (await chat({ message: 'What are the symptoms?', articleSlug: article.slug })).json();
+        const request = llm.requests[0];
+        const systemPrompt = request.messages[0].content;
+        check(systemPrompt.includes(`The user is asking about: ${article.title}`) && systemPrompt.includes(article.content.settlements), 'articleContext system message carries the article');
+        check(systemPrompt.includes(SERVER_AI_CONFIG.systemMessages.articleGrounding), 'Grounding instructions appended');
+        check(!request.tools, 'No tools in article mode');
+        check(request.messages[request.messages.length - 1].content === 'What are the symptoms?', 'User message sent as-is');
+        check(body.grounding?.withinArticle === true && body.grounding.articleSlug === article.slug, 'Response says it stayed within the article');
+        check(!body.response.includes('[[ARTICLE]]'), 'Marker removed from the answer');
+        check(body.citations[0]?.slug === article.slug, 'Answer cites the article');
+        check(sourceQueries[0] === article.title && body.reputableSources.length === 1, 'Reputable sources scoped to the article\'s condition');
+
+        const streamed = await (await chat({ message: 'When do symptoms start?', articleSlug: article.slug }, { accept: 'text/event-stream' })).text();
+        const tokens = [...streamed.matchAll(/event: token\ndata: (.*)/g)].map(match => JSON.parse(match[1]).content).join('');
+        check(!tokens.includes('[[') && tokens.includes('decades'), 'Streamed tokens never include the marker');
+        check(/"grounding":\{[^}]*"scope":"general"[^}]*"withinArticle":false/.test(streamed), 'done event reports general knowledge');
+
+        const fallback = await (await chat({ message: 'What is mesothelioma?', articleSlug: 'no-such-article' })).json();
+        check(!fallback.grounding && llm.requests.length === 3, 'Unknown slug falls back to normal chat');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Article grounding tests completed!');
+}
+
+testArticleGrounding().catch(fail);
@@ -0,0 +1,145 @@
+/**
+ * Test script for chat tool calling
+ * Uses a scripted provider and data service - no server or API keys required
+ */
+
+import { ChatToolExecutor, runToolLoop, runStreamingToolLoop } from './utils/chat-tools.js';
+import { check, fail } from './test-helpers.js';
+
+const fakeDataService = {
+    async searchArticles(query) {
+        return [{ id: '1', title: 'Mesothelioma and Asbestos Exposure', slug: 'mesothelioma', category: 'cancer', content: { overview: query } }];
+    },
+    async getSettlementData(condition) {
+        return [{ condition, averageSettlement: '$1,000,000' }];
+    },
+    async getLawFirms() {
+        return [{ name: 'Example Firm', location: 'Texas', specialties: ['Mesothelioma'], phone: '555-0100', website: 'https://example.com' }];
+    },
+    async checkLIAActiveCase() {
+        return { isActive: true, name: 'Mesothelioma', caseType: 'mesothelioma' };
+    },
+    async getReputableSources() {
+        return [{ sourceTitle: 'NCI', sourceUrl: 'https://cancer.gov', sourceType: 'government' }];
+    }
+};
+
+/**
+ * Provider that replays one raw response per completion call
+ */
+function createRawProvider(responses) {
+    const requests = [];
+    return {
+        requests,
+        async createChatCompletion(request) {
+            requests.push(request);
+            return responses.shift();
+        }
+    };
+}
+
+async function* streamChunks(chunks) {
+    for (const chunk of chunks) yield chunk;
+}
+
+async function testChatTools() {
+    console.log('🧪 Testing Chat Tool Calling\n');
+
+    // Test 1: Non-streaming loop
+    console.log('1. Testing non-streaming tool loop...');
+    const executor = new ChatToolExecutor({ dataService: fakeDataService });
+    const provider = createRawProvider([
+        {
+            choices: [{
+                finish_reason: 'tool_calls',
+                message: {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'search_articles', arguments: '{"query":"mesothelioma"}' } },
+                        { id: 'call_2', type: 'function', function: { name: 'find_law_firms', arguments: '{"specialty":"mesothelioma"}' } }
+                    ]
+                }
+            }]
+        },
+        { choices: [{ finish_reason: 'stop', message: { role: 'assistant', content: 'Mesothelioma is linked to asbestos.' } }] }
+    ]);
+
+    const request = { model: 'test', messages: [{ role: 'user', content: 'What is mesothelioma?' }] };
+    const { completion, messages } = await runToolLoop({ provider, request, executor });
+    check(completion.choices[0].message.content.includes('asbestos'), 'Final answer returned after tool round');
+    check(messages.filter(m => m.role === 'tool').length === 2, 'Tool results sent back to the model');
+    check(executor.getToolsUsed().map(t => t.name).join(',') === 'search_articles,find_law_firms', 'Tools used recorded in order');
+    check(executor.lawFirms.every(firm => !firm.phone && !firm.website), 'Law firm contact details stripped');
+    check(executor.getContextItems().length === 2, 'Retrieved items available as context');
+    check(request.messages.length === 1, 'Original request messages not mutated');
+
+    // Test 2: Iteration bound
+    console.log('\n2. Testing iteration bound...');
+    const loopingCall = {
+        choices: [{
+            finish_reason: 'tool_calls',
+            message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_x', type: 'function', function: { name: 'check_lia_case', arguments: '{"query":"talc"}' } }] }
+        }]
+    };
+    const boundedProvider = createRawProvider([loopingCall, loopingCall, { choices: [{ message: { content: 'Done' } }] }]);
+    await runToolLoop({ provider: boundedProvider, request, executor: new ChatToolExecutor({ dataService: fakeDataService }), maxIterations: 2 });
+    check(boundedProvider.requests.length === 3, 'Loop stops after max iterations');
+    check(boundedProvider.requests[2].tool_choice === 'none', 'Final round disables tools');
+
+    // Test 3: Bad tool calls
+    console.log('\n3. Testing invalid tool calls...');
+    const errorExecutor = new ChatToolExecutor({ dataService: fakeDataService });
+    const unknown = JSON.parse(await errorExecutor.executeToolCall({ function: { name: 'delete_everything', arguments: '{}' } }));
+    const badArgs = JSON.parse(await errorExecutor.executeToolCall({ function: { name: 'search_articles', arguments: '{oops' } }));
+    check(unknown.error?.includes('Unknown tool'), 'Unknown tool reported to the model');
+    check(badArgs.error === 'Invalid JSON arguments', 'Malformed arguments reported to the model');
+
+    // Test 4: Streaming loop
+    console.log('\n4. Testing streaming tool loop...');
+    const streamExecutor = new ChatToolExecutor({ dataService: fakeDataService });
+    const streamProvider = createRawProvider([
+        streamChunks([
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_s', function: { name: 'get_settlement_data', arguments: '{"condi' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'tion":"talc"}' } }] } }] },
+            { choices: [{ delta: {}, finish_reason: 'tool_calls' }] }
+        ]),
+        streamChunks([
+            { choices: [{ delta: { content: 'Talc settlements ' } }] },
+            { choices: [{ delta: { content: 'vary.' }, finish_reason: 'stop' }] }
+        ])
+    ]);
+
+    const tokens = [];
+    const { fullResponse } = await runStreamingToolLoop({
+        provider: streamProvider,
+        request,
+        executor: streamExecutor,
+        onToken: token => tokens.push(token)
+    });
+    check(fullResponse === 'Talc settlements vary.', 'Streamed answer assembled');
+    check(tokens.length === 2, 'Tokens forwarded as they arrive');
+    check(streamExecutor.calls[0]?.arguments.condition === 'talc', 'Fragmented tool arguments reassembled');
+    check(streamExecutor.settlements.length === 1, 'Settlement data captured from streamed tool call');
+
+    const gapProvider = createRawProvider([
+        streamChunks([
+            { choices: [{ delta: { tool_calls: [{ index: 1, id: 'call_gap', function: { name: 'search_articles', arguments: '{"query":"talc"}' } }] } }] },
+            { choices: [{ delta: {}, finish_reason: 'tool_calls' }] }
+        ]),
+        streamChunks([{ choices: [{ delta: { content: 'Talc answer.' }, finish_reason: 'stop' }] }])
+    ]);
+    await runStreamingToolLoop({
+        provider: gapProvider,
+        request,
+        executor: new ChatToolExecutor({ dataService: fakeDataService }),
+        onToken: () => {}
+    });
+    const echoed = gapProvider.requests[1].messages.find(message => message.tool_calls)?.tool_calls;
+    check(echoed?.length === 1 && echoed[0].id === 'call_gap', 'Tool call indexes with gaps echoed without holes');
+
+    console.log('\n✅ Chat tool tests complete!');
+}
+
+// Run the test
+testChatTools().catch(fail);
@@ -0,0 +1,119 @@
+/**
+ * Test script for inline numbered citations
+ * Checks the citation registry, context refs and the /api/chat citations array.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { CitationRegistry, stripCitationMarkers } = await import('./utils/citations.js');
+const { ContextBuilder } = await import('./utils/context-builder.js');
+const { ChatToolExecutor } = await import('./utils/chat-tools.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const article = {
+    title: 'Mesothelioma',
+    slug: 'mesothelioma',
+    description: 'Asbestos-related cancer.',
+    content: { overview: 'Mesothelioma is caused by asbestos exposure.', symptoms: ['Chest pain'] },
+    source: 'google_sheets'
+};
+const settlement = { condition: 'Mesothelioma', state: 'All', settlementRange: '$1.2M - $2.4M', averageSettlement: '$1.8M', source: 'fallback', sourceLink: 'https://example.com/meso' };
+const cdc = { sourceTitle: 'CDC - Asbestos', sourceUrl: 'https://www.cdc.gov/asbestos', sourceType: 'Government', diseaseAilment: 'Mesothelioma', source: 'hubspot' };
+const liaSource = { sourceTitle: 'LIA Mesothelioma Guide', sourceUrl: 'https://legalinjuryadvocates.com', sourceType: 'LIA Blog Post', source: 'google_sheets' };
+const lawFirm = { name: 'Example Firm', location: 'Texas', specialties: ['Mesothelioma'] };
+
+async function testCitations() {
+    console.log('🧪 Testing Citations\n');
+
+    console.log('📋 Test 1: Registry');
+    const registry = new CitationRegistry();
+    check(registry.register('article', article) === 1, 'First record gets ID 1');
+    check(registry.register('settlement', settlement) === 2, 'Second record gets ID 2');
+    check(registry.register('article', { ...article }) === 1, 'Same record keeps its ID');
+    check(registry.register('law_firm', lawFirm) === null, 'Law firms are not citable');
+    check(registry.register('reputable_source', liaSource) === null, 'LIA sources are not citable');
+    check(registry.register('reputable_source', cdc) === 3, 'Reputable sources are citable');
+
+    console.log('\n📋 Test 2: Resolving markers');
+    const { text, citations } = registry.resolve('Settlements average $1.8M [2]. It is caused by asbestos [1, 9]. See the CDC [3][2]. Made up [12].');
+    check(text === 'Settlements average $1.8M [1]. It is caused by asbestos [2]. See the CDC [3][1]. Made up.', `Markers renumbered and dangling ones stripped: "${text}"`);
+    check(citations.length === 3, 'Only cited records are returned');
+    check(citations[0].type === 'settlement' && citations[0].url === 'https://example.com/meso' && citations[0].source === 'fallback', 'Settlement citation has URL and source');
+    check(citations[1].type === 'article' && citations[1].slug === 'mesothelioma' && citations[1].source === 'google_sheets', 'Article citation has slug and source');
+    check(citations[2].type === 'reputable_source' && citations[2].source === 'hubspot', 'Reputable source citation has source');
+    check(registry.resolve('Nothing cited [4].').citations.length === 0, 'Unknown markers produce no citations');
+    check(stripCitationMarkers('A [1] and B [2][3].') === 'A and B.', 'All markers can be stripped');
+    check(registry.resolve('See [the guide](https://example.com).').text === 'See [the guide](https://example.com).', 'Markdown links are left alone');
+
+    const restored = new CitationRegistry().load(registry.toJSON());
+    check(restored.resolve('Asbestos [1].').citations[0]?.title === 'Mesothelioma', 'Saved citations can be restored');
+
+    console.log('\n📋 Test 3: Context items carry refs');
+    const contextRegistry = new CitationRegistry();
+    const built = new ContextBuilder().build({
+        query: 'mesothelioma settlement',
+        articles: [article],
+        settlements: [settlement],
+        lawFirms: [lawFirm],
+        reputableSources: [cdc, liaSource],
+        citations: contextRegistry
+    });
+    check(built.items.filter(item => item.type !== 'law_firm').every(item => item.ref), 'Articles, settlements and sources have refs');
+    check(built.items.filter(item => item.type === 'law_firm').every(item => !item.ref), 'Law firms have no ref');
+    check(!built.items.some(item => item.title === liaSource.sourceTitle), 'LIA sources are not sent as context');
+    check(contextRegistry.entries.length === 3, 'Registry holds every included citable item');
+
+    const toolRegistry = new CitationRegistry();
+    const executor = new ChatToolExecutor({
+        dataService: { async getReputableSources() { return [cdc]; } },
+        citations: toolRegistry
+    });
+    const toolResult = JSON.parse(await executor.executeToolCall({ function: { name: 'get_reputable_sources', arguments: '{"query":"mesothelioma"}' } }));
+    check(toolResult.results[0].ref === 1, 'Tool results carry refs');
+
+    console.log('\n📋 Test 4: /api/chat returns a citations array');
+    const llm = new MockLLMProvider({
+        responses: ['Mesothelioma is linked to asbestos [1]. Average settlements are high [2]. Unsupported [5].']
+    });
+    const dataService = {
+        async searchArticles() { return [article]; },
+        async getSettlementData() { return [settlement]; },
+        async getLawFirms() { return []; },
+        async checkLIAActiveCase() { return { isActive: false }; },
+        async getReputableSources() { return []; },
+        formatReputableSourcesForResponse() { return ''; }
+    };
+    const app = createApp({
+        llm,
+        dataService,
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch' } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: 'How much is a mesothelioma settlement worth?' })
+        });
+        const body = await response.json();
+        const prompt = llm.requests[0].messages.map(message => message.content).join('\n');
+        check(/"ref":1/.test(prompt) && prompt.includes('CITATIONS:'), 'Prompt includes refs and citation instructions');
+        check(!body.response.includes('[5]'), 'Dangling marker stripped from the answer');
+        check(body.citations.length === 2 && body.citations.every(citation => citation.title && citation.source), `Response maps ${body.citations.length} markers to records`);
+        check(body.response.includes('[1]') && body.response.includes('[2]'), 'Valid markers kept');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Citation tests completed!');
+}
+
+testCitations().catch(fail);
@@ -0,0 +1,129 @@
+/**
+ * Test script for spreadsheet column mapping
+ * Checks header aliases, cell types, the mapping report (unmapped headers, missing required
+ * columns, skipped rows), that the Google Sheets source reads renamed columns, and the
+ * data mapping analytics endpoint. Uses in-memory sheets - no API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { ColumnMapper, loadColumnMappings, parseCellValue } = await import('./utils/column-mapping.js');
+const { GoogleSheetsSource } = await import('./utils/google-sheets-source.js');
+const { DataSourceRegistry } = await import('./utils/data-sources.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { createApp } = await import('./app.js');
+
+// Sheet name -> rows, read like GoogleSheetsConnector.readSheet
+function sheetsConnector(sheets) {
+    return {
+        async readSheet(sheetName) {
+            const [headers = [], ...rows] = sheets[sheetName] || [];
+            return { headers, data: rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? '']))) };
+        }
+    };
+}
+
+async function testColumnMapping() {
+    console.log('🧪 Testing Column Mapping\n');
+
+    console.log('📋 Test 1: Cell types');
+    check(parseCellValue('list', 'Asbestos; Talc | Roundup,').value.join() === 'Asbestos,Talc,Roundup', 'Lists split on , ; and |');
+    check(parseCellValue('number', '1,250').value === 1250 && parseCellValue('number', 'high').error, 'Numbers parsed, words rejected');
+    check(parseCellValue('currency', '$1.2 million').value === 1200000 && parseCellValue('currency', '$250K').value === 250000 && parseCellValue('currency', '2400000').value === 2400000, 'Currency amounts with units');
+    check(parseCellValue('currency', 'Varies').error && parseCellValue('date', 'soon').error, 'Invalid amounts and dates rejected');
+    check(parseCellValue('date', '2025-01-15').value === '2025-01-15T00:00:00.000Z', 'Dates as ISO strings');
+    check(parseCellValue('boolean', 'Yes').value === true && parseCellValue('boolean', 'FALSE').value === false && parseCellValue('boolean', 'maybe').error, 'Booleans from yes/no values');
+
+    console.log('\n📋 Test 2: Mapping and report');
+    const mapper = new ColumnMapper({
+        tabs: {
+            firms: {
+                sheet: 'Firms',
+                fields: {
+                    name: { aliases: ['Firm_Name'], type: 'string', required: true },
+                    rank: { aliases: ['Rank'], type: 'number' },
+                    specialties: { aliases: ['Notable_Mass_Torts'], type: 'list' },
+                    active: { type: 'boolean', default: true }
+                }
+            }
+        }
+    });
+    const { records, report } = mapper.map('firms', {
+        headers: ['FIRM NAME', 'Rank', 'notable mass torts', 'Notes'],
+        data: [
+            { 'FIRM NAME': 'Asbestos Partners', Rank: '1', 'notable mass torts': 'Mesothelioma, Asbestos', Notes: '' },
+            { 'FIRM NAME': '', Rank: '2', 'notable mass torts': 'Talc', Notes: 'name pending' },
+            { 'FIRM NAME': '', Rank: '', 'notable mass torts': '', Notes: '' },
+            { 'FIRM NAME': 'Weed Killer Law', Rank: 'top', 'notable mass torts': '', Notes: '' }
+        ]
+    });
+    check(report.columns.name === 'FIRM NAME' && report.columns.specialties === 'notable mass torts', 'Headers matched ignoring case, spaces and underscores');
+    check(records.length === 2 && records[0].rank === 1 && records[0].specialties.join() === 'Mesothelioma,Asbestos' && records[0].active === true, 'Rows mapped to typed fields with defaults');
+    check(report.unmappedHeaders.join() === 'Notes' && report.missingColumns.length === 0, 'Unmapped headers reported');
+    check(report.skippedRows.length === 1 && report.skippedRows[0].row === 3 && report.skippedRows[0].reason.includes('FIRM NAME'), 'Rows missing a required value skipped with their sheet row');
+    check(records[1].rank === null && report.invalidValues[0]?.row === 5 && report.invalidValues[0].column === 'Rank', 'Invalid optional values reported and left blank');
+
+    const missing = mapper.map('firms', { headers: ['Firm', 'Rank'], data: [{ Firm: 'Asbestos Partners', Rank: '1' }] });
+    check(missing.records.length === 0 && missing.report.missingColumns.join() === 'name', 'Missing required columns reported');
+
+    const defaults = loadColumnMappings();
+    check(['cases', 'caseAmounts', 'lawFirms', 'reputableSources', 'liaCases', 'intentRules'].every(tab => defaults.tabs[tab]?.sheet), 'Default mapping covers every tab');
+
+    console.log('\n📋 Test 3: Google Sheets source');
+    const source = new GoogleSheetsSource({
+        connector: sheetsConnector({
+            Top_10_Firms: [['Rank', 'Firm Name', 'Location', 'Specialties'], ['1', 'Asbestos Partners', 'Chicago, IL', 'Mesothelioma; Asbestos']],
+            Case_Amounts: [['Case Type', 'Amount', 'Source Link'], ['Mesothelioma', '$2.4M', 'https://example.com'], ['Talc', 'Varies', '']],
+            'Legal Injury Advocates Active cases': [['Mesothelioma', 'yes'], ['Paraquat', 'no']],
+            Reputable_Sources: [['Disease_Ailment', 'Source_Title', 'Source_URL', 'Active'], ['Mesothelioma', 'NCI', 'https://www.cancer.gov', 'TRUE'], ['Paraquat', 'EPA', 'https://www.epa.gov', 'FALSE']],
+            Intent_Rules: [['Intent', 'Keyword', 'Weight'], ['Settlement Value', 'payout', '2']]
+        })
+    });
+    const firms = await source.getLawFirms();
+    check(firms[0]?.name === 'Asbestos Partners' && firms[0].location === 'Chicago, IL' && firms[0].specialties.join() === 'Mesothelioma,Asbestos', 'Renamed law firm columns read through aliases');
+    const settlements = await source.getSettlements({ condition: 'meso' });
+    check(settlements.length === 1 && settlements[0].settlementRange === '$2.4 million' && settlements[0].sourceLink === 'https://example.com', 'Settlements filtered by condition with formatted amounts');
+    const cases = await source.getLIACases();
+    check(cases.length === 2 && cases[0].name === 'Mesothelioma' && cases[1].active === false, 'LIA cases read by position without a header row');
+    const sources = await source.getReputableSources();
+    check(sources.length === 1 && sources[0].sourceTitle === 'NCI' && sources[0].priority === 3 && sources[0].language === 'en', 'Inactive reputable sources dropped, defaults applied');
+    check((await source.getIntentRules())[0]?.intent === 'settlement_value', 'Intent rules mapped');
+
+    const tabs = await source.getMappingReport();
+    check(tabs.length === 6 && tabs.find(tab => tab.tab === 'caseAmounts')?.invalidValues[0]?.value === 'Varies', 'Report lists every tab with invalid values');
+    check(tabs.find(tab => tab.tab === 'cases')?.missingColumns.includes('title'), 'Missing tabs report their required columns');
+
+    const service = new DataIntegrationService({ dataSources: new DataSourceRegistry({ sources: [{ id: 'sheets', type: 'google-sheets', source }, { id: 'crm', source: { async getArticles() { return []; } } }] }) });
+    const mapping = await service.getColumnMappingReport();
+    check(mapping.length === 1 && mapping[0].id === 'sheets' && mapping[0].tabs.length === 6, 'Service reports the sources that map columns');
+
+    console.log('\n📋 Test 4: Data mapping endpoint');
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({ tracker, dataService: service });
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        check((await fetch(`${base}/api/analytics/data-mapping`)).status === 401, 'Data mapping report requires a login');
+
+        const login = await (await fetch(`${base}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'test-admin', password: 'test-password' })
+        })).json();
+        const result = await (await fetch(`${base}/api/analytics/data-mapping`, { headers: { Authorization: `Bearer ${login.token}` } })).json();
+        check(result.success && result.sources[0]?.tabs.find(tab => tab.tab === 'lawFirms')?.columns.location === 'Location', 'Report served to analytics users');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Column mapping tests completed!');
+}
+
+testColumnMapping().catch(fail);
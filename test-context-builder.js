@@ -0,0 +1,99 @@
+/**
+ * Test script for token-budgeted context assembly
+ * No server or API keys required
+ */
+
+import { ContextBuilder, formatContextItems } from './utils/context-builder.js';
+import { ChatToolExecutor } from './utils/chat-tools.js';
+import { estimateTokens } from './utils/conversation-store.js';
+import { check, fail } from './test-helpers.js';
+
+const longText = 'Mesothelioma is a rare cancer caused by asbestos exposure. '.repeat(60);
+
+const articles = [
+    {
+        id: 'a1',
+        title: 'Mesothelioma',
+        slug: 'mesothelioma',
+        category: 'cancer',
+        description: 'Asbestos-related cancer of the lining of the lungs.',
+        content: {
+            overview: longText,
+            symptoms: ['Chest pain', 'Shortness of breath', 'Fatigue', 'Weight loss', 'Cough', 'Fever'],
+            causes: ['Asbestos exposure'],
+            treatments: ['Surgery', 'Chemotherapy'],
+            legalOptions: ['Asbestos trust funds'],
+            settlements: '$1M - $2.4M'
+        }
+    },
+    {
+        id: 'a2',
+        title: 'Hair Relaxer Cancer',
+        slug: 'hair-relaxer',
+        description: 'Chemical hair straighteners and uterine cancer.',
+        content: { overview: 'Hair relaxers have been linked to uterine cancer.', symptoms: [] }
+    }
+];
+
+const settlements = [
+    { condition: 'Mesothelioma', state: 'All', settlementRange: '$1.2 million to $2.4 million', averageSettlement: '$1.8 million', totalCases: 'Thousands', year: '2024', source: 'fallback' },
+    { condition: 'Roundup', state: 'All', settlementRange: '$5,000 to $250,000', averageSettlement: '$100,000', source: 'fallback' }
+];
+
+const lawFirms = [
+    { name: 'Example Firm', location: 'Texas', specialties: ['Mesothelioma', 'Asbestos'], phone: '555-0100', website: 'https://example.com', notableSettlements: '$10M verdict' }
+];
+
+async function testContextBuilder() {
+    console.log('🧪 Testing Context Builder\n');
+
+    console.log('📋 Test 1: Ranking and relevance');
+    const builder = new ContextBuilder({ maxTokens: 2000 });
+    const roomy = builder.build({ query: 'mesothelioma settlement in texas', articles, settlements, lawFirms });
+    check(roomy.items.every(item => item.type), 'Every item is typed');
+    check(!roomy.items.some(item => item.title === 'Hair Relaxer Cancer'), 'Irrelevant article left out');
+    check(roomy.report.excluded.some(item => item.title === 'Hair Relaxer Cancer' && item.reason === 'low_relevance'), 'Exclusion reason reported');
+    check(!roomy.items.some(item => item.phone || item.website), 'Law firm contact details never included');
+    check(roomy.tokens <= 2000 && roomy.report.usedTokens === roomy.tokens, `Stays under budget (${roomy.tokens}/2000 tokens)`);
+
+    const weighted = builder.build({ query: 'mesothelioma', articles, settlements, weights: { settlement: 1.5 } });
+    check(weighted.items[0].type === 'settlement', 'Intent weights move a type up the ranking');
+
+    console.log('\n📋 Test 2: Fields are trimmed before items are dropped');
+    const tight = new ContextBuilder({ maxTokens: 260 }).build({ query: 'mesothelioma', articles, settlements });
+    const article = tight.items.find(item => item.slug === 'mesothelioma');
+    const articleReport = tight.report.included.find(item => item.title === 'Mesothelioma' && item.type === 'article');
+    check(article && articleReport.shape !== 'full', `Long article kept in a smaller shape (${articleReport?.shape})`);
+    check(articleReport?.droppedFields.length > 0, `Dropped fields reported: ${articleReport?.droppedFields.join(', ')}`);
+    check(!article.causes && !article.treatments, 'Low-value fields dropped');
+    check(tight.items.some(item => item.type === 'settlement'), 'Settlement still fits after trimming the article');
+    check(tight.tokens <= 260, `Tight budget respected (${tight.tokens}/260 tokens)`);
+
+    const tiny = new ContextBuilder({ maxTokens: 30 }).build({ query: 'mesothelioma', articles, settlements });
+    check(tiny.report.excluded.some(item => item.reason === 'token_budget'), 'Items that cannot fit are excluded for the budget');
+
+    console.log('\n📋 Test 3: Type limits and formatting');
+    const limited = new ContextBuilder({ maxItemsPerType: { settlement: 1 } })
+        .build({ query: 'mesothelioma roundup', settlements });
+    check(limited.items.length === 1 && limited.report.excluded[0]?.reason === 'type_limit', 'Per-type limits apply');
+    const text = formatContextItems(roomy.items);
+    check(text.split('\n').length === roomy.items.length && !text.includes('\n  '), 'One compact JSON object per line');
+    check(estimateTokens(text) <= roomy.tokens, 'Formatted text fits the reported token count');
+
+    console.log('\n📋 Test 4: Tool results share the budget');
+    const dataService = {
+        async searchArticles() { return articles; },
+        async getSettlementData() { return settlements; },
+        async getLawFirms() { return lawFirms; }
+    };
+    const executor = new ChatToolExecutor({ dataService, contextBuilder: new ContextBuilder({ maxTokens: 300 }) });
+    await executor.executeToolCall({ function: { name: 'search_articles', arguments: '{"query":"mesothelioma"}' } });
+    await executor.executeToolCall({ function: { name: 'get_settlement_data', arguments: '{"condition":"mesothelioma"}' } });
+    const report = executor.getContextReport();
+    check(report.calls.length === 2 && report.usedTokens <= 300, `Two tool calls used ${report.usedTokens}/300 tokens`);
+    check(executor.getContextItems().every(item => item.type), 'Tool context items are typed');
+
+    console.log('\n🎉 Context builder tests completed!');
+}
+
+testContextBuilder().catch(fail);
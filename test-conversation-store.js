@@ -0,0 +1,112 @@
+/**
+ * Test script for server-side conversation memory
+ * Runs against the store directly, plus the conversation routes' ownership checks with the
+ * mock LLM provider - no server or API keys required
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { ConversationStore, FileConversationBackend } from './utils/conversation-store.js';
+import { SessionManager } from './utils/session.js';
+import { check, fail } from './test-helpers.js';
+
+const { createApp } = await import('./app.js');
+
+async function testConversationStore() {
+    console.log('🧪 Testing Conversation Store\n');
+
+    // Test 1: New conversations and follow-up turns
+    console.log('1. Testing conversation creation and turns (memory backend)...');
+    const store = new ConversationStore();
+    const conversation = await store.getOrCreateConversation(null);
+    check(conversation.id.startsWith('conv_'), `New conversation ID issued: ${conversation.id}`);
+
+    await store.appendTurn(conversation.id, {
+        userMessage: 'What is mesothelioma?',
+        assistantMessage: 'Mesothelioma is a cancer caused by asbestos exposure.',
+        context: { items: [{ title: 'Mesothelioma and Asbestos Exposure' }], liaCase: null }
+    });
+
+    const reloaded = await store.getOrCreateConversation(conversation.id);
+    check(reloaded.id === conversation.id, 'Existing ID continues the same conversation');
+    check(reloaded.turns.length === 2, 'User and assistant turns recorded');
+    check(reloaded.context.items.length === 1, 'Retrieved context remembered for follow-ups');
+
+    const history = store.getHistoryMessages(reloaded);
+    check(history.length === 2 && history[0].role === 'user', 'History messages start with the user turn');
+
+    // Test 2: Token budget trimming
+    console.log('\n2. Testing history token budget...');
+    for (let i = 0; i < 5; i++) {
+        await store.appendTurn(conversation.id, {
+            userMessage: `Follow-up question ${i} `.repeat(20),
+            assistantMessage: `Follow-up answer ${i} `.repeat(20)
+        });
+    }
+    const trimmed = store.getHistoryMessages(await store.getConversation(conversation.id), 200);
+    const trimmedText = trimmed.map(m => m.content).join('');
+    check(trimmedText.length / 4 <= 200, `History trimmed to budget (${trimmed.length} messages kept)`);
+    check(trimmed[0]?.role === 'user', 'Trimmed history still starts with a user turn');
+    check(trimmedText.includes('answer 4'), 'Most recent turns are kept');
+
+    // Test 3: Idle expiry
+    console.log('\n3. Testing idle expiry...');
+    const shortLived = new ConversationStore({ idleTimeout: 10 });
+    const expiring = await shortLived.getOrCreateConversation(null);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    check(await shortLived.getConversation(expiring.id) === null, 'Idle conversation expired');
+    const replacement = await shortLived.getOrCreateConversation(expiring.id);
+    check(replacement.id !== expiring.id, 'Expired ID starts a fresh conversation');
+
+    // Test 4: File backend
+    console.log('\n4. Testing file backend...');
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+    const fileStore = new ConversationStore({ backend: new FileConversationBackend({ directory }) });
+    const saved = await fileStore.getOrCreateConversation(null);
+    await fileStore.appendTurn(saved.id, { userMessage: 'Hello', assistantMessage: 'Hi there' });
+
+    const restarted = new ConversationStore({ backend: new FileConversationBackend({ directory }) });
+    const restored = await restarted.getConversation(saved.id);
+    check(restored?.turns.length === 2, 'Conversation survives a store restart');
+
+    await restarted.deleteConversation(saved.id);
+    check(await restarted.getConversation(saved.id) === null, 'Conversation deleted');
+    await fs.rm(directory, { recursive: true, force: true });
+
+    // Test 5: Conversations belong to the session that started them
+    console.log('\n5. Testing conversation ownership...');
+    const owned = await store.getOrCreateConversation(null, { ownerId: 'sess_owner' });
+    check((await store.getConversation(owned.id, 'sess_owner'))?.id === owned.id, 'Owner session finds its conversation');
+    check(await store.getConversation(owned.id, 'sess_other') === null, 'Other sessions do not');
+    check((await store.getOrCreateConversation(owned.id, { ownerId: 'sess_other' })).id !== owned.id, "Another session's ID starts a fresh conversation");
+
+    const sessionManager = new SessionManager({ secrets: ['test-secret'] });
+    const token = id => sessionManager.issue({ id, startedAt: Date.now(), lastSeen: Date.now() });
+    const ownerId = `sess_${'a'.repeat(32)}`;
+    const routed = await store.getOrCreateConversation(null, { ownerId });
+    const app = createApp({
+        conversationStore: store,
+        sessionManager,
+        dataService: {},
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+    const server = app.listen(0);
+    const url = `http://127.0.0.1:${server.address().port}/api/conversations/${routed.id}`;
+
+    try {
+        check((await fetch(url, { headers: { 'X-Session-Id': token(ownerId) } })).status === 200, 'GET answers the owner session');
+        check((await fetch(url)).status === 404, 'GET returns 404 to other sessions');
+        check((await fetch(url, { method: 'DELETE' })).status === 404 && await store.getConversation(routed.id), 'DELETE from other sessions returns 404 and keeps the conversation');
+        check((await fetch(url, { method: 'DELETE', headers: { 'X-Session-Id': token(ownerId) } })).status === 200 && !(await store.getConversation(routed.id)), 'Owner session can delete it');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n✅ Conversation store tests complete!');
+}
+
+// Run the test
+testConversationStore().catch(fail);
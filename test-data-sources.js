@@ -0,0 +1,141 @@
+/**
+ * Test script for the data source registry
+ * Checks ordering, weights, enabled and per-type switches, failing sources, config loading,
+ * that DataIntegrationService reads every data type through the registry, and the local
+ * CSV/JSON file source with its file watching. Uses in-memory sources and temporary files -
+ * no API keys required.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DATA_TYPES, DataSourceRegistry } from './utils/data-sources.js';
+import { DataIntegrationService } from './data-integration-service.js';
+import { ContextBuilder } from './utils/context-builder.js';
+import { LocalFileSource, parseCSVRows } from './utils/local-file-source.js';
+import { check, fail } from './test-helpers.js';
+
+const article = (title, overview = '') => ({ title, description: overview, category: 'legal', content: { overview } });
+
+const primary = {
+    async getArticles() { return [article('Mesothelioma', 'Asbestos cancer from the primary source'), article('Roundup')]; },
+    async getLawFirms() {
+        return [
+            { name: 'Asbestos Partners', location: 'Chicago, IL', specialties: ['Mesothelioma', 'Asbestos'] },
+            { name: 'Weed Killer Law', location: 'Dallas, TX', specialties: ['Roundup'] }
+        ];
+    },
+    async getSettlements({ condition }) { return [{ condition, state: 'All', settlementRange: '$1.2 million' }]; },
+    async getLIACases() {
+        return [
+            { name: 'Mesothelioma', active: 'TRUE' },
+            { name: 'Paraquat', active: 'no' }
+        ];
+    },
+    async getIntentRules() { return [{ intent: 'settlement_value', keyword: 'payout', weight: 2 }]; }
+};
+
+const secondary = {
+    async getArticles() { return [article('mesothelioma', 'Duplicate from the secondary source'), article('Hair Relaxer', 'Uterine cancer lawsuits')]; },
+    async getLIACases() { return [{ name: 'Mesothelioma', active: 'false' }, { name: 'Hair Relaxer', active: true, keywords: ['hair relaxer', 'straightener'] }]; },
+    async getReputableSources() {
+        return [{ diseaseAilment: 'Mesothelioma', sourceTitle: 'NCI - Mesothelioma', sourceUrl: 'https://www.cancer.gov/types/mesothelioma', sourceType: 'Government', priority: 1, keywords: 'asbestos', active: true }];
+    }
+};
+
+async function testDataSources() {
+    console.log('🧪 Testing Data Source Registry\n');
+
+    console.log('📋 Test 1: Registry');
+    const registry = new DataSourceRegistry({
+        sources: [
+            { id: 'secondary', order: 2, weight: 0.5, source: secondary },
+            { id: 'primary', order: 1, source: primary },
+            { id: 'disabled', enabled: false, source: { async getArticles() { return [article('Disabled')]; } } },
+            { id: 'limited', order: 3, types: [DATA_TYPES.LAW_FIRMS], source: { async getArticles() { return [article('Limited')]; } } },
+            { id: 'broken', order: 4, source: { async getArticles() { throw new Error('timeout'); } } },
+            { id: 'unknown', type: 'ftp' }
+        ]
+    });
+    const articles = await registry.collect(DATA_TYPES.ARTICLES);
+    check(articles.map(item => item.title).join() === 'Mesothelioma,Roundup,mesothelioma,Hair Relaxer', 'Articles collected in source order; disabled, limited, failing and unknown sources skipped');
+    check(articles[0].source === 'primary' && articles[0].sourceWeight === undefined && articles[2].sourceWeight === 0.5, 'Records carry their source and non-default weight');
+    check(registry.getSources(DATA_TYPES.LAW_FIRMS).length === 1 && registry.get('secondary') === secondary, 'Sources only serve the data types they implement');
+    check(registry.describe().find(source => source.id === 'secondary')?.dataTypes.join() === 'articles,liaCases,reputableSources', 'Sources described with their data types');
+
+    const configFile = path.join(os.tmpdir(), `data-sources-${process.pid}.json`);
+    fs.writeFileSync(configFile, JSON.stringify({ sources: [{ id: 'sheets', type: 'google-sheets', options: { apiKey: 'test-key', spreadsheetId: 'sheet-1' } }, { id: 'crm', type: 'hubspot', enabled: false }] }));
+    const fromFile = new DataSourceRegistry({ configFile });
+    fs.unlinkSync(configFile);
+    check(fromFile.sources.length === 1 && fromFile.get('sheets')?.connector.spreadsheetId === 'sheet-1', 'Sources loaded from a config file with their options');
+
+    console.log('\n📋 Test 2: DataIntegrationService');
+    const service = new DataIntegrationService({ dataSources: registry });
+    const all = await service.getAllArticles();
+    check(all.length === 3 && all[0].description.includes('primary') && all[2].slug === 'hair-relaxer', 'Articles de-duplicated (earlier source wins) and given slugs');
+
+    const firms = await service.getLawFirms('asbestos', 'Chicago');
+    check(firms.length === 1 && firms[0].name === 'Asbestos Partners', 'Law firms filtered by specialty and location');
+    const settlements = await service.getSettlementData('Mesothelioma');
+    check(settlements[0]?.settlementRange === '$1.2 million' && settlements[0].source === 'primary', 'Settlements read from the sources');
+
+    const lia = await service.getLIAActiveCases();
+    check(lia.totalCases === 3 && lia.activeCases.map(caseInfo => caseInfo.caseType).join() === 'mesothelioma,hair-relaxer', 'LIA cases merged by case type with their Active values');
+    check(lia.activeCases[0].keywords.includes('asbestos') && lia.activeCases[1].keywords.join() === 'hair relaxer,straightener', 'Keywords generated unless the source lists them');
+    check((await service.getIntentRules())[0]?.keyword === 'payout', 'Intent rules read from the sources');
+
+    const sources = await service.getReputableSources('What is mesothelioma?', 3);
+    check(sources.some(source => source.sourceTitle === 'NCI - Mesothelioma'), 'Reputable sources read from the sources');
+
+    const empty = new DataIntegrationService({ dataSources: new DataSourceRegistry({ sources: [] }) });
+    check((await empty.getAllArticles()).length === empty.getFallbackArticles().length, 'Fallback articles used when no source has any');
+    check((await empty.getLIAActiveCases()).activeCases.every(caseInfo => caseInfo.source === 'fallback'), 'Fallback LIA cases used when no source has any');
+
+    console.log('\n📋 Test 3: Source weights in chat context');
+    const context = new ContextBuilder().build({
+        query: 'mesothelioma lawsuit',
+        articles: [
+            { ...article('Mesothelioma lawsuit guide'), source: 'secondary', sourceWeight: 0.5 },
+            { ...article('Mesothelioma lawsuit overview'), source: 'primary' }
+        ]
+    });
+    check(context.report.included[0]?.title === 'Mesothelioma lawsuit overview' && context.report.included[1]?.score < context.report.included[0].score, 'Lower-weight sources rank lower');
+
+    console.log('\n📋 Test 4: Local files');
+    const table = parseCSVRows('\uFEFFName,Headquarters,Notes\r\n"Smith, Jones & Co","Dallas, TX","Said ""no"" twice"\r\n\r\nSolo Law,Austin\r\n');
+    check(table.headers.join('|') === 'Name|Headquarters|Notes' && table.data.length === 2, 'CSV header row and blank lines handled');
+    check(table.data[0].Name === 'Smith, Jones & Co' && table.data[0].Notes === 'Said "no" twice' && table.data[1].Notes === '', 'Quoted commas, escaped quotes and missing cells');
+
+    const templates = new DataIntegrationService({ dataSources: new DataSourceRegistry({ sources: [{ id: 'local_files', source: new LocalFileSource({ watch: false }) }] }) });
+    const templateCases = await templates.getLIAActiveCases();
+    check((await templates.getAllArticles()).every(item => item.source === 'local_files') && templateCases.activeCases.some(caseInfo => caseInfo.caseType === 'mesothelioma'), 'Sample templates load as a complete data set');
+    check(templateCases.allCases.find(caseInfo => caseInfo.caseType === 'paraquat')?.active === false, 'Inactive template cases stay inactive');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-data-'));
+    fs.writeFileSync(path.join(directory, 'Top_10_Firms.csv'), 'Rank,Firm_Name,Headquarters,Notable_Mass_Torts\n1,Asbestos Partners,"Chicago, IL","Mesothelioma, Asbestos"\n');
+    fs.writeFileSync(path.join(directory, 'Case_Amounts.json'), JSON.stringify([{ ID: 1, 'Case Type': 'Mesothelioma', Settlement_Amount_USD: 2400000 }]));
+    fs.writeFileSync(path.join(directory, 'Legal Injury Advocates Active cases.csv'), 'Case Type,Active\nMesothelioma,TRUE\n');
+
+    const local = new LocalFileSource({ directory });
+    const localService = new DataIntegrationService({ dataSources: new DataSourceRegistry({ sources: [{ id: 'local_files', source: local }] }) });
+    try {
+        check((await localService.getLawFirms('asbestos'))[0]?.location === 'Chicago, IL', 'Law firms read from CSV');
+        check((await localService.getSettlementData('mesothelioma'))[0]?.settlementRange === '$2.4 million', 'Settlements read from JSON with numeric cells');
+        check((await localService.getLIAActiveCases()).totalActive === 1, 'LIA cases read from CSV');
+
+        const version = localService.getDataVersion();
+        fs.writeFileSync(path.join(directory, 'Legal Injury Advocates Active cases.csv'), 'Case Type,Active\nMesothelioma,TRUE\nRoundup,TRUE\n');
+        const deadline = Date.now() + 3000;
+        while (localService.getDataVersion() === version && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        check(localService.getDataVersion() > version && (await localService.getLIAActiveCases()).totalActive === 2, 'Edited files reload and clear the cache');
+    } finally {
+        local.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Data source tests completed!');
+}
+
+testDataSources().catch(fail);
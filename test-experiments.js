@@ -0,0 +1,166 @@
+/**
+ * Test script for prompt and model experiments
+ * Checks deterministic variant assignment, variant overrides in /api/chat, tracked variants,
+ * source clicks and the analytics comparison. Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { ExperimentManager, compareVariants } = await import('./utils/experiments.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { SessionManager } = await import('./utils/session.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const experiments = [
+    { id: 'old-prompt', active: false, variants: [{ id: 'a' }, { id: 'b' }] },
+    {
+        id: 'concise-prompt',
+        active: true,
+        variants: [
+            { id: 'control', weight: 50 },
+            { id: 'concise', weight: 50, systemMessage: 'Answer in one short paragraph.', model: 'gpt-4o-mini', temperature: 0.2, contextMode: 'prefetch' }
+        ]
+    }
+];
+
+// First session ID assigned to a variant
+function sessionFor(manager, variantId) {
+    for (let i = 0; i < 1000; i++) {
+        const sessionId = `sess_${i.toString(16).padStart(32, '0')}`;
+        if (manager.assign(sessionId).variantId === variantId) return sessionId;
+    }
+    return null;
+}
+
+async function testExperiments() {
+    console.log('🧪 Testing Experiments\n');
+
+    console.log('📋 Test 1: Assignment');
+    const manager = new ExperimentManager({ experiments });
+    check(manager.getActiveExperiment()?.id === 'concise-prompt', 'First active experiment runs');
+    check(manager.assign('session-42').variantId === new ExperimentManager({ experiments }).assign('session-42').variantId, 'Same session, same variant across instances');
+
+    const counts = { control: 0, concise: 0 };
+    for (let i = 0; i < 2000; i++) counts[manager.assign(`visitor-${i}`).variantId]++;
+    check(Math.abs(counts.control - counts.concise) < 200, `Sessions split by weight (${counts.control}/${counts.concise})`);
+
+    const weighted = new ExperimentManager({ experiments: [{ id: 'skewed', active: true, variants: [{ id: 'small', weight: 10 }, { id: 'large', weight: 90 }] }] });
+    let small = 0;
+    for (let i = 0; i < 2000; i++) if (weighted.assign(`visitor-${i}`).variantId === 'small') small++;
+    check(small > 120 && small < 280, `Weights are respected (${small}/2000 in a 10% variant)`);
+
+    check(new ExperimentManager({ experiments, enabled: false }).assign('session-1') === null, 'Disabled experiments assign nothing');
+    check(new ExperimentManager({ experiments: [{ id: 'one', active: true, variants: [{ id: 'only' }] }] }).getActiveExperiment() === null, 'Experiments need two variants');
+
+    const concise = manager.assign(sessionFor(manager, 'concise'));
+    const applied = manager.applyToConfig(SERVER_AI_CONFIG, concise);
+    check(applied.systemMessages.general === 'Answer in one short paragraph.' && SERVER_AI_CONFIG.systemMessages.general !== applied.systemMessages.general, 'Variant system message replaces the general one without touching the base config');
+    check(manager.applyToConfig(SERVER_AI_CONFIG, manager.assign(sessionFor(manager, 'control'))) === SERVER_AI_CONFIG, 'Control variant leaves the config as is');
+    check(manager.getRequestOptions(concise).model === 'gpt-4o-mini' && manager.getRequestOptions(concise).temperature === 0.2, 'Variant model and temperature');
+
+    console.log('\n📋 Test 2: Comparison');
+    const rows = compareVariants({
+        experimentId: 'concise-prompt',
+        queries: [
+            { queryId: 'q1', experimentId: 'concise-prompt', variant: 'control', responseTime: 1000, verificationWarnings: 2 },
+            { queryId: 'q2', experimentId: 'concise-prompt', variant: 'control', responseTime: 3000, verificationWarnings: 0 },
+            { queryId: 'q3', experimentId: 'concise-prompt', variant: 'concise', responseTime: 500, verificationWarnings: 0 },
+            { queryId: 'q4', experimentId: 'old-prompt', variant: 'a', responseTime: 100 }
+        ],
+        conversions: [{ queryId: 'q3', liaConversion: 'source_click' }, { queryId: 'q1', liaConversion: 'page_visit' }],
+        feedback: [{ queryId: 'q3', rating: 'up' }, { queryId: 'q1', rating: 'down' }]
+    });
+    const control = rows.find(row => row.variant === 'control');
+    const conciseRow = rows.find(row => row.variant === 'concise');
+    check(rows.length === 2, 'Only the experiment\'s queries are compared');
+    check(control.averageResponseTime === 2000 && control.warningsPerAnswer === 1 && control.answersWithWarningsRate === 0.5, 'Response time and verification warnings per variant');
+    check(conciseRow.sourceClicks === 1 && control.sourceClicks === 0, 'Only source_click conversions count as clicks');
+    check(conciseRow.feedback.positiveRate === 1 && control.feedback.down === 1, 'Feedback ratings per variant');
+
+    console.log('\n📋 Test 3: /api/chat with a running experiment');
+    const llm = new MockLLMProvider({ responses: ['Control answer.', 'Concise answer.'] });
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const sessionManager = new SessionManager({ secrets: ['test-secret'] });
+    const app = createApp({
+        llm,
+        tracker,
+        experimentManager: manager,
+        sessionManager,
+        dataService: {
+            async searchArticles() { return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', answerCacheEnabled: false } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: ['Unverified amount'], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const chat = sessionId => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionManager.issue({ id: sessionId, startedAt: Date.now(), lastSeen: Date.now() }) },
+        body: JSON.stringify({ message: 'What is mesothelioma?' })
+    }).then(response => response.json());
+
+    try {
+        const controlBody = await chat(sessionFor(manager, 'control'));
+        const conciseBody = await chat(sessionFor(manager, 'concise'));
+        check(llm.requests[0].messages[0].content.startsWith(SERVER_AI_CONFIG.systemMessages.general), 'Control uses the general system message');
+        check(llm.requests[1].messages[0].content.startsWith('Answer in one short paragraph.'), 'Variant system message sent to the model');
+        check(llm.requests[1].model === 'gpt-4o-mini' && llm.requests[1].temperature === 0.2, 'Variant model and temperature sent to the model');
+        check(conciseBody.experiment?.variant === 'concise' && controlBody.experiment?.variant === 'control', 'Responses report the variant');
+        check(typeof conciseBody.queryId === 'string' && conciseBody.queryId !== controlBody.queryId, 'Responses carry their queryId');
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const tracked = tracker.recentQueries.find(query => query.queryId === conciseBody.queryId);
+        check(tracked?.experimentId === 'concise-prompt' && tracked.variant === 'concise' && tracked.verificationWarnings === 1, 'trackQuery records the experiment, variant and warnings');
+
+        const click = await fetch(`${base}/api/sources/click`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ queryId: conciseBody.queryId, url: 'https://www.cancer.gov/meso' })
+        });
+        check(click.ok, 'Source click recorded');
+        const badClick = await fetch(`${base}/api/sources/click`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        check(badClick.status === 400, 'Source clicks need a queryId and url');
+
+        const login = await (await fetch(`${base}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'test-admin', password: 'test-password' })
+        })).json();
+        const comparison = await (await fetch(`${base}/api/analytics/experiments`, { headers: { Authorization: `Bearer ${login.token}` } })).json();
+        const clicked = comparison.variants?.find(row => row.variant === 'concise');
+        check(comparison.experiment?.id === 'concise-prompt' && comparison.variants.length === 2, 'Comparison defaults to the running experiment');
+        check(clicked?.queries === 1 && clicked.sourceClicks === 1 && clicked.verificationWarnings === 1, 'Comparison counts the variant\'s queries, clicks and warnings');
+
+        // A visitor coming back after the session idled out gets a new session but the same variant
+        const visitorId = sessionFor(manager, 'concise');
+        const idleSince = Date.now() - 31 * 60 * 1000;
+        const returning = await fetch(`${base}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionManager.issue({ id: sessionFor(manager, 'control'), startedAt: idleSince, lastSeen: idleSince, visitorId }) },
+            body: JSON.stringify({ message: 'What is mesothelioma?' })
+        });
+        const rotated = sessionManager.verify(returning.headers.get('X-Session-Id'));
+        check(rotated.id !== visitorId && rotated.visitorId === visitorId, 'Rotated session keeps the visitor ID');
+        check((await returning.json()).experiment?.variant === 'concise', 'Variant follows the visitor, not the session');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Experiment tests completed!');
+}
+
+testExperiments().catch(fail);
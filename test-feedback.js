@@ -0,0 +1,133 @@
+/**
+ * Test script for answer feedback
+ * Checks POST /api/feedback validation, the feedback roll-up in the analytics summary and dashboard,
+ * and the low-rated answer review list. Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { validateFeedback, summarizeFeedback, listLowRated } = await import('./utils/feedback.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { SessionManager } = await import('./utils/session.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const sources = [
+    { sourceTitle: 'Mesothelioma - NCI', sourceUrl: 'https://www.cancer.gov/types/mesothelioma', sourceType: 'Government', priority: 1 }
+];
+
+async function testFeedback() {
+    console.log('🧪 Testing Answer Feedback\n');
+
+    console.log('📋 Test 1: Validation and roll-up');
+    check(validateFeedback({ queryId: 'query_1_abc', rating: 'up' }).feedback?.rating === 'up', 'Rating alone is valid');
+    check(validateFeedback({ queryId: 'query_1_abc', rating: 'meh' }).error, 'Unknown ratings are rejected');
+    check(validateFeedback({ queryId: 'query_1_abc', rating: 'down', reasons: ['rude'] }).error, 'Unknown reason tags are rejected');
+    check(validateFeedback({ queryId: '../etc', rating: 'down' }).error, 'Malformed queryIds are rejected');
+    check(validateFeedback({ queryId: 'query_1_abc', rating: 'down', comment: 'x'.repeat(1001) }).error, 'Long comments are rejected');
+    check(validateFeedback({ queryId: 'query_1_abc', rating: 'down', reasons: ['outdated', 'outdated'] }).feedback.reasons.length === 1, 'Duplicate reason tags are collapsed');
+
+    const entries = [
+        { queryId: 'q1', rating: 'down', reasons: ['inaccurate'], timestamp: '2024-01-01T00:00:00Z' },
+        { queryId: 'q1', rating: 'up', reasons: [], timestamp: '2024-01-02T00:00:00Z' },
+        { queryId: 'q2', rating: 'down', reasons: ['outdated'], comment: 'Old numbers', timestamp: '2024-01-03T00:00:00Z' }
+    ];
+    const stats = summarizeFeedback(entries);
+    check(stats.total === 2 && stats.up === 1 && stats.down === 1 && stats.positiveRate === 0.5, 'A later rating replaces the earlier one');
+    check(stats.reasons.outdated === 1 && stats.reasons.inaccurate === 0 && stats.withComments === 1, 'Reason tags and comments counted');
+    check(listLowRated(entries, [], 'inaccurate').length === 0 && listLowRated(entries, []).length === 1, 'Low-rated list filters by reason');
+
+    console.log('\n📋 Test 2: /api/feedback');
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const sessionManager = new SessionManager({ secrets: ['test-secret'] });
+    const app = createApp({
+        sessionManager,
+        llm: new MockLLMProvider({ responses: ['Mesothelioma is caused by asbestos.', 'Settlements average $1M.'] }),
+        tracker,
+        dataService: {
+            async searchArticles() { return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: true, caseType: 'mesothelioma', name: 'Mesothelioma', description: 'Asbestos exposure', keywords: ['mesothelioma'] }; },
+            async getReputableSources() { return sources; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', answerCacheEnabled: false } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // One visitor session throughout, so it can rate its own answers
+    let session = null;
+    const post = (path, body, { anonymous = false } = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(session && !anonymous && { 'X-Session-Id': session }) },
+        body: JSON.stringify(body)
+    }).then(response => {
+        if (!anonymous) session = response.headers.get('X-Session-Id');
+        return response;
+    });
+
+    try {
+        const good = await (await post('/api/chat', { message: 'What is mesothelioma?' })).json();
+        const bad = await (await post('/api/chat', { message: 'How much are mesothelioma settlements?' })).json();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const up = await post('/api/feedback', { queryId: good.queryId, rating: 'up' });
+        const down = await post('/api/feedback', { queryId: bad.queryId, rating: 'down', reasons: ['inaccurate', 'outdated'], comment: 'That figure is from 2019.' });
+        check(up.ok && down.ok && (await down.json()).feedbackId, 'Ratings recorded');
+        check((await post('/api/feedback', { queryId: good.queryId, rating: 'sideways' })).status === 400, 'Invalid ratings return 400');
+        check((await post('/api/feedback', { rating: 'up' })).status === 400, 'Ratings need a queryId');
+        check((await post('/api/feedback', { queryId: 'query_1_unknown', rating: 'up' })).status === 404, 'Unknown queryIds return 404');
+        check((await post('/api/feedback', { queryId: good.queryId, rating: 'down' }, { anonymous: true })).status === 404, "Other sessions can't rate the answer");
+        check(tracker.recentFeedback.find(entry => entry.queryId === bad.queryId)?.comment === 'That figure is from 2019.', 'Comment stored with the rating');
+
+        // Another serverless instance: its own (empty) tracker, the same session secret
+        const otherTracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+        const otherInstance = createApp({ sessionManager, tracker: otherTracker, dataService: {}, llm: new MockLLMProvider() }).listen(0);
+        try {
+            const rate = (queryId, headers = {}) => fetch(`http://127.0.0.1:${otherInstance.address().port}/api/feedback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify({ queryId, rating: 'up' })
+            });
+            check((await rate(good.queryId, { 'X-Session-Id': session })).ok && otherTracker.recentFeedback.length === 1, 'Another instance accepts the owner session\'s rating');
+            check((await rate(good.queryId)).status === 404, 'Another instance still rejects other sessions');
+        } finally {
+            otherInstance.close();
+            clearTimeout(otherTracker.batchTimer);
+        }
+
+        const login = await (await post('/api/analytics/login', { username: 'test-admin', password: 'test-password' })).json();
+        const get = path => fetch(`${base}/api/analytics${path}`, { headers: { Authorization: `Bearer ${login.token}` } }).then(response => response.json());
+
+        console.log('\n📋 Test 3: Analytics');
+        const summary = await get('/summary?refresh=true');
+        check(summary.analytics?.feedbackStats?.total === 2 && summary.analytics.feedbackStats.positiveRate === 0.5, 'Summary rolls up feedback');
+        check(summary.analytics.feedbackStats.reasons.inaccurate === 1, 'Summary counts reason tags');
+
+        const dashboard = await get('/dashboard');
+        check(dashboard.dashboard?.feedback?.down === 1 && dashboard.dashboard.overview.ratedAnswers === 2, 'Dashboard shows feedback');
+
+        const lowRated = await get('/feedback/low-rated');
+        const answer = lowRated.answers?.[0];
+        check(lowRated.totalAnswers === 1 && answer.queryId === bad.queryId, 'Only down-rated answers are listed');
+        check(answer.query === 'How much are mesothelioma settlements?' && answer.liaCase?.caseType === 'mesothelioma', 'Listed with the original query and LIA case');
+        check(answer.sources[0]?.url === 'https://www.cancer.gov/types/mesothelioma' && answer.reasons.includes('outdated'), 'Listed with its sources and reason tags');
+        check((await get('/feedback/low-rated?reason=off-topic')).totalAnswers === 0, 'Filter by reason tag');
+        check((await get('/feedback/low-rated?reason=rude')).success === false, 'Unknown reason filters are rejected');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Feedback tests completed!');
+}
+
+testFeedback().catch(fail);
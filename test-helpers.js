@@ -0,0 +1,17 @@
+/**
+ * Shared helpers for the test-*.js scripts
+ * A failed check or an uncaught error sets a non-zero exit code, so a failing script fails CI
+ */
+
+export function check(condition, message) {
+    console.log(`${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) process.exitCode = 1;
+}
+
+/**
+ * Report an error that ended a test script early: testSomething().catch(fail)
+ */
+export function fail(error) {
+    console.error('❌ Test run failed:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,163 @@
+/**
+ * Test script for the case-evaluation intake
+ * Checks field validation, partial saves, the conversational step sequence, consent and
+ * HubSpot submission. Uses a fake HubSpot connector - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { IntakeService, validateAnswer, INTAKE_FIELDS } = await import('./utils/intake.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { SessionManager } = await import('./utils/session.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const formAnswers = {
+    diagnosis: 'Pleural mesothelioma',
+    diagnosisDate: 'March 2022',
+    exposure: 'Asbestos insulation at a shipyard',
+    state: 'texas',
+    firstName: 'Jordan',
+    lastName: "O'Neil",
+    email: 'Jordan@Example.com',
+    phone: '(512) 555-0147'
+};
+
+async function testIntake() {
+    console.log('🧪 Testing Case-Evaluation Intake\n');
+
+    console.log('📋 Test 1: Field validation');
+    check(validateAnswer('diagnosisDate', 'June 2021').value === '2021-06', 'Month and year normalized');
+    check(validateAnswer('diagnosisDate', '03/15/2020').value === '2020-03-15', 'US dates normalized');
+    check(validateAnswer('diagnosisDate', '2021-02-30').error, 'Impossible dates rejected');
+    check(validateAnswer('diagnosisDate', `${new Date().getFullYear() + 1}-01`).error, 'Future dates rejected');
+    check(validateAnswer('state', 'New York').value === 'NY' && validateAnswer('state', 'ca').value === 'CA', 'State names and codes normalized');
+    check(validateAnswer('state', 'Narnia').error, 'Unknown states rejected');
+    check(validateAnswer('phone', '1-512-555-0147').value === '+15125550147', 'Phone normalized to E.164');
+    check(validateAnswer('phone', '555-0147').error, 'Short phone numbers rejected');
+    check(validateAnswer('email', 'not-an-email').error, 'Invalid email rejected');
+    check(validateAnswer('firstName', '<script>').error, 'Names are letters only');
+    check(validateAnswer('consent', 'I agree').value === true && validateAnswer('consent', true).value === true, 'Explicit agreement accepted');
+    check(validateAnswer('consent', 'maybe').error && validateAnswer('consent', 'true').error, 'Anything else is not consent');
+
+    const contacts = [];
+    const hubspot = {
+        async upsertIntakeContact(lead) {
+            if (lead.email === 'fail@example.com') throw new Error('HubSpot down');
+            contacts.push(lead);
+            return { contactId: '501', created: true };
+        }
+    };
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const intakeService = new IntakeService({
+        hubspot,
+        checkLIAActiveCase: async query => /mesothelioma/i.test(query)
+            ? { isActive: true, caseType: 'mesothelioma', name: 'Mesothelioma' }
+            : { isActive: false },
+        consentText: SERVER_AI_CONFIG.intake.consentText,
+        consentVersion: SERVER_AI_CONFIG.intake.consentVersion
+    });
+    const sessionManager = new SessionManager({ secrets: ['test-secret'] });
+    const app = createApp({
+        llm: new MockLLMProvider(),
+        tracker,
+        intakeService,
+        sessionManager,
+        dataService: { async checkLIAActiveCase() { return { isActive: false }; } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // One visitor throughout - intakes only answer the visitor that started them
+    let session = null;
+    const sessionHeaders = () => session ? { 'X-Session-Id': session } : {};
+    const post = (path, body = {}, headers = sessionHeaders()) => fetch(`${base}/api/intake${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'intake-test', ...headers },
+        body: JSON.stringify(body)
+    }).then(async response => {
+        if (headers['X-Session-Id'] || !session) session = response.headers.get('X-Session-Id');
+        return { status: response.status, body: await response.json() };
+    });
+    const get = (id, headers = sessionHeaders()) => fetch(`${base}/api/intake/${id}`, { headers });
+
+    try {
+        console.log('\n📋 Test 2: Form API with partial saves');
+        const started = await post('', { answers: { diagnosis: formAnswers.diagnosis }, queryId: 'query_1_abc' });
+        const id = started.body.intakeId;
+        check(started.status === 201 && started.body.answers.diagnosis === 'Pleural mesothelioma', 'Intake started with an answer');
+        check(started.body.nextStep?.field === 'diagnosisDate', 'Next step is the first unanswered field');
+
+        const partial = await post(`/${id}/answers`, { answers: { diagnosisDate: 'March 2022', state: 'Narnia', email: formAnswers.email } });
+        check(partial.body.answers.diagnosisDate === '2022-03' && partial.body.answers.email === 'jordan@example.com', 'Valid answers saved');
+        check(partial.body.errors.state && !partial.body.answers.state, 'Invalid answers reported, not saved');
+
+        const resumed = await (await get(id)).json();
+        check(resumed.answers.diagnosisDate === '2022-03' && resumed.status === 'in_progress', 'Progress survives between requests');
+        check((await get('intake_missing')).status === 404, 'Unknown intakes return 404');
+        check((await get(id, {})).status === 404, "Other visitors can't read the intake");
+        const foreign = await Promise.all([post(`/${id}/answers`, { answers: { state: 'CA' } }, {}), post(`/${id}/reply`, { message: 'CA' }, {}), post(`/${id}/submit`, {}, {})]);
+        check(foreign.every(response => response.status === 404), "Other visitors can't change or submit it");
+
+        // The visitor comes back after 30 minutes idle: a new session, the same visitor
+        const current = sessionManager.verify(session);
+        const idleSince = Date.now() - 31 * 60 * 1000;
+        const afterBreak = await get(id, { 'X-Session-Id': sessionManager.issue({ ...current, startedAt: idleSince, lastSeen: idleSince }) });
+        session = afterBreak.headers.get('X-Session-Id');
+        check(afterBreak.status === 200 && sessionManager.verify(session).id !== current.id, 'Intake resumes after the session rotates');
+
+        const early = await post(`/${id}/submit`);
+        check(early.status === 400 && early.body.missing.includes('consent'), 'Incomplete intakes cannot be submitted');
+
+        const filled = await post(`/${id}/answers`, { answers: { ...formAnswers, consent: 'true' } });
+        check(filled.body.status === 'in_progress' && filled.body.errors.consent, 'Consent must be explicitly true');
+        const ready = await post(`/${id}/answers`, { answers: { consent: true } });
+        check(ready.body.status === 'ready' && ready.body.missing.length === 0 && ready.body.reply === SERVER_AI_CONFIG.intake.completeMessage, 'All fields answered');
+
+        const submitted = await post(`/${id}/submit`);
+        const lead = contacts[0];
+        check(submitted.status === 200 && submitted.body.status === 'submitted' && submitted.body.liaCase?.caseType === 'mesothelioma', 'Submitted with the matched LIA case');
+        check(lead?.email === 'jordan@example.com' && lead.phone === '+15125550147' && lead.state === 'TX' && lead.liaCaseType === 'mesothelioma', 'HubSpot contact gets the normalized answers and case type');
+        check(lead?.consent.text === SERVER_AI_CONFIG.intake.consentText && lead.consent.userAgent === 'intake-test' && lead.consent.agreedAt, 'Consent wording, time and user agent recorded');
+        check((await post(`/${id}/answers`, { answers: { state: 'CA' } })).status === 409, 'Submitted intakes are locked');
+        check((await post(`/${id}/submit`)).status === 200 && contacts.length === 1, 'Resubmitting does not create another contact');
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const conversion = tracker.recentConversions.find(entry => entry.queryId === 'query_1_abc');
+        check(conversion?.liaConversion === 'intake_submitted' && conversion.liaReferralGenerated, 'Submission tracked as an LIA referral');
+
+        console.log('\n📋 Test 3: Conversational steps');
+        const chat = await post('', {});
+        const chatId = chat.body.intakeId;
+        check(chat.body.reply === 'What condition or injury were you diagnosed with?', 'First question asked');
+
+        let turn = await post(`/${chatId}/reply`, { message: 'Mesothelioma' });
+        check(turn.body.nextStep.field === 'diagnosisDate' && turn.body.reply.startsWith('When were you diagnosed?'), 'Answer saved and next question asked');
+        turn = await post(`/${chatId}/reply`, { message: 'a while ago' });
+        check(turn.body.nextStep.field === 'diagnosisDate' && turn.body.reply.startsWith('Diagnosis date must be'), 'Invalid answer re-asks the same question');
+
+        for (const message of ['2019', 'Brake pads', 'IL', 'Sam', 'Lee', 'fail@example.com', '312 555 0199']) {
+            turn = await post(`/${chatId}/reply`, { message });
+        }
+        check(turn.body.nextStep.field === 'consent' && turn.body.reply.includes(SERVER_AI_CONFIG.intake.consentText), 'Consent wording shown before agreement');
+        turn = await post(`/${chatId}/reply`, { message: 'no' });
+        check(turn.body.status === 'in_progress', 'Declining does not count as consent');
+        turn = await post(`/${chatId}/reply`, { message: 'I agree' });
+        check(turn.body.status === 'ready' && INTAKE_FIELDS.every(field => !turn.body.missing.includes(field)), 'Conversation completes the intake');
+
+        const failed = await post(`/${chatId}/submit`);
+        const kept = await (await get(chatId)).json();
+        check(failed.status === 502 && kept.status === 'ready', 'HubSpot failures keep the answers for a retry');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Intake tests completed!');
+}
+
+testIntake().catch(fail);
@@ -0,0 +1,80 @@
+/**
+ * Test script for query intent classification
+ * Uses the bundled keyword rules and a mock LLM provider - no server or API keys required
+ */
+
+import { IntentClassifier, INTENTS } from './utils/intent-classifier.js';
+import { MockLLMProvider } from './utils/llm-provider.js';
+import { check, fail } from './test-helpers.js';
+
+async function testIntentClassifier() {
+    console.log('🧪 Testing Intent Classifier\n');
+
+    const classifier = new IntentClassifier();
+
+    console.log('📋 Test 1: Keyword rules');
+    const cases = [
+        ['What are the symptoms of mesothelioma?', INTENTS.MEDICAL_INFO],
+        ['How much is the average asbestos settlement worth?', INTENTS.SETTLEMENT_VALUE],
+        ['Do I have a case if I used Roundup for 10 years?', INTENTS.ELIGIBILITY],
+        ['Can you help me find a lawyer near me for hernia mesh?', INTENTS.FIRM_SEARCH],
+        ['What are my rights if my employer was negligent?', INTENTS.LEGAL_RIGHTS],
+        ['Tell me a joke about the weather', INTENTS.OFF_TOPIC],
+        ['My son swallowed a bottle of pills and is unconscious', INTENTS.EMERGENCY]
+    ];
+    for (const [query, expected] of cases) {
+        const result = await classifier.classify(query);
+        check(result.intent === expected, `"${query}" -> ${result.intent} (${result.confidence})`);
+    }
+
+    console.log('\n📋 Test 2: Result shape and retrieval plan');
+    const firm = classifier.classifyWithRules('find a lawyer in Texas');
+    check(firm.isLegal === true, 'Firm search counts as a legal query');
+    check(firm.retrieval.lawFirms === true && firm.retrieval.articles === false, 'Firm search retrieves law firms, not articles');
+    check(firm.matched.some(match => match.keyword === 'find a lawyer'), 'Matched keywords are reported');
+    const medical = classifier.classifyWithRules('treatment options for talc cancer');
+    check(medical.isLegal === false && medical.retrieval.lawFirms === false, 'Medical info skips law firms');
+    check(JSON.stringify(classifier.getAllowedTools(medical)) === JSON.stringify(['search_articles', 'check_lia_case', 'get_reputable_sources']), 'Medical info allows article and source tools only');
+    const emergency = classifier.classifyWithRules('I think I am having a heart attack, how much is a settlement?');
+    check(emergency.intent === INTENTS.EMERGENCY && emergency.confidence === 1, 'Emergency wins over other intents');
+    check(classifier.getAllowedTools(emergency).length === 0, 'Emergency allows no data tools');
+
+    console.log('\n📋 Test 3: Unmatched queries use the fallback intent');
+    const unmatched = classifier.classifyWithRules('hello there');
+    check(unmatched.intent === INTENTS.MEDICAL_INFO, 'Falls back to medical_info');
+    check(unmatched.source === 'default' && unmatched.confidence === 0, 'Fallback is marked as default with zero confidence');
+
+    console.log('\n📋 Test 4: Sheet overrides');
+    const overridden = new IntentClassifier({
+        loadRuleOverrides: async () => [
+            { intent: 'settlement_value', keyword: 'Trust Payment', weight: 5 },
+            { intent: 'not_an_intent', keyword: 'ignored', weight: 5 }
+        ]
+    });
+    const trust = await overridden.classify('When will I get my trust payment?');
+    check(trust.intent === INTENTS.SETTLEMENT_VALUE, 'Keyword added from the sheet is used');
+    check(classifier.classifyWithRules('When will I get my trust payment?').intent !== INTENTS.SETTLEMENT_VALUE, 'Overrides do not leak into other classifiers');
+
+    overridden.applyRuleOverrides([]);
+    check(overridden.classifyWithRules('When will I get my trust payment?').intent !== INTENTS.SETTLEMENT_VALUE, 'Overrides removed from the sheet stop applying on refresh');
+    overridden.applyRuleOverrides([{ intent: 'emergency', keyword: 'suicide', weight: 0 }]);
+    const zeroed = overridden.classifyWithRules('I am thinking about suicide').intent;
+    overridden.applyRuleOverrides([]);
+    check(zeroed !== INTENTS.EMERGENCY && overridden.classifyWithRules('I am thinking about suicide').intent === INTENTS.EMERGENCY, 'Overridden default weights restored on refresh');
+
+    console.log('\n📋 Test 5: LLM fallback');
+    const llm = new MockLLMProvider({ responses: ['eligibility'] });
+    const withLLM = new IntentClassifier({ llm, llmFallback: true });
+    const fromLLM = await withLLM.classify('I worked at a shipyard in the 70s');
+    check(fromLLM.intent === INTENTS.ELIGIBILITY && fromLLM.source === 'llm', 'Unsure queries are labelled by the LLM');
+    check(llm.requests.length === 1, 'LLM called once');
+    await withLLM.classify('What are the symptoms of mesothelioma?');
+    check(llm.requests.length === 1, 'Confident rule matches skip the LLM');
+
+    const offLLM = new IntentClassifier({ llm: new MockLLMProvider({ responses: ['eligibility'] }) });
+    check((await offLLM.classify('I worked at a shipyard in the 70s')).source === 'default', 'LLM fallback is off by default');
+
+    console.log('\n🎉 Intent classifier tests completed!');
+}
+
+testIntentClassifier().catch(fail);
@@ -0,0 +1,143 @@
+/**
+ * Test script for Spanish-language support
+ * Checks language detection, stop words and synonyms in LIA case matching and
+ * reputable sources, the chat prompt, and Spanish crisis responses, refusals and intake questions.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { detectLanguage, extractTerms, toSearchQuery, foldText } = await import('./utils/language.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { ReputableSourcesService } = await import('./reputable-sources-service.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SafetyDetector } = await import('./utils/safety-detector.js');
+const { ContentModerator, MODERATION_STAGES } = await import('./utils/moderation.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const activeCases = [
+    { name: 'Mesothelioma', caseType: 'mesothelioma', keywords: ['mesothelioma', 'asbestos', 'asbestos exposure', 'lung cancer'], description: 'Asbestos exposure cases' },
+    { name: 'Hair Relaxer', caseType: 'hair-relaxer', keywords: ['hair relaxer', 'uterine cancer'], description: 'Chemical hair straightener cases' }
+];
+
+const sourceRows = [
+    { Disease_Ailment: 'Mesothelioma', Source_Title: 'Mesothelioma - Mayo Clinic', Source_URL: 'https://www.mayoclinic.org/meso', Source_Type: 'Medical', Priority: '1', Keywords: 'mesothelioma, asbestos', Description: 'Medical information', Active: 'TRUE' },
+    { Disease_Ailment: 'Mesothelioma', Source_Title: 'Mesotelioma - MedlinePlus en español', Source_URL: 'https://medlineplus.gov/spanish/mesothelioma.html', Source_Type: 'Government', Priority: '1', Keywords: 'mesotelioma, amianto, asbesto', Description: 'Información médica', Language: 'es', Active: 'TRUE' },
+    { Disease_Ailment: 'Roundup Cancer', Source_Title: 'Glyphosate - American Cancer Society', Source_URL: 'https://www.cancer.org/glyphosate', Source_Type: 'Medical', Priority: '1', Keywords: 'roundup, glyphosate', Description: 'Glyphosate cancer risk', Active: 'TRUE' }
+];
+
+async function testLanguage() {
+    console.log('🧪 Testing Spanish Language Support\n');
+
+    console.log('📋 Test 1: Detection and keywords');
+    check(detectLanguage('¿Qué es el mesotelioma?') === 'es', 'Spanish question detected');
+    check(detectLanguage('Mi esposo trabajó con amianto por años') === 'es', 'Spanish without question marks detected');
+    check(detectLanguage('What is mesothelioma?') === 'en', 'English question detected');
+    check(detectLanguage('paraquat parkinson') === 'en', 'Messages with no signal default to English');
+    check(foldText('Indemnización') === 'indemnizacion', 'Accents are folded');
+
+    const service = new DataIntegrationService();
+    const spanishKeywords = service.extractKeywords('¿Cuál es la indemnización por el mesotelioma?');
+    check(spanishKeywords.join(',') === 'indemnizacion,mesotelioma', `Spanish stop words removed: [${spanishKeywords.join(', ')}]`);
+    check(service.extractKeywords('What is the settlement for mesothelioma?').join(',') === 'settlement,mesothelioma', 'English keywords unchanged');
+    check(extractTerms('son of a roundup user', 'en').includes('son'), 'Spanish stop words never apply to English queries');
+    check(toSearchQuery('exposición al amianto').includes('asbestos mesothelioma'), 'Spanish terms get English synonyms');
+    check(toSearchQuery('asbestos exposure') === 'asbestos exposure', 'English queries are not expanded');
+
+    console.log('\n📋 Test 2: LIA case matching');
+    service.getLIAActiveCases = async () => ({ activeCases });
+    const amianto = await service.checkLIAActiveCase('Mi padre estuvo expuesto al amianto en el astillero');
+    check(amianto.isActive && amianto.caseType === 'mesothelioma', 'amianto -> mesothelioma case');
+    const asbesto = await service.checkLIAActiveCase('¿Puedo demandar por asbesto?');
+    check(asbesto.isActive && asbesto.caseType === 'mesothelioma', 'asbesto -> mesothelioma case');
+    const relaxer = await service.checkLIAActiveCase('Usé alisadores de cabello y tengo cáncer de útero');
+    check(relaxer.isActive && relaxer.caseType === 'hair-relaxer', 'alisadores de cabello + útero -> hair relaxer case');
+    check(!(await service.checkLIAActiveCase('¿Cómo está el clima hoy?')).isActive, 'Unrelated Spanish query matches no case');
+
+    console.log('\n📋 Test 3: Reputable sources prefer the query language');
+    const sources = new ReputableSourcesService({ googleSheets: { async readSheet() { return { data: sourceRows, headers: [] }; } } });
+    const spanishSources = await sources.findRelevantSources('¿Qué es el mesotelioma?', 2);
+    check(spanishSources[0]?.language === 'es', `Spanish source first for a Spanish query (${spanishSources[0]?.sourceTitle})`);
+    check(spanishSources.some(source => source.sourceTitle === 'Mesothelioma - Mayo Clinic'), 'English sources still match Spanish queries through synonyms');
+    const englishSources = await sources.findRelevantSources('What is mesothelioma?', 2);
+    check(englishSources[0]?.language === 'en', `English source first for an English query (${englishSources[0]?.sourceTitle})`);
+    check(sources.extractQueryWords('¿Qué es el amianto?').includes('asbestos'), 'Query words include English synonyms');
+
+    console.log('\n📋 Test 4: Chat answers in the user\'s language');
+    const llm = new MockLLMProvider({ responses: ['El mesotelioma es un cáncer causado por el amianto.'] });
+    const searched = [];
+    const app = createApp({
+        llm,
+        dataService: {
+            async searchArticles(query) { searched.push(query); return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch' } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, payload, headers = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+    try {
+        const response = await post('/api/chat', { message: '¿Qué es el mesotelioma y cómo se relaciona con el amianto?' });
+        const session = response.headers.get('X-Session-Id');
+        const body = await response.json();
+        const systemPrompt = llm.requests[0].messages[0].content;
+        check(body.language === 'es', 'Response reports the detected language');
+        check(systemPrompt.includes(SERVER_AI_CONFIG.systemMessages.languages.es), 'System message asks for a Spanish answer');
+        check(searched[0]?.includes('mesothelioma'), `Data lookups get English synonyms ("${searched[0]}")`);
+        check(body.intent.intent === 'medical_info', `Intent classified from the expanded query (${body.intent.intent})`);
+
+        console.log('\n📋 Test 5: Crisis responses, refusals and intake in Spanish');
+        const detector = new SafetyDetector();
+        const suicide = detector.detect('Quiero suicidarme');
+        check(suicide?.category === 'self_harm' && suicide.language === 'es', 'Quiero suicidarme -> self-harm, answered in Spanish');
+        check(suicide?.response.includes('988') && suicide.response.includes('AYUDA') && suicide.resources[0].url === 'https://988lineadevida.org', 'Spanish 988 response and resources');
+        const overdose = detector.detect('Mi hijo se tomó cloro y un frasco de pastillas, ¿qué hago?');
+        check(overdose?.category === 'poisoning' && overdose.response.includes('1-800-222-1222') && overdose.response.includes('intérpretes'), 'Bleach and pills overdose -> Poison Control in Spanish');
+        const breathing = detector.detect('No puedo respirar y me duele mucho el pecho');
+        check(breathing?.category === 'medical_emergency' && breathing.response.startsWith('**Esto puede ser una emergencia médica'), 'No puedo respirar -> 911 in Spanish');
+        check(detector.detect('¿Cuánto pagan en la demanda de Chantix por suicidio?') === null, 'Spanish lawsuit questions are not crises');
+        check(detector.detect('Quiero suicidarme', { language: 'en' })?.response.includes('988 Suicide & Crisis Lifeline'), 'The language can be set by the caller');
+
+        const crisis = await (await post('/api/chat', { message: 'Quiero suicidarme' })).json();
+        check(crisis.safety?.category === 'self_harm' && crisis.response === suicide.response && crisis.language === 'es', 'Chat answers a Spanish crisis with the Spanish response');
+        check(llm.requests.length === 1, 'The model is never called for it');
+
+        const moderator = new ContentModerator();
+        const refused = await moderator.moderate('porn', MODERATION_STAGES.INPUT, { language: 'es' });
+        check(refused?.text.startsWith('No puedo ayudar con eso'), 'Spanish refusal');
+        const redirected = await (await post('/api/chat', { message: '¿Debo comprar bitcoin este año?' })).json();
+        check(redirected.response.startsWith('Estoy aquí para ayudar') && redirected.moderation[0].suggestions[0] === '¿Cuáles son los síntomas del mesotelioma?', 'Spanish redirect and suggestions in chat');
+
+        const sessionHeaders = { 'X-Session-Id': session };
+        const intake = await (await post('/api/intake', { conversationId: body.conversationId }, sessionHeaders)).json();
+        check(intake.language === 'es' && intake.reply === '¿Qué enfermedad o lesión le diagnosticaron?', 'Intake started from a Spanish conversation asks in Spanish');
+        await post(`/api/intake/${intake.intakeId}/reply`, { message: 'Mesotelioma' }, sessionHeaders);
+        const badDate = await (await post(`/api/intake/${intake.intakeId}/reply`, { message: 'mañana' }, sessionHeaders)).json();
+        check(badDate.reply.startsWith('No pudimos usar esa respuesta. ¿Cuándo le diagnosticaron?'), 'Rejected answers are explained in Spanish');
+        const date = await (await post(`/api/intake/${intake.intakeId}/reply`, { message: 'junio de 2021' }, sessionHeaders)).json();
+        check(date.answers.diagnosisDate === '2021-06', 'Spanish month names are accepted');
+        const english = await (await post('/api/intake', {})).json();
+        check(english.language === 'en' && english.reply === 'What condition or injury were you diagnosed with?', 'Intakes default to English');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Language tests completed!');
+}
+
+testLanguage().catch(fail);
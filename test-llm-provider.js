@@ -0,0 +1,107 @@
+/**
+ * Test script for the LLM provider layer
+ * Exercises the mock provider and the chat tool loops with no network access
+ */
+
+import { createLLMProvider, MockLLMProvider, OpenAICompatibleProvider, OpenAIProvider } from './utils/llm-provider.js';
+import { OpenAIModerationClassifier } from './utils/moderation.js';
+import { ChatToolExecutor, runToolLoop, runStreamingToolLoop } from './utils/chat-tools.js';
+import { createOpenAIRequest } from './server-ai-config.js';
+import { check, fail } from './test-helpers.js';
+
+const fakeDataService = {
+    async searchArticles() {
+        return [{ id: '1', title: 'Talc and Ovarian Cancer', slug: 'talc-ovarian-cancer' }];
+    }
+};
+
+async function testLLMProvider() {
+    console.log('🧪 Testing LLM Provider Layer\n');
+
+    // Test 1: Factory
+    console.log('1. Testing provider factory...');
+    check(createLLMProvider({ provider: 'mock' }) instanceof MockLLMProvider, 'Mock provider created');
+    const compatible = createLLMProvider({ provider: 'openai-compatible', baseURL: 'http://localhost:11434/v1', model: 'llama3.1' });
+    check(compatible instanceof OpenAICompatibleProvider, 'OpenAI-compatible provider created');
+    check(compatible.getInfo().baseURL === 'http://localhost:11434/v1', 'Base URL reported in provider info');
+
+    let missingBaseUrl = false;
+    try {
+        createLLMProvider({ provider: 'openai-compatible' });
+    } catch (error) {
+        missingBaseUrl = error.message.includes('LLM_BASE_URL');
+    }
+    check(missingBaseUrl, 'OpenAI-compatible provider requires a base URL');
+
+    // Test 2: Scripted non-streaming responses
+    console.log('\n2. Testing scripted completions...');
+    const mock = new MockLLMProvider({ responses: ['First answer', request => `Echo ${request.messages.length}`] });
+    const request = createOpenAIRequest([{ role: 'user', content: 'What is talc litigation?' }]);
+    const first = await mock.createChatCompletion(request);
+    const second = await mock.createChatCompletion(request);
+    const fallback = await mock.createChatCompletion(request);
+    check(first.choices[0].message.content === 'First answer', 'Responses replayed in order');
+    check(second.choices[0].message.content === 'Echo 1', 'Function entries computed from the request');
+    check(fallback.choices[0].message.content === 'Mock response to: What is talc litigation?', 'Deterministic fallback once the script runs out');
+    check(mock.requests.length === 3, 'Requests recorded for assertions');
+
+    // Test 3: Streaming
+    console.log('\n3. Testing streamed completions...');
+    const streamMock = new MockLLMProvider({ responses: ['Talc claims are still being filed.'] });
+    let streamed = '';
+    let finishReason = null;
+    for await (const chunk of await streamMock.createChatCompletion({ ...request, stream: true })) {
+        streamed += chunk.choices[0].delta.content || '';
+        finishReason = chunk.choices[0].finish_reason || finishReason;
+    }
+    check(streamed === 'Talc claims are still being filed.', 'Streamed chunks reassemble the answer');
+    check(finishReason === 'stop', 'Stream ends with a stop finish reason');
+
+    // Test 4: Tool calls through the chat loops
+    console.log('\n4. Testing tool calls with the mock provider...');
+    const toolScript = () => [
+        { tool_calls: [{ name: 'search_articles', arguments: { query: 'talc' } }] },
+        'Our article covers talc and ovarian cancer.'
+    ];
+
+    const executor = new ChatToolExecutor({ dataService: fakeDataService });
+    const { completion } = await runToolLoop({ provider: new MockLLMProvider({ responses: toolScript() }), request, executor });
+    check(completion.choices[0].message.content.includes('talc'), 'Non-streaming loop answers after the tool round');
+    check(executor.getToolsUsed()[0]?.name === 'search_articles', 'Tool call executed');
+
+    const streamExecutor = new ChatToolExecutor({ dataService: fakeDataService });
+    const { fullResponse } = await runStreamingToolLoop({
+        provider: new MockLLMProvider({ responses: toolScript() }),
+        request,
+        executor: streamExecutor,
+        onToken: () => {}
+    });
+    check(fullResponse === 'Our article covers talc and ovarian cancer.', 'Streaming loop answers after the tool round');
+    check(streamExecutor.articles.length === 1, 'Streamed tool call executed');
+
+    // Test 5: Moderation through the provider
+    console.log('\n5. Testing moderation through the provider...');
+    check(createLLMProvider({ provider: 'openai-compatible', baseURL: 'http://localhost:11434/v1', timeout: 5000 }).client.timeout === 5000, 'Request timeout passed to the client');
+
+    const moderationRequests = [];
+    const provider = new OpenAIProvider({
+        client: {
+            moderations: {
+                async create(request) {
+                    moderationRequests.push(request);
+                    return { results: [{ categories: { harassment: true, violence: false }, category_scores: { harassment: 0.4, violence: 0.7, sexual: 0.1 } }] };
+                }
+            }
+        }
+    });
+    const classifier = new OpenAIModerationClassifier({ provider, model: 'omni-moderation-latest' });
+    const flagged = await classifier.classify('some text');
+    check(moderationRequests[0]?.input === 'some text' && moderationRequests[0].model === 'omni-moderation-latest', 'Moderation classifier calls the provider');
+    check(flagged.map(result => result.category).join() === 'harassment,violence', 'Flagged and high-scoring categories returned');
+    check((await new OpenAIModerationClassifier({ provider: new MockLLMProvider() }).classify('anything')).length === 0, 'Mock provider flags nothing');
+
+    console.log('\n✅ LLM provider tests complete!');
+}
+
+// Run the test
+testLLMProvider().catch(fail);
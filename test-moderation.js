@@ -0,0 +1,162 @@
+/**
+ * Test script for input and output moderation
+ * Checks the policy rules (keywords, patterns, topic context, redaction), the classifier interface,
+ * that /api/chat refuses or redirects messages without the LLM and replaces or redacts answers,
+ * and the moderation analytics. Uses mock dependencies - no API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { ContentModerator, ModerationStreamFilter, MODERATION_ACTIONS, MODERATION_STAGES } = await import('./utils/moderation.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+async function testModeration() {
+    console.log('🧪 Testing Moderation\n');
+
+    const moderator = new ContentModerator();
+    const { INPUT, OUTPUT } = MODERATION_STAGES;
+
+    console.log('📋 Test 1: Input policy');
+    const cases = [
+        ['Where can I find porn?', MODERATION_ACTIONS.REFUSE, 'sexual_content'],
+        ['How do I hack into my neighbor\'s wifi?', MODERATION_ACTIONS.REFUSE, 'illicit_activity'],
+        ['Where can I buy drugs online?', MODERATION_ACTIONS.REFUSE, 'illicit_activity'],
+        ['Who will win the election?', MODERATION_ACTIONS.REDIRECT, 'off_topic'],
+        ['Should I buy bitcoin or stock tips?', MODERATION_ACTIONS.REDIRECT, 'off_topic'],
+        ['Best movies and porn sites', MODERATION_ACTIONS.REFUSE, 'sexual_content']
+    ];
+    for (const [message, action, category] of cases) {
+        const result = await moderator.moderate(message, INPUT);
+        check(result?.action === action && result.categories.some(entry => entry.category === category), `"${message}" -> ${result?.action || 'allowed'}`);
+    }
+
+    const redirect = await moderator.moderate('Tell me about the Epstein files', INPUT);
+    check(redirect.suggestions.length > 0 && redirect.text.includes(redirect.suggestions[0]), 'Redirects suggest on-topic questions');
+
+    console.log('\n📋 Test 2: Injury and legal questions pass');
+    for (const message of [
+        'What are the symptoms of mesothelioma?',
+        'Can I sue after a wrongful death caused by a murder at an unsafe apartment?',
+        'Was the football helmet recall linked to brain injuries?',
+        'Do I have a claim if I was exposed to asbestos in the 1970s?',
+        'What is the Roundup settlement per person?',
+        'My dad watched TV ads about talc lawsuits'
+    ]) {
+        check(await moderator.moderate(message, INPUT) === null, `"${message}" allowed`);
+    }
+
+    console.log('\n📋 Test 3: Output policy');
+    const answer = 'Contact the firm at intake@smithlaw.com or (312) 555-0199. For poisoning call 1-800-222-1222.';
+    const redacted = await moderator.moderate(answer, OUTPUT);
+    check(redacted?.action === MODERATION_ACTIONS.REDACT && redacted.text === 'Contact the firm at [contact details removed] or [contact details removed]. For poisoning call 1-800-222-1222.', 'Contact details redacted, Poison Control kept');
+    check(await moderator.moderate('Who will win the election?', OUTPUT) === null, 'Input-only categories skip answers');
+    check(await moderator.moderate('intake@smithlaw.com', INPUT) === null, 'Output-only categories skip messages');
+    check(await new ContentModerator({ enabled: false }).moderate('Where can I find porn?', INPUT) === null, 'Moderation can be disabled');
+
+    const streamWords = (filter, text) => text.split(/(?<= )/).map(word => filter.push(word)).filter(Boolean);
+    const streamAnswer = 'Mesothelioma is a cancer caused by asbestos. Symptoms can take decades to appear. Email intake@smithlaw.com for help. Treatment includes surgery and chemotherapy. Ask your doctor about clinical trials.';
+    const streamFilter = new ModerationStreamFilter(moderator);
+    const released = streamWords(streamFilter, streamAnswer);
+    const remainder = streamFilter.flush();
+    check(released.length > 1 && released[0] === 'Mesothelioma is a cancer caused by asbestos. ', 'Streamed answers are released a sentence at a time');
+    check(released.join('') + remainder === streamAnswer.replace('intake@smithlaw.com', '[contact details removed]') && !released.join('').includes('smithlaw'), 'Streamed text is redacted before release');
+    const refusedFilter = new ModerationStreamFilter(moderator);
+    const refusedParts = streamWords(refusedFilter, 'Mesothelioma is a cancer caused by asbestos exposure at work. Here is how to make a bomb at home. More text follows here.');
+    check(!refusedParts.join('').includes('bomb') && refusedFilter.flush(true) === '', "A refused answer's flagged text is never released");
+    const classifiedFilter = new ModerationStreamFilter(new ContentModerator({ classifier: { async classify() { return []; } } }));
+    check(streamWords(classifiedFilter, streamAnswer).length === 0 && classifiedFilter.flush().includes('[contact details removed]'), 'With a classifier the whole answer is held until moderated');
+
+    console.log('\n📋 Test 4: Classifier');
+    const classified = new ContentModerator({
+        classifier: { async classify(text) { return text.includes('threat') ? [{ category: 'harassment/threatening', score: 0.92 }] : []; } }
+    });
+    const threat = await classified.moderate('I am writing a threat to my coworker', INPUT);
+    check(threat?.action === MODERATION_ACTIONS.REFUSE && threat.categories[0].category === 'violence_and_hate' && threat.categories[0].source === 'classifier', 'Classifier categories map to policy categories');
+    const failing = new ContentModerator({ classifier: { async classify() { throw new Error('timeout'); } } });
+    check((await failing.moderate('Where can I find porn?', INPUT))?.action === MODERATION_ACTIONS.REFUSE, 'Failing classifier falls back to the policy rules');
+
+    console.log('\n📋 Test 5: Chat');
+    const llm = new MockLLMProvider({
+        responses: [
+            'You can reach Smith Law at intake@smithlaw.com about your mesothelioma claim.',
+            'Here is how to make a bomb at home.',
+            'Here is how to make a bomb at home.',
+            'Mesothelioma is a cancer caused by asbestos exposure. Symptoms often appear decades later. A doctor can order imaging and a biopsy to confirm it.'
+        ]
+    });
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({
+        llm,
+        tracker,
+        dataService: {
+            async searchArticles() { return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch' } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const chat = (message, headers = {}) => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ message })
+    });
+
+    try {
+        const refused = await (await chat('Where can I find porn?')).json();
+        check(refused.response === moderator.policy.responses.refuse && refused.moderation[0].action === 'refuse' && llm.requests.length === 0, 'Refused message answered without the LLM');
+
+        const redirected = await (await chat('Who will win the election?')).json();
+        check(redirected.moderation[0].action === 'redirect' && redirected.moderation[0].suggestions.length > 0 && llm.requests.length === 0, 'Off-topic message redirected with suggestions');
+
+        const redactedAnswer = await (await chat('Which firms handle mesothelioma claims?')).json();
+        check(redactedAnswer.response.includes('[contact details removed]') && !redactedAnswer.response.includes('smithlaw.com'), 'Contact details removed from the answer');
+        check(redactedAnswer.moderation?.[0].stage === 'output' && redactedAnswer.moderation[0].action === 'redact', 'Response reports the output moderation');
+
+        const replaced = await (await chat('How are asbestos injuries proven?')).json();
+        check(replaced.response === moderator.policy.responses.refuse && replaced.moderation?.[0].categories.includes('violence_and_hate'), 'Harmful answer replaced with the refusal');
+
+        const streamed = await (await chat('How are asbestos injuries proven?', { Accept: 'text/event-stream' })).text();
+        const verification = streamed.split('\n\n').find(frame => frame.includes('event: verification'));
+        check(!streamed.includes('make a bomb'), "A refused answer's text never reaches the stream");
+        check(verification?.includes('"modified":true') && verification.includes(JSON.stringify(moderator.policy.responses.refuse)), 'Streamed answers are replaced in the verification event');
+        check(llm.requests.length === 3, 'Replaced answers are not cached');
+
+        const normal = await (await chat('How is mesothelioma diagnosed?', { Accept: 'text/event-stream' })).text();
+        const tokens = normal.split('\n\n').filter(frame => frame.includes('event: token'));
+        check(tokens.length > 1 && tokens[0].includes('Mesothelioma is a cancer caused by asbestos exposure. '), `Normal answers still stream incrementally (${tokens.length} token events)`);
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const trackedRefusal = tracker.recentQueries.find(query => query.queryId === refused.queryId);
+        check(trackedRefusal?.moderation[0].action === 'refuse' && trackedRefusal.moderation[0].categories.join() === 'sexual_content', 'Moderation outcome tracked with the query');
+
+        const login = await (await fetch(`${base}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'test-admin', password: 'test-password' })
+        })).json();
+        const stats = await (await fetch(`${base}/api/analytics/moderation?days=1`, { headers: { Authorization: `Bearer ${login.token}` } })).json();
+        check(stats.success && stats.moderatedQueries === 5 && stats.byAction.refuse === 3 && stats.byAction.redirect === 1 && stats.byAction.redact === 1, 'Analytics count outcomes by action');
+        check(stats.byStage.input === 2 && stats.byStage.output === 3 && stats.byCategory.off_topic === 1 && stats.recent.length === 5, 'Analytics count stages and categories and list recent outcomes');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Moderation tests completed!');
+}
+
+testModeration().catch(fail);
@@ -0,0 +1,129 @@
+/**
+ * Test script for PII redaction
+ * Runs the redactor over a corpus of messages that contain personal details and of ordinary
+ * injury/legal questions that must pass through unchanged, then checks log records and that
+ * chat messages are redacted before they reach the LLM. No server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { redactPII, findPII, truncateIp, hashIdentifier, PIIRedactor, PII_TYPES } = await import('./utils/pii-redactor.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+// [input, expected output, PII types found]
+const SENSITIVE = [
+    ['My email is Jordan.Lee+meso@Example.co.uk, call me', 'My email is [EMAIL], call me', [PII_TYPES.EMAIL]],
+    ['Call me at (512) 555-0147 or +1 312.555.0199', 'Call me at [PHONE] or [PHONE]', [PII_TYPES.PHONE, PII_TYPES.PHONE]],
+    ['my cell is 5125550147', 'my cell is [PHONE]', [PII_TYPES.PHONE]],
+    ['My SSN is 123-45-6789', 'My SSN is [SSN]', [PII_TYPES.SSN]],
+    ['social security number: 123456789', 'social security number: [SSN]', [PII_TYPES.SSN]],
+    ['DOB: 04/12/1961 and I was diagnosed 03/2020', 'DOB: [DATE_OF_BIRTH] and I was diagnosed 03/2020', [PII_TYPES.DATE_OF_BIRTH]],
+    ['I was born on March 3, 1961', 'I was born on [DATE_OF_BIRTH]', [PII_TYPES.DATE_OF_BIRTH]],
+    ['date of birth is 1958-07-21', 'date of birth is [DATE_OF_BIRTH]', [PII_TYPES.DATE_OF_BIRTH]],
+    ['I live at 1234 N Oak Hill Road, Apt 5B in Austin', 'I live at [ADDRESS] in Austin', [PII_TYPES.STREET_ADDRESS]],
+    ['Our house at 55 Elm St. had asbestos', 'Our house at [ADDRESS] had asbestos', [PII_TYPES.STREET_ADDRESS]],
+    ['My claim number is CLM-2020-55431', 'My claim number is [RECORD_NUMBER]', [PII_TYPES.RECORD_NUMBER]],
+    ['MRN 00482913, patient id A1234567', 'MRN [RECORD_NUMBER], patient id [RECORD_NUMBER]', [PII_TYPES.RECORD_NUMBER, PII_TYPES.RECORD_NUMBER]],
+    ['Case # 2:19-cv-01234 and policy no. HX-99812', 'Case # 2:19-cv-01234 and policy no. [RECORD_NUMBER]', [PII_TYPES.RECORD_NUMBER]],
+    ['Call 1-800-555-0100 for info about 3M earplugs', 'Call [PHONE] for info about 3M earplugs', [PII_TYPES.PHONE]]
+];
+
+// Ordinary questions - numbers, years, amounts and dosages are not PII
+const ORDINARY = [
+    'What are the symptoms of mesothelioma?',
+    'I worked 20 years at the shipyard on Main Street',
+    'The settlement was $1,250,000 in 2019',
+    'case type mesothelioma, filed a claim in 2019',
+    'Roundup lawsuits 2015-2019, took 40 mg daily',
+    'Is there a deadline to file 2 claims in Texas?',
+    'My husband was exposed from 1965 to 1980 at the plant',
+    'How long does a 3M earplug lawsuit take?',
+    'Zantac 150 recall in 2020',
+    'Average payout 100000 to 500000 dollars?'
+];
+
+async function testPIIRedactor() {
+    console.log('🧪 Testing PII Redaction\n');
+
+    console.log('📋 Test 1: Corpus with personal details');
+    for (const [input, expected, types] of SENSITIVE) {
+        const redacted = redactPII(input);
+        const found = findPII(input).map(item => item.type);
+        check(redacted === expected && found.join() === types.join(), `"${input}" -> "${redacted}"`);
+    }
+
+    console.log('\n📋 Test 2: Ordinary questions pass through');
+    for (const input of ORDINARY) {
+        check(redactPII(input) === input && findPII(input).length === 0, `"${input}" unchanged`);
+    }
+
+    console.log('\n📋 Test 3: IPs and hashes');
+    check(truncateIp('203.0.113.57') === '203.0.113.0', 'IPv4 last octet dropped');
+    check(truncateIp('::ffff:10.1.2.3') === '::ffff:10.1.2.0', 'IPv4-mapped IPv6 truncated');
+    check(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348') === '2001:db8:85a3::' && truncateIp('2001:db8::1') === '2001:db8:0::', 'IPv6 kept to its /48');
+    check(hashIdentifier('203.0.113.57', 'salt-a') === hashIdentifier('203.0.113.57', 'salt-a'), 'Same value and salt, same hash');
+    check(hashIdentifier('203.0.113.57', 'salt-a') !== hashIdentifier('203.0.113.57', 'salt-b'), 'Hashes depend on the salt');
+
+    console.log('\n📋 Test 4: Log records');
+    const redactor = new PIIRedactor({ salt: 'test-salt' });
+    const record = redactor.redactRecord({
+        query: 'Email me at jo@example.com about mesothelioma',
+        keywords: ['email', 'jo', 'example', 'com', 'mesothelioma'],
+        ipAddress: '203.0.113.57',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0)',
+        pageUrl: 'https://injuryinfo.example/chat?email=jo@example.com'
+    });
+    check(record.query === 'Email me at [EMAIL] about mesothelioma' && !record.pageUrl.includes('jo@example.com'), 'Text fields redacted');
+    check(record.keywords.join() === 'email,mesothelioma', 'Keywords from the redacted text dropped');
+    check(record.ipAddress === '203.0.113.0' && !('userAgent' in record) && record.clientHash?.length === 24, 'IP truncated, user agent replaced by a hash');
+    check(JSON.stringify(redactor.redactRecord(record)) === JSON.stringify(record), 'Redacting twice changes nothing');
+    check(new PIIRedactor({ enabled: false }).redact('jo@example.com') === 'jo@example.com', 'Redaction can be disabled');
+
+    console.log('\n📋 Test 5: Chat');
+    const llm = new MockLLMProvider({ responses: ['Mesothelioma is caused by asbestos.'] });
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({
+        llm,
+        tracker,
+        dataService: {
+            async searchArticles() { return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', answerCacheEnabled: false } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const body = await (await fetch(`${base}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'pii-test' },
+            body: JSON.stringify({ message: 'I have mesothelioma, call me at 512-555-0147 or jo@example.com' })
+        })).json();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const prompt = llm.requests[0].messages.map(message => message.content).join('\n');
+        check(prompt.includes('call me at [PHONE] or [EMAIL]') && !prompt.includes('512-555-0147') && !prompt.includes('jo@example.com'), 'LLM prompt is redacted');
+
+        const tracked = tracker.recentQueries.find(query => query.queryId === body.queryId);
+        check(tracked?.query.includes('[PHONE]') && !JSON.stringify(tracked).includes('jo@example.com'), 'Tracked query is redacted');
+        check(tracked && !('userAgent' in tracked) && tracked.clientHash && tracked.deviceType === 'desktop', 'Tracked query keeps device details but not the user agent');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 PII redaction tests completed!');
+}
+
+testPIIRedactor().catch(fail);
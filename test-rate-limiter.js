@@ -0,0 +1,127 @@
+/**
+ * Test script for token-bucket rate limiting
+ * Checks bucket refill, per-route rules, API key quotas and the 429 response.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { RateLimiter, MemoryRateLimitStore } = await import('./utils/rate-limiter.js');
+const { createApp } = await import('./app.js');
+
+const rules = {
+    default: { ip: { capacity: 100, window: 60 } },
+    routes: [
+        {
+            path: '/api/chat',
+            methods: ['POST'],
+            limits: {
+                ip: { capacity: 3, window: 60 },
+                session: { capacity: 2, window: 60 },
+                apiKey: { capacity: 5, window: 60 }
+            }
+        },
+        { path: '/api/cache/clear', methods: ['POST'], limits: { ip: { capacity: 1, window: 300 } } },
+        { path: '/api/articles/*', limits: { ip: { capacity: 50, window: 60 } } }
+    ]
+};
+
+async function testRateLimiter() {
+    console.log('🧪 Testing Rate Limiter\n');
+
+    console.log('📋 Test 1: Token bucket');
+    const store = new MemoryRateLimitStore();
+    const policy = { capacity: 2, window: 10 };
+    const start = 1000000;
+    const first = await store.take('k', policy, start);
+    const second = await store.take('k', policy, start);
+    const third = await store.take('k', policy, start);
+    check(first.allowed && second.allowed && !third.allowed, 'Bucket empties after its capacity');
+    check(second.remaining === 0 && third.retryAfterMs === 5000, `Retry after one token refills (${third.retryAfterMs}ms)`);
+    check(third.resetMs === 10000, 'Reset is when the bucket is full again');
+    check((await store.take('k', policy, start + 5000)).allowed, 'Tokens refill over the window');
+    check((await store.take('other', policy, start)).allowed, 'Buckets are per key');
+
+    const small = new MemoryRateLimitStore({ maxBuckets: 2 });
+    for (const key of ['a', 'b', 'c']) await small.take(key, policy, start);
+    check(small.buckets.size === 2 && !small.buckets.has('a'), 'Least recently used buckets are pruned');
+
+    console.log('\n📋 Test 2: Rules');
+    const limiter = new RateLimiter({ rules });
+    check(limiter.getRule('POST', '/api/chat').limits.ip.capacity === 3, 'Route rule matched by path and method');
+    check(limiter.getRule('GET', '/api/chat').path === '*', 'Other methods fall back to the default');
+    check(limiter.getRule('GET', '/api/articles/mesothelioma').path === '/api/articles/*', 'Prefix rules match sub-paths');
+    check(limiter.getRule('GET', '/api/settlements').limits.ip.capacity === 100, 'Unlisted routes use the default');
+
+    console.log('\n📋 Test 3: 429 responses across the app');
+    const app = createApp({
+        rateLimiter: new RateLimiter({ rules, apiKeys: ['partner-key'] }),
+        dataService: { async clearCache() {} },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, headers = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({})
+    });
+
+    try {
+        const allowed = await post('/api/cache/clear');
+        check(allowed.status === 401, 'First request passes the limiter (and needs an analytics login)');
+        check(allowed.headers.get('ratelimit-limit') === '1' && allowed.headers.get('ratelimit-remaining') === '0', 'RateLimit-Limit and RateLimit-Remaining set');
+        check(allowed.headers.get('ratelimit-policy') === '1;w=300', 'RateLimit-Policy describes the bucket');
+
+        const limited = await post('/api/cache/clear');
+        const body = await limited.json();
+        check(limited.status === 429, 'Second request gets 429');
+        check(parseInt(limited.headers.get('retry-after')) === 300 && body.retryAfter === 300, `Retry-After header and body (${limited.headers.get('retry-after')}s)`);
+        check(body.error === 'Too many requests', 'Error body follows the API format');
+
+        const sessionStatuses = [];
+        for (let i = 0; i < 3; i++) sessionStatuses.push((await post('/api/chat', { 'X-Session-Id': 's1' })).status);
+        check(sessionStatuses[2] === 429 && sessionStatuses[1] !== 429, `Session bucket limits /api/chat (${sessionStatuses.join(', ')})`);
+        check((await post('/api/chat', { 'X-Session-Id': 's2' })).status !== 429, 'A new session has its own bucket');
+        check((await post('/api/chat', { 'X-Session-Id': 's3' })).status === 429, 'IP bucket still caps all sessions from one client');
+
+        const keyStatuses = [];
+        for (let i = 0; i < 6; i++) keyStatuses.push((await post('/api/chat', { 'X-API-Key': 'partner-key' })).status);
+        check(keyStatuses.slice(0, 5).every(status => status !== 429) && keyStatuses[5] === 429, 'API key has its own quota instead of the IP bucket');
+        check((await post('/api/chat', { 'X-API-Key': 'wrong-key' })).status === 429, 'Unknown API keys are limited by IP');
+
+        const health = await fetch(`${base}/health`);
+        check(!health.headers.get('ratelimit-limit'), 'Non-API routes are not limited');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n📋 Test 4: Client IP behind the platform proxy');
+    const proxied = createApp({
+        platform: 'lambda',
+        rateLimiter: new RateLimiter({ rules }),
+        dataService: {},
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+    const proxiedServer = proxied.listen(0);
+    const forwarded = (forwardedFor) => fetch(`http://127.0.0.1:${proxiedServer.address().port}/api/cache/clear`, {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': forwardedFor }
+    });
+
+    try {
+        check(proxied.get('trust proxy') === 1, 'Serverless platforms trust one proxy hop by default');
+        check((await forwarded('198.51.100.1, 203.0.113.7')).status === 401, 'First request from the client passes the limiter');
+        check((await forwarded('198.51.100.2, 203.0.113.7')).status === 429, 'A spoofed X-Forwarded-For entry does not get a fresh bucket');
+        check((await forwarded('198.51.100.2, 203.0.113.8')).status === 401, 'Another client address has its own bucket');
+    } finally {
+        proxiedServer.close();
+    }
+
+    console.log('\n🎉 Rate limiter tests completed!');
+}
+
+testRateLimiter().catch(fail);
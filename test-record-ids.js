@@ -0,0 +1,99 @@
+/**
+ * Test script for stable record IDs and article slugs
+ * Checks hashed IDs, slug collisions, redirects from old slugs when a title is edited (with and
+ * without an ID column), the registry file, and the article routes' redirects.
+ * Uses in-memory sources and a temporary file - no API keys required.
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { check, fail } from './test-helpers.js';
+
+const { SlugRegistry, createRecordId, uniqueRecordIds } = await import('./utils/record-ids.js');
+const { GoogleSheetsSource } = await import('./utils/google-sheets-source.js');
+const { DataSourceRegistry } = await import('./utils/data-sources.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { createApp } = await import('./app.js');
+
+const article = (id, title, description = `${title} overview`) => ({ id, title, description, content: { overview: description } });
+
+async function testRecordIds() {
+    console.log('🧪 Testing Record IDs and Slugs\n');
+
+    console.log('📋 Test 1: Record IDs');
+    check(createRecordId('sheets_case', 'Mesothelioma') === createRecordId('sheets_case', '  mesothelioma '), 'Hashed IDs ignore case and spacing');
+    check(createRecordId('sheets_case', 'Mesothelioma') !== createRecordId('sheets_case', 'Talc') && /^sheets_case_[0-9a-f]{12}$/.test(createRecordId('sheets_case', 'Talc')), 'Different records get different IDs');
+    check(uniqueRecordIds([{ id: 'a' }, { id: 'b' }, { id: 'a' }]).map(record => record.id).join() === 'a,b,a_2', 'Repeated IDs suffixed');
+
+    const connector = { async readSheet(sheetName) { return sheetName === 'Top_10_Firms' ? { headers: ['Firm_Name'], data: [{ Firm_Name: 'Asbestos Partners' }, { Firm_Name: 'Talc Law' }] } : { headers: [], data: [] }; } };
+    const source = new GoogleSheetsSource({ connector });
+    const [first, second] = [await source.getLawFirms(), await source.getLawFirms()];
+    check(first[0].id === second[0].id && first[0].id !== first[1].id, 'Sheet records keep their IDs between reads');
+
+    console.log('\n📋 Test 2: Slug registry');
+    const slugs = new SlugRegistry({ file: null });
+    let assigned = slugs.assign([article('a', 'Talc Cancer'), article('b', 'Talc cancer!')]);
+    check(assigned.map(item => item.slug).join() === 'talc-cancer,talc-cancer-2', 'Colliding slugs disambiguated');
+
+    assigned = slugs.assign([article('c', 'Talc Cancer'), article('b', 'Talc cancer!'), article('a', 'Talc Cancer')]);
+    check(assigned.map(item => item.slug).join() === 'talc-cancer-3,talc-cancer-2,talc-cancer', 'Articles keep their slug when a newcomer collides');
+
+    assigned = slugs.assign([article('a', 'Talcum Powder Cancer'), article('b', 'Talc cancer!'), article('c', 'Talc Cancer')]);
+    check(assigned[0].slug === 'talcum-powder-cancer' && slugs.resolve('talc-cancer') === 'talcum-powder-cancer', 'Edited title gets a new slug; the old one redirects');
+    check(assigned[2].slug === 'talc-cancer-3' && slugs.resolve('talc-cancer-3') === null, 'Live slugs never redirect');
+
+    slugs.assign([article('a', 'Talc Lawsuits'), article('b', 'Talc cancer!'), article('c', 'Talc Cancer')]);
+    check(slugs.resolve('talc-cancer') === 'talc-lawsuits' && slugs.resolve('talcum-powder-cancer') === 'talc-lawsuits', 'Redirect chains point at the newest slug');
+
+    const hashed = new SlugRegistry({ file: null });
+    hashed.assign([article(createRecordId('sheets_case', 'Roundup'), 'Roundup', 'Glyphosate and lymphoma')]);
+    assigned = hashed.assign([article(createRecordId('sheets_case', 'Roundup Lawsuit'), 'Roundup Lawsuit', 'Glyphosate and lymphoma')]);
+    check(assigned[0].slug === 'roundup-lawsuit' && hashed.resolve('roundup') === 'roundup-lawsuit', 'Renames detected for hashed IDs by their text');
+
+    const removed = new SlugRegistry({ file: null });
+    removed.assign([article('old', 'Paraquat')]);
+    check(removed.assign([article('new', 'Paraquat', 'Different text')])[0].slug === 'paraquat', 'Slugs of articles that are gone are reused');
+
+    const file = path.join(os.tmpdir(), `slugs-${process.pid}.json`);
+    try {
+        new SlugRegistry({ file }).assign([article('a', 'Hair Relaxer')]);
+        const reloaded = new SlugRegistry({ file });
+        reloaded.assign([article('a', 'Hair Relaxer Cancer')]);
+        check(new SlugRegistry({ file }).resolve('hair-relaxer') === 'hair-relaxer-cancer', 'Slugs and redirects saved to the registry file');
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+
+    console.log('\n📋 Test 3: Article routes');
+    let articles = [article('case_1', 'Mesothelioma'), article('case_2', 'Roundup')];
+    const service = new DataIntegrationService({
+        dataSources: new DataSourceRegistry({ sources: [{ id: 'sheets', source: { async getArticles() { return articles; } } }] }),
+        slugRegistry: new SlugRegistry({ file: null })
+    });
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({ tracker, dataService: service });
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        check((await (await fetch(`${base}/api/articles/roundup`)).json()).id === 'case_2', 'Articles found by slug');
+
+        articles = [article('case_1', 'Mesothelioma'), article('case_2', 'Roundup Weed Killer')];
+        service.clearCache();
+        const moved = await fetch(`${base}/api/articles/roundup`, { redirect: 'manual' });
+        check(moved.status === 301 && moved.headers.get('location') === '/api/articles/roundup-weed-killer', 'Old article slugs redirect permanently');
+        check((await (await fetch(`${base}/api/articles/roundup`)).json()).title === 'Roundup Weed Killer', 'Redirect leads to the renamed article');
+        check((await fetch(`${base}/api/articles/unknown`)).status === 404, 'Unknown slugs still 404');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Record ID tests completed!');
+}
+
+testRecordIds().catch(fail);
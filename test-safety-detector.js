@@ -0,0 +1,124 @@
+/**
+ * Test script for the crisis and medical-emergency safety path
+ * Checks the detector rules and that /api/chat answers crisis messages without the LLM
+ * or any law firm / referral data. Uses mock dependencies - no API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { SafetyDetector } = await import('./utils/safety-detector.js');
+const { IntentClassifier, INTENTS } = await import('./utils/intent-classifier.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { ConversationStore } = await import('./utils/conversation-store.js');
+const { createApp } = await import('./app.js');
+
+async function postChat(app, body, headers = {}) {
+    const server = app.listen(0);
+    const { port } = server.address();
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, text, body: headers.Accept ? null : JSON.parse(text) };
+    } finally {
+        server.close();
+    }
+}
+
+async function testSafetyDetector() {
+    console.log('🧪 Testing Safety Detector\n');
+
+    const detector = new SafetyDetector();
+
+    console.log('📋 Test 1: Crisis categories');
+    const cases = [
+        ['I want to kill myself', 'self_harm'],
+        ['I have been thinking about suicide lately', 'self_harm'],
+        ['My toddler just swallowed a laundry pod', 'poisoning'],
+        ['I think my friend overdosed', 'poisoning'],
+        ['My dad is having a heart attack', 'medical_emergency'],
+        ['She is unconscious and not breathing', 'medical_emergency'],
+        ['I can’t breathe', 'medical_emergency']
+    ];
+    for (const [message, expected] of cases) {
+        const result = detector.detect(message);
+        check(result?.category === expected, `"${message}" -> ${result?.category || 'none'}`);
+    }
+
+    console.log('\n📋 Test 2: Legal questions about the same topics are not crises');
+    for (const message of [
+        'Is there a Chantix suicide lawsuit?',
+        'Paraquat poisoning settlement amounts',
+        'Ozempic chest pain class action',
+        'What are the symptoms of mesothelioma?'
+    ]) {
+        check(detector.detect(message) === null, `"${message}" continues to the LLM`);
+    }
+
+    console.log('\n📋 Test 3: Vetted responses');
+    check(detector.detect('I want to end my life').response.includes('988'), 'Self-harm response includes 988');
+    check(detector.detect('my son just swallowed bleach').response.includes('1-800-222-1222'), 'Poisoning response includes Poison Control');
+    check(detector.detect('he is having a stroke').response.includes('911'), 'Emergency response includes 911');
+    check(new SafetyDetector({ enabled: false }).detect('I want to kill myself') === null, 'Detector can be disabled');
+
+    const custom = new SafetyDetector({
+        rules: { categories: { custom: { label: 'Custom', patterns: ['\\bhelp me now\\b'], response: 'Custom response' } } }
+    });
+    check(custom.detect('please help me now')?.response === 'Custom response', 'Categories and responses are configurable');
+
+    console.log('\n📋 Test 4: Chat route short-circuits before the LLM');
+    const llm = new MockLLMProvider();
+    const tracked = [];
+    const touched = [];
+    const dataService = new Proxy({}, {
+        get: (target, name) => async () => { touched.push(name); return []; }
+    });
+    const conversationStore = new ConversationStore();
+    const app = createApp({
+        llm,
+        dataService,
+        conversationStore,
+        tracker: { trackQuery: async query => { tracked.push(query); return { success: true }; }, getStatus: () => ({}) }
+    });
+
+    const json = await postChat(app, { message: 'I want to kill myself' });
+    check(json.status === 200 && json.body.safety?.category === 'self_harm', 'JSON response carries the safety category');
+    check(json.body.response.includes('988'), 'JSON response is the vetted 988 message');
+    check(json.body.liaCase === null && json.body.reputableSources.length === 0, 'No LIA case or sources attached');
+    check(!/law firm|attorney|lawyer|legal injury advocates/i.test(json.body.response), 'No law firm or referral text');
+    check(llm.requests.length === 0, 'LLM was not called');
+    check(touched.length === 0, 'No data (law firms, articles, LIA) was fetched');
+    check(tracked[0]?.safetyFlag === 'self_harm' && tracked[0]?.intent === 'emergency', 'Query tracked with a safety flag');
+
+    const conversation = await conversationStore.getConversation(json.body.conversationId);
+    check(conversation.flags.includes('safety:self_harm'), 'Conversation is flagged');
+
+    const stream = await postChat(app, { message: 'my son just swallowed bleach' }, { Accept: 'text/event-stream' });
+    check(stream.text.includes('event: token') && stream.text.includes('1-800-222-1222'), 'Streaming sends the vetted response as a token event');
+    check(stream.text.includes('"liaCase":null') && stream.text.includes('event: done'), 'Streaming reports no LIA case and finishes');
+    check(llm.requests.length === 0, 'LLM still not called');
+
+    await postChat(app, { message: 'What are the symptoms of mesothelioma?' });
+    check(llm.requests.length > 0, 'Normal questions still reach the LLM');
+
+    console.log('\n📋 Test 5: Drug-injury lawsuit questions are not classified as emergencies');
+    const classifier = new IntentClassifier();
+    const lawsuit = classifier.classifyWithRules('Chantix suicide lawsuit settlement amounts');
+    check(lawsuit.intent === INTENTS.SETTLEMENT_VALUE && lawsuit.retrieval.settlements && lawsuit.retrieval.articles, `Classified as ${lawsuit.intent} with retrieval on`);
+    check(classifier.classifyWithRules('I am thinking about suicide').intent === INTENTS.EMERGENCY, 'Crisis keywords outside a legal question are still emergencies');
+
+    const requestsBefore = llm.requests.length;
+    const legal = await postChat(app, { message: 'Chantix suicide lawsuit settlement amounts' });
+    const systemPrompt = llm.requests[requestsBefore]?.messages[0].content || '';
+    check(legal.body.intent?.intent === INTENTS.SETTLEMENT_VALUE && !legal.body.safety, 'Chat answers it as a settlement question');
+    check(!systemPrompt.includes('911'), 'No emergency prompt sent to the LLM');
+
+    console.log('\n🎉 Safety detector tests completed!');
+}
+
+testSafetyDetector().catch(fail);
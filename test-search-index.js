@@ -0,0 +1,97 @@
+/**
+ * Test script for the article search index
+ * Checks stemming, BM25 ranking with field boosts, typo tolerance, phrases, category facets,
+ * pagination and highlights, that the index rebuilds when articles refresh, that chat context
+ * uses the ranking, and GET /api/search. Uses in-memory articles - no API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { SearchIndex, stem } = await import('./utils/search-index.js');
+const { DataSourceRegistry } = await import('./utils/data-sources.js');
+const { SlugRegistry } = await import('./utils/record-ids.js');
+const { DataIntegrationService } = await import('./data-integration-service.js');
+const { ContextBuilder } = await import('./utils/context-builder.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { createApp } = await import('./app.js');
+
+const article = (id, title, description, category = 'legal', overview = description) => ({ id, title, description, category, content: { overview } });
+
+const articles = [
+    article('meso', 'Mesothelioma', 'Cancer caused by asbestos exposure; lawsuits seek compensation from manufacturers.'),
+    article('talc', 'Talcum Powder Cancer', 'Ovarian cancer and mesothelioma claims over asbestos in talc.'),
+    article('hair', 'Hair Relaxer Cancer', 'Chemical hair straighteners and uterine cancer lawsuits.'),
+    article('relax', 'Relaxation After Diagnosis', 'Coping with a cancer diagnosis: hair loss, relaxer-free routines and rest.'),
+    article('meso_settlement', 'Mesothelioma Settlements', 'Average mesothelioma verdict and settlement value.', 'settlement'),
+    article('roundup', 'Roundup', 'Weed killer <b>glyphosate</b> and non-Hodgkin lymphoma.', 'legal',
+        'Farmers and gardeners exposed to the weed killer for years filed claims. Studies linked glyphosate to non-Hodgkin lymphoma, and juries awarded damages in several trials before Bayer offered a settlement program for current and future claimants.')
+];
+
+async function testSearchIndex() {
+    console.log('🧪 Testing Article Search\n');
+
+    console.log('📋 Test 1: Ranking');
+    check(stem('lawsuits') === stem('lawsuit') && stem('diseases') === stem('disease') && stem('stopped') === 'stop', 'Words stemmed');
+
+    const index = new SearchIndex({ articles });
+    const lawsuit = index.search('mesothelioma lawsuit');
+    check(lawsuit.results[0]?.article.id === 'meso' && lawsuit.total === 4, 'Multi-word queries ranked by BM25 instead of substring matching');
+    check(index.search('mesothelioma').results.slice(0, 2).every(result => result.article.title.startsWith('Mesothelioma')), 'Title matches outrank body matches');
+    check(index.search('mesothelima').results[0]?.article.title.startsWith('Mesothelioma') && index.search('asbestso').total === 2, 'Typos tolerated');
+    check(index.search('What is it?').total === 0, 'Stop-word queries match nothing');
+
+    const phrase = index.search('"hair relaxer"');
+    check(phrase.total === 1 && phrase.results[0].article.id === 'hair', 'Quoted phrases must appear in order');
+
+    console.log('\n📋 Test 2: Facets, pages and highlights');
+    const faceted = index.search('mesothelioma', { category: 'settlement' });
+    check(faceted.total === 1 && faceted.facets.category.legal === 2 && faceted.facets.category.settlement === 1, 'Category filter with facet counts from every match');
+
+    const paged = index.search('cancer', { page: 2, pageSize: 2 });
+    check(paged.total === 4 && paged.totalPages === 2 && paged.results.length === 2 && paged.page === 2, 'Results paginated');
+
+    const highlighted = index.search('glyphosate');
+    check(highlighted.results[0].highlights.title === 'Roundup' && highlighted.results[0].highlights.snippet.includes('&lt;b&gt;<mark>glyphosate</mark>&lt;/b&gt;'), 'Snippets highlighted and HTML-escaped');
+    const long = index.search('bayer').results[0].highlights.snippet;
+    check(long.startsWith('…') && long.includes('<mark>Bayer</mark>'), 'Long texts cut to a snippet around the match');
+
+    console.log('\n📋 Test 3: Data service and chat context');
+    let current = articles.slice(0, 3);
+    const service = new DataIntegrationService({
+        dataSources: new DataSourceRegistry({ sources: [{ id: 'sheets', source: { async getArticles() { return current; } } }] }),
+        slugRegistry: new SlugRegistry({ file: null })
+    });
+    const found = await service.searchArticles('talc lawsuit');
+    check(found[0]?.id === 'talc' && found[0].searchScore === 1 && found.every(item => item.searchScore > 0 && item.searchScore <= 1), 'searchArticles ranked with relative scores');
+
+    current = articles;
+    service.clearCache();
+    check((await service.search('roundup')).total === 1, 'Index rebuilt when articles refresh');
+
+    const typo = await service.searchArticles('mesothelima');
+    const context = new ContextBuilder().build({ query: 'mesothelima', articles: typo });
+    check(context.report.included[0]?.title.startsWith('Mesothelioma'), 'Chat context keeps articles the search ranked');
+
+    console.log('\n📋 Test 4: GET /api/search');
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({ tracker, dataService: service });
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        check((await fetch(`${base}/api/search`)).status === 400, 'Query required');
+
+        const result = await (await fetch(`${base}/api/search?q=${encodeURIComponent('mesothelioma lawsuits')}&category=legal&pageSize=2`)).json();
+        check(result.total === 3 && result.results.length === 2 && result.totalPages === 2 && result.facets.category.settlement === 1, 'Results filtered and paginated with facets');
+        check(result.results[0].slug === 'mesothelioma' && result.results[0].url === '/article/mesothelioma' && result.results[0].highlights.title === '<mark>Mesothelioma</mark>', 'Results carry slugs and highlights');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Search tests completed!');
+}
+
+testSearchIndex().catch(fail);
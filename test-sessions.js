@@ -0,0 +1,159 @@
+/**
+ * Test script for anonymous sessions
+ * Checks token signing, secret rotation, idle and maximum expiry, the cookie and header,
+ * sessions on tracked queries and conversions, and the analytics session endpoints.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ANALYTICS_USERNAME = 'test-admin';
+process.env.ANALYTICS_PASSWORD = 'test-password';
+
+const { SessionManager, summarizeSessions } = await import('./utils/session.js');
+const { QueryTracker } = await import('./utils/query-tracker.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+// Minimal request for SessionManager.resolve
+function fakeRequest(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: name => lower[name.toLowerCase()] };
+}
+
+async function testSessions() {
+    console.log('🧪 Testing Anonymous Sessions\n');
+
+    console.log('📋 Test 1: Tokens');
+    const manager = new SessionManager({ secrets: ['secret-a'], idleTimeout: 1000, maxAge: 5000 });
+    const now = Date.now();
+    const token = manager.issue({ id: manager.createSessionId(), startedAt: now, lastSeen: now });
+    const session = manager.verify(token);
+    check(/^sess_[a-f0-9]{32}$/.test(session?.id) && session.startedAt === now, 'Issued token verifies');
+    check(manager.verify(`${token.slice(0, token.lastIndexOf('.'))}.forged`) === null, 'Tampered signature rejected');
+    check(manager.verify(token.replace(/^sess_\w{4}/, 'sess_0000')) === null, 'Changed session ID rejected');
+    check(manager.verify('session-1') === null && manager.verify(undefined) === null, 'Malformed tokens rejected');
+
+    const rotated = new SessionManager({ secrets: ['secret-b', 'secret-a'] });
+    check(rotated.verify(token)?.id === session.id, 'Old secret still verifies after rotation');
+    check(new SessionManager({ secrets: ['secret-b'] }).verify(token) === null, 'Retired secret no longer verifies');
+
+    const signedQuery = manager.signFor('query_1_abc', session.id);
+    check(signedQuery.startsWith('query_1_abc-') && manager.isSignedFor(signedQuery, session.id), 'IDs signed for a session verify for it');
+    check(!manager.isSignedFor(signedQuery, manager.createSessionId()) && !manager.isSignedFor('query_1_abc', session.id), 'Other sessions and unsigned IDs rejected');
+
+    console.log('\n📋 Test 2: Expiry');
+    const resumed = manager.resolve(fakeRequest({ 'X-Session-Id': token }));
+    check(resumed.id === session.id && !resumed.isNew, 'Active session resumed from the header');
+    check(manager.resolve(fakeRequest({ Cookie: `other=1; ii_session=${encodeURIComponent(token)}` })).id === session.id, 'Session resumed from the cookie');
+    const idle = manager.issue({ id: session.id, startedAt: now - 2000, lastSeen: now - 2000 });
+    const afterIdle = manager.resolve(fakeRequest({ 'X-Session-Id': idle }));
+    check(afterIdle.isNew && afterIdle.id !== session.id, 'Idle session replaced');
+    const old = manager.issue({ id: session.id, startedAt: now - 6000, lastSeen: now - 100 });
+    check(manager.resolve(fakeRequest({ 'X-Session-Id': old })).id !== session.id, 'Session past its maximum age replaced');
+    check(session.visitorId === session.id && afterIdle.visitorId === session.id, 'Visitor ID carries over to the replacement session');
+    const gone = manager.issue({ id: session.id, startedAt: now - 40 * 24 * 60 * 60 * 1000, lastSeen: now - 31 * 24 * 60 * 60 * 1000 });
+    check(manager.resolve(fakeRequest({ 'X-Session-Id': gone })).visitorId !== session.id, 'Visitors away for over 30 days start over');
+    const legacy = `${token.split('.').slice(0, 3).join('.')}`;
+    const legacyToken = `${legacy}.${manager.sign(legacy)}`;
+    check(manager.verify(legacyToken)?.visitorId === session.id, 'Tokens without a visitor ID still verify');
+
+    console.log('\n📋 Test 3: Session summaries');
+    const minutes = count => new Date(now - count * 60 * 1000).toISOString();
+    const summary = summarizeSessions([
+        { queryId: 'q1', sessionId: 'sess_a', timestamp: minutes(10), pageUrl: 'https://injuryinfo.example/mesothelioma?utm_source=ad', liaCaseType: 'mesothelioma' },
+        { queryId: 'q2', sessionId: 'sess_a', timestamp: minutes(4), pageUrl: 'https://injuryinfo.example/chat', liaCaseType: 'mesothelioma' },
+        { queryId: 'q3', sessionId: 'sess_a', timestamp: minutes(2), pageUrl: 'https://injuryinfo.example/chat', liaCaseType: 'roundup' },
+        { queryId: 'q4', sessionId: 'sess_b', timestamp: minutes(1), pageUrl: 'https://injuryinfo.example/mesothelioma' },
+        { queryId: 'q5', sessionId: 'unknown', timestamp: minutes(1) }
+    ], [
+        { conversionId: 'c1', queryId: 'q2', sessionId: 'sess_a', conversionTimestamp: minutes(0) }
+    ]);
+    const [first, latest] = summary.sessions;
+    check(summary.sessions.length === 2 && first.sessionId === 'sess_a' && latest.sessionId === 'sess_b', 'Events grouped by session (latest activity first), untracked ones skipped');
+    check(first.queries === 3 && first.conversions === 1 && first.durationSeconds === 600, 'Queries, conversions and duration per session');
+    check(first.entryPage === 'https://injuryinfo.example/mesothelioma' && first.liaCases.join() === 'mesothelioma,roundup', 'Entry page and LIA cases touched');
+    check(latest.queries === 1 && summary.overview.singleQuerySessions === 1 && summary.overview.averageQueriesPerSession === 2, 'Overview averages and single-query sessions');
+    check(summary.overview.topEntryPages[0]?.sessions === 2 && summary.overview.liaCaseSessions.mesothelioma === 1, 'Top entry pages and sessions per LIA case');
+
+    console.log('\n📋 Test 4: API');
+    const tracker = new QueryTracker({ enableFileLogging: false, enableHubSpotTracking: false });
+    const app = createApp({
+        llm: new MockLLMProvider({ responses: ['Mesothelioma is caused by asbestos.'] }),
+        tracker,
+        sessionManager: new SessionManager({ secrets: ['test-secret'] }),
+        dataService: {
+            async searchArticles() { return []; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: true, caseType: 'mesothelioma', name: 'Mesothelioma' }; },
+            async getReputableSources() { return []; },
+            formatReputableSourcesForResponse() { return ''; }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', answerCacheEnabled: false } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const chat = (headers = {}) => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Referer: 'https://injuryinfo.example/mesothelioma', ...headers },
+        body: JSON.stringify({ message: 'What is mesothelioma?' })
+    });
+
+    try {
+        const firstResponse = await chat();
+        const issued = firstResponse.headers.get('X-Session-Id');
+        const cookie = firstResponse.headers.get('Set-Cookie') || '';
+        const firstBody = await firstResponse.json();
+        check(issued && cookie.startsWith(`ii_session=${encodeURIComponent(issued)}`) && /HttpOnly/i.test(cookie) && /SameSite=Lax/i.test(cookie), 'New visitors get a signed HttpOnly cookie and header');
+
+        const secondResponse = await chat({ Cookie: cookie.split(';')[0] });
+        const secondBody = await secondResponse.json();
+        const thirdResponse = await chat({ 'X-Session-Id': secondResponse.headers.get('X-Session-Id') });
+        const thirdBody = await thirdResponse.json();
+        const forgedBody = await (await chat({ 'X-Session-Id': 'sess_attacker' })).json();
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const sessionOf = body => tracker.recentQueries.find(query => query.queryId === body.queryId)?.sessionId;
+        const sessionId = sessionOf(firstBody);
+        check(/^sess_/.test(sessionId) && sessionOf(secondBody) === sessionId && sessionOf(thirdBody) === sessionId, 'Cookie and header keep queries in one session');
+        check(sessionOf(forgedBody) && sessionOf(forgedBody) !== sessionId && sessionOf(forgedBody) !== 'sess_attacker', 'Unsigned session IDs get a new session');
+
+        await fetch(`${base}/api/sources/click`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Session-Id': thirdResponse.headers.get('X-Session-Id') },
+            body: JSON.stringify({ queryId: firstBody.queryId, url: 'https://www.cancer.gov/mesothelioma' })
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        check(tracker.recentConversions.some(conversion => conversion.queryId === firstBody.queryId && conversion.sessionId === sessionId), 'Conversions record the session');
+
+        const login = await (await fetch(`${base}/api/analytics/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'test-admin', password: 'test-password' })
+        })).json();
+        const auth = { Authorization: `Bearer ${login.token}` };
+
+        const stats = await (await fetch(`${base}/api/analytics/sessions?days=1`, { headers: auth })).json();
+        const row = stats.sessions?.find(entry => entry.sessionId === sessionId);
+        check(stats.success && stats.overview.totalSessions === 2, 'Session list covers each visitor');
+        check(row?.queries === 3 && row.conversions === 1 && row.liaCases.join() === 'mesothelioma', 'Session list reports queries, conversions and LIA cases');
+
+        const detail = await (await fetch(`${base}/api/analytics/sessions/${sessionId}?days=1`, { headers: auth })).json();
+        check(detail.session?.queryLog.length === 3 && detail.session.conversionLog.length === 1, 'Session detail lists its queries and conversions');
+        check(detail.session.conversionLog[0].conversionType === 'source_click', 'Session detail reports the conversion type');
+        check((await fetch(`${base}/api/analytics/sessions/sess_missing`, { headers: auth })).status === 404, 'Unknown sessions return 404');
+        check((await fetch(`${base}/api/analytics/sessions`)).status === 401, 'Session analytics require a login');
+    } finally {
+        server.close();
+        clearTimeout(tracker.batchTimer);
+    }
+
+    console.log('\n🎉 Session tests completed!');
+}
+
+testSessions().catch(fail);
@@ -0,0 +1,95 @@
+/**
+ * Test script for the typed SSE protocol and Last-Event-ID replay
+ * Uses an in-memory response object - no server required
+ */
+
+import { SSEStream, SSEReplayBuffer, parseLastEventId, resumeStream } from './utils/sse-stream.js';
+import { check, fail } from './test-helpers.js';
+
+/**
+ * Minimal stand-in for an HTTP response
+ */
+function createFakeResponse() {
+    const closeHandlers = [];
+    return {
+        statusCode: null,
+        headers: null,
+        output: '',
+        writableEnded: false,
+        destroyed: false,
+        writeHead(status, headers) { this.statusCode = status; this.headers = headers; },
+        write(chunk) { this.output += chunk; return true; },
+        end() { this.writableEnded = true; },
+        on(event, handler) { if (event === 'close') closeHandlers.push(handler); },
+        disconnect() { this.destroyed = true; closeHandlers.forEach(handler => handler()); }
+    };
+}
+
+function createFakeRequest(lastEventId) {
+    return { get: name => (name === 'Last-Event-ID' ? lastEventId : undefined), query: {} };
+}
+
+function parseEvents(output) {
+    return output.split('\n\n').filter(frame => frame.includes('event:')).map(frame => ({
+        id: /^id: (.+)$/m.exec(frame)?.[1],
+        event: /^event: (.+)$/m.exec(frame)?.[1],
+        data: JSON.parse(/^data: (.+)$/m.exec(frame)?.[1])
+    }));
+}
+
+async function testSSEStream() {
+    console.log('🧪 Testing SSE Stream Protocol\n');
+
+    // Test 1: Typed events with IDs
+    console.log('1. Testing typed events...');
+    const buffer = new SSEReplayBuffer();
+    const res = createFakeResponse();
+    const stream = new SSEStream(res, { buffer, heartbeatInterval: 20 }).open();
+    check(res.headers['Content-Type'].startsWith('text/event-stream'), 'SSE headers sent');
+    check(!('Access-Control-Allow-Origin' in res.headers), 'CORS headers left to the cors middleware');
+
+    stream.send('context', { conversationId: 'conv_1', items: [] });
+    stream.send('token', { content: 'Hello ' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    check(res.output.includes(': heartbeat'), 'Heartbeat comments sent while idle');
+
+    let events = parseEvents(res.output);
+    check(events[0].event === 'context' && events[1].event === 'token', 'Named events written in order');
+    check(events[1].id === `${stream.streamId}:2`, `Event IDs carry stream and sequence (${events[1].id})`);
+
+    // Test 2: Client drops, generation continues into the buffer
+    console.log('\n2. Testing disconnect and resume...');
+    res.disconnect();
+    stream.send('token', { content: 'world' });
+    stream.send('lia_case', { liaCase: null });
+    check(!res.output.includes('world'), 'Nothing written after the client disconnects');
+
+    const resumed = createFakeResponse();
+    check(resumeStream(createFakeRequest(events[1].id), resumed, buffer), 'Stream resumed from Last-Event-ID');
+    events = parseEvents(resumed.output);
+    check(events.map(e => e.event).join(',') === 'token,lia_case', 'Only missed events replayed');
+    check(!resumed.writableEnded, 'Resumed connection stays open while the stream runs');
+
+    stream.send('done', { conversationId: 'conv_1' });
+    check(parseEvents(resumed.output).at(-1)?.event === 'done', 'Live events forwarded to the resumed connection');
+    check(resumed.writableEnded, 'Resumed connection closed after done');
+
+    // Test 3: Finished and unknown streams
+    console.log('\n3. Testing finished and expired streams...');
+    const replayed = createFakeResponse();
+    resumeStream(createFakeRequest(`${stream.streamId}:0`), replayed, buffer);
+    check(parseEvents(replayed.output).length === 5 && replayed.writableEnded, 'Finished stream replayed in full, then closed');
+    check(!resumeStream(createFakeRequest('str_0000000000000000:1'), createFakeResponse(), buffer), 'Unknown stream not resumed');
+    check(parseLastEventId('garbage') === null, 'Malformed Last-Event-ID ignored');
+
+    const shortBuffer = new SSEReplayBuffer({ ttl: 10 });
+    const shortStream = new SSEStream(createFakeResponse(), { buffer: shortBuffer }).open();
+    shortStream.send('done', {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+    check(!resumeStream(createFakeRequest(`${shortStream.streamId}:0`), createFakeResponse(), shortBuffer), 'Expired stream not resumed');
+
+    console.log('\n✅ SSE stream tests complete!');
+}
+
+// Run the test
+testSSEStream().catch(fail);
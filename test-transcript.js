@@ -0,0 +1,132 @@
+/**
+ * Test script for downloadable conversation transcripts
+ * Checks the Markdown, HTML and PDF renderings of a conversation and of a single answer.
+ * Uses the mock LLM provider - no server or API keys required.
+ */
+
+import { check, fail } from './test-helpers.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { renderPDF } = await import('./utils/transcript.js');
+const { MockLLMProvider } = await import('./utils/llm-provider.js');
+const { ReputableSourcesService } = await import('./reputable-sources-service.js');
+const { SERVER_AI_CONFIG } = await import('./server-ai-config.js');
+const { createApp } = await import('./app.js');
+
+const article = {
+    title: 'Mesothelioma',
+    slug: 'mesothelioma',
+    description: 'Asbestos-related cancer.',
+    content: { overview: 'Mesothelioma is caused by asbestos exposure.' },
+    source: 'google_sheets'
+};
+
+const sources = [
+    { sourceTitle: 'Mesothelioma - <NCI>', sourceUrl: 'https://www.cancer.gov/types/mesothelioma', sourceType: 'Government', priority: 1 }
+];
+
+// Every xref offset must point at its object, and startxref at the xref table
+function isWellFormedPDF(buffer) {
+    const text = buffer.toString('latin1');
+    const startxref = parseInt(text.match(/startxref\n(\d+)/)[1], 10);
+    if (!text.startsWith('%PDF-1.4') || text.slice(startxref, startxref + 4) !== 'xref') return false;
+    const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => parseInt(match[1], 10));
+    return offsets.every((offset, index) => text.slice(offset).startsWith(`${index + 1} 0 obj`));
+}
+
+async function testTranscript() {
+    console.log('🧪 Testing Conversation Transcripts\n');
+
+    const formatter = new ReputableSourcesService({ googleSheets: { async readSheet() { return { data: [], headers: [] }; } } });
+    const llm = new MockLLMProvider({
+        responses: [
+            'Mesothelioma is a cancer caused by **asbestos** exposure [1].',
+            'Symptoms can take 20–50 years to appear (see “latency”).'
+        ]
+    });
+    const app = createApp({
+        llm,
+        dataService: {
+            async searchArticles() { return [article]; },
+            async getSettlementData() { return []; },
+            async getLawFirms() { return []; },
+            async checkLIAActiveCase() { return { isActive: false }; },
+            async getReputableSources() { return sources; },
+            formatReputableSourcesForResponse(list) { return formatter.formatSourcesForResponse(list); }
+        },
+        config: { ...SERVER_AI_CONFIG, chat: { ...SERVER_AI_CONFIG.chat, contextMode: 'prefetch', answerCacheEnabled: false } },
+        verificationMiddleware: { async verifyResponse(response) { return { response, verified: true, warnings: [], claimsVerified: 0 }; } },
+        tracker: { trackQuery: async () => ({ success: true }), getStatus: () => ({}) }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // One visitor session throughout, so the follow-up continues its conversation
+    let session = null;
+    const sessionHeaders = () => session ? { 'X-Session-Id': session } : {};
+    const chat = body => fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...sessionHeaders() },
+        body: JSON.stringify(body)
+    }).then(response => {
+        session = response.headers.get('X-Session-Id');
+        return response.json();
+    });
+    const download = url => fetch(url, { headers: sessionHeaders() });
+
+    try {
+        const first = await chat({ message: 'What is mesothelioma?' });
+        const second = await chat({ message: 'How long until symptoms show?', conversationId: first.conversationId });
+        const transcriptUrl = `${base}/api/conversations/${first.conversationId}/transcript`;
+
+        console.log('📋 Test 1: Markdown');
+        const mdResponse = await download(`${transcriptUrl}?format=md`);
+        const markdown = await mdResponse.text();
+        check(mdResponse.headers.get('content-type').startsWith('text/markdown'), 'Markdown content type');
+        check(/attachment; filename="injury-info-transcript-conv_\w+\.md"/.test(mdResponse.headers.get('content-disposition')), 'Sent as a download');
+        check(markdown.includes('**You asked:** What is mesothelioma?') && markdown.includes('**You asked:** How long until symptoms show?'), 'Both questions included');
+        check(markdown.includes(`1. [Mesothelioma](${base}/article/mesothelioma)`), 'Cited records listed with full URLs');
+        check(markdown.includes('[Mesothelioma - <NCI>](https://www.cancer.gov/types/mesothelioma)'), 'Reputable sources listed with their URLs');
+        check(markdown.includes(SERVER_AI_CONFIG.transcript.disclaimer), 'Disclaimer included');
+        check(/_\w{3}, \d{2} \w{3} \d{4}/.test(markdown), 'Answers are timestamped');
+
+        console.log('\n📋 Test 2: HTML');
+        const html = await (await download(`${transcriptUrl}?format=html`)).text();
+        check(html.startsWith('<!DOCTYPE html>') && html.includes('@media print'), 'Standalone, print-friendly page');
+        check(html.includes('<strong>Other Helpful Sources:</strong>') && html.includes('Read More</a>'), 'Sources block comes from formatSourcesForResponse');
+        check(html.includes('Mesothelioma - &lt;NCI&gt;') && !html.includes('<NCI>'), 'Source fields are escaped');
+        check(html.includes('<strong>asbestos</strong>'), 'Answer Markdown rendered');
+
+        console.log('\n📋 Test 3: PDF');
+        const pdfResponse = await download(`${transcriptUrl}?format=pdf`);
+        const pdf = Buffer.from(await pdfResponse.arrayBuffer());
+        check(pdfResponse.headers.get('content-type') === 'application/pdf', 'PDF content type');
+        check(isWellFormedPDF(pdf), 'PDF header, objects and xref offsets are consistent');
+        const pdfText = pdf.toString('latin1');
+        check(pdfText.includes('(You asked: What is mesothelioma?) Tj') && pdfText.includes('20-50 years to appear \\(see "latency"\\)'), 'Text is escaped and typographic characters replaced');
+        check(pdfText.includes('https://www.cancer.gov/types/mesothelioma'), 'Source URLs in the PDF');
+
+        const long = renderPDF({
+            title: 'Long',
+            generatedAt: new Date().toISOString(),
+            exchanges: [{ question: 'Q', answer: 'A long answer sentence. '.repeat(400), timestamp: new Date().toISOString(), citations: [], reputableSources: [] }],
+            disclaimer: 'Disclaimer'
+        });
+        check(/\/Count [2-9]/.test(long.toString('latin1')) && isWellFormedPDF(long), 'Long answers wrap onto more pages');
+
+        console.log('\n📋 Test 4: Single answer and errors');
+        const single = await (await download(`${transcriptUrl}?format=md&queryId=${second.queryId}`)).text();
+        check(single.includes('How long until symptoms show?') && !single.includes('What is mesothelioma?'), 'queryId limits the transcript to one answer');
+        check((await download(`${transcriptUrl}?queryId=query_unknown`)).status === 404, 'Unknown queryId returns 404');
+        check((await download(`${base}/api/conversations/conv_missing/transcript`)).status === 404, 'Unknown conversation returns 404');
+        check((await download(`${transcriptUrl}?format=docx`)).status === 400, 'Unsupported format returns 400');
+        check((await fetch(`${transcriptUrl}?format=md`)).status === 404, "Other sessions can't download the transcript");
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Transcript tests completed!');
+}
+
+testTranscript().catch(fail);
@@ -0,0 +1,146 @@
+/**
+ * Answer Cache for repeated chat questions
+ *
+ * First-turn questions that normalize to the same keywords ("what is mesothelioma?",
+ * "Mesothelioma - what is it") share one cached answer instead of a new completion.
+ * Keywords stay in the order they were asked and negations ("not", "can't", "nunca") are
+ * kept, so "can I sue" and "can I not sue" get separate answers.
+ * Keys combine the normalized query and its language with the prompt version (a hash of
+ * the system messages and model settings, or PROMPT_VERSION) and the data snapshot version
+ * from DataIntegrationService, so editing a prompt or a change in the underlying data
+ * invalidates every cached answer. Entries also expire after a TTL.
+ */
+
+import crypto from 'crypto';
+import { tokenize } from './language.js';
+
+// Stop words that flip a question's meaning ("can't" tokenizes to "can" + "t")
+const NEGATION_WORDS = new Set([
+    'no', 'not', 'nor', 'never', 'cannot', 't', 'without', 'none', 'nothing',
+    'nunca', 'ni', 'sin', 'jamas', 'tampoco', 'nada', 'nadie', 'ningun', 'ninguno', 'ninguna'
+]);
+
+export class AnswerCache {
+    constructor(config = {}) {
+        this.enabled = config.enabled ?? true;
+        this.ttl = config.ttl || 15 * 60 * 1000;
+        this.maxEntries = config.maxEntries || 500;
+        this.promptVersion = config.promptVersion || 'default';
+        // Keyword extraction (stop words removed) and the current data snapshot version
+        this.normalize = config.normalize || (query => String(query || '').toLowerCase().split(/\W+/).filter(Boolean));
+        this.getDataVersion = config.getDataVersion || (() => 0);
+        // The same keywords in another language need their own answer
+        this.detectLanguage = config.detectLanguage || (() => 'en');
+
+        this.entries = new Map();
+        this.dataVersion = null;
+        this.stats = { hits: 0, misses: 0, stores: 0, expired: 0, invalidations: 0 };
+    }
+
+    /**
+     * Cache key for a query, or null when it has no keywords to key on
+     * variant: experiment variant ("experiment/variant"), so each variant caches its own answers
+     */
+    getKey(query, variant = null) {
+        const normalized = this.normalize(query);
+        if (!Array.isArray(normalized) || normalized.length === 0) return null;
+        const keywords = new Set(normalized);
+        // Keywords in the order they were asked, with each negation in place
+        const terms = [];
+        for (const word of tokenize(query)) {
+            if (NEGATION_WORDS.has(word)) terms.push('not');
+            else if (keywords.delete(word)) terms.push(word);
+        }
+        // Anything the normalizer added that is not a word of the query (e.g. synonyms)
+        terms.push(...[...keywords].sort());
+        const scope = variant ? `${this.detectLanguage(query)}@${variant}` : this.detectLanguage(query);
+        return `${this.promptVersion}:${this.currentDataVersion()}:${scope}:${terms.join(' ')}`;
+    }
+
+    /**
+     * Cached answer for a key (counts a hit or miss)
+     */
+    get(key) {
+        if (!this.enabled || !key) return null;
+        this.currentDataVersion();
+
+        const entry = this.entries.get(key);
+        if (entry && Date.now() - entry.timestamp >= this.ttl) {
+            this.entries.delete(key);
+            this.stats.expired++;
+        } else if (entry) {
+            this.stats.hits++;
+            entry.hits++;
+            console.log(`📋 Answer cache hit for "${key}"`);
+            return entry.answer;
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    set(key, answer) {
+        if (!this.enabled || !key) return;
+
+        // Answers generated while the data changed belong to the old snapshot
+        if (!key.startsWith(`${this.promptVersion}:${this.currentDataVersion()}:`)) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { answer, timestamp: Date.now(), hits: 0 });
+        this.stats.stores++;
+
+        // Oldest entries go first once the cache is full
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every cached answer
+     */
+    invalidate(reason = 'manual') {
+        if (this.entries.size > 0) {
+            console.log(`🗑️ Answer cache invalidated (${reason}), ${this.entries.size} answers dropped`);
+        }
+        this.entries.clear();
+        this.stats.invalidations++;
+    }
+
+    /**
+     * Data version right now; clears the cache when the underlying data has changed
+     */
+    currentDataVersion() {
+        const version = this.getDataVersion();
+        if (this.dataVersion !== null && version !== this.dataVersion) {
+            this.invalidate(`data version ${this.dataVersion} -> ${version}`);
+        }
+        this.dataVersion = version;
+        return version;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+            ttlMinutes: this.ttl / 1000 / 60,
+            promptVersion: this.promptVersion,
+            dataVersion: this.currentDataVersion()
+        };
+    }
+}
+
+/**
+ * Prompt version: PROMPT_VERSION when set, otherwise a hash of the system messages and model settings
+ */
+export function getPromptVersion(config) {
+    if (config.chat?.promptVersion) return config.chat.promptVersion;
+
+    const { model, temperature, max_tokens } = config.api || {};
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ systemMessages: config.systemMessages, model, temperature, max_tokens, contextMode: config.chat?.contextMode }))
+        .digest('hex')
+        .slice(0, 12);
+}
@@ -0,0 +1,112 @@
+/**
+ * Article-grounded chat
+ *
+ * On /article/:slug pages the chat sends an articleSlug. The answer is grounded in that
+ * article (overview, symptoms, causes, legal options, settlements) through the
+ * articleContext system message, and the model ends its answer with [[ARTICLE]] when it
+ * only used the article or [[GENERAL]] when it also drew on general knowledge.
+ * The marker is stripped from the answer and reported as the grounding scope; when the
+ * model leaves it out, the scope is inferred from whether the article was cited.
+ */
+
+export const GROUNDING_SCOPES = {
+    ARTICLE: 'article',
+    GENERAL: 'general'
+};
+
+const MARKERS = ['[[ARTICLE]]', '[[GENERAL]]'];
+const MARKER_PATTERN = /[ \t]*\n*[ \t]*\[\[(ARTICLE|GENERAL)\]\][ \t]*/gi;
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Article fields used for grounding, in prompt order
+const ARTICLE_SECTIONS = [
+    ['Overview', article => article.content?.overview || article.description],
+    ['Symptoms', article => article.content?.symptoms],
+    ['Causes', article => article.content?.causes],
+    ['Legal options', article => article.content?.legalOptions],
+    ['Settlements', article => article.content?.settlements]
+];
+
+/**
+ * Article content as sent to the model (empty sections left out)
+ */
+export function formatArticleContext(article, ref = null) {
+    const lines = [];
+    if (ref) lines.push(`Ref: ${ref}`);
+
+    for (const [label, read] of ARTICLE_SECTIONS) {
+        const value = read(article);
+        const text = Array.isArray(value) ? value.filter(Boolean).join('; ') : String(value || '').trim();
+        if (text) lines.push(`${label}: ${text}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Strip the grounding marker from a finished answer
+ * Returns { text, scope, source: 'model' | 'inferred' }
+ */
+export function extractGroundingMarker(text, articleRef = null) {
+    const value = String(text || '');
+    const markers = [...value.matchAll(MARKER_PATTERN)];
+    const stripped = value.replace(MARKER_PATTERN, '').trimEnd();
+
+    if (markers.length > 0) {
+        const scope = markers[markers.length - 1][1].toLowerCase();
+        return { text: stripped, scope, source: 'model' };
+    }
+
+    // No marker: an answer that cites the article stayed in it, anything else counts as general knowledge
+    const citedRefs = [...stripped.matchAll(CITATION_PATTERN)]
+        .flatMap(match => match[1].split(',').map(id => parseInt(id.trim(), 10)));
+    const citesArticle = articleRef !== null && citedRefs.includes(articleRef);
+    return {
+        text: stripped,
+        scope: citesArticle ? GROUNDING_SCOPES.ARTICLE : GROUNDING_SCOPES.GENERAL,
+        source: 'inferred'
+    };
+}
+
+/**
+ * Holds back streamed text that could be the start of a marker, so clients never see it
+ */
+export class GroundingMarkerFilter {
+    constructor() {
+        this.pending = '';
+    }
+
+    /**
+     * Text that is safe to send for this chunk
+     */
+    push(chunk) {
+        const text = (this.pending + chunk).replace(MARKER_PATTERN, '');
+        const held = partialMarkerLength(text);
+        this.pending = text.slice(text.length - held);
+        return text.slice(0, text.length - held);
+    }
+
+    /**
+     * Whatever was held back once the stream is finished (a marker is never completed by then)
+     */
+    flush() {
+        const text = this.pending.replace(MARKER_PATTERN, '');
+        this.pending = '';
+        return text;
+    }
+}
+
+// Length of the longest suffix that is the start of a marker, plus the whitespace before it
+// (the marker goes on its own line, and its line break shouldn't be streamed either)
+function partialMarkerLength(text) {
+    const upper = text.toUpperCase();
+    let held = 0;
+    for (let length = Math.min(text.length, MARKERS[0].length - 1); length > 0; length--) {
+        const suffix = upper.slice(upper.length - length);
+        if (MARKERS.some(marker => marker.startsWith(suffix))) {
+            held = length;
+            break;
+        }
+    }
+    while (held < text.length && /\s/.test(text[text.length - held - 1])) held++;
+    return held;
+}
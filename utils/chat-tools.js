@@ -0,0 +1,439 @@
+/**
+ * Chat Tools
+ *
+ * OpenAI tool (function) definitions backed by DataIntegrationService, plus a
+ * bounded tool-call loop for both streaming and non-streaming completions.
+ * The model fetches articles, settlements, law firms, LIA cases and reputable
+ * sources on demand instead of receiving everything up front.
+ */
+
+export const CHAT_TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'search_articles',
+            description: 'Search injury, medical and legal articles in our database by condition, product or case name.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Condition, product or case to search for, e.g. "mesothelioma" or "roundup"' }
+                },
+                required: ['query']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_settlement_data',
+            description: 'Get settlement ranges and averages for a condition or mass tort case.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    condition: { type: 'string', description: 'Condition or case type, e.g. "mesothelioma"' },
+                    state: { type: 'string', description: 'Optional US state to narrow results' }
+                },
+                required: ['condition']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'find_law_firms',
+            description: 'Find law firm coverage (specialties, locations, experience) for legal questions. Contact details are never returned.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    specialty: { type: 'string', description: 'Case type or specialty, e.g. "talc" or "camp lejeune"' },
+                    location: { type: 'string', description: 'Optional city or state' }
+                },
+                required: ['specialty']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'check_lia_case',
+            description: 'Check whether the user\'s situation matches an active mass tort case.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Description of the condition, product or exposure' }
+                },
+                required: ['query']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_reputable_sources',
+            description: 'Get vetted medical, government and legal sources relevant to a topic.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Topic to find sources for' },
+                    limit: { type: 'integer', description: 'Maximum number of sources (1-5)', minimum: 1, maximum: 5 }
+                },
+                required: ['query']
+            }
+        }
+    }
+];
+
+/**
+ * Executes tool calls for a single chat request and remembers what was retrieved,
+ * so the route can report tool usage and build sources/LIA metadata afterwards.
+ */
+export class ChatToolExecutor {
+    constructor(config = {}) {
+        this.dataService = config.dataService;
+        // Tool names the model may use (from the query intent); null allows all
+        this.allowedTools = config.allowedTools || null;
+        // Optional ContextBuilder: tool results share one prompt token budget per request
+        this.contextBuilder = config.contextBuilder || null;
+        this.contextWeights = config.contextWeights || {};
+        // Optional CitationRegistry: records returned to the model carry a "ref" it can cite as [n]
+        this.citations = config.citations || null;
+        this.contextTokensUsed = 0;
+        this.contextReports = [];
+        this.calls = [];
+        this.articles = [];
+        this.settlements = [];
+        this.lawFirms = [];
+        this.liaCase = null;
+        this.reputableSources = null;
+
+        this.handlers = {
+            search_articles: args => this.searchArticles(args),
+            get_settlement_data: args => this.getSettlementData(args),
+            find_law_firms: args => this.findLawFirms(args),
+            check_lia_case: args => this.checkLIACase(args),
+            get_reputable_sources: args => this.getReputableSources(args)
+        };
+    }
+
+    /**
+     * Tool definitions to send with the completion request
+     */
+    getToolDefinitions() {
+        if (!this.allowedTools) return CHAT_TOOL_DEFINITIONS;
+        return CHAT_TOOL_DEFINITIONS.filter(tool => this.allowedTools.includes(tool.function.name));
+    }
+
+    /**
+     * Run one tool call from the model and return the message content for the tool reply
+     */
+    async executeToolCall(toolCall) {
+        const startTime = Date.now();
+        const name = toolCall.function?.name;
+        const handler = this.handlers[name];
+        let args = {};
+
+        try {
+            args = JSON.parse(toolCall.function?.arguments || '{}');
+        } catch (error) {
+            return this.recordCall(name, args, startTime, { error: 'Invalid JSON arguments' });
+        }
+
+        if (!handler || (this.allowedTools && !this.allowedTools.includes(name))) {
+            return this.recordCall(name, args, startTime, { error: `Unknown tool: ${name}` });
+        }
+
+        try {
+            console.log(`🛠️ Tool call: ${name}(${JSON.stringify(args)})`);
+            const result = await handler(args);
+            return this.recordCall(name, args, startTime, result);
+        } catch (error) {
+            console.warn(`⚠️ Tool ${name} failed:`, error.message);
+            return this.recordCall(name, args, startTime, { error: 'Tool failed - answer from general knowledge' });
+        }
+    }
+
+    recordCall(name, args, startTime, result) {
+        this.calls.push({
+            name,
+            arguments: args,
+            resultCount: Array.isArray(result.results) ? result.results.length : (result.error ? 0 : 1),
+            error: result.error || null,
+            durationMs: Date.now() - startTime
+        });
+        return JSON.stringify(result);
+    }
+
+    /**
+     * Rank and trim tool results under the remaining context budget
+     */
+    packResults(tool, query, candidates) {
+        const built = this.contextBuilder.build({
+            query,
+            ...candidates,
+            weights: this.contextWeights,
+            citations: this.citations,
+            maxTokens: Math.max(this.contextBuilder.maxTokens - this.contextTokensUsed, 0)
+        });
+        this.contextTokensUsed += built.tokens;
+        this.contextReports.push({ tool, query, ...built.report });
+
+        const result = { results: built.items };
+        if (built.report.excluded.length > 0) {
+            result.omitted = built.report.excluded.length;
+        }
+        return result;
+    }
+
+    async searchArticles({ query }) {
+        if (this.contextBuilder) {
+            const result = this.packResults('search_articles', query, { articles: await this.dataService.searchArticles(query || '') });
+            this.articles.push(...result.results);
+            return result;
+        }
+
+        const articles = (await this.dataService.searchArticles(query || '')).slice(0, 3);
+        this.articles.push(...articles);
+        return {
+            results: articles.map(article => this.withRef('article', article, {
+                type: 'article',
+                title: article.title,
+                slug: article.slug,
+                description: article.description,
+                overview: article.content?.overview,
+                symptoms: article.content?.symptoms,
+                legalOptions: article.content?.legalOptions,
+                settlements: article.content?.settlements
+            }))
+        };
+    }
+
+    async getSettlementData({ condition, state = null }) {
+        if (this.contextBuilder) {
+            const result = this.packResults('get_settlement_data', [condition, state].filter(Boolean).join(' '), {
+                settlements: await this.dataService.getSettlementData(condition, state)
+            });
+            this.settlements.push(...result.results);
+            return result;
+        }
+
+        const settlements = (await this.dataService.getSettlementData(condition, state)).slice(0, 2);
+        this.settlements.push(...settlements);
+        return { results: settlements.map(settlement => this.withRef('settlement', settlement, { type: 'settlement', ...settlement })) };
+    }
+
+    async findLawFirms({ specialty, location = null }) {
+        if (this.contextBuilder) {
+            // The builder sanitizes law firms (no contact details)
+            const result = this.packResults('find_law_firms', [specialty, location].filter(Boolean).join(' '), {
+                lawFirms: await this.dataService.getLawFirms(specialty, location)
+            });
+            this.lawFirms.push(...result.results);
+            return result;
+        }
+
+        const firms = (await this.dataService.getLawFirms(specialty, location)).slice(0, 3);
+
+        // Anonymize law firm data - remove contact info and websites
+        const sanitizedFirms = firms.map(firm => sanitizeLawFirm(firm));
+        this.lawFirms.push(...sanitizedFirms);
+        return { results: sanitizedFirms };
+    }
+
+    async checkLIACase({ query }) {
+        const result = await this.dataService.checkLIAActiveCase(query || '');
+        if (result.isActive) {
+            this.liaCase = result;
+        }
+        return {
+            isActive: !!result.isActive,
+            name: result.name || null,
+            description: result.description || null
+        };
+    }
+
+    async getReputableSources({ query, limit = 5 }) {
+        const sources = await this.dataService.getReputableSources(query || '', Math.min(Math.max(limit, 1), 5));
+        this.reputableSources = sources;
+        return {
+            results: sources.map(source => this.withRef('reputable_source', source, {
+                title: source.sourceTitle,
+                type: source.sourceType,
+                description: source.description
+            }))
+        };
+    }
+
+    withRef(type, record, shaped) {
+        return this.citations ? this.citations.attach(type, record, shaped) : shaped;
+    }
+
+    /**
+     * Items retrieved through tools, in the same shape as prefetched context
+     */
+    getContextItems() {
+        return [...this.articles, ...this.settlements, ...this.lawFirms];
+    }
+
+    /**
+     * What each tool call put into (or left out of) the prompt, for debug metadata
+     */
+    getContextReport() {
+        return {
+            budget: this.contextBuilder?.maxTokens ?? null,
+            usedTokens: this.contextTokensUsed,
+            calls: this.contextReports
+        };
+    }
+
+    /**
+     * Summary of tools used, for response metadata and analytics
+     */
+    getToolsUsed() {
+        return this.calls.map(call => ({
+            name: call.name,
+            arguments: call.arguments,
+            resultCount: call.resultCount,
+            error: call.error,
+            durationMs: call.durationMs
+        }));
+    }
+}
+
+/**
+ * Strip contact details from a law firm record before it reaches the model
+ */
+export function sanitizeLawFirm(firm) {
+    return {
+        type: 'law_firm',
+        name: firm.name,
+        location: firm.location,
+        specialties: firm.specialties,
+        experience: firm.experience,
+        successRate: firm.successRate,
+        notableSettlements: firm.notableSettlements,
+        source: 'law_firm_directory'
+        // Removed: website, phone, direct contact info
+    };
+}
+
+function createUsageTotals() {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * Add one completion's token usage to a running total (tool loops make several calls)
+ */
+export function addUsage(totals, usage) {
+    if (!usage) return totals;
+    totals.prompt_tokens += usage.prompt_tokens || 0;
+    totals.completion_tokens += usage.completion_tokens || 0;
+    totals.total_tokens += usage.total_tokens || 0;
+    return totals;
+}
+
+/**
+ * Non-streaming tool loop: call the model, run any requested tools, repeat.
+ * After maxIterations rounds the model is asked to answer without tools.
+ */
+export async function runToolLoop({ provider, request, executor, maxIterations = 3 }) {
+    const messages = [...request.messages];
+    const tools = executor.getToolDefinitions();
+    const usage = createUsageTotals();
+
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        const allowTools = iteration < maxIterations;
+        const completion = await provider.createChatCompletion({
+            ...request,
+            messages,
+            tools,
+            tool_choice: allowTools ? 'auto' : 'none'
+        });
+
+        addUsage(usage, completion.usage);
+        const choice = completion.choices[0];
+        const toolCalls = choice.message?.tool_calls || [];
+
+        if (!allowTools || toolCalls.length === 0) {
+            return { completion, messages, usage };
+        }
+
+        messages.push(choice.message);
+        for (const toolCall of toolCalls) {
+            messages.push({
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: await executor.executeToolCall(toolCall)
+            });
+        }
+    }
+}
+
+/**
+ * Streaming tool loop: streams content tokens through onToken while tool-call
+ * deltas are assembled and executed between rounds. Returns the full answer text.
+ */
+export async function runStreamingToolLoop({ provider, request, executor, onToken, maxIterations = 3 }) {
+    const messages = [...request.messages];
+    const tools = executor.getToolDefinitions();
+    const usage = createUsageTotals();
+    let fullResponse = '';
+
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        const allowTools = iteration < maxIterations;
+        const stream = await provider.createChatCompletion({
+            ...request,
+            messages,
+            tools,
+            tool_choice: allowTools ? 'auto' : 'none',
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        const toolCalls = [];
+        let finishReason = null;
+        let roundContent = '';
+
+        for await (const chunk of stream) {
+            // With include_usage the last chunk carries usage and no choices
+            addUsage(usage, chunk.usage);
+            const choice = chunk.choices?.[0];
+            if (!choice) continue;
+
+            const content = choice.delta?.content || '';
+            if (content) {
+                roundContent += content;
+                fullResponse += content;
+                onToken(content);
+            }
+
+            // Tool call arguments arrive in fragments keyed by index
+            for (const delta of choice.delta?.tool_calls || []) {
+                const call = toolCalls[delta.index] || (toolCalls[delta.index] = {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                });
+                if (delta.id) call.id = delta.id;
+                if (delta.function?.name) call.function.name += delta.function.name;
+                if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+            }
+
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+        }
+
+        // Indexes may skip numbers - drop the holes before echoing the calls back
+        const calls = toolCalls.filter(Boolean);
+        if (!allowTools || finishReason !== 'tool_calls' || calls.length === 0) {
+            return { fullResponse, messages, usage };
+        }
+
+        messages.push({ role: 'assistant', content: roundContent || null, tool_calls: calls });
+        for (const toolCall of calls) {
+            messages.push({
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: await executor.executeToolCall(toolCall)
+            });
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Inline numbered citations
+ *
+ * Every record that goes into the prompt (article, settlement row, reputable source)
+ * is registered here and gets a citation ID, sent to the model as its "ref". The model
+ * cites with [n] markers; after the answer is complete, resolve() keeps markers that
+ * point at a registered record, renumbers them in order of appearance and strips the rest.
+ *
+ * Law firms are never citable (their names stay out of answers), and neither are
+ * Legal Injury Advocates sources, which only appear in the sources block.
+ */
+
+const MARKER_PATTERN = /[ \t]*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const LIA_SOURCE_TYPES = ['LIA Blog Post', 'Legal Injury Advocates'];
+
+/**
+ * Citation metadata for each citable record type
+ */
+const CITABLE_TYPES = {
+    article: record => ({
+        title: record.title,
+        slug: record.slug || null,
+        url: record.slug ? `/article/${record.slug}` : null,
+        source: record.source || null
+    }),
+    settlement: record => ({
+        title: [record.condition, record.state && record.state !== 'All' ? record.state : null].filter(Boolean).join(' - ') || 'Settlement data',
+        slug: null,
+        url: record.sourceLink || null,
+        source: record.source || null
+    }),
+    reputable_source: record => ({
+        title: record.sourceTitle || record.title,
+        slug: null,
+        url: record.sourceUrl || record.url || null,
+        source: record.source || null
+    })
+};
+
+export class CitationRegistry {
+    constructor() {
+        this.entries = [];
+        this.byKey = new Map();
+    }
+
+    /**
+     * Whether a record of this type can be cited
+     */
+    isCitable(type, record) {
+        if (!CITABLE_TYPES[type]) return false;
+        if (type === 'reputable_source' && isLIASource(record)) return false;
+        return true;
+    }
+
+    /**
+     * The ID a record has (or would get) without registering it
+     */
+    peek(type, record) {
+        if (!this.isCitable(type, record)) return null;
+        return this.byKey.get(this.getKey(type, record)) ?? this.entries.length + 1;
+    }
+
+    /**
+     * Register a record and return its citation ID (the same record always gets the same ID)
+     */
+    register(type, record) {
+        if (!this.isCitable(type, record)) return null;
+
+        const key = this.getKey(type, record);
+        if (this.byKey.has(key)) return this.byKey.get(key);
+
+        const id = this.entries.length + 1;
+        this.entries.push({ id, type, ...CITABLE_TYPES[type](record) });
+        this.byKey.set(key, id);
+        return id;
+    }
+
+    /**
+     * Register a record and return it with its ref first, as sent to the model
+     */
+    attach(type, record, shaped = record) {
+        const ref = this.register(type, record);
+        return ref ? { ref, ...shaped } : shaped;
+    }
+
+    getKey(type, record) {
+        return entryKey({ type, ...CITABLE_TYPES[type](record) });
+    }
+
+    /**
+     * Entries for storing with the conversation, so reused context keeps its IDs
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Restore entries saved with toJSON()
+     */
+    load(entries = []) {
+        for (const entry of entries) {
+            if (this.entries.some(existing => existing.id === entry.id)) continue;
+            this.entries.push(entry);
+            this.byKey.set(entryKey(entry), entry.id);
+        }
+        this.entries.sort((a, b) => a.id - b.id);
+        return this;
+    }
+
+    /**
+     * Keep valid [n] markers (renumbered 1..k by first appearance), strip dangling ones
+     * Returns { text, citations }
+     */
+    resolve(text) {
+        const known = new Map(this.entries.map(entry => [entry.id, entry]));
+        const renumbered = new Map();
+        const citations = [];
+
+        const resolved = String(text || '').replace(MARKER_PATTERN, (marker, ids) => {
+            const kept = [];
+            for (const id of ids.split(',').map(value => parseInt(value.trim(), 10))) {
+                if (!known.has(id)) continue;
+                if (!renumbered.has(id)) {
+                    renumbered.set(id, citations.length + 1);
+                    citations.push({ ...known.get(id), id: citations.length + 1 });
+                }
+                const number = renumbered.get(id);
+                if (!kept.includes(number)) kept.push(number);
+            }
+            if (kept.length === 0) return '';
+            return `${marker.match(/^[ \t]*/)[0]}${kept.map(number => `[${number}]`).join('')}`;
+        });
+
+        return { text: resolved, citations };
+    }
+}
+
+/**
+ * Legal Injury Advocates sources are referrals - listed in the sources block, never cited or sent as context
+ */
+export function isLIASource(source) {
+    return LIA_SOURCE_TYPES.includes(source?.sourceType);
+}
+
+function entryKey(entry) {
+    return `${entry.type}:${(entry.slug || entry.url || entry.title || '').toLowerCase()}`;
+}
+
+/**
+ * Remove all [n] markers (e.g. before storing an answer as conversation history)
+ */
+export function stripCitationMarkers(text) {
+    return String(text || '').replace(MARKER_PATTERN, '');
+}
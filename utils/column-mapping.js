@@ -0,0 +1,178 @@
+/**
+ * Spreadsheet Column Mapping
+ *
+ * Maps spreadsheet rows to records using config/sheet-columns.json (or SHEET_COLUMNS_FILE), so
+ * content editors can rename columns without a code change. Per tab the config gives the sheet
+ * name and its fields:
+ *
+ *   "lawFirms": {
+ *     "sheet": "Top_10_Firms",
+ *     "fields": {
+ *       "name": { "aliases": ["Firm_Name", "Firm Name"], "type": "string", "required": true },
+ *       "specialties": { "aliases": ["Notable_Mass_Torts"], "type": "list" }
+ *     }
+ *   }
+ *
+ * Headers match a field's aliases or its own name, ignoring case, spaces and underscores; the
+ * first alias present wins. Types: string, list (split on , ; |), number, currency ("$1.2 million"
+ * -> 1200000), date (ISO string) and boolean (TRUE/yes/1/active or FALSE/no/0/inactive).
+ * Fields may set a "default" for blank or invalid cells.
+ *
+ * Every mapping returns a report: which header each field was read from, headers no field uses,
+ * required columns that are missing, and rows that were skipped (with their sheet row number).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, '..', 'config', 'sheet-columns.json');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'active'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'inactive'];
+const AMOUNT_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+
+export const COLUMN_TYPES = ['string', 'list', 'number', 'currency', 'date', 'boolean'];
+
+export class ColumnMapper {
+    constructor(config = {}) {
+        this.tabs = config.tabs || loadColumnMappings(config.mappingFile || process.env.SHEET_COLUMNS_FILE || DEFAULT_MAPPING_FILE).tabs || {};
+    }
+
+    getSheetName(tab) {
+        return this.tabs[tab]?.sheet || tab;
+    }
+
+    /**
+     * Map a sheet read ({ headers, data } as GoogleSheetsConnector.readSheet returns it)
+     * Returns { records, report }; records hold the tab's fields, typed
+     */
+    map(tab, { headers = [], data = [] } = {}, sheetName = this.getSheetName(tab)) {
+        // Rows keyed by column name are enough when a reader doesn't list the headers
+        if (headers.length === 0) headers = [...new Set(data.flatMap(row => Object.keys(row)))];
+
+        const fields = Object.entries(this.tabs[tab]?.fields || {}).map(([field, definition]) => ({
+            field,
+            type: COLUMN_TYPES.includes(definition.type) ? definition.type : 'string',
+            required: definition.required === true,
+            default: definition.default ?? null,
+            header: findHeader(headers, [...(definition.aliases || []), field])
+        }));
+
+        const report = {
+            tab,
+            sheet: sheetName,
+            rows: data.length,
+            mappedRows: 0,
+            columns: Object.fromEntries(fields.filter(field => field.header).map(field => [field.field, field.header])),
+            unmappedHeaders: headers.filter(header => header && !fields.some(field => field.header === header)),
+            missingColumns: fields.filter(field => field.required && !field.header).map(field => field.field),
+            skippedRows: [],
+            invalidValues: []
+        };
+
+        // Without a required column no row is usable - the missing column says why
+        if (report.missingColumns.length > 0) {
+            if (headers.length > 0) {
+                console.warn(`⚠️ ${sheetName}: missing required columns ${report.missingColumns.join(', ')}`);
+            }
+            return { records: [], report };
+        }
+
+        const records = [];
+        data.forEach((row, index) => {
+            const rowNumber = index + 2; // Row 1 holds the headers
+            if (Object.values(row).every(value => String(value ?? '').trim() === '')) return;
+
+            const record = {};
+            let skipReason = null;
+
+            for (const field of fields) {
+                const cell = field.header ? String(row[field.header] ?? '').trim() : '';
+                const parsed = cell === '' ? { value: null } : parseCellValue(field.type, cell);
+
+                if (parsed.error) {
+                    if (field.required) {
+                        skipReason = `${parsed.error} in "${field.header}"`;
+                        break;
+                    }
+                    report.invalidValues.push({ row: rowNumber, field: field.field, column: field.header, value: cell, reason: parsed.error });
+                }
+
+                if (parsed.value === null && field.required) {
+                    skipReason = `"${field.header}" is blank`;
+                    break;
+                }
+                record[field.field] = parsed.value ?? field.default ?? (field.type === 'list' ? [] : null);
+            }
+
+            if (skipReason) {
+                report.skippedRows.push({ row: rowNumber, reason: skipReason });
+            } else {
+                records.push(record);
+            }
+        });
+
+        report.mappedRows = records.length;
+        return { records, report };
+    }
+}
+
+/**
+ * Parse a non-blank cell as a column type; { value } or { error }
+ */
+export function parseCellValue(type, text) {
+    switch (type) {
+        case 'list':
+            return { value: text.split(/[,;|]/).map(item => item.trim()).filter(Boolean) };
+        case 'number': {
+            const value = Number(text.replace(/,/g, ''));
+            return isNaN(value) ? { error: 'Not a number' } : { value };
+        }
+        case 'currency': {
+            const match = text.toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+            if (!match || (match[2] && !AMOUNT_MULTIPLIERS[match[2]])) return { error: 'Not an amount' };
+            return { value: parseFloat(match[1]) * (AMOUNT_MULTIPLIERS[match[2]] || 1) };
+        }
+        case 'date': {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? { error: 'Not a date' } : { value: date.toISOString() };
+        }
+        case 'boolean': {
+            const value = text.toLowerCase();
+            if (TRUE_VALUES.includes(value)) return { value: true };
+            if (FALSE_VALUES.includes(value)) return { value: false };
+            return { error: 'Not yes/no' };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+// "Firm_Name", "Firm Name" and "firm name" are the same column
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function findHeader(headers, aliases) {
+    for (const alias of aliases) {
+        const header = headers.find(candidate => normalizeHeader(candidate) === normalizeHeader(alias));
+        if (header) return header;
+    }
+    return null;
+}
+
+/**
+ * Load the column mappings from a JSON file
+ */
+export function loadColumnMappings(mappingFile = DEFAULT_MAPPING_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load column mappings from ${mappingFile}:`, error.message);
+        return { tabs: {} };
+    }
+}
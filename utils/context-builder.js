@@ -0,0 +1,289 @@
+/**
+ * Token-budgeted context assembly for chat prompts
+ *
+ * Candidate items from DataIntegrationService (articles, settlements, law firms) are
+ * scored against the query, then packed best-first under a prompt token budget.
+ * Each item has progressively smaller shapes (full -> trimmed -> minimal): low-value
+ * fields such as full content blobs are dropped before a whole item is left out.
+ *
+ * Every build returns a report of what was included (with its shape and dropped fields)
+ * and what was excluded and why, for debug metadata. When a CitationRegistry is passed,
+ * included items get a "ref" the model can cite as [n].
+ */
+
+import { estimateTokens } from './conversation-store.js';
+import { sanitizeLawFirm } from './chat-tools.js';
+import { isLIASource } from './citations.js';
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'how', 'why',
+    'can', 'could', 'would', 'should', 'does', 'did', 'have', 'has', 'had', 'with', 'from', 'about',
+    'this', 'that', 'there', 'their', 'they', 'them', 'you', 'your', 'our', 'any', 'some', 'get',
+    'tell', 'more', 'much', 'many', 'into', 'after', 'been', 'will', 'not', 'but', 'all', 'out'
+]);
+
+const truncate = (text, maxLength) => {
+    const value = String(text || '');
+    return value.length > maxLength ? `${value.slice(0, maxLength).trimEnd()}…` : value;
+};
+
+const firstItems = (list, count) => (Array.isArray(list) ? list.slice(0, count) : list);
+
+// Drop empty values so they don't cost tokens
+const compact = item => Object.fromEntries(
+    Object.entries(item).filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+);
+
+/**
+ * Shapes per item type, largest first, plus the fields used for relevance scoring (with weights)
+ */
+const ITEM_TYPES = {
+    article: {
+        scoreFields: { title: 3, description: 2, overview: 1, symptoms: 1, legalOptions: 1 },
+        shapes: {
+            full: article => ({
+                type: 'article',
+                title: article.title,
+                slug: article.slug,
+                category: article.category,
+                description: article.description,
+                overview: article.content?.overview,
+                symptoms: article.content?.symptoms,
+                causes: article.content?.causes,
+                treatments: article.content?.treatments,
+                legalOptions: article.content?.legalOptions,
+                settlements: article.content?.settlements
+            }),
+            trimmed: article => ({
+                type: 'article',
+                title: article.title,
+                slug: article.slug,
+                description: truncate(article.description, 300),
+                overview: truncate(article.content?.overview, 400),
+                symptoms: firstItems(article.content?.symptoms, 5),
+                settlements: article.content?.settlements
+            }),
+            minimal: article => ({
+                type: 'article',
+                title: article.title,
+                slug: article.slug,
+                description: truncate(article.description || article.content?.overview, 160)
+            })
+        }
+    },
+    settlement: {
+        scoreFields: { condition: 3, state: 1 },
+        shapes: {
+            full: settlement => ({
+                type: 'settlement',
+                condition: settlement.condition,
+                state: settlement.state,
+                settlementRange: settlement.settlementRange,
+                averageSettlement: settlement.averageSettlement,
+                totalCases: settlement.totalCases,
+                year: settlement.year,
+                source: settlement.source
+            }),
+            minimal: settlement => ({
+                type: 'settlement',
+                condition: settlement.condition,
+                settlementRange: settlement.settlementRange,
+                averageSettlement: settlement.averageSettlement
+            })
+        }
+    },
+    reputable_source: {
+        scoreFields: { title: 3, diseaseAilment: 3, description: 1 },
+        // Referral sources (Legal Injury Advocates) are never sent as context
+        exclude: source => isLIASource(source),
+        shapes: {
+            full: source => ({
+                type: 'reputable_source',
+                title: source.sourceTitle,
+                sourceType: source.sourceType,
+                diseaseAilment: source.diseaseAilment,
+                description: source.description
+            }),
+            minimal: source => ({
+                type: 'reputable_source',
+                title: source.sourceTitle,
+                sourceType: source.sourceType
+            })
+        }
+    },
+    law_firm: {
+        scoreFields: { specialties: 3, location: 2, notableSettlements: 1 },
+        shapes: {
+            // Law firms are always sanitized - no contact details at any size
+            full: firm => sanitizeLawFirm(firm),
+            trimmed: firm => ({
+                type: 'law_firm',
+                name: firm.name,
+                location: firm.location,
+                specialties: firm.specialties,
+                source: 'law_firm_directory'
+            }),
+            minimal: firm => ({
+                type: 'law_firm',
+                location: firm.location,
+                specialties: firm.specialties
+            })
+        }
+    }
+};
+
+export class ContextBuilder {
+    constructor(config = {}) {
+        this.maxTokens = config.maxTokens || 1200;
+        this.maxItemsPerType = { article: 3, settlement: 2, law_firm: 3, reputable_source: 3, ...config.maxItemsPerType };
+        this.minScore = config.minScore ?? 0.05;
+    }
+
+    /**
+     * Pack the best candidates under the token budget
+     * Returns { items, text, tokens, report }
+     */
+    build({ query = '', articles = [], settlements = [], lawFirms = [], reputableSources = [], weights = {}, citations = null, maxTokens = this.maxTokens } = {}) {
+        const terms = extractTerms(query);
+        const candidates = [
+            ...articles.map(item => this.scoreCandidate('article', item, terms, weights)),
+            ...settlements.map(item => this.scoreCandidate('settlement', item, terms, weights)),
+            ...lawFirms.map(item => this.scoreCandidate('law_firm', item, terms, weights)),
+            ...reputableSources
+                .filter(item => !ITEM_TYPES.reputable_source.exclude(item))
+                .map(item => this.scoreCandidate('reputable_source', item, terms, weights))
+        ].sort((a, b) => b.score - a.score);
+
+        const items = [];
+        const included = [];
+        const excluded = [];
+        const typeCounts = {};
+        let usedTokens = 0;
+
+        for (const candidate of candidates) {
+            const summary = { type: candidate.type, title: candidate.title, score: candidate.score };
+
+            if (terms.length > 0 && candidate.score < this.minScore) {
+                excluded.push({ ...summary, reason: 'low_relevance' });
+                continue;
+            }
+            if ((typeCounts[candidate.type] || 0) >= (this.maxItemsPerType[candidate.type] ?? Infinity)) {
+                excluded.push({ ...summary, reason: 'type_limit' });
+                continue;
+            }
+
+            // Largest shape that still fits the remaining budget
+            const ref = citations?.peek(candidate.type, candidate.item) ?? null;
+            const fit = this.fitShape(candidate, maxTokens - usedTokens, ref);
+            if (!fit) {
+                excluded.push({ ...summary, reason: 'token_budget', minTokens: this.shapeTokens(candidate, 'minimal') });
+                continue;
+            }
+
+            if (ref) {
+                citations.register(candidate.type, candidate.item);
+                summary.ref = ref;
+            }
+            items.push(fit.item);
+            usedTokens += fit.tokens;
+            typeCounts[candidate.type] = (typeCounts[candidate.type] || 0) + 1;
+            included.push({ ...summary, tokens: fit.tokens, shape: fit.shape, droppedFields: fit.droppedFields });
+        }
+
+        return {
+            items,
+            text: formatContextItems(items),
+            tokens: usedTokens,
+            report: {
+                budget: maxTokens,
+                usedTokens,
+                candidates: candidates.length,
+                included,
+                excluded
+            }
+        };
+    }
+
+    /**
+     * Relevance score: weighted share of query terms found in the item (0-1), or the item's search
+     * ranking when higher (searchScore from the article search index, which also matches stems and
+     * typos), times the intent's type weight and the weight of the data source the item came from
+     * (config/data-sources.json)
+     */
+    scoreCandidate(type, item, terms, weights = {}) {
+        const definition = ITEM_TYPES[type];
+        const full = compact(definition.shapes.full(item));
+        const title = full.title || full.condition || full.name || full.location || null;
+
+        let score = 0;
+        if (terms.length > 0) {
+            const fieldText = Object.fromEntries(
+                Object.keys(definition.scoreFields).map(field => [field, toSearchText(full[field])])
+            );
+            const maxWeight = Math.max(...Object.values(definition.scoreFields));
+
+            let total = 0;
+            for (const term of terms) {
+                let best = 0;
+                for (const [field, weight] of Object.entries(definition.scoreFields)) {
+                    if (fieldText[field].includes(term)) best = Math.max(best, weight);
+                }
+                total += best / maxWeight;
+            }
+            const relevance = Math.max(total / terms.length, item.searchScore ?? 0);
+            score = relevance * (weights[type] ?? 1) * (item.sourceWeight ?? 1);
+        }
+
+        return { type, item, title, score: Math.round(score * 1000) / 1000 };
+    }
+
+    /**
+     * Try each shape from largest to smallest; null if even the minimal shape doesn't fit
+     */
+    fitShape(candidate, remainingTokens, ref = null) {
+        const shapes = ITEM_TYPES[candidate.type].shapes;
+        const fullKeys = Object.keys(compact(shapes.full(candidate.item)));
+
+        for (const [shape, build] of Object.entries(shapes)) {
+            const item = compact({ ref, ...build(candidate.item) });
+            const tokens = estimateTokens(JSON.stringify(item)) + 1; // +1 for the line break
+            if (tokens <= remainingTokens) {
+                const keys = Object.keys(item);
+                const truncated = keys.filter(key => shape !== 'full' && typeof item[key] === 'string' && item[key].endsWith('…'));
+                return {
+                    item,
+                    tokens,
+                    shape,
+                    droppedFields: [...fullKeys.filter(key => !keys.includes(key)), ...truncated.map(key => `${key} (truncated)`)]
+                };
+            }
+        }
+        return null;
+    }
+
+    shapeTokens(candidate, shape) {
+        const build = ITEM_TYPES[candidate.type].shapes[shape];
+        return estimateTokens(JSON.stringify(compact(build(candidate.item)))) + 1;
+    }
+}
+
+/**
+ * One compact JSON object per line (pretty-printing roughly doubles the token cost)
+ */
+export function formatContextItems(items) {
+    return items.map(item => JSON.stringify(item)).join('\n');
+}
+
+function extractTerms(query) {
+    return [...new Set(
+        String(query || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(term => term.length >= 3 && !STOPWORDS.has(term))
+    )];
+}
+
+function toSearchText(value) {
+    if (Array.isArray(value)) return value.join(' ').toLowerCase();
+    return String(value || '').toLowerCase();
+}
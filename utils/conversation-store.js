@@ -0,0 +1,297 @@
+/**
+ * Conversation Store
+ *
+ * Server-side memory for multi-turn chat:
+ * - Issues conversation IDs and keeps prior turns
+ * - Remembers the context retrieved for each turn (articles, settlements, LIA case)
+ * - Trims history to a token budget before it is sent to the model
+ * - Expires idle conversations
+ * - Remembers the session that started each conversation; lookups for another session miss
+ *
+ * Storage is pluggable: in-memory (default) or JSON files on disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * In-memory backend - fast, but lost on restart and not shared between instances
+ */
+export class MemoryConversationBackend {
+    constructor() {
+        this.conversations = new Map();
+    }
+
+    async get(id) {
+        return this.conversations.get(id) || null;
+    }
+
+    async set(id, conversation) {
+        this.conversations.set(id, conversation);
+    }
+
+    async delete(id) {
+        this.conversations.delete(id);
+    }
+
+    async list() {
+        return [...this.conversations.values()];
+    }
+}
+
+/**
+ * File backend - one JSON file per conversation, survives restarts
+ */
+export class FileConversationBackend {
+    constructor(config = {}) {
+        this.directory = config.directory || path.join(__dirname, '..', 'storage', 'conversations');
+    }
+
+    getFilePath(id) {
+        // IDs are generated by the store, but never trust them as path segments
+        const safeId = String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+        return path.join(this.directory, `${safeId}.json`);
+    }
+
+    async ensureDirectory() {
+        await fs.mkdir(this.directory, { recursive: true });
+    }
+
+    async get(id) {
+        try {
+            const data = await fs.readFile(this.getFilePath(id), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set(id, conversation) {
+        await this.ensureDirectory();
+        await fs.writeFile(this.getFilePath(id), JSON.stringify(conversation, null, 2));
+    }
+
+    async delete(id) {
+        try {
+            await fs.unlink(this.getFilePath(id));
+        } catch (error) {
+            // Already gone
+        }
+    }
+
+    async list() {
+        try {
+            const files = await fs.readdir(this.directory);
+            const conversations = [];
+            for (const file of files.filter(f => f.endsWith('.json'))) {
+                const conversation = await this.get(file.replace(/\.json$/, ''));
+                if (conversation) conversations.push(conversation);
+            }
+            return conversations;
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+export class ConversationStore {
+    constructor(config = {}) {
+        this.backend = config.backend || createConversationBackend(config.backendType, config);
+        this.maxHistoryTokens = config.maxHistoryTokens || 1500;
+        this.maxTurns = config.maxTurns || 20;
+        this.idleTimeout = config.idleTimeout || 30 * 60 * 1000; // 30 minutes
+        this.pruneInterval = config.pruneInterval || 60 * 1000; // Prune at most once a minute
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Generate a new conversation ID
+     */
+    createConversationId() {
+        return `conv_${crypto.randomUUID().replace(/-/g, '')}`;
+    }
+
+    /**
+     * Check whether a conversation has been idle for too long
+     */
+    isExpired(conversation) {
+        return Date.now() - new Date(conversation.lastActivity).getTime() > this.idleTimeout;
+    }
+
+    /**
+     * Get a conversation by ID (null if missing or expired)
+     * With an ownerId, conversations started by another session are treated as missing
+     */
+    async getConversation(id, ownerId) {
+        if (!id) return null;
+
+        const conversation = await this.backend.get(id);
+        if (!conversation) return null;
+
+        if (this.isExpired(conversation)) {
+            await this.backend.delete(id);
+            return null;
+        }
+
+        if (ownerId !== undefined && conversation.ownerId !== ownerId) return null;
+
+        return conversation;
+    }
+
+    /**
+     * Get an existing conversation or start a new one owned by ownerId
+     * Unknown, expired or other sessions' IDs start a fresh conversation with a new ID
+     */
+    async getOrCreateConversation(id, { ownerId = null, metadata = {} } = {}) {
+        const existing = await this.getConversation(id, ownerId);
+        if (existing) return existing;
+
+        await this.pruneExpired();
+
+        const now = new Date().toISOString();
+        const conversation = {
+            id: this.createConversationId(),
+            ownerId,
+            createdAt: now,
+            lastActivity: now,
+            turns: [],
+            context: null,
+            metadata
+        };
+
+        await this.backend.set(conversation.id, conversation);
+        return conversation;
+    }
+
+    /**
+     * Record a completed user/assistant exchange along with the context used to answer it
+     */
+    async appendTurn(id, { userMessage, assistantMessage, context = null, metadata = {}, flags = [] }) {
+        const conversation = await this.getConversation(id);
+        if (!conversation) return null;
+
+        const timestamp = new Date().toISOString();
+
+        conversation.turns.push(
+            { role: 'user', content: userMessage, timestamp },
+            { role: 'assistant', content: assistantMessage, timestamp, ...metadata }
+        );
+
+        // Keep the stored transcript bounded; the prompt budget is applied separately
+        if (conversation.turns.length > this.maxTurns * 2) {
+            conversation.turns = conversation.turns.slice(-this.maxTurns * 2);
+        }
+
+        if (context) {
+            conversation.context = context;
+        }
+
+        // Conversation-level flags (e.g. a safety response was given) stick for its lifetime
+        if (flags.length > 0) {
+            conversation.flags = [...new Set([...(conversation.flags || []), ...flags])];
+        }
+
+        conversation.lastActivity = timestamp;
+        await this.backend.set(conversation.id, conversation);
+        return conversation;
+    }
+
+    /**
+     * Get prior turns as OpenAI messages, trimmed to the token budget (newest turns kept)
+     */
+    getHistoryMessages(conversation, maxTokens = this.maxHistoryTokens) {
+        if (!conversation || conversation.turns.length === 0) return [];
+
+        const messages = [];
+        let usedTokens = 0;
+
+        for (let i = conversation.turns.length - 1; i >= 0; i--) {
+            const turn = conversation.turns[i];
+            const tokens = estimateTokens(turn.content);
+            if (usedTokens + tokens > maxTokens) break;
+
+            messages.unshift({ role: turn.role, content: turn.content });
+            usedTokens += tokens;
+        }
+
+        // Never open the history with a dangling assistant reply
+        while (messages.length > 0 && messages[0].role !== 'user') {
+            messages.shift();
+        }
+
+        return messages;
+    }
+
+    /**
+     * Delete a conversation
+     */
+    async deleteConversation(id) {
+        await this.backend.delete(id);
+    }
+
+    /**
+     * Remove idle conversations (throttled)
+     */
+    async pruneExpired(force = false) {
+        if (!force && Date.now() - this.lastPrune < this.pruneInterval) {
+            return 0;
+        }
+        this.lastPrune = Date.now();
+
+        let pruned = 0;
+        try {
+            const conversations = await this.backend.list();
+            for (const conversation of conversations) {
+                if (this.isExpired(conversation)) {
+                    await this.backend.delete(conversation.id);
+                    pruned++;
+                }
+            }
+            if (pruned > 0) {
+                console.log(`🧹 Pruned ${pruned} idle conversations`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not prune conversations:', error.message);
+        }
+        return pruned;
+    }
+
+    /**
+     * Get store statistics
+     */
+    async getStats() {
+        const conversations = await this.backend.list();
+        return {
+            backend: this.backend.constructor.name,
+            totalConversations: conversations.length,
+            maxHistoryTokens: this.maxHistoryTokens,
+            idleTimeoutMinutes: Math.round(this.idleTimeout / 60000)
+        };
+    }
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Build a backend by name ('memory' or 'file')
+ */
+export function createConversationBackend(type = 'memory', config = {}) {
+    switch (type) {
+        case 'file':
+            return new FileConversationBackend({ directory: config.directory });
+        case 'memory':
+        default:
+            return new MemoryConversationBackend();
+    }
+}
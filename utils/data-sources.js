@@ -0,0 +1,201 @@
+/**
+ * Data Source Registry
+ *
+ * The backends DataIntegrationService reads from, declared in config/data-sources.json
+ * (or DATA_SOURCES_FILE). Each entry names a source type and whether it is enabled, its
+ * order (earlier sources win when records are de-duplicated) and its weight (multiplies the
+ * relevance score of its records when chat context is assembled; 1 = neutral):
+ *
+ *   { "id": "hubspot", "type": "hubspot", "enabled": true, "order": 2, "weight": 0.8,
+ *     "types": ["articles"], "options": { ... } }
+ *
+ * "types" optionally limits which data types are read from the source; "options" go to its
+ * constructor. A source that fails to initialize (missing credentials) is skipped with a warning.
+ *
+ * Source interface - every method is optional, a source only provides what it has:
+ *   getArticles()                          - [article]
+ *   getLawFirms({ specialty, location })   - [firm]; may return unfiltered firms
+ *   getSettlements({ condition, state })   - [settlement] for the condition
+ *   getLIACases()                          - [{ name, description, active, lastUpdated, keywords? }]
+ *   getReputableSources()                  - [source] in ReputableSourcesService's shape
+ *   getIntentRules()                       - [{ intent, keyword, weight }]
+ *   getMappingReport()                     - [report] per spreadsheet tab (utils/column-mapping.js)
+ *   onChange(listener)                     - call listener when the source's data changes
+ *   close()                                - stop watching or polling
+ *
+ * New backends add a class with these methods and a case in createDataSource.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GoogleSheetsSource } from './google-sheets-source.js';
+import { HubSpotSource } from './hubspot-source.js';
+import { LocalFileSource } from './local-file-source.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'data-sources.json');
+
+export const DATA_TYPES = {
+    ARTICLES: 'articles',
+    LAW_FIRMS: 'lawFirms',
+    SETTLEMENTS: 'settlements',
+    LIA_CASES: 'liaCases',
+    REPUTABLE_SOURCES: 'reputableSources',
+    INTENT_RULES: 'intentRules'
+};
+
+const SOURCE_METHODS = {
+    [DATA_TYPES.ARTICLES]: 'getArticles',
+    [DATA_TYPES.LAW_FIRMS]: 'getLawFirms',
+    [DATA_TYPES.SETTLEMENTS]: 'getSettlements',
+    [DATA_TYPES.LIA_CASES]: 'getLIACases',
+    [DATA_TYPES.REPUTABLE_SOURCES]: 'getReputableSources',
+    [DATA_TYPES.INTENT_RULES]: 'getIntentRules'
+};
+
+/**
+ * Build a source of a configured type
+ */
+export function createDataSource(type, options = {}) {
+    switch (type) {
+        case 'google-sheets':
+            return new GoogleSheetsSource(options);
+        case 'hubspot':
+            return new HubSpotSource(options);
+        case 'local-files':
+            return new LocalFileSource(options);
+        default:
+            throw new Error(`Unknown data source type "${type}"`);
+    }
+}
+
+export class DataSourceRegistry {
+    constructor(config = {}) {
+        const definitions = config.sources || loadDataSourceConfig(config.configFile || process.env.DATA_SOURCES_FILE || DEFAULT_CONFIG_FILE).sources || [];
+        this.sources = [];
+
+        for (const definition of definitions) {
+            this.add(definition);
+        }
+    }
+
+    /**
+     * Add a source from its definition; "source" may hold a ready-made instance instead of a type
+     */
+    add(definition) {
+        const { id = definition.type, type = null, enabled = true, order = this.sources.length + 1, weight = 1, types = null, options = {} } = definition;
+        if (!enabled) return null;
+
+        let instance = definition.source;
+        if (!instance) {
+            try {
+                instance = createDataSource(type, options);
+                console.log(`✅ Data source "${id}" (${type}) initialized`);
+            } catch (error) {
+                console.warn(`⚠️ Data source "${id}" failed to initialize:`, error.message);
+                return null;
+            }
+        }
+
+        const entry = { id, type, order, weight, types, instance };
+        this.sources.push(entry);
+        this.sources.sort((a, b) => a.order - b.order);
+        return entry;
+    }
+
+    /**
+     * Call listener(id) whenever a source that can tell reports changed data
+     */
+    onChange(listener) {
+        for (const source of this.sources) {
+            source.instance.onChange?.(() => listener(source.id));
+        }
+    }
+
+    close() {
+        for (const source of this.sources) {
+            source.instance.close?.();
+        }
+    }
+
+    get(id) {
+        return this.sources.find(source => source.id === id)?.instance || null;
+    }
+
+    /**
+     * Enabled sources that provide a data type, in order
+     */
+    getSources(dataType) {
+        const method = SOURCE_METHODS[dataType];
+        return this.sources.filter(source =>
+            typeof source.instance[method] === 'function' && (!source.types || source.types.includes(dataType))
+        );
+    }
+
+    /**
+     * Read a data type from every source that provides it, in parallel, and concatenate the
+     * records in source order. A failing source is logged and contributes nothing.
+     * Records carry "source" (the source ID) and, when the source's weight isn't 1, "sourceWeight".
+     */
+    async collect(dataType, query = {}) {
+        const method = SOURCE_METHODS[dataType];
+        const results = await Promise.all(this.getSources(dataType).map(async source => {
+            try {
+                const records = await source.instance[method](query) || [];
+                return records.map(record => ({
+                    ...record,
+                    source: source.id,
+                    ...(source.weight !== 1 && { sourceWeight: source.weight })
+                }));
+            } catch (error) {
+                console.error(`❌ Error reading ${dataType} from data source "${source.id}":`, error.message);
+                return [];
+            }
+        }));
+
+        return results.flat();
+    }
+
+    /**
+     * Column mapping reports of the sources that map spreadsheet tabs; a failing source reports its error
+     */
+    async getMappingReports() {
+        const sources = this.sources.filter(source => typeof source.instance.getMappingReport === 'function');
+
+        return Promise.all(sources.map(async ({ id, type, instance }) => {
+            try {
+                return { id, type, tabs: await instance.getMappingReport() };
+            } catch (error) {
+                return { id, type, error: error.message };
+            }
+        }));
+    }
+
+    /**
+     * Configured sources, for status output
+     */
+    describe() {
+        return this.sources.map(({ id, type, order, weight }) => ({
+            id,
+            type,
+            order,
+            weight,
+            dataTypes: Object.values(DATA_TYPES).filter(dataType => this.getSources(dataType).some(source => source.id === id))
+        }));
+    }
+}
+
+/**
+ * Load data source definitions from a JSON file
+ */
+export function loadDataSourceConfig(configFile = DEFAULT_CONFIG_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load data sources from ${configFile}:`, error.message);
+        return { sources: [] };
+    }
+}
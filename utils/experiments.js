@@ -0,0 +1,226 @@
+/**
+ * Prompt and model experiments
+ *
+ * An experiment splits chat sessions between variants that override the general system
+ * message, the model, the temperature and the context strategy (prefetch or tools).
+ * Visitors are assigned by hashing the experiment ID with their visitor ID (utils/session.js),
+ * so a visitor keeps its variant across requests, session rotations and server restarts
+ * without storing anything.
+ * Experiments live in config/experiments.json (or EXPERIMENTS_FILE); only the first
+ * active one runs. Every tracked query records its experiment and variant, and
+ * compareVariants() rolls the logs up for GET /api/analytics/experiments.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_EXPERIMENTS_FILE = path.join(__dirname, '..', 'config', 'experiments.json');
+
+const CONTEXT_MODES = ['prefetch', 'tools'];
+
+export class ExperimentManager {
+    constructor(config = {}) {
+        this.enabled = config.enabled ?? true;
+        const definitions = config.experiments
+            || loadExperiments(config.experimentsFile || process.env.EXPERIMENTS_FILE || DEFAULT_EXPERIMENTS_FILE).experiments
+            || [];
+        this.experiments = definitions.map(normalizeExperiment).filter(Boolean);
+    }
+
+    /**
+     * The running experiment (the first active one), or null
+     */
+    getActiveExperiment() {
+        if (!this.enabled) return null;
+        return this.experiments.find(experiment => experiment.active) || null;
+    }
+
+    /**
+     * Variant for a visitor: { experimentId, variantId, overrides }, or null when nothing runs
+     */
+    assign(visitorId) {
+        const experiment = this.getActiveExperiment();
+        if (!experiment || !visitorId) return null;
+
+        const totalWeight = experiment.variants.reduce((total, variant) => total + variant.weight, 0);
+        const point = hashToUnit(`${experiment.id}:${visitorId}`) * totalWeight;
+
+        let cumulative = 0;
+        const variant = experiment.variants.find(candidate => {
+            cumulative += candidate.weight;
+            return point < cumulative;
+        }) || experiment.variants[experiment.variants.length - 1];
+
+        return { experimentId: experiment.id, variantId: variant.id, overrides: variant.overrides };
+    }
+
+    /**
+     * Chat config with the variant's system message and context strategy applied
+     */
+    applyToConfig(config, assignment) {
+        const overrides = assignment?.overrides;
+        if (!overrides || (!overrides.systemMessage && !overrides.contextMode)) return config;
+
+        return {
+            ...config,
+            systemMessages: overrides.systemMessage
+                ? { ...config.systemMessages, general: overrides.systemMessage }
+                : config.systemMessages,
+            chat: overrides.contextMode
+                ? { ...config.chat, contextMode: overrides.contextMode }
+                : config.chat
+        };
+    }
+
+    /**
+     * Model settings for createOpenAIRequest (request options still win)
+     */
+    getRequestOptions(assignment) {
+        const overrides = assignment?.overrides || {};
+        const options = {};
+        if (overrides.model) options.model = overrides.model;
+        if (overrides.temperature !== undefined) options.temperature = overrides.temperature;
+        return options;
+    }
+
+    getStatus() {
+        const experiment = this.getActiveExperiment();
+        return {
+            enabled: this.enabled,
+            active: experiment ? {
+                id: experiment.id,
+                description: experiment.description,
+                variants: experiment.variants.map(variant => ({ id: variant.id, weight: variant.weight, overrides: Object.keys(variant.overrides) }))
+            } : null,
+            defined: this.experiments.map(candidate => candidate.id)
+        };
+    }
+}
+
+/**
+ * Per-variant rollup of tracked queries for one experiment
+ * queries: tracked query entries; conversions: logged conversions (source_click counts as a click);
+ * feedback: { queryId, rating: 'up' | 'down' } entries
+ */
+export function compareVariants({ experimentId, queries = [], conversions = [], feedback = [] }) {
+    const variantByQuery = new Map();
+    const variants = new Map();
+
+    const variantStats = variantId => {
+        if (!variants.has(variantId)) {
+            variants.set(variantId, { variant: variantId, queries: 0, responseTimes: [], warnings: 0, answersWithWarnings: 0, sourcesShown: 0, sourceClicks: 0, feedback: { up: 0, down: 0 } });
+        }
+        return variants.get(variantId);
+    };
+
+    for (const query of queries) {
+        if (query.experimentId !== experimentId || !query.variant) continue;
+        const stats = variantStats(query.variant);
+        variantByQuery.set(query.queryId, stats);
+
+        stats.queries++;
+        if (typeof query.responseTime === 'number') stats.responseTimes.push(query.responseTime);
+        const warnings = query.verificationWarnings || 0;
+        stats.warnings += warnings;
+        if (warnings > 0) stats.answersWithWarnings++;
+        stats.sourcesShown += query.sourcesFound || 0;
+    }
+
+    for (const conversion of conversions) {
+        const stats = variantByQuery.get(conversion.queryId);
+        if (stats && conversion.liaConversion === 'source_click') stats.sourceClicks++;
+    }
+
+    for (const entry of feedback) {
+        const stats = variantByQuery.get(entry.queryId);
+        if (stats && (entry.rating === 'up' || entry.rating === 'down')) stats.feedback[entry.rating]++;
+    }
+
+    return [...variants.values()].map(stats => {
+        const rated = stats.feedback.up + stats.feedback.down;
+        return {
+            variant: stats.variant,
+            queries: stats.queries,
+            averageResponseTime: average(stats.responseTimes),
+            medianResponseTime: median(stats.responseTimes),
+            verificationWarnings: stats.warnings,
+            warningsPerAnswer: ratio(stats.warnings, stats.queries),
+            answersWithWarningsRate: ratio(stats.answersWithWarnings, stats.queries),
+            sourceClicks: stats.sourceClicks,
+            sourceClickRate: ratio(stats.sourceClicks, stats.queries),
+            feedback: {
+                ...stats.feedback,
+                rated,
+                positiveRate: rated > 0 ? ratio(stats.feedback.up, rated) : null
+            }
+        };
+    }).sort((a, b) => a.variant.localeCompare(b.variant));
+}
+
+/**
+ * Load experiment definitions from JSON
+ */
+export function loadExperiments(experimentsFile = DEFAULT_EXPERIMENTS_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(experimentsFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load experiments from ${experimentsFile}:`, error.message);
+        return { experiments: [] };
+    }
+}
+
+// Valid variants only; an experiment needs at least two to compare
+function normalizeExperiment(definition) {
+    if (!definition?.id || !Array.isArray(definition.variants)) return null;
+
+    const variants = definition.variants
+        .filter(variant => variant?.id && (variant.weight ?? 1) > 0)
+        .map(variant => ({
+            id: variant.id,
+            weight: variant.weight ?? 1,
+            overrides: pickOverrides(variant)
+        }));
+
+    if (variants.length < 2) {
+        console.warn(`⚠️ Experiment "${definition.id}" needs at least two variants, skipping`);
+        return null;
+    }
+
+    return { id: definition.id, description: definition.description || '', active: definition.active === true, variants };
+}
+
+function pickOverrides(variant) {
+    const overrides = {};
+    if (variant.systemMessage) overrides.systemMessage = variant.systemMessage;
+    if (variant.model) overrides.model = variant.model;
+    if (typeof variant.temperature === 'number') overrides.temperature = variant.temperature;
+    if (CONTEXT_MODES.includes(variant.contextMode)) overrides.contextMode = variant.contextMode;
+    return overrides;
+}
+
+// Stable value in [0, 1) for a string
+function hashToUnit(value) {
+    const hash = crypto.createHash('sha256').update(value).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function ratio(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
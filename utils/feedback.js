@@ -0,0 +1,106 @@
+/**
+ * Answer feedback
+ *
+ * Users rate a chat answer up or down by its queryId (returned with every chat response),
+ * optionally with reason tags and a comment. Ratings are logged next to the query logs,
+ * rolled up in the analytics summary and dashboard, and down-rated answers are listed with
+ * their original query, LIA case and sources for review. A later rating of the same answer
+ * replaces the earlier one.
+ */
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASONS = ['inaccurate', 'unhelpful', 'off-topic', 'outdated'];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Validate a POST /api/feedback body
+ * Returns { feedback } or { error }
+ */
+export function validateFeedback(body = {}) {
+    const { queryId, rating, reasons = [], comment = '' } = body;
+
+    if (typeof queryId !== 'string' || !/^query_[\w-]{1,100}$/.test(queryId)) {
+        return { error: 'A valid queryId is required' };
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+    }
+    if (!Array.isArray(reasons) || reasons.some(reason => !FEEDBACK_REASONS.includes(reason))) {
+        return { error: `reasons must be a list of: ${FEEDBACK_REASONS.join(', ')}` };
+    }
+    if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+        return { error: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    return {
+        feedback: { queryId, rating, reasons: [...new Set(reasons)], comment: comment.trim() }
+    };
+}
+
+/**
+ * The most recent rating for each answer
+ */
+export function latestFeedback(entries = []) {
+    const byQuery = new Map();
+    for (const entry of entries) {
+        const existing = byQuery.get(entry.queryId);
+        if (!existing || new Date(entry.timestamp) >= new Date(existing.timestamp)) {
+            byQuery.set(entry.queryId, entry);
+        }
+    }
+    return [...byQuery.values()];
+}
+
+/**
+ * Rating counts, positive rate and reason counts
+ */
+export function summarizeFeedback(entries = []) {
+    const latest = latestFeedback(entries);
+    const up = latest.filter(entry => entry.rating === 'up').length;
+    const down = latest.filter(entry => entry.rating === 'down').length;
+
+    const reasons = Object.fromEntries(FEEDBACK_REASONS.map(reason => [reason, 0]));
+    for (const entry of latest) {
+        for (const reason of entry.reasons || []) {
+            if (reason in reasons) reasons[reason]++;
+        }
+    }
+
+    return {
+        total: latest.length,
+        up,
+        down,
+        positiveRate: latest.length > 0 ? Math.round((up / latest.length) * 1000) / 1000 : null,
+        reasons,
+        withComments: latest.filter(entry => entry.comment).length
+    };
+}
+
+/**
+ * Down-rated answers joined with the query they rated (newest first)
+ */
+export function listLowRated(entries = [], queries = [], reason = null) {
+    const queriesById = new Map(queries.map(query => [query.queryId, query]));
+
+    return latestFeedback(entries)
+        .filter(entry => entry.rating === 'down')
+        .filter(entry => !reason || (entry.reasons || []).includes(reason))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .map(entry => {
+            const query = queriesById.get(entry.queryId);
+            return {
+                queryId: entry.queryId,
+                ratedAt: entry.timestamp,
+                reasons: entry.reasons || [],
+                comment: entry.comment || '',
+                query: query?.query ?? null,
+                askedAt: query?.timestamp ?? null,
+                conversationId: query?.conversationId ?? null,
+                intent: query?.intent ?? null,
+                liaCase: query?.liaCaseInfo || (query?.liaCaseType ? { caseType: query.liaCaseType } : null),
+                sources: query?.sources || [],
+                experiment: query?.experimentId ? { id: query.experimentId, variant: query.variant } : null
+            };
+        });
+}
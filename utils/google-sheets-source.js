@@ -0,0 +1,210 @@
+/**
+ * Google Sheets data source
+ *
+ * Reads articles, law firms, settlements, LIA active cases, reputable sources and intent rules
+ * from the tabs of one spreadsheet (GOOGLE_API_KEY / GOOGLE_SPREADSHEET_ID by default).
+ * Tab names and columns come from config/sheet-columns.json (see utils/column-mapping.js);
+ * the "sheets" option in config/data-sources.json renames tabs for one source.
+ * Records use the tab's ID column when it has one, else an ID hashed from their name (utils/record-ids.js).
+ */
+
+import { GoogleSheetsConnector } from '../google-sheets-connector.js';
+import { ColumnMapper } from './column-mapping.js';
+import { DEFAULT_LANGUAGE } from './language.js';
+import { createRecordId, uniqueRecordIds } from './record-ids.js';
+
+export class GoogleSheetsSource {
+    constructor(config = {}) {
+        this.connector = config.connector || new GoogleSheetsConnector({
+            apiKey: config.apiKey || process.env.GOOGLE_API_KEY,
+            spreadsheetId: config.spreadsheetId || process.env.GOOGLE_SPREADSHEET_ID
+        });
+        this.columns = config.columns || new ColumnMapper({ mappingFile: config.columnsFile });
+        this.sheets = config.sheets || {}; // tab -> sheet name
+    }
+
+    getSheetName(tab) {
+        return this.sheets[tab] || this.columns.getSheetName(tab);
+    }
+
+    /**
+     * Read a tab and map its rows; { records, report, table }
+     */
+    async readTab(tab) {
+        const sheetName = this.getSheetName(tab);
+        const table = await this.connector.readSheet(sheetName);
+        return { ...this.columns.map(tab, table, sheetName), table };
+    }
+
+    /**
+     * Mapping report for every configured tab, read fresh
+     */
+    async getMappingReport() {
+        return Promise.all(Object.keys(this.columns.tabs).map(async tab => {
+            try {
+                return (await this.readTab(tab)).report;
+            } catch (error) {
+                return { tab, sheet: this.getSheetName(tab), error: error.message };
+            }
+        }));
+    }
+
+    async getArticles() {
+        const articles = [];
+
+        for (const tab of ['cases', 'caseAmounts']) {
+            try {
+                const { records } = await this.readTab(tab);
+                articles.push(...uniqueRecordIds(records.map(record => tab === 'caseAmounts' ? settlementArticle(record) : caseArticle(record))));
+            } catch (error) {
+                console.warn(`⚠️ Could not read sheet ${this.getSheetName(tab)}:`, error.message);
+            }
+        }
+
+        return articles;
+    }
+
+    // All firms - DataIntegrationService filters them by specialty and location
+    async getLawFirms() {
+        const { records } = await this.readTab('lawFirms');
+
+        return uniqueRecordIds(records.map(firm => ({
+            id: createRecordId('sheets_firm', firm.name),
+            name: firm.name,
+            location: firm.location,
+            phone: firm.phone,
+            website: firm.website,
+            specialties: firm.specialties,
+            experience: '',
+            successRate: '',
+            notableSettlements: firm.specialties,
+            source: 'google_sheets'
+        })));
+    }
+
+    async getSettlements({ condition } = {}) {
+        const { records } = await this.readTab('caseAmounts');
+        const searchCondition = (condition || '').trim().toLowerCase();
+
+        return records
+            .filter(row => !searchCondition || row.caseType.toLowerCase().includes(searchCondition))
+            .slice(0, 20)
+            .map(row => {
+                const formattedAmount = formatAmount(row.amount);
+
+                return {
+                    condition: row.caseType,
+                    state: 'All', // No state column in the current structure
+                    settlementRange: formattedAmount || 'Varies by case',
+                    averageSettlement: formattedAmount || 'Contact attorney for estimate',
+                    totalCases: 'Varies',
+                    year: '2024',
+                    source: 'google_sheets',
+                    sourceLink: row.sourceLink
+                };
+            });
+    }
+
+    /**
+     * Every case on the LIA tab with its Active value; falls back to reading cells by position
+     * (name, active, description, last updated) when the header row doesn't name the case column
+     */
+    async getLIACases() {
+        const sheetName = this.getSheetName('liaCases');
+        console.log(`📊 Fetching LIA Active Cases from ${sheetName}...`);
+        let { records, report, table } = await this.readTab('liaCases');
+
+        if (report.missingColumns.includes('name') && table.headers.length > 0) {
+            console.log('🔄 No case column in the header row, reading columns by position...');
+            const positions = ['name', 'active', 'description', 'lastUpdated'];
+            const rows = [table.headers, ...table.data.map(row => table.headers.map(header => row[header]))];
+            const data = rows.slice(isHeaderRow(rows[0]) ? 1 : 0)
+                .map(row => Object.fromEntries(positions.map((field, index) => [field, row[index] ?? ''])));
+            ({ records } = this.columns.map('liaCases', { headers: positions, data }, sheetName));
+        }
+
+        return records.map(entry => ({ ...entry, source: 'google_sheets' }));
+    }
+
+    // Active sources only; LIA sources (Source_Type "LIA" or "LIA Blog Post") are included
+    async getReputableSources() {
+        const { records } = await this.readTab('reputableSources');
+
+        return uniqueRecordIds(records
+            .filter(row => row.active)
+            .map(row => ({
+                ...row,
+                id: row.id ? `source_${row.id}` : createRecordId('source', row.diseaseAilment, row.sourceUrl),
+                // Optional ISO 639-1 code ("es" for Spanish-language pages); English when blank
+                language: (row.language || DEFAULT_LANGUAGE).toLowerCase(),
+                source: 'google_sheets'
+            })));
+    }
+
+    async getIntentRules() {
+        const { records } = await this.readTab('intentRules');
+
+        return records.map(rule => ({
+            intent: rule.intent.toLowerCase().replace(/[\s-]+/g, '_'),
+            keyword: rule.keyword,
+            weight: rule.weight
+        }));
+    }
+}
+
+function caseArticle(row) {
+    return {
+        id: row.id ? `sheets_case_${row.id}` : createRecordId('sheets_case', row.title),
+        title: row.title,
+        description: row.description,
+        category: 'legal',
+        date: row.date || new Date().toISOString(),
+        content: {
+            overview: row.description,
+            symptoms: row.symptoms,
+            causes: row.causes,
+            treatments: [],
+            legalOptions: row.legalOptions,
+            settlements: row.settlements
+        },
+        source: 'google_sheets'
+    };
+}
+
+function settlementArticle(row) {
+    return {
+        id: row.id ? `sheets_settlement_${row.id}` : createRecordId('sheets_settlement', row.caseType, row.sourceLink),
+        title: row.caseType,
+        description: row.description,
+        category: 'settlement',
+        date: row.date || new Date().toISOString(),
+        content: {
+            overview: row.description,
+            symptoms: [],
+            causes: [],
+            treatments: [],
+            legalOptions: [],
+            settlements: formatAmount(row.amount)
+        },
+        source: 'google_sheets'
+    };
+}
+
+// "$1.2 billion", "$4.5 million", "$250K"; '' without an amount
+function formatAmount(amount) {
+    if (typeof amount !== 'number') return '';
+
+    if (amount >= 1000000000) return `$${(amount / 1000000000).toFixed(1)} billion`;
+    if (amount >= 1000000) return `$${(amount / 1000000).toFixed(1)} million`;
+    if (amount >= 1000) return `$${(amount / 1000).toFixed(0)}K`;
+    return `$${amount.toLocaleString()}`;
+}
+
+function isHeaderRow(row) {
+    const firstCell = row?.[0]?.toString().toLowerCase() || '';
+    const headerIndicators = [
+        'case type', 'name', 'title', 'header', 'column', 'field',
+        'case', 'type', 'description', 'status', 'active', 'keywords'
+    ];
+    return headerIndicators.some(indicator => firstCell.includes(indicator));
+}
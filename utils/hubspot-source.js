@@ -0,0 +1,61 @@
+/**
+ * HubSpot data source
+ *
+ * Reads condition articles (CMS), law firms (CRM companies) and settlement data (custom objects)
+ * through HubSpotInjuryInfoConnector (HUBSPOT_ACCESS_TOKEN / HUBSPOT_PORTAL_ID by default).
+ * The connector is also what DataIntegrationService uses to log queries as HubSpot notes.
+ */
+
+import { HubSpotInjuryInfoConnector } from '../hubspot-connector.js';
+
+export class HubSpotSource {
+    constructor(config = {}) {
+        this.connector = config.connector || new HubSpotInjuryInfoConnector({
+            hubspotApiKey: config.accessToken || process.env.HUBSPOT_ACCESS_TOKEN,
+            hubspotPortalId: config.portalId || process.env.HUBSPOT_PORTAL_ID
+        });
+    }
+
+    async getArticles() {
+        const diseases = await this.connector.searchDiseases('', null, 50);
+
+        return diseases.map(disease => ({
+            id: `hubspot_${disease.id}`,
+            title: disease.name,
+            description: disease.description,
+            category: disease.category || 'medical',
+            date: disease.lastUpdated,
+            content: {
+                overview: disease.description,
+                symptoms: disease.symptoms || [],
+                causes: disease.causes || [],
+                treatments: [],
+                legalOptions: [],
+                settlements: ''
+            },
+            source: 'hubspot'
+        }));
+    }
+
+    async getLawFirms({ specialty = null, location = null } = {}) {
+        const firms = await this.connector.findLawFirms(specialty || '', location, 20);
+
+        return firms.map(firm => ({
+            id: `hubspot_firm_${firm.id}`,
+            name: firm.name,
+            location: firm.location,
+            phone: firm.phone,
+            website: firm.website,
+            specialties: firm.specialties,
+            experience: firm.experience,
+            successRate: firm.successRate,
+            notableSettlements: firm.notableSettlements,
+            source: 'hubspot'
+        }));
+    }
+
+    async getSettlements({ condition, state = null } = {}) {
+        const data = await this.connector.getSettlementData(condition, state);
+        return data.map(item => ({ ...item, source: 'hubspot' }));
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Case-Evaluation Intake
+ *
+ * Collects what Legal Injury Advocates needs to evaluate a case - diagnosis, diagnosis date,
+ * exposure/product, state, contact details and explicit TCPA consent - either one question at a
+ * time (conversational) or as form fields (JSON API). Each answer is validated as it arrives and
+ * progress is saved, so a visitor can stop and resume. On submission the diagnosis and exposure are
+ * matched against the LIA active cases and a real HubSpot contact is created or updated.
+ * Questions and the consent prompt are asked in the intake's language (English or Spanish).
+ * An intake belongs to the visitor that started it (across session rotations); other visitors can't read or change it.
+ *
+ * Storage reuses the conversation store backends: in-memory (default) or JSON files on disk.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConversationBackend } from './conversation-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const INTAKE_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    READY: 'ready',
+    SUBMITTED: 'submitted'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTHS_ES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico'
+};
+
+// Conversational replies that count as explicit agreement - anything else is not consent
+const AGREEMENT_REPLIES = /^(yes|y|i agree|agree|i consent|yes,? i agree|s[ií]|acepto|estoy de acuerdo)[.!]?$/i;
+
+/**
+ * The questions, in the order they are asked
+ */
+export const INTAKE_STEPS = [
+    { field: 'diagnosis', question: 'What condition or injury were you diagnosed with?', validate: value => validateText(value, 'Diagnosis', 200) },
+    { field: 'diagnosisDate', question: 'When were you diagnosed? (for example "June 2021" or "2021-06")', validate: validateDiagnosisDate },
+    { field: 'exposure', question: 'What product, substance or workplace do you believe caused it?', validate: value => validateText(value, 'Exposure or product', 300) },
+    { field: 'state', question: 'Which U.S. state do you live in?', validate: validateState },
+    { field: 'firstName', question: 'What is your first name?', validate: value => validateName(value, 'First name') },
+    { field: 'lastName', question: 'What is your last name?', validate: value => validateName(value, 'Last name') },
+    { field: 'email', question: 'What email address can we reach you at?', validate: validateEmail },
+    { field: 'phone', question: 'What phone number can we reach you at?', validate: validatePhone },
+    { field: 'consent', question: null, validate: validateConsent }
+];
+
+export const INTAKE_FIELDS = INTAKE_STEPS.map(step => step.field);
+
+// The questions in other languages, by field (English is in INTAKE_STEPS)
+const QUESTION_TRANSLATIONS = {
+    es: {
+        diagnosis: '¿Qué enfermedad o lesión le diagnosticaron?',
+        diagnosisDate: '¿Cuándo le diagnosticaron? (por ejemplo "junio 2021" o "2021-06")',
+        exposure: '¿Qué producto, sustancia o lugar de trabajo cree que la causó?',
+        state: '¿En qué estado de EE. UU. vive?',
+        firstName: '¿Cuál es su nombre?',
+        lastName: '¿Cuál es su apellido?',
+        email: '¿A qué correo electrónico podemos escribirle?',
+        phone: '¿A qué número de teléfono podemos llamarle?'
+    }
+};
+
+// Follows the consent text; every reply listed here is accepted by AGREEMENT_REPLIES
+const CONSENT_PROMPTS = {
+    en: 'Reply "I agree" to continue.',
+    es: 'Responda "Acepto" para continuar.'
+};
+
+/**
+ * Validate one answer
+ * Returns { value } (normalized) or { error }
+ */
+export function validateAnswer(field, value) {
+    const step = INTAKE_STEPS.find(candidate => candidate.field === field);
+    if (!step) return { error: `Unknown field: ${field}` };
+    return step.validate(value);
+}
+
+function validateText(value, label, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return { error: `${label} is required` };
+    if (text.length > maxLength) return { error: `${label} must be at most ${maxLength} characters` };
+    return { value: text };
+}
+
+function validateName(value, label) {
+    const result = validateText(value, label, 50);
+    if (result.error) return result;
+    if (!/^[\p{L}][\p{L}' .-]*$/u.test(result.value)) return { error: `${label} can only contain letters, spaces, apostrophes and hyphens` };
+    return result;
+}
+
+/**
+ * Diagnosis date as YYYY, YYYY-MM or YYYY-MM-DD
+ * Accepts ISO dates, MM/YYYY, MM/DD/YYYY, "June 2021" and "junio de 2021"; rejects future dates
+ */
+function validateDiagnosisDate(value) {
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    let year, month = null, day = null;
+    let match;
+
+    if ((match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/))) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})\/(?:(\d{1,2})\/)?(\d{4})$/))) {
+        [, month, day, year] = match;
+    } else if ((match = text.match(/^([a-z]+)\.?,?\s+(?:de\s+)?(\d{4})$/))) {
+        const isMonth = name => name.startsWith(match[1]) && match[1].length >= 3;
+        const monthIndex = MONTHS.some(isMonth) ? MONTHS.findIndex(isMonth) : MONTHS_ES.findIndex(isMonth);
+        if (monthIndex === -1) return { error: 'Diagnosis date must be a date such as "June 2021" or "2021-06"' };
+        month = monthIndex + 1;
+        year = match[2];
+    } else {
+        return { error: 'Diagnosis date must be a date such as "June 2021" or "2021-06"' };
+    }
+
+    year = parseInt(year, 10);
+    month = month ? parseInt(month, 10) : null;
+    day = day ? parseInt(day, 10) : null;
+
+    const date = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+    if ((month && (month < 1 || month > 12)) || (day && date.getUTCDate() !== day)) {
+        return { error: 'Diagnosis date is not a valid date' };
+    }
+    if (year < 1900) {
+        return { error: 'Diagnosis date is not a valid date' };
+    }
+    if (date.getTime() > Date.now()) {
+        return { error: 'Diagnosis date cannot be in the future' };
+    }
+
+    const pad = number => String(number).padStart(2, '0');
+    return { value: [year, month && pad(month), day && pad(day)].filter(Boolean).join('-') };
+}
+
+/**
+ * Two-letter state code, from a code or a state name
+ */
+function validateState(value) {
+    const text = typeof value === 'string' ? value.trim().replace(/\.$/, '') : '';
+    const code = text.toUpperCase();
+    if (US_STATES[code]) return { value: code };
+
+    const byName = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === text.toLowerCase());
+    if (byName) return { value: byName[0] };
+
+    return { error: 'State must be a U.S. state name or two-letter code' };
+}
+
+function validateEmail(value) {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email)) {
+        return { error: 'Email must be a valid email address' };
+    }
+    return { value: email };
+}
+
+/**
+ * U.S. phone number in E.164 form (+1XXXXXXXXXX)
+ */
+function validatePhone(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(national)) {
+        return { error: 'Phone must be a 10-digit U.S. phone number' };
+    }
+    return { value: `+1${national}` };
+}
+
+/**
+ * Consent must be explicit: `true` from a form, or "yes"/"I agree" in conversation
+ */
+function validateConsent(value) {
+    if (value === true || (typeof value === 'string' && AGREEMENT_REPLIES.test(value.trim()))) {
+        return { value: true };
+    }
+    return { error: 'Your agreement to be contacted is required to submit a case evaluation' };
+}
+
+export class IntakeService {
+    constructor(config = {}) {
+        this.backend = config.backend || createConversationBackend(config.backendType, {
+            directory: config.directory || path.join(__dirname, '..', 'storage', 'intakes')
+        });
+        this.hubspot = config.hubspot || null;
+        this.checkLIAActiveCase = config.checkLIAActiveCase || (async () => ({ isActive: false }));
+        this.consentText = config.consentText;
+        this.consentVersion = config.consentVersion;
+        // Wording in other languages: { es: { consentText } }
+        this.languages = config.languages || {};
+        this.ttl = config.ttl || 7 * 24 * 60 * 60 * 1000; // Partial intakes are kept for 7 days
+    }
+
+    createIntakeId() {
+        return `intake_${crypto.randomUUID().replace(/-/g, '')}`;
+    }
+
+    /**
+     * Start an intake, optionally with some answers already filled in
+     * language: 'en' or 'es', the language its questions are asked in
+     * ownerId: the visitor starting it (kept when their session rotates)
+     */
+    async start({ answers = {}, conversationId = null, queryId = null, language = 'en', ownerId = null, meta = {} } = {}) {
+        const now = new Date().toISOString();
+        const intake = {
+            id: this.createIntakeId(),
+            status: INTAKE_STATUS.IN_PROGRESS,
+            createdAt: now,
+            updatedAt: now,
+            ownerId,
+            conversationId,
+            queryId,
+            language: QUESTION_TRANSLATIONS[language] ? language : 'en',
+            answers: {},
+            consent: null,
+            liaCase: null,
+            hubspotContactId: null,
+            submittedAt: null
+        };
+
+        const errors = this.applyAnswers(intake, answers, meta);
+        await this.backend.set(intake.id, intake);
+        return { intake, errors };
+    }
+
+    /**
+     * Get an intake by ID (null if missing or expired)
+     * With an ownerId, intakes started by another visitor are treated as missing
+     */
+    async get(id, ownerId) {
+        if (!id) return null;
+
+        const intake = await this.backend.get(id);
+        if (!intake) return null;
+        if (ownerId !== undefined && intake.ownerId !== ownerId) return null;
+
+        if (intake.status !== INTAKE_STATUS.SUBMITTED && Date.now() - new Date(intake.updatedAt).getTime() > this.ttl) {
+            await this.backend.delete(id);
+            return null;
+        }
+
+        return intake;
+    }
+
+    /**
+     * Save form answers - valid ones are kept even when others are rejected
+     */
+    async saveAnswers(id, answers = {}, meta = {}, ownerId) {
+        const intake = await this.get(id, ownerId);
+        if (!intake) return null;
+        if (intake.status === INTAKE_STATUS.SUBMITTED) return { intake, submitted: true, errors: {} };
+
+        const errors = this.applyAnswers(intake, answers, meta);
+        await this.backend.set(intake.id, intake);
+        return { intake, errors };
+    }
+
+    /**
+     * Answer the current question in conversation
+     */
+    async reply(id, message, meta = {}, ownerId) {
+        const intake = await this.get(id, ownerId);
+        if (!intake) return null;
+        if (intake.status === INTAKE_STATUS.SUBMITTED) return { intake, submitted: true, errors: {} };
+
+        const step = this.getNextStep(intake);
+        const errors = step ? this.applyAnswers(intake, { [step.field]: message }, meta) : {};
+        await this.backend.set(intake.id, intake);
+        return { intake, errors };
+    }
+
+    /**
+     * Validate and store answers; returns { field: error } for the rejected ones
+     */
+    applyAnswers(intake, answers, meta = {}) {
+        const errors = {};
+
+        for (const [field, value] of Object.entries(answers || {})) {
+            const result = validateAnswer(field, value);
+            if (result.error) {
+                errors[field] = result.error;
+                continue;
+            }
+
+            if (field === 'consent') {
+                // Keep what was agreed to, and when, as proof of consent
+                intake.consent = {
+                    agreed: true,
+                    text: this.getConsentText(intake),
+                    version: this.consentVersion,
+                    agreedAt: new Date().toISOString(),
+                    ipAddress: meta.ipAddress || null,
+                    userAgent: meta.userAgent || null
+                };
+            } else {
+                intake.answers[field] = result.value;
+            }
+        }
+
+        intake.status = this.getMissingFields(intake).length === 0 ? INTAKE_STATUS.READY : INTAKE_STATUS.IN_PROGRESS;
+        intake.updatedAt = new Date().toISOString();
+        return errors;
+    }
+
+    getMissingFields(intake) {
+        return INTAKE_FIELDS.filter(field => field === 'consent' ? !intake.consent?.agreed : !intake.answers[field]);
+    }
+
+    /**
+     * The next unanswered question (null when every field is answered)
+     */
+    getNextStep(intake) {
+        const field = this.getMissingFields(intake)[0];
+        if (!field) return null;
+
+        const step = INTAKE_STEPS.find(candidate => candidate.field === field);
+        const language = intake.language || 'en';
+        return {
+            field,
+            question: field === 'consent'
+                ? `${this.getConsentText(intake)} ${CONSENT_PROMPTS[language] || CONSENT_PROMPTS.en}`
+                : QUESTION_TRANSLATIONS[language]?.[field] || step.question
+        };
+    }
+
+    /**
+     * Consent text in the intake's language - the wording shown is the wording stored as proof
+     */
+    getConsentText(intake) {
+        return this.languages[intake.language]?.consentText || this.consentText;
+    }
+
+    /**
+     * Match the LIA case and create or update the HubSpot contact
+     * Returns { intake } or { intake, missing } when fields are still unanswered
+     */
+    async submit(id, ownerId) {
+        const intake = await this.get(id, ownerId);
+        if (!intake) return null;
+        if (intake.status === INTAKE_STATUS.SUBMITTED) return { intake, alreadySubmitted: true };
+
+        const missing = this.getMissingFields(intake);
+        if (missing.length > 0) return { intake, missing };
+
+        const liaCaseInfo = await this.checkLIAActiveCase(`${intake.answers.diagnosis} ${intake.answers.exposure}`);
+        intake.liaCase = liaCaseInfo?.isActive ? { caseType: liaCaseInfo.caseType, name: liaCaseInfo.name } : null;
+
+        if (!this.hubspot) {
+            throw new Error('HubSpot connector is not configured');
+        }
+
+        const contact = await this.hubspot.upsertIntakeContact({
+            intakeId: intake.id,
+            ...intake.answers,
+            liaCaseType: intake.liaCase?.caseType || null,
+            consent: intake.consent
+        });
+
+        intake.status = INTAKE_STATUS.SUBMITTED;
+        intake.hubspotContactId = contact.contactId;
+        intake.submittedAt = new Date().toISOString();
+        intake.updatedAt = intake.submittedAt;
+        await this.backend.set(intake.id, intake);
+
+        console.log(`✅ Intake ${intake.id} submitted to HubSpot contact ${contact.contactId} (${intake.liaCase?.caseType || 'no active LIA case'})`);
+        return { intake };
+    }
+
+    /**
+     * What the client sees: answers so far, what is missing and the next question
+     */
+    toResponse(intake) {
+        return {
+            intakeId: intake.id,
+            status: intake.status,
+            language: intake.language || 'en',
+            answers: intake.answers,
+            consentGiven: Boolean(intake.consent?.agreed),
+            missing: this.getMissingFields(intake),
+            nextStep: intake.status === INTAKE_STATUS.SUBMITTED ? null : this.getNextStep(intake),
+            liaCase: intake.liaCase,
+            submittedAt: intake.submittedAt
+        };
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Query Intent Classifier
+ *
+ * Labels a chat query as one of:
+ *   medical_info, legal_rights, settlement_value, firm_search, eligibility, off_topic, emergency
+ *
+ * Classification uses weighted keyword rules (config/intent-rules.json, optionally
+ * overridden per keyword from the "Intent_Rules" Google Sheet). When the rules are not
+ * confident, an optional LLM fallback picks the label instead.
+ *
+ * Each intent also declares what retrieval it needs (articles, settlements, law firms,
+ * sources) and how to weight those items when packing context, so the chat pipeline,
+ * prompt and analytics all follow the same label.
+ *
+ * Intents marked "ignoreInLegalContext" (emergency) follow the SafetyDetector for lawsuit and
+ * settlement questions: they are only picked when the detector still sees a crisis, so
+ * "Chantix suicide lawsuit settlement amounts" is a settlement question, not an emergency.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SafetyDetector } from './safety-detector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'intent-rules.json');
+
+export const INTENTS = {
+    MEDICAL_INFO: 'medical_info',
+    LEGAL_RIGHTS: 'legal_rights',
+    SETTLEMENT_VALUE: 'settlement_value',
+    FIRM_SEARCH: 'firm_search',
+    ELIGIBILITY: 'eligibility',
+    OFF_TOPIC: 'off_topic',
+    EMERGENCY: 'emergency'
+};
+
+// Intents where law firm coverage and legal framing are relevant
+export const LEGAL_INTENTS = [INTENTS.LEGAL_RIGHTS, INTENTS.SETTLEMENT_VALUE, INTENTS.FIRM_SEARCH, INTENTS.ELIGIBILITY];
+
+export class IntentClassifier {
+    constructor(config = {}) {
+        // Overrides are merged into a copy of the base rules, so removed overrides stop applying
+        this.baseRules = config.rules || loadIntentRules(config.rulesFile || process.env.INTENT_RULES_FILE || DEFAULT_RULES_FILE);
+        this.rules = this.baseRules;
+        this.llm = config.llm || null;
+        this.llmFallback = config.llmFallback ?? false;
+        this.createRequest = config.createRequest || null;
+        this.loadRuleOverrides = config.loadRuleOverrides || null; // async () => [{ intent, keyword, weight }]
+        this.overrideRefreshInterval = config.overrideRefreshInterval || 30 * 60 * 1000;
+        this.overridesLoadedAt = 0;
+        this.compiled = this.compileRules(this.rules);
+
+        // Decides when crisis keywords in a legal question still make an emergency
+        this.safetyDetector = config.safetyDetector || new SafetyDetector();
+    }
+
+    /**
+     * Pull keyword weight overrides (e.g. from Google Sheets), at most once per refresh interval
+     */
+    async refreshRuleOverrides() {
+        if (!this.loadRuleOverrides || Date.now() - this.overridesLoadedAt < this.overrideRefreshInterval) {
+            return;
+        }
+        this.overridesLoadedAt = Date.now();
+
+        try {
+            this.applyRuleOverrides(await this.loadRuleOverrides());
+        } catch (error) {
+            console.warn('⚠️ Could not load intent rule overrides:', error.message);
+        }
+    }
+
+    /**
+     * Precompile keyword patterns (word boundaries, case-insensitive)
+     */
+    compileRules(rules) {
+        return Object.entries(rules.intents || {}).map(([intent, definition]) => ({
+            intent,
+            priority: !!definition.priority,
+            ignoreInLegalContext: !!definition.ignoreInLegalContext,
+            minScore: definition.minScore ?? rules.minScore ?? 1,
+            keywords: Object.entries(definition.keywords || {}).map(([keyword, weight]) => ({
+                keyword,
+                weight: Number(weight) || 0,
+                pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}(?=$|[^a-z0-9])`, 'i')
+            }))
+        }));
+    }
+
+    /**
+     * Merge keyword weights from sheet rows ({ intent, keyword, weight }) over the JSON defaults
+     * Each call starts again from the defaults, so the rows replace the previous overrides
+     */
+    applyRuleOverrides(rows = []) {
+        const rules = structuredClone(this.baseRules);
+        let applied = 0;
+
+        for (const row of rows) {
+            const definition = rules.intents?.[row.intent];
+            if (!definition || !row.keyword) continue;
+
+            definition.keywords = definition.keywords || {};
+            definition.keywords[row.keyword.toLowerCase()] = Number(row.weight) || 0;
+            applied++;
+        }
+
+        this.rules = rules;
+        this.compiled = this.compileRules(rules);
+        if (applied > 0) {
+            console.log(`🏷️ Applied ${applied} intent keyword rules from Google Sheets`);
+        }
+        return applied;
+    }
+
+    /**
+     * Score a query against the keyword rules (synchronous, no LLM)
+     */
+    classifyWithRules(query) {
+        const text = String(query || '').toLowerCase();
+        const scores = {};
+        const matched = [];
+
+        for (const rule of this.compiled) {
+            scores[rule.intent] = 0;
+            for (const { keyword, weight, pattern } of rule.keywords) {
+                if (pattern.test(text)) {
+                    scores[rule.intent] += weight;
+                    matched.push({ intent: rule.intent, keyword, weight });
+                }
+            }
+        }
+
+        // Crisis words in a lawsuit question don't make it an emergency
+        const candidates = this.getCandidateRules(text);
+
+        // Priority intents (emergency) win outright once they reach their threshold
+        const priorityRule = candidates.find(rule => rule.priority && scores[rule.intent] >= rule.minScore);
+        const ranked = candidates
+            .filter(rule => !rule.priority && scores[rule.intent] >= rule.minScore)
+            .map(rule => [rule.intent, scores[rule.intent]])
+            .sort(([, a], [, b]) => b - a);
+
+        const totalScore = candidates.reduce((sum, rule) => sum + scores[rule.intent], 0);
+        let intent;
+        let confidence;
+
+        if (priorityRule) {
+            intent = priorityRule.intent;
+            confidence = 1;
+        } else if (ranked.length > 0) {
+            intent = ranked[0][0];
+            confidence = totalScore > 0 ? ranked[0][1] / totalScore : 0;
+        } else {
+            intent = this.rules.fallbackIntent || INTENTS.MEDICAL_INFO;
+            confidence = 0;
+        }
+
+        return this.buildResult(intent, {
+            confidence: Math.round(confidence * 100) / 100,
+            scores,
+            matched,
+            source: confidence > 0 ? 'rules' : 'default'
+        });
+    }
+
+    /**
+     * Compiled rules that may label this text: "ignoreInLegalContext" intents drop out of legal
+     * questions the safety detector lets through
+     */
+    getCandidateRules(text) {
+        const ignoreLegal = this.safetyDetector.isLegalContext(text) && !this.safetyDetector.detect(text);
+        return this.compiled.filter(rule => !(rule.ignoreInLegalContext && ignoreLegal));
+    }
+
+    /**
+     * Classify a query, asking the LLM when the rules are unsure (if enabled)
+     */
+    async classify(query) {
+        await this.refreshRuleOverrides();
+        const result = this.classifyWithRules(query);
+
+        const unsure = result.confidence < (this.rules.llmThreshold ?? 0.5);
+        if (!unsure || !this.llmFallback || !this.llm || result.intent === INTENTS.EMERGENCY) {
+            return result;
+        }
+
+        try {
+            const labels = this.getCandidateRules(String(query || '')).map(rule => rule.intent);
+            const messages = [
+                {
+                    role: 'system',
+                    content: `Classify the user's message for an injury, medical and legal information site. Reply with exactly one label: ${labels.join(', ')}.`
+                },
+                { role: 'user', content: String(query) }
+            ];
+            const request = this.createRequest
+                ? this.createRequest(messages, { max_tokens: 10, temperature: 0.1 })
+                : { messages, max_tokens: 10, temperature: 0 };
+
+            const completion = await this.llm.createChatCompletion(request);
+            const answer = (completion.choices?.[0]?.message?.content || '').toLowerCase();
+            const label = labels.find(candidate => answer.includes(candidate));
+
+            if (label) {
+                return this.buildResult(label, { ...result, confidence: Math.max(result.confidence, 0.6), source: 'llm' });
+            }
+        } catch (error) {
+            console.warn('⚠️ Intent LLM fallback failed:', error.message);
+        }
+
+        return result;
+    }
+
+    buildResult(intent, details) {
+        const definition = this.rules.intents?.[intent] || {};
+        return {
+            intent,
+            label: definition.label || intent,
+            confidence: details.confidence,
+            source: details.source,
+            isLegal: LEGAL_INTENTS.includes(intent),
+            retrieval: {
+                articles: true,
+                settlements: true,
+                lawFirms: false,
+                sources: true,
+                ...definition.retrieval
+            },
+            // Relevance multipliers per context item type (see utils/context-builder.js)
+            contextWeights: definition.contextWeights || {},
+            scores: details.scores,
+            matched: details.matched
+        };
+    }
+
+    /**
+     * Chat tool names the model may use for this intent
+     */
+    getAllowedTools(classification) {
+        const { retrieval } = classification;
+        const tools = [];
+        if (retrieval.articles) tools.push('search_articles');
+        if (retrieval.settlements) tools.push('get_settlement_data');
+        if (retrieval.lawFirms) tools.push('find_law_firms');
+        if (retrieval.sources) tools.push('check_lia_case', 'get_reputable_sources');
+        return tools;
+    }
+}
+
+/**
+ * Load rules from a JSON file (deep copy so overrides never leak between instances)
+ */
+export function loadIntentRules(rulesFile = DEFAULT_RULES_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Could not load intent rules from ${rulesFile}:`, error.message);
+        return { fallbackIntent: INTENTS.MEDICAL_INFO, intents: {} };
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,151 @@
+/**
+ * Language detection, stop words and keyword synonyms
+ *
+ * Incoming messages are labelled English or Spanish with a function-word heuristic
+ * (no external service). Data lookups (LIA case matching, keyword extraction, reputable
+ * sources) use the stop words for that language, and Spanish terms are expanded to the
+ * English keywords the sheets use, e.g. "amianto"/"asbesto" -> asbestos, mesothelioma.
+ * Synonyms live in config/synonyms.json (or SYNONYMS_FILE), keyed without accents.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SYNONYMS_FILE = path.join(__dirname, '..', 'config', 'synonyms.json');
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = ['en', 'es'];
+
+const STOP_WORDS = {
+    en: new Set([
+        'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+        'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+        'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
+        'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+        'my', 'your', 'his', 'its', 'our', 'their', 'mine', 'yours', 'hers', 'ours', 'theirs',
+        'what', 'when', 'where', 'why', 'how', 'who', 'which', 'whom', 'whose',
+        'if', 'then', 'else', 'than', 'as', 'so', 'because', 'since', 'while', 'until',
+        'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after', 'above', 'below',
+        'from', 'up', 'down', 'out', 'off', 'over', 'under', 'again', 'further', 'once',
+        'here', 'there', 'all', 'any', 'both', 'each', 'few', 'more',
+        'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'too', 'very'
+    ]),
+    // Accent-free, since text is folded before matching
+    es: new Set([
+        'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'lo', 'al', 'del', 'de', 'y', 'o', 'u', 'e',
+        'pero', 'sino', 'en', 'con', 'sin', 'por', 'para', 'sobre', 'entre', 'hasta', 'desde', 'hacia', 'segun',
+        'que', 'cual', 'cuales', 'quien', 'quienes', 'como', 'cuando', 'donde', 'cuanto', 'cuanta', 'cuantos', 'cuantas',
+        'es', 'son', 'era', 'fue', 'ser', 'estar', 'esta', 'estan', 'estoy', 'este', 'esto', 'estos', 'estas', 'ese', 'esa', 'eso',
+        'hay', 'he', 'ha', 'han', 'haber', 'tengo', 'tiene', 'tienen', 'tener', 'puedo', 'puede', 'pueden', 'poder',
+        'yo', 'tu', 'usted', 'ella', 'nosotros', 'ellos', 'ellas', 'me', 'te', 'se', 'nos', 'le', 'les',
+        'mi', 'mis', 'su', 'sus', 'nuestro', 'nuestra', 'si', 'no', 'ni', 'ya', 'muy', 'mas', 'menos',
+        'tambien', 'algo', 'alguien', 'algun', 'alguna', 'todo', 'todos', 'toda', 'todas', 'otro', 'otra', 'mismo',
+        'porque', 'pues', 'entonces', 'aqui', 'alli', 'hola', 'gracias', 'favor', 'quiero', 'saber', 'necesito'
+    ])
+};
+
+// Words that only (or mostly) appear in one language - used for detection
+const LANGUAGE_HINTS = {
+    es: new Set([
+        'el', 'la', 'los', 'las', 'del', 'de', 'que', 'y', 'es', 'un', 'una', 'por', 'para', 'con', 'mi', 'mis',
+        'su', 'cual', 'como', 'cuanto', 'cuando', 'donde', 'tengo', 'tiene', 'puedo', 'hay', 'estoy', 'fue',
+        'pero', 'muy', 'mas', 'sobre', 'quiero', 'necesito', 'hola', 'gracias', 'ayuda', 'esposo', 'esposa',
+        'demanda', 'abogado', 'acuerdo', 'indemnizacion', 'sintomas', 'despues', 'anos'
+    ]),
+    en: new Set([
+        'the', 'is', 'are', 'what', 'how', 'and', 'of', 'to', 'my', 'i', 'can', 'for', 'with', 'does', 'do',
+        'was', 'have', 'has', 'about', 'after', 'which', 'who', 'will', 'should', 'lawsuit', 'settlement', 'lawyer'
+    ])
+};
+
+// ¿ ¡ ñ are unambiguous; other accented vowels lean Spanish
+const SPANISH_CHARACTERS = /[¿¡ñ]/i;
+const SPANISH_ACCENTS = /[áéíóúü]/i;
+
+let synonymCache = null;
+
+/**
+ * Lowercase and strip accents ("Indemnización" -> "indemnizacion")
+ */
+export function foldText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Folded words, punctuation removed
+ */
+export function tokenize(text) {
+    return foldText(text).split(/[^a-z0-9]+/).filter(word => word.length > 0);
+}
+
+/**
+ * 'es' or 'en' (the default when a message gives no clear signal)
+ */
+export function detectLanguage(text) {
+    const value = String(text || '');
+    let spanish = SPANISH_CHARACTERS.test(value) ? 2 : SPANISH_ACCENTS.test(value) ? 1 : 0;
+    let english = 0;
+
+    for (const word of tokenize(value)) {
+        if (LANGUAGE_HINTS.es.has(word)) spanish++;
+        if (LANGUAGE_HINTS.en.has(word)) english++;
+    }
+
+    return spanish > english ? 'es' : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Stop words for a language; English ones always apply (Spanish queries often mix in English terms)
+ */
+export function getStopWords(language = DEFAULT_LANGUAGE) {
+    if (language === DEFAULT_LANGUAGE || !STOP_WORDS[language]) return STOP_WORDS.en;
+    return new Set([...STOP_WORDS.en, ...STOP_WORDS[language]]);
+}
+
+/**
+ * Meaningful words of a query: folded, no stop words, short words or pure numbers
+ */
+export function extractTerms(text, language = detectLanguage(text)) {
+    const stopWords = getStopWords(language);
+    return tokenize(text)
+        .filter(word => word.length > 2)
+        .filter(word => !stopWords.has(word))
+        .filter(word => !/^\d+$/.test(word));
+}
+
+/**
+ * English keywords for the words of a non-English query (e.g. "amianto" -> ["asbestos", "mesothelioma"])
+ */
+export function getSynonyms(words, language) {
+    const synonyms = loadSynonyms()[language];
+    if (!synonyms) return [];
+    return [...new Set(words.flatMap(word => synonyms[word] || []))];
+}
+
+/**
+ * Query text for keyword-based lookups: the original text plus English synonyms of its words.
+ * English queries are returned unchanged.
+ */
+export function toSearchQuery(text, language = detectLanguage(text)) {
+    if (language === DEFAULT_LANGUAGE) return String(text || '');
+    const synonyms = getSynonyms(tokenize(text), language);
+    return synonyms.length > 0 ? `${text} ${synonyms.join(' ')}` : String(text || '');
+}
+
+/**
+ * Load the synonym lists (once per process)
+ */
+export function loadSynonyms(synonymsFile = process.env.SYNONYMS_FILE || DEFAULT_SYNONYMS_FILE) {
+    if (synonymCache) return synonymCache;
+    try {
+        synonymCache = JSON.parse(fs.readFileSync(synonymsFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load synonyms from ${synonymsFile}:`, error.message);
+        synonymCache = {};
+    }
+    return synonymCache;
+}
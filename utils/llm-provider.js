@@ -0,0 +1,232 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every provider speaks the OpenAI chat completions wire format, so requests are
+ * built with createOpenAIRequest() and responses/stream chunks look the same
+ * regardless of backend:
+ * - OpenAIProvider: api.openai.com via the official SDK
+ * - OpenAICompatibleProvider: any server exposing /v1/chat/completions (vLLM, Ollama, LM Studio, ...)
+ * - MockLLMProvider: scripted, deterministic responses for tests and offline dev
+ *
+ * Provider interface:
+ *   createChatCompletion(request) - completion object, or an async iterable of chunks when request.stream is true
+ *   createModeration(request)     - moderation result ({ model, input } -> { results: [{ categories, category_scores }] })
+ *   getInfo()                      - { provider, model, ... } for status endpoints
+ *
+ * Key, base URL and request timeout (LLM_TIMEOUT) are configured once here, for chat and moderation alike.
+ */
+
+import fs from 'fs';
+import OpenAI from 'openai';
+
+export class OpenAIProvider {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.model = config.model;
+        this.client = config.client || new OpenAI({
+            apiKey: config.apiKey,
+            timeout: config.timeout
+        });
+    }
+
+    /**
+     * Create a chat completion (streams when request.stream is true)
+     */
+    async createChatCompletion(request) {
+        return this.client.chat.completions.create(request);
+    }
+
+    /**
+     * Classify text with the moderation endpoint
+     */
+    async createModeration(request) {
+        return this.client.moderations.create(request);
+    }
+
+    getInfo() {
+        return { provider: this.name, model: this.model };
+    }
+}
+
+/**
+ * OpenAI-compatible server at a custom base URL
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        if (!config.baseURL) {
+            throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+        }
+
+        super({
+            ...config,
+            client: config.client || new OpenAI({
+                // Local servers usually ignore the key, but the SDK requires one
+                apiKey: config.apiKey || 'not-needed',
+                baseURL: config.baseURL,
+                timeout: config.timeout
+            })
+        });
+        this.name = 'openai-compatible';
+        this.baseURL = config.baseURL;
+    }
+
+    getInfo() {
+        return { provider: this.name, model: this.model, baseURL: this.baseURL };
+    }
+}
+
+/**
+ * Scripted provider - replays responses in order, then falls back to echoing the user
+ *
+ * Each script entry is one of:
+ *   'plain text answer'
+ *   { content: '...', tool_calls: [{ name: 'search_articles', arguments: { query: 'talc' } }] }
+ *   (request) => entry   - computed from the request
+ */
+export class MockLLMProvider {
+    constructor(config = {}) {
+        this.name = 'mock';
+        this.model = config.model || 'mock-model';
+        this.script = [...(config.responses || loadMockScript(config.scriptPath))];
+        this.chunkSize = config.chunkSize || 1; // Words per streamed chunk
+        this.requests = [];
+    }
+
+    /**
+     * Queue more scripted responses
+     */
+    enqueue(...responses) {
+        this.script.push(...responses);
+    }
+
+    async createChatCompletion(request) {
+        this.requests.push(request);
+        const response = this.nextResponse(request);
+
+        return request.stream
+            ? this.streamResponse(response, request)
+            : this.buildCompletion(response, request);
+    }
+
+    // Nothing is ever flagged
+    async createModeration(request) {
+        return { id: `modr-mock-${this.requests.length}`, model: request.model, results: [{ flagged: false, categories: {}, category_scores: {} }] };
+    }
+
+    /**
+     * Next scripted entry, normalized to { content, tool_calls }
+     */
+    nextResponse(request) {
+        let entry = this.script.length > 0 ? this.script.shift() : null;
+        if (typeof entry === 'function') {
+            entry = entry(request);
+        }
+
+        // Tool calls only make sense when tools were offered (and not on a tool loop's final round)
+        if (entry?.tool_calls && (!request.tools || request.tool_choice === 'none')) {
+            entry = entry.content || null;
+        }
+
+        if (entry === null || entry === undefined) {
+            const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+            entry = `Mock response to: ${lastUser?.content || ''}`;
+        }
+
+        if (typeof entry === 'string') {
+            return { content: entry, tool_calls: [] };
+        }
+
+        return {
+            content: entry.content || null,
+            tool_calls: (entry.tool_calls || []).map((call, index) => ({
+                id: call.id || `call_mock_${this.requests.length}_${index}`,
+                type: 'function',
+                function: {
+                    name: call.name || call.function?.name,
+                    arguments: typeof call.arguments === 'string'
+                        ? call.arguments
+                        : JSON.stringify(call.arguments || {})
+                }
+            }))
+        };
+    }
+
+    buildCompletion(response, request) {
+        const hasToolCalls = response.tool_calls.length > 0;
+        const message = { role: 'assistant', content: response.content };
+        if (hasToolCalls) message.tool_calls = response.tool_calls;
+
+        return {
+            id: `chatcmpl-mock-${this.requests.length}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: request.model || this.model,
+            choices: [{ index: 0, message, finish_reason: hasToolCalls ? 'tool_calls' : 'stop' }],
+            usage: estimateUsage(request, response)
+        };
+    }
+
+    async *streamResponse(response, request) {
+        const words = (response.content || '').split(/(?<=\s)/).filter(Boolean);
+        for (let i = 0; i < words.length; i += this.chunkSize) {
+            yield { choices: [{ index: 0, delta: { content: words.slice(i, i + this.chunkSize).join('') }, finish_reason: null }] };
+        }
+
+        for (const [index, call] of response.tool_calls.entries()) {
+            yield {
+                choices: [{
+                    index: 0,
+                    delta: { tool_calls: [{ index, id: call.id, type: 'function', function: call.function }] },
+                    finish_reason: null
+                }]
+            };
+        }
+
+        yield { choices: [{ index: 0, delta: {}, finish_reason: response.tool_calls.length > 0 ? 'tool_calls' : 'stop' }] };
+
+        if (request.stream_options?.include_usage) {
+            yield { choices: [], usage: estimateUsage(request, response) };
+        }
+    }
+
+    getInfo() {
+        return { provider: this.name, model: this.model, scriptedResponsesRemaining: this.script.length };
+    }
+}
+
+/**
+ * Load a mock script from a JSON file (array of script entries)
+ */
+function loadMockScript(scriptPath) {
+    if (!scriptPath) return [];
+
+    try {
+        const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+        console.log(`📋 Loaded ${script.length} mock LLM responses from ${scriptPath}`);
+        return Array.isArray(script) ? script : [];
+    } catch (error) {
+        console.warn(`⚠️ Could not load mock LLM script ${scriptPath}:`, error.message);
+        return [];
+    }
+}
+
+function estimateUsage(request, response) {
+    const promptTokens = (request.messages || []).reduce((total, message) => total + Math.ceil(String(message.content || '').length / 4), 0);
+    const completionTokens = Math.ceil((response.content || '').length / 4);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Build the provider named in config ('openai', 'openai-compatible' or 'mock')
+ */
+export function createLLMProvider(config = {}) {
+    switch (config.provider) {
+        case 'mock':
+            return new MockLLMProvider(config);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(config);
+        case 'openai':
+        default:
+            return new OpenAIProvider(config);
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Local file data source
+ *
+ * Reads the spreadsheet's tabs from a directory of CSV or JSON files, one file per tab named
+ * after it ("Top_10_Firms.csv", "Legal Injury Advocates Active cases.json"), so the site can run
+ * offline or on staging with realistic data. Files have the same columns as the tabs:
+ * - CSV: a header row, then one row per record (quote values containing commas)
+ * - JSON: an array of objects keyed by column name
+ * The directory is the "directory" option, else LOCAL_DATA_DIR, else scripts/sample-data-templates
+ * (a starting set to copy and edit).
+ *
+ * Rows are mapped exactly like the Google Sheets tabs. Files are re-read when they change on disk,
+ * and change listeners (DataIntegrationService clears its cache) are told.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GoogleSheetsSource } from './google-sheets-source.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const FILE_EXTENSIONS = ['.csv', '.json'];
+
+export class LocalFileSource extends GoogleSheetsSource {
+    constructor(config = {}) {
+        const connector = new LocalSheetsConnector({
+            directory: config.directory || process.env.LOCAL_DATA_DIR || path.join(PROJECT_ROOT, 'scripts', 'sample-data-templates'),
+            watch: config.watch ?? true
+        });
+        super({ ...config, connector });
+    }
+
+    onChange(listener) {
+        this.connector.listeners.push(listener);
+    }
+
+    close() {
+        this.connector.close();
+    }
+}
+
+/**
+ * GoogleSheetsConnector.readSheet over local files
+ */
+export class LocalSheetsConnector {
+    constructor(config = {}) {
+        this.directory = path.resolve(PROJECT_ROOT, config.directory);
+        this.files = new Map(); // tab name -> { headers, data }
+        this.listeners = [];
+        this.watcher = null;
+        this.reloadTimer = null;
+
+        if (!fs.existsSync(this.directory)) {
+            throw new Error(`Local data directory not found: ${this.directory}`);
+        }
+        if (config.watch) this.watch();
+    }
+
+    async readSheet(sheetName) {
+        if (!this.files.has(sheetName)) {
+            this.files.set(sheetName, this.loadFile(sheetName));
+        }
+        return this.files.get(sheetName);
+    }
+
+    loadFile(sheetName) {
+        const file = FILE_EXTENSIONS.map(extension => path.join(this.directory, `${sheetName}${extension}`)).find(candidate => fs.existsSync(candidate));
+        if (!file) {
+            console.warn(`⚠️ No local file for sheet: ${sheetName}`);
+            return { headers: [], data: [] };
+        }
+
+        const text = fs.readFileSync(file, 'utf8');
+        const table = file.endsWith('.json') ? parseJSONRows(text) : parseCSVRows(text);
+        console.log(`✅ Read ${table.data.length} rows from ${path.basename(file)}`);
+        return table;
+    }
+
+    /**
+     * Re-read files when they change; editors often write several events per save, so changes are batched
+     */
+    watch() {
+        this.watcher = fs.watch(this.directory, (eventType, filename) => {
+            if (!filename || !FILE_EXTENSIONS.includes(path.extname(filename))) return;
+
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => {
+                this.files.clear();
+                console.log(`🔄 Local data changed (${filename}), reloading`);
+                for (const listener of this.listeners) listener(filename);
+            }, 100);
+        });
+        // Watching never keeps the process alive on its own
+        this.watcher.unref();
+    }
+
+    close() {
+        clearTimeout(this.reloadTimer);
+        this.watcher?.close();
+        this.watcher = null;
+    }
+}
+
+/**
+ * CSV text to { headers, data } (rows as objects of strings, like GoogleSheetsConnector.readSheet)
+ */
+export function parseCSVRows(text) {
+    const [headers = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, '')).filter(row => row.some(value => value.trim() !== ''));
+    const names = headers.map(header => header.trim());
+
+    return {
+        headers: names,
+        data: rows.map(row => Object.fromEntries(names.map((name, index) => [name, (row[index] || '').trim()])))
+    };
+}
+
+function parseJSONRows(text) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.rows || [];
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    // Same string values a spreadsheet returns
+    const toCell = value => Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    return {
+        headers,
+        data: rows.map(row => Object.fromEntries(headers.map(header => [header, toCell(row[header])])))
+    };
+}
+
+// RFC 4180: quoted values may hold commas, line breaks and "" for a quote
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                value += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+}
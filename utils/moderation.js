@@ -0,0 +1,324 @@
+/**
+ * Input and Output Moderation
+ *
+ * Checks chat messages before the LLM and the model's answers before they are returned,
+ * against the policy in config/moderation-policy.json (or MODERATION_POLICY_FILE).
+ * Each policy category lists keywords (matched as whole words), regex patterns and, optionally,
+ * the classifier categories that count as a match, plus what to do about a match:
+ * - "refuse":   answer with the policy's refusal instead
+ * - "redirect": answer with the redirect message and on-topic suggestions instead
+ * - "redact":   replace the matched text and carry on
+ * The strictest action of all matched categories wins. Categories with "allowInTopicContext"
+ * are skipped when the text is about injuries or lawsuits ("murder" in a wrongful death question).
+ * The policy's "translations" hold the refusal, redirect and suggestions in other languages.
+ *
+ * Crisis messages never get here - the SafetyDetector answers those first.
+ *
+ * Classifier interface (optional, e.g. OpenAIModerationClassifier):
+ *   classify(text, { stage }) - [{ category, score }] for the categories it flags
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'moderation-policy.json');
+
+export const MODERATION_STAGES = {
+    INPUT: 'input',
+    OUTPUT: 'output'
+};
+
+export const MODERATION_ACTIONS = {
+    REFUSE: 'refuse',
+    REDIRECT: 'redirect',
+    REDACT: 'redact'
+};
+
+// Streamed answers: characters kept back behind the last released sentence, and what ends one
+const STREAM_HOLD_WINDOW = 64;
+const SENTENCE_END = /[.!?]+["')\]]*\s+|\n+/g;
+
+// Strictest first
+const ACTION_ORDER = [MODERATION_ACTIONS.REFUSE, MODERATION_ACTIONS.REDIRECT, MODERATION_ACTIONS.REDACT];
+
+export class ContentModerator {
+    constructor(config = {}) {
+        this.policy = config.policy || loadModerationPolicy(config.policyFile || process.env.MODERATION_POLICY_FILE || DEFAULT_POLICY_FILE);
+        this.enabled = config.enabled ?? true;
+        this.classifier = config.classifier || null;
+        this.topicContext = this.policy.topicContext ? new RegExp(this.policy.topicContext, 'i') : null;
+        this.categories = Object.entries(this.policy.categories || {}).map(([category, definition]) => ({
+            category,
+            label: definition.label || category,
+            action: ACTION_ORDER.includes(definition.action) ? definition.action : MODERATION_ACTIONS.REFUSE,
+            stages: definition.stages || Object.values(MODERATION_STAGES),
+            allowInTopicContext: definition.allowInTopicContext === true,
+            patterns: [
+                ...(definition.keywords || []).map(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'gi')),
+                ...(definition.patterns || []).map(pattern => new RegExp(pattern, 'gi'))
+            ],
+            exceptions: (definition.exceptions || []).map(pattern => new RegExp(pattern, 'i')),
+            classifierCategories: definition.classifierCategories || [],
+            replacement: definition.replacement || '[removed]'
+        }));
+    }
+
+    /**
+     * Check text at a stage ('input' or 'output'); returns null when nothing was flagged, else
+     * { stage, action, categories: [{ category, label, action, matched, source }], text, suggestions }
+     * where text is the redacted text, or the refusal/redirect message to answer with instead,
+     * in options.language when the policy has a translation for it.
+     */
+    async moderate(text, stage, options = {}) {
+        if (!this.enabled || !text) return null;
+
+        const rules = this.getRules(text, stage);
+        const flagged = this.matchRules(rules, text);
+
+        for (const result of await this.classify(text, stage)) {
+            const rule = rules.find(candidate => candidate.classifierCategories.includes(result.category));
+            if (rule && !flagged.some(entry => entry.category === rule.category)) {
+                flagged.push({ category: rule.category, label: rule.label, action: rule.action, matched: result.category, score: result.score, source: 'classifier' });
+            }
+        }
+
+        return this.decide(flagged, rules, text, stage, options);
+    }
+
+    /**
+     * moderate() with the policy rules only, synchronously - for streamed answers, checked chunk by chunk
+     */
+    moderatePolicy(text, stage, options = {}) {
+        if (!this.enabled || !text) return null;
+
+        const rules = this.getRules(text, stage);
+        return this.decide(this.matchRules(rules, text), rules, text, stage, options);
+    }
+
+    // Categories checked at a stage (topic-context categories are skipped for injury and lawsuit text)
+    getRules(text, stage) {
+        const isTopicContext = this.topicContext ? this.topicContext.test(text) : false;
+        return this.categories.filter(rule =>
+            rule.stages.includes(stage) && !(rule.allowInTopicContext && isTopicContext)
+        );
+    }
+
+    matchRules(rules, text) {
+        const flagged = [];
+        for (const rule of rules) {
+            const matched = this.findMatches(rule, text);
+            if (matched.length > 0) {
+                flagged.push({ category: rule.category, label: rule.label, action: rule.action, matched: matched[0], source: 'policy' });
+            }
+        }
+        return flagged;
+    }
+
+    // The outcome for the flagged categories: the strictest action, with the text to use instead
+    decide(flagged, rules, text, stage, options) {
+        if (flagged.length === 0) return null;
+
+        const action = ACTION_ORDER.find(candidate => flagged.some(entry => entry.action === candidate));
+        const outcome = { stage, action, categories: flagged };
+
+        if (action === MODERATION_ACTIONS.REDACT) {
+            const redacted = rules
+                .filter(rule => flagged.some(entry => entry.category === rule.category))
+                .reduce((current, rule) => this.redact(rule, current), text);
+            return { ...outcome, text: redacted };
+        }
+
+        const { responses = {}, redirectSuggestions = [] } = this.getMessages(options.language);
+
+        if (action === MODERATION_ACTIONS.REDIRECT) {
+            const message = [responses.redirect, ...redirectSuggestions.map(suggestion => `- ${suggestion}`)].filter(Boolean).join('\n');
+            return { ...outcome, text: message, suggestions: redirectSuggestions };
+        }
+
+        return { ...outcome, text: responses.refuse || '' };
+    }
+
+    /**
+     * Refusal and redirect wording for a language, falling back to the policy's own (English)
+     */
+    getMessages(language) {
+        const translation = this.policy.translations?.[language] || {};
+        return {
+            responses: { ...this.policy.responses, ...translation.responses },
+            redirectSuggestions: translation.redirectSuggestions || this.policy.redirectSuggestions || []
+        };
+    }
+
+    findMatches(rule, text) {
+        return rule.patterns
+            .flatMap(pattern => [...text.matchAll(pattern)].map(match => match[0]))
+            .filter(match => !rule.exceptions.some(exception => exception.test(match)));
+    }
+
+    redact(rule, text) {
+        return rule.patterns.reduce(
+            (current, pattern) => current.replace(pattern, match =>
+                rule.exceptions.some(exception => exception.test(match)) ? match : rule.replacement
+            ),
+            text
+        );
+    }
+
+    // A failing classifier never blocks chat - the keyword and pattern rules still apply
+    async classify(text, stage) {
+        if (!this.classifier) return [];
+        try {
+            return await this.classifier.classify(text, { stage }) || [];
+        } catch (error) {
+            console.warn('⚠️ Moderation classifier failed, using policy rules only:', error.message);
+            return [];
+        }
+    }
+
+    getCategories() {
+        return this.categories.map(({ category, label, action, stages }) => ({ category, label, action, stages }));
+    }
+}
+
+/**
+ * Moderates a streamed answer as it arrives, so clients only ever see text that passed the policy:
+ * - Text is released a sentence at a time, redacted, keeping a short trailing window back so a
+ *   redaction pattern never sees half a match
+ * - Once the answer so far would be refused or redirected nothing more is released; moderating
+ *   the whole answer decides what the client gets instead
+ * - A classifier needs the whole answer, so with one everything is held until the end
+ */
+export class ModerationStreamFilter {
+    constructor(moderator, options = {}) {
+        this.moderator = moderator;
+        this.language = options.language;
+        this.window = options.window ?? STREAM_HOLD_WINDOW;
+        this.holdAll = moderator.enabled && moderator.classifier !== null;
+        this.text = '';
+        this.released = 0; // Characters of the redacted answer sent so far
+        this.blocked = false;
+    }
+
+    /**
+     * Text that is safe to send for this chunk
+     */
+    push(chunk) {
+        this.text += chunk;
+        if (this.holdAll || this.blocked) return '';
+
+        const checked = this.check();
+        if (checked === null) {
+            this.blocked = true;
+            return '';
+        }
+        return this.release(checked, lastSentenceEnd(checked, checked.length - this.window));
+    }
+
+    /**
+     * Whatever was held back once the stream is finished - nothing when moderating the whole
+     * answer replaced it with a refusal or redirect
+     */
+    flush(replaced = false) {
+        const checked = replaced ? null : this.check();
+        return checked === null ? '' : this.release(checked, checked.length);
+    }
+
+    // The answer so far, redacted - or null when it would be refused or redirected
+    check() {
+        const outcome = this.moderator.moderatePolicy(this.text, MODERATION_STAGES.OUTPUT, { language: this.language });
+        if (!outcome) return this.text;
+        return outcome.action === MODERATION_ACTIONS.REDACT ? outcome.text : null;
+    }
+
+    release(checked, end) {
+        if (end <= this.released) return '';
+        const text = checked.slice(this.released, end);
+        this.released = end;
+        return text;
+    }
+}
+
+// End of the last sentence (its punctuation and the whitespace after it, or a line break) at or before `limit`
+function lastSentenceEnd(text, limit) {
+    let end = 0;
+    for (const match of text.matchAll(SENTENCE_END)) {
+        const index = match.index + match[0].length;
+        if (index > limit) break;
+        end = index;
+    }
+    return end;
+}
+
+/**
+ * OpenAI moderation endpoint as a moderation classifier, called through an LLM provider
+ * (utils/llm-provider.js) so it shares the configured key, base URL and timeout
+ */
+export class OpenAIModerationClassifier {
+    constructor(config = {}) {
+        this.model = config.model || 'omni-moderation-latest';
+        // Flag categories scoring at or above this even when the API does not mark them flagged
+        this.threshold = config.threshold ?? 0.5;
+        this.provider = config.provider;
+    }
+
+    async classify(text) {
+        const result = await this.provider.createModeration({ model: this.model, input: text });
+        const { categories = {}, category_scores: scores = {} } = result.results?.[0] || {};
+
+        return Object.keys({ ...categories, ...scores })
+            .filter(category => categories[category] || (scores[category] ?? 0) >= this.threshold)
+            .map(category => ({ category, score: scores[category] ?? null }));
+    }
+}
+
+/**
+ * Moderation outcomes of tracked queries: counts by action, stage and category, and the latest flagged queries
+ */
+export function summarizeModeration(queries = [], limit = 20) {
+    const moderated = queries.filter(query => query.moderation?.length > 0);
+    const byAction = {};
+    const byStage = {};
+    const byCategory = {};
+
+    for (const query of moderated) {
+        for (const outcome of query.moderation) {
+            byAction[outcome.action] = (byAction[outcome.action] || 0) + 1;
+            byStage[outcome.stage] = (byStage[outcome.stage] || 0) + 1;
+            for (const category of outcome.categories) {
+                byCategory[category] = (byCategory[category] || 0) + 1;
+            }
+        }
+    }
+
+    return {
+        totalQueries: queries.length,
+        moderatedQueries: moderated.length,
+        byAction,
+        byStage,
+        byCategory,
+        recent: moderated
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit)
+            .map(({ queryId, timestamp, query, conversationId, moderation }) => ({ queryId, timestamp, query, conversationId, moderation }))
+    };
+}
+
+/**
+ * Load the moderation policy from a JSON file
+ */
+export function loadModerationPolicy(policyFile = DEFAULT_POLICY_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load moderation policy from ${policyFile}:`, error.message);
+        return { categories: {} };
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,200 @@
+/**
+ * PII Redactor
+ *
+ * Masks personal details before text is persisted (query, conversion and feedback logs,
+ * the conversation store) or sent to third parties (the LLM provider, HubSpot notes,
+ * the external logger): emails, phone numbers, SSNs, dates of birth, street addresses
+ * and claim/medical record numbers become placeholders such as [EMAIL].
+ *
+ * IP addresses are truncated (last IPv4 octet, last 80 bits of IPv6) and the full IP and
+ * user agent are kept only as a salted hash, so repeat visitors can still be de-duplicated.
+ * Set PII_HASH_SALT so hashes stay stable across restarts and instances.
+ */
+
+import crypto from 'crypto';
+
+export const PII_TYPES = {
+    EMAIL: 'email',
+    SSN: 'ssn',
+    RECORD_NUMBER: 'record_number',
+    DATE_OF_BIRTH: 'date_of_birth',
+    PHONE: 'phone',
+    STREET_ADDRESS: 'street_address'
+};
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2} ${MONTH},? \\d{4})`;
+const STREET_SUFFIX = '(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|ter|circle|cir|highway|hwy|parkway|pkwy|trail|trl)';
+// Words that follow a number in ordinary sentences ("20 years at the ... plant"), never a street name
+const NOT_STREET_WORD = '(?!(?:years?|months?|weeks?|days?|hours?|times?|at|in|on|of|for|to|and|or|the|was|were|i|we|my|mg|pills?|people)\\b)';
+
+// Checked in order: emails and labelled numbers first, so their digits are not mistaken for phones
+const PATTERNS = [
+    {
+        type: PII_TYPES.EMAIL,
+        placeholder: '[EMAIL]',
+        regex: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi
+    },
+    {
+        type: PII_TYPES.SSN,
+        placeholder: '[SSN]',
+        regex: /\b\d{3}-\d{2}-\d{4}\b|\b\d{3} \d{2} \d{4}\b/g
+    },
+    {
+        // Nine digits without dashes are only an SSN when labelled as one
+        type: PII_TYPES.SSN,
+        placeholder: '[SSN]',
+        regex: /(\b(?:ssn|social security(?: number| no\.?)?)\s*(?:is|:|#)?\s*)\d{9}\b/gi,
+        replace: (match, label) => `${label}[SSN]`
+    },
+    {
+        type: PII_TYPES.RECORD_NUMBER,
+        placeholder: '[RECORD_NUMBER]',
+        regex: /(\b(?:claim|case|policy|member|patient|medical record|mrn|record|account|file|docket)\s*(?:number|no\.?|num|#|id)?\s*(?:is|:)?\s*#?\s*)([a-z]{0,4}-?\d[a-z0-9-]{4,})\b/gi,
+        replace: (match, label) => `${label}[RECORD_NUMBER]`
+    },
+    {
+        type: PII_TYPES.DATE_OF_BIRTH,
+        placeholder: '[DATE_OF_BIRTH]',
+        regex: new RegExp(`(\\b(?:dob|d\\.o\\.b\\.?|date of birth|birth ?date|birthday|born(?: on)?)\\s*(?:is|was|:)?\\s*)(${DATE})`, 'gi'),
+        replace: (match, label) => `${label}[DATE_OF_BIRTH]`
+    },
+    {
+        type: PII_TYPES.PHONE,
+        placeholder: '[PHONE]',
+        regex: /(?<![\d$])(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s]?)\d{3}[-.\s]?\d{4}(?!\d)/g
+    },
+    {
+        type: PII_TYPES.STREET_ADDRESS,
+        placeholder: '[ADDRESS]',
+        regex: new RegExp(`\\b\\d{1,6}(?:\\s+${NOT_STREET_WORD}[a-z0-9][\\w.'-]*){1,4}\\s+${STREET_SUFFIX}\\b\\.?(?:,?\\s*(?:apt|apartment|suite|ste|unit|#)\\.?\\s*#?[\\w-]+)?`, 'gi')
+    }
+];
+
+let processSalt = null;
+
+/**
+ * Salt for identifier hashes: PII_HASH_SALT, or a random per-process salt
+ */
+function getDefaultSalt() {
+    if (process.env.PII_HASH_SALT) return process.env.PII_HASH_SALT;
+    if (!processSalt) {
+        processSalt = crypto.randomBytes(16).toString('hex');
+        console.warn('⚠️ PII_HASH_SALT not set - visitor hashes will not match across restarts');
+    }
+    return processSalt;
+}
+
+/**
+ * Find PII in text; returns [{ type, match }]
+ */
+export function findPII(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const found = [];
+    let remaining = text;
+    for (const pattern of PATTERNS) {
+        for (const match of remaining.matchAll(pattern.regex)) {
+            found.push({ type: pattern.type, match: match[0] });
+        }
+        remaining = remaining.replace(pattern.regex, pattern.replace || pattern.placeholder);
+    }
+    return found;
+}
+
+/**
+ * Replace PII in text with placeholders
+ */
+export function redactPII(text) {
+    if (!text || typeof text !== 'string') return text;
+
+    return PATTERNS.reduce(
+        (redacted, pattern) => redacted.replace(pattern.regex, pattern.replace || pattern.placeholder),
+        text
+    );
+}
+
+/**
+ * Drop the host part of an IP: 203.0.113.57 -> 203.0.113.0, 2001:db8:85a3:8d3::1 -> 2001:db8:85a3::
+ */
+export function truncateIp(ip) {
+    if (!ip || typeof ip !== 'string') return ip || '';
+
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return `::ffff:${truncateIp(mapped[1])}`;
+
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+        return ip.replace(/\.\d+$/, '.0');
+    }
+
+    if (ip.includes(':')) {
+        // Expand "::" so the first three groups (the /48 network) can be kept
+        const [head, tail = ''] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = ip.includes('::')
+            ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+            : headGroups;
+        return `${groups.slice(0, 3).join(':')}::`;
+    }
+
+    return '';
+}
+
+/**
+ * Salted, truncated SHA-256 of an identifier (for de-duplication without storing it)
+ */
+export function hashIdentifier(value, salt = getDefaultSalt()) {
+    if (!value) return null;
+    return crypto.createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, 24);
+}
+
+export class PIIRedactor {
+    constructor(config = {}) {
+        this.enabled = config.enabled ?? true;
+        this.salt = config.salt || null;
+    }
+
+    /**
+     * Redact free text (messages, queries, comments)
+     */
+    redact(text) {
+        return this.enabled ? redactPII(text) : text;
+    }
+
+    hash(value) {
+        return hashIdentifier(value, this.salt || getDefaultSalt());
+    }
+
+    /**
+     * Redact a log or analytics record: text fields masked, IP truncated,
+     * full IP and user agent replaced by a salted hash. Safe to apply more than once.
+     */
+    redactRecord(record) {
+        if (!this.enabled || !record) return record;
+
+        const redacted = { ...record };
+
+        for (const field of ['query', 'comment', 'pageUrl', 'referrer', 'liaPageVisited']) {
+            if (typeof redacted[field] === 'string') {
+                redacted[field] = redactPII(redacted[field]);
+            }
+        }
+
+        // Keywords were extracted from the raw text - keep only those that survived redaction
+        if (Array.isArray(redacted.keywords) && typeof redacted.query === 'string') {
+            const remaining = new Set(redacted.query.toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/));
+            redacted.keywords = redacted.keywords.filter(keyword => remaining.has(String(keyword).toLowerCase()));
+        }
+
+        if ('ipAddress' in redacted || 'userAgent' in redacted) {
+            if (!redacted.clientHash && (redacted.ipAddress || redacted.userAgent)) {
+                redacted.clientHash = this.hash(`${redacted.ipAddress || ''}|${redacted.userAgent || ''}`);
+            }
+            if ('ipAddress' in redacted) redacted.ipAddress = truncateIp(redacted.ipAddress);
+            delete redacted.userAgent;
+        }
+
+        return redacted;
+    }
+}
@@ -7,13 +7,16 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { PIIRedactor } from './pii-redactor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class QueryLogger {
-    constructor() {
+    constructor(config = {}) {
         this.logsDir = path.join(__dirname, '..', 'logs');
+        // Log entries never hold raw emails, phone numbers, full IPs or user agents
+        this.redactor = config.redactor || new PIIRedactor({ enabled: process.env.PII_REDACTION_ENABLED !== 'false' });
         this.isServerless = this.detectServerlessEnvironment();
         
         if (!this.isServerless) {
@@ -78,23 +81,7 @@ export class QueryLogger {
         }
 
         try {
-            const today = new Date().toISOString().split('T')[0];
-            const conversionFile = path.join(this.logsDir, `conversions-${today}.json`);
-            
-            let conversions = [];
-            
-            try {
-                const existingData = await fs.readFile(conversionFile, 'utf8');
-                conversions = JSON.parse(existingData);
-            } catch (error) {
-                // File doesn't exist yet, start with empty array
-                conversions = [];
-            }
-            
-            conversions.push(conversionData);
-            
-            await fs.writeFile(conversionFile, JSON.stringify(conversions, null, 2));
-            
+            await this.appendToDailyLog('conversions-', conversionData);
             return { success: true };
             
         } catch (error) {
@@ -103,11 +90,54 @@ export class QueryLogger {
         }
     }
 
+    /**
+     * Log an answer rating
+     */
+    async logFeedback(feedbackData) {
+        if (this.isServerless) {
+            console.log(`📝 Feedback (serverless): ${feedbackData.rating} for ${feedbackData.queryId}`);
+            return { success: true, serverless: true };
+        }
+
+        try {
+            await this.appendToDailyLog('feedback-', feedbackData);
+            return { success: true };
+
+        } catch (error) {
+            console.error('❌ Error logging feedback:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Append an entry to today's log file with this prefix
+     */
+    async appendToDailyLog(prefix, entry) {
+        await this.ensureLogsDirectory();
+
+        const today = new Date().toISOString().split('T')[0];
+        const logFile = path.join(this.logsDir, `${prefix}${today}.json`);
+
+        let entries = [];
+        try {
+            const existingData = await fs.readFile(logFile, 'utf8');
+            entries = JSON.parse(existingData);
+        } catch (error) {
+            // File doesn't exist yet, start with empty array
+            entries = [];
+        }
+
+        entries.push(this.redactor.redactRecord(entry));
+        await fs.writeFile(logFile, JSON.stringify(entries, null, 2));
+    }
+
     /**
      * Log a user query
      */
-    async logQuery(queryData) {
+    async logQuery(rawQueryData) {
         try {
+            const queryData = this.redactor.redactRecord(rawQueryData);
+
             if (this.isServerless) {
                 // In serverless environment, log to console and optionally to external service
                 console.log(`📊 Query logged (serverless): "${queryData.query}" with ${queryData.keywords?.length || 0} keywords`);
@@ -169,11 +199,11 @@ export class QueryLogger {
             return;
         }
         
-        const logEntry = {
+        const logEntry = this.redactor.redactRecord({
             timestamp: new Date().toISOString(),
             environment: 'serverless',
             ...queryData
-        };
+        });
         
         const response = await fetch(process.env.EXTERNAL_LOGGING_URL, {
             method: 'POST',
@@ -203,46 +233,15 @@ export class QueryLogger {
                     totalQueries: 0,
                     topKeywords: [],
                     liaCaseStats: {},
+                    intentStats: {},
+                    safetyStats: {},
+                    languageStats: {},
                     recentQueries: [],
                     serverless: true
                 };
             }
             
-            await this.ensureLogsDirectory();
-            
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
-            
-            // Get all log files in the date range
-            const files = await fs.readdir(this.logsDir);
-            const logFiles = files
-                .filter(file => file.startsWith('queries-') && file.endsWith('.json'))
-                .sort()
-                .reverse(); // Most recent first
-
-            let allQueries = [];
-            
-            // Read data from each log file
-            for (const file of logFiles) {
-                try {
-                    const filePath = path.join(this.logsDir, file);
-                    const data = await fs.readFile(filePath, 'utf8');
-                    const logs = JSON.parse(data);
-                    
-                    // Filter by date
-                    const recentLogs = logs.filter(log => {
-                        const logDate = new Date(log.timestamp);
-                        return logDate >= cutoffDate;
-                    });
-                    
-                    allQueries.push(...recentLogs);
-                } catch (error) {
-                    console.warn(`⚠️ Error reading log file ${file}:`, error.message);
-                }
-            }
-
-            // Sort by timestamp (newest first)
-            allQueries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            const allQueries = await this.getQueries(days);
 
             // Analyze the data
             return this.analyzeQueries(allQueries);
@@ -253,12 +252,76 @@ export class QueryLogger {
                 totalQueries: 0,
                 topKeywords: [],
                 liaCaseStats: {},
+                intentStats: {},
+                safetyStats: {},
+                languageStats: {},
                 recentQueries: [],
                 error: error.message
             };
         }
     }
 
+    /**
+     * Logged queries from the last `days` days, newest first
+     */
+    async getQueries(days = 30) {
+        return this.readLogEntries('queries-', days, 'timestamp');
+    }
+
+    /**
+     * Logged conversions from the last `days` days, newest first
+     */
+    async getConversions(days = 30) {
+        return this.readLogEntries('conversions-', days, 'conversionTimestamp');
+    }
+
+    /**
+     * Logged answer ratings from the last `days` days, newest first
+     */
+    async getFeedback(days = 30) {
+        return this.readLogEntries('feedback-', days, 'timestamp');
+    }
+
+    /**
+     * Entries from the daily log files with this prefix, filtered by date
+     */
+    async readLogEntries(prefix, days, timestampField) {
+        if (this.isServerless) {
+            return [];
+        }
+
+        await this.ensureLogsDirectory();
+
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        // Get all log files in the date range
+        const files = await fs.readdir(this.logsDir);
+        const logFiles = files
+            .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+            .sort()
+            .reverse(); // Most recent first
+
+        const entries = [];
+
+        // Read data from each log file
+        for (const file of logFiles) {
+            try {
+                const filePath = path.join(this.logsDir, file);
+                const data = await fs.readFile(filePath, 'utf8');
+                const logs = JSON.parse(data);
+
+                // Filter by date
+                entries.push(...logs.filter(log => new Date(log[timestampField]) >= cutoffDate));
+            } catch (error) {
+                console.warn(`⚠️ Error reading log file ${file}:`, error.message);
+            }
+        }
+
+        // Sort by timestamp (newest first)
+        return entries.sort((a, b) => new Date(b[timestampField]) - new Date(a[timestampField]));
+    }
+
     /**
      * Analyze query data
      */
@@ -268,6 +331,9 @@ export class QueryLogger {
                 totalQueries: 0,
                 topKeywords: [],
                 liaCaseStats: {},
+                intentStats: {},
+                safetyStats: {},
+                languageStats: {},
                 recentQueries: []
             };
         }
@@ -275,6 +341,9 @@ export class QueryLogger {
         // Count keywords
         const keywordCounts = {};
         const liaCaseCounts = {};
+        const intentCounts = {};
+        const safetyCounts = {};
+        const languageCounts = {};
         const recentQueries = [];
 
         queries.forEach(query => {
@@ -293,11 +362,30 @@ export class QueryLogger {
                 liaCaseCounts[query.liaCaseType] = (liaCaseCounts[query.liaCaseType] || 0) + 1;
             }
 
+            // Count intents (queries logged before intent classification have none)
+            if (query.intent) {
+                intentCounts[query.intent] = (intentCounts[query.intent] || 0) + 1;
+            }
+
+            // Count crisis/emergency safety responses
+            if (query.safetyFlag) {
+                safetyCounts[query.safetyFlag] = (safetyCounts[query.safetyFlag] || 0) + 1;
+            }
+
+            // Count detected languages (older logs have none)
+            if (query.language) {
+                languageCounts[query.language] = (languageCounts[query.language] || 0) + 1;
+            }
+
             // Store recent queries
             recentQueries.push({
                 query: query.query,
                 timestamp: query.timestamp,
-                liaCase: query.liaCaseType || null
+                liaCase: query.liaCaseType || null,
+                intent: query.intent || null,
+                safetyFlag: query.safetyFlag || null,
+                language: query.language || null,
+                conversationId: query.conversationId || null
             });
         });
 
@@ -311,6 +399,9 @@ export class QueryLogger {
             totalQueries: queries.length,
             topKeywords,
             liaCaseStats: liaCaseCounts,
+            intentStats: intentCounts,
+            safetyStats: safetyCounts,
+            languageStats: languageCounts,
             recentQueries: recentQueries.slice(0, 50) // Last 50 queries
         };
     }
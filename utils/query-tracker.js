@@ -9,10 +9,24 @@
  */
 
 import { QueryLogger } from './query-logger.js';
+import { compareVariants } from './experiments.js';
+import { summarizeFeedback, listLowRated } from './feedback.js';
+import { PIIRedactor } from './pii-redactor.js';
+import { summarizeSessions } from './session.js';
+import { summarizeModeration } from './moderation.js';
+
+/**
+ * New query ID (chat responses hand it to the client for click and feedback tracking)
+ */
+export function createQueryId() {
+    return `query_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
 
 export class QueryTracker {
     constructor(config = {}) {
-        this.queryLogger = new QueryLogger();
+        // Every record is redacted before it is kept in memory, logged or sent to HubSpot
+        this.redactor = config.redactor || new PIIRedactor({ enabled: process.env.PII_REDACTION_ENABLED !== 'false' });
+        this.queryLogger = new QueryLogger({ redactor: this.redactor });
         this.hubspotConnector = config.hubspotConnector || null;
         this.enableHubSpotTracking = config.enableHubSpotTracking !== false;
         this.enableFileLogging = config.enableFileLogging !== false;
@@ -22,6 +36,12 @@ export class QueryTracker {
         // In-memory queue for batching
         this.queryQueue = [];
         this.batchTimer = null;
+
+        // Recent queries, conversions and feedback, for comparisons and reviews when file logs are unavailable
+        this.recentQueries = [];
+        this.recentConversions = [];
+        this.recentFeedback = [];
+        this.maxRecentEvents = config.maxRecentEvents || 1000;
         
         // Analytics cache
         this.analyticsCache = new Map();
@@ -39,6 +59,7 @@ export class QueryTracker {
             
             // Add to batch queue
             this.queryQueue.push(enrichedData);
+            this.remember(this.recentQueries, enrichedData);
             
             // Log immediately if file logging is enabled
             if (this.enableFileLogging) {
@@ -66,21 +87,32 @@ export class QueryTracker {
      */
     enrichQueryData(queryData) {
         const timestamp = new Date().toISOString();
-        const queryId = `query_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const queryId = queryData.queryId || createQueryId();
         
-        return {
+        return this.redactor.redactRecord({
             queryId,
             timestamp,
             query: queryData.query || '',
             keywords: this.extractKeywords(queryData.query || ''),
             liaCaseType: queryData.liaCaseType || null,
             liaCaseInfo: queryData.liaCaseInfo || null,
+            conversationId: queryData.conversationId || null,
+            intent: queryData.intent || null,
+            intentConfidence: queryData.intentConfidence ?? null,
+            language: queryData.language || null,
+            safetyFlag: queryData.safetyFlag || null,
+            moderation: queryData.moderation || [],
             userAgent: queryData.userAgent || '',
             ipAddress: queryData.ipAddress || '',
             sessionId: queryData.sessionId || '',
             pageUrl: queryData.pageUrl || '',
             referrer: queryData.referrer || '',
             responseTime: queryData.responseTime || null,
+            cacheHit: queryData.cacheHit || false,
+            verificationWarnings: queryData.verificationWarnings || 0,
+            experimentId: queryData.experimentId || null,
+            variant: queryData.variant || null,
+            sources: queryData.sources || [],
             sourcesFound: queryData.sourcesFound || 0,
             articlesFound: queryData.articlesFound || 0,
             lawFirmsFound: queryData.lawFirmsFound || 0,
@@ -98,7 +130,7 @@ export class QueryTracker {
             liaPageVisited: queryData.liaPageVisited || null,
             liaReferralGenerated: queryData.liaReferralGenerated || false,
             conversionTimestamp: queryData.conversionTimestamp || null
-        };
+        });
     }
 
     /**
@@ -261,6 +293,8 @@ export class QueryTracker {
     createBatchSummary(batch) {
         const keywordCounts = {};
         const liaCaseCounts = {};
+        const intentCounts = {};
+        const safetyFlagCounts = {};
         const deviceCounts = {};
         const browserCounts = {};
 
@@ -277,6 +311,16 @@ export class QueryTracker {
                 liaCaseCounts[query.liaCaseType] = (liaCaseCounts[query.liaCaseType] || 0) + 1;
             }
 
+            // Count intents
+            if (query.intent) {
+                intentCounts[query.intent] = (intentCounts[query.intent] || 0) + 1;
+            }
+
+            // Count safety responses
+            if (query.safetyFlag) {
+                safetyFlagCounts[query.safetyFlag] = (safetyFlagCounts[query.safetyFlag] || 0) + 1;
+            }
+
             // Count devices
             deviceCounts[query.deviceType] = (deviceCounts[query.deviceType] || 0) + 1;
             browserCounts[query.browser] = (browserCounts[query.browser] || 0) + 1;
@@ -291,6 +335,8 @@ export class QueryTracker {
             totalQueries: batch.length,
             topKeywords,
             liaCaseCounts,
+            intentCounts,
+            safetyFlagCounts,
             deviceCounts,
             browserCounts,
             timestamp: new Date().toISOString()
@@ -316,7 +362,10 @@ export class QueryTracker {
             const fileAnalytics = await this.queryLogger.getAnalytics(days);
             
             // Combine with in-memory data
-            const combinedAnalytics = this.combineAnalytics(fileAnalytics, this.queryQueue);
+            const combinedAnalytics = {
+                ...this.combineAnalytics(fileAnalytics, this.queryQueue),
+                feedbackStats: summarizeFeedback((await this.getRecentEvents(days)).feedback)
+            };
             
             // Cache the result
             this.analyticsCache.set(cacheKey, {
@@ -332,6 +381,8 @@ export class QueryTracker {
                 totalQueries: 0,
                 topKeywords: [],
                 liaCaseStats: {},
+                intentStats: {},
+                safetyStats: {},
                 recentQueries: [],
                 error: error.message
             };
@@ -351,6 +402,9 @@ export class QueryTracker {
             query: query.query,
             timestamp: query.timestamp,
             liaCase: query.liaCaseType || null,
+            intent: query.intent || null,
+            safetyFlag: query.safetyFlag || null,
+            conversationId: query.conversationId || null,
             keywords: query.keywords || []
         }));
 
@@ -377,12 +431,31 @@ export class QueryTracker {
             }
         });
 
+        // Combine intent stats
+        const combinedIntentStats = { ...fileAnalytics.intentStats };
+        inMemoryData.forEach(query => {
+            if (query.intent) {
+                combinedIntentStats[query.intent] = (combinedIntentStats[query.intent] || 0) + 1;
+            }
+        });
+
+        // Combine safety stats
+        const combinedSafetyStats = { ...fileAnalytics.safetyStats };
+        inMemoryData.forEach(query => {
+            if (query.safetyFlag) {
+                combinedSafetyStats[query.safetyFlag] = (combinedSafetyStats[query.safetyFlag] || 0) + 1;
+            }
+        });
+
         // Combine recent queries
         const combinedRecentQueries = [
             ...inMemoryData.map(query => ({
                 query: query.query,
                 timestamp: query.timestamp,
-                liaCase: query.liaCase
+                liaCase: query.liaCase,
+                intent: query.intent,
+                safetyFlag: query.safetyFlag,
+                conversationId: query.conversationId
             })),
             ...fileAnalytics.recentQueries
         ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
@@ -395,6 +468,8 @@ export class QueryTracker {
                 .slice(0, 20)
                 .map(([keyword, count]) => ({ keyword, count })),
             liaCaseStats: combinedLiaStats,
+            intentStats: combinedIntentStats,
+            safetyStats: combinedSafetyStats,
             recentQueries: combinedRecentQueries,
             inMemoryCount: inMemoryQueries.length,
             fileCount: fileAnalytics.totalQueries
@@ -406,7 +481,9 @@ export class QueryTracker {
      */
     async trackConversion(queryId, conversionData) {
         try {
-            const conversionInfo = {
+            const conversionId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+            const conversionInfo = this.redactor.redactRecord({
+                conversionId,
                 queryId,
                 conversionTimestamp: new Date().toISOString(),
                 liaPageVisited: conversionData.pageUrl || '',
@@ -414,7 +491,9 @@ export class QueryTracker {
                 liaReferralGenerated: conversionData.referralGenerated || false,
                 userAgent: conversionData.userAgent || '',
                 sessionId: conversionData.sessionId || ''
-            };
+            });
+
+            this.remember(this.recentConversions, conversionInfo);
 
             // Log conversion to file if enabled
             if (this.enableFileLogging) {
@@ -430,7 +509,7 @@ export class QueryTracker {
                 }
             }
 
-            return { success: true, conversionId: `conv_${Date.now()}` };
+            return { success: true, conversionId };
 
         } catch (error) {
             console.error('❌ Error tracking conversion:', error);
@@ -488,6 +567,141 @@ export class QueryTracker {
         }
     }
 
+    /**
+     * Record a user's rating of an answer
+     */
+    async trackFeedback(queryId, feedbackData) {
+        try {
+            const feedbackInfo = this.redactor.redactRecord({
+                feedbackId: `fb_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+                queryId,
+                timestamp: new Date().toISOString(),
+                rating: feedbackData.rating,
+                reasons: feedbackData.reasons || [],
+                comment: feedbackData.comment || '',
+                userAgent: feedbackData.userAgent || '',
+                sessionId: feedbackData.sessionId || ''
+            });
+
+            this.remember(this.recentFeedback, feedbackInfo);
+
+            // Log feedback to file if enabled
+            if (this.enableFileLogging) {
+                await this.queryLogger.logFeedback(feedbackInfo);
+            }
+
+            // Ratings change the feedback stats
+            this.analyticsCache.clear();
+
+            return { success: true, feedbackId: feedbackInfo.feedbackId };
+
+        } catch (error) {
+            console.error('❌ Error tracking feedback:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Down-rated answers with their original query, LIA case and sources, for review
+     */
+    async getLowRatedAnswers(days = 30, reason = null) {
+        const { queries, feedback } = await this.getRecentEvents(days);
+        return listLowRated(feedback, queries, reason);
+    }
+
+    /**
+     * Compare an experiment's variants on response time, verification warnings, source clicks and feedback
+     */
+    async getExperimentComparison(experimentId, days = 30) {
+        const { queries, conversions, feedback } = await this.getRecentEvents(days);
+
+        return {
+            experimentId,
+            variants: compareVariants({ experimentId, queries, conversions, feedback }),
+            days
+        };
+    }
+
+    /**
+     * Moderation outcomes (refuse, redirect, redact) by stage and category, with the latest moderated queries
+     */
+    async getModerationStats(days = 30, limit = 20) {
+        const { queries } = await this.getRecentEvents(days);
+        return summarizeModeration(queries, limit);
+    }
+
+    /**
+     * Per-session queries, duration, entry page and LIA cases, newest sessions first
+     */
+    async getSessionStats(days = 7, limit = 50) {
+        const { queries, conversions } = await this.getRecentEvents(days);
+        const { overview, sessions } = summarizeSessions(queries, conversions);
+
+        return { overview, sessions: sessions.slice(0, limit), days };
+    }
+
+    /**
+     * One session's summary with its queries and conversions in order; null when not found
+     */
+    async getSessionDetail(sessionId, days = 7) {
+        const events = await this.getRecentEvents(days);
+        const queries = events.queries.filter(query => query.sessionId === sessionId);
+        const conversions = events.conversions.filter(conversion => conversion.sessionId === sessionId);
+        const [session] = summarizeSessions(queries, conversions).sessions;
+        if (!session) return null;
+
+        const byTime = field => (a, b) => new Date(a[field]) - new Date(b[field]);
+        return {
+            ...session,
+            queryLog: queries.sort(byTime('timestamp')).map(query => ({
+                queryId: query.queryId,
+                timestamp: query.timestamp,
+                query: query.query,
+                pageUrl: query.pageUrl,
+                liaCaseType: query.liaCaseType || null
+            })),
+            conversionLog: conversions.sort(byTime('conversionTimestamp')).map(conversion => ({
+                conversionId: conversion.conversionId,
+                queryId: conversion.queryId,
+                conversionType: conversion.liaConversion || 'page_visit',
+                timestamp: conversion.conversionTimestamp
+            }))
+        };
+    }
+
+    /**
+     * Queries, conversions and feedback from the last `days` days, from the logs and memory
+     */
+    async getRecentEvents(days = 30) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        let fileQueries = [];
+        let fileConversions = [];
+        let fileFeedback = [];
+        if (this.enableFileLogging) {
+            try {
+                fileQueries = await this.queryLogger.getQueries(days);
+                fileConversions = await this.queryLogger.getConversions(days);
+                fileFeedback = await this.queryLogger.getFeedback(days);
+            } catch (error) {
+                console.warn('⚠️ Could not read query logs, using in-memory data only:', error.message);
+            }
+        }
+
+        // File logs and the in-memory buffers overlap - keep each entry once
+        const withinRange = field => entry => new Date(entry[field]).getTime() >= cutoff;
+        return {
+            queries: dedupeBy([...fileQueries, ...this.recentQueries], 'queryId').filter(withinRange('timestamp')),
+            conversions: dedupeBy([...fileConversions, ...this.recentConversions], 'conversionId').filter(withinRange('conversionTimestamp')),
+            feedback: dedupeBy([...fileFeedback, ...this.recentFeedback], 'feedbackId').filter(withinRange('timestamp'))
+        };
+    }
+
+    // Append to a bounded in-memory buffer
+    remember(buffer, entry) {
+        buffer.push(entry);
+        if (buffer.length > this.maxRecentEvents) buffer.shift();
+    }
+
     /**
      * Get real-time query statistics
      */
@@ -672,4 +886,15 @@ export class QueryTracker {
             environment: process.env.NODE_ENV || 'development'
         };
     }
-} 
\ No newline at end of file
+} 
+
+// Entries without the key are kept as they are
+function dedupeBy(entries, key) {
+    const seen = new Set();
+    return entries.filter(entry => {
+        if (!entry[key]) return true;
+        if (seen.has(entry[key])) return false;
+        seen.add(entry[key]);
+        return true;
+    });
+}
@@ -0,0 +1,221 @@
+/**
+ * Token-Bucket Rate Limiting
+ *
+ * Each route rule in config/rate-limits.json (or RATE_LIMITS_FILE) sets buckets per
+ * client dimension: "ip", "session" (the anonymous session, else the X-Session-Id header or
+ * body conversationId) and
+ * "apiKey" (X-API-Key header, keys from RATE_LIMIT_API_KEYS). A bucket holds "capacity"
+ * tokens and refills completely over "window" seconds; each request takes one token.
+ * Requests with a valid API key are limited per key instead of per IP/session.
+ *
+ * Bucket state lives in a pluggable store. MemoryRateLimitStore is per-process
+ * (each serverless instance has its own buckets); a shared store only has to
+ * implement take(key, policy, now) atomically.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'rate-limits.json');
+
+const DIMENSIONS = ['apiKey', 'session', 'ip'];
+
+/**
+ * In-process bucket store
+ */
+export class MemoryRateLimitStore {
+    constructor(config = {}) {
+        this.buckets = new Map();
+        this.maxBuckets = config.maxBuckets || 10000;
+    }
+
+    /**
+     * Refill the bucket for the time elapsed, then take one token if there is one
+     * Returns { allowed, remaining, resetMs, retryAfterMs }
+     */
+    async take(key, policy, now = Date.now()) {
+        const refillPerMs = policy.capacity / (policy.window * 1000);
+        const bucket = this.buckets.get(key) || { tokens: policy.capacity, updatedAt: now };
+
+        bucket.tokens = Math.min(policy.capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+
+        // Re-insert so the Map stays ordered by last use
+        this.buckets.delete(key);
+        this.buckets.set(key, bucket);
+        this.prune();
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            resetMs: Math.ceil((policy.capacity - bucket.tokens) / refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs)
+        };
+    }
+
+    /**
+     * Drop the least recently used buckets past the size cap (a full bucket is the default anyway)
+     */
+    prune() {
+        while (this.buckets.size > this.maxBuckets) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+    }
+
+    async reset() {
+        this.buckets.clear();
+    }
+}
+
+/**
+ * Build a store by name (only 'memory' for now)
+ */
+export function createRateLimitStore(type = 'memory', config = {}) {
+    switch (type) {
+        case 'memory':
+        default:
+            if (type !== 'memory') console.warn(`⚠️ Unknown rate limit store "${type}", using memory`);
+            return new MemoryRateLimitStore(config);
+    }
+}
+
+export class RateLimiter {
+    constructor(config = {}) {
+        const rules = config.rules || loadRateLimitRules(config.rulesFile || process.env.RATE_LIMITS_FILE || DEFAULT_RULES_FILE);
+        this.enabled = config.enabled ?? true;
+        this.store = config.store || createRateLimitStore(config.storeType);
+        this.apiKeys = new Set((config.apiKeys || []).filter(Boolean).map(hashKey));
+        this.defaultLimits = rules.default || {};
+        this.routes = (rules.routes || []).map(route => ({
+            path: route.path,
+            methods: (route.methods || []).map(method => method.toUpperCase()),
+            limits: route.limits || {}
+        }));
+    }
+
+    /**
+     * The rule for a request: the most specific matching route, else the default limits
+     */
+    getRule(method, requestPath) {
+        const matches = this.routes
+            .filter(route => route.methods.length === 0 || route.methods.includes(method))
+            .filter(route => matchPath(route.path, requestPath))
+            .sort((a, b) => b.path.length - a.path.length);
+
+        return matches[0] || { path: '*', methods: [], limits: this.defaultLimits };
+    }
+
+    /**
+     * Who is making the request, per dimension
+     */
+    identify(req) {
+        const apiKey = req.get('X-API-Key');
+        const hashedKey = apiKey ? hashKey(apiKey) : null;
+
+        return {
+            apiKey: hashedKey && this.apiKeys.has(hashedKey) ? hashedKey : null,
+            // A freshly issued session says nothing about the client - fall back to what it sent
+            session: req.session && !req.session.isNew
+                ? req.session.id
+                : req.get('X-Session-Id') || req.body?.conversationId || null,
+            ip: req.ip || req.socket?.remoteAddress || 'unknown'
+        };
+    }
+
+    /**
+     * Take a token from every bucket that applies to the request
+     * Returns { allowed, limited (the bucket to report in headers) }, or null when no limit applies
+     */
+    async check(req) {
+        if (!this.enabled || req.method === 'OPTIONS') return null;
+
+        const rule = this.getRule(req.method, req.baseUrl + req.path);
+        const identity = this.identify(req);
+
+        // API key holders get their own quota instead of the IP and session buckets
+        const dimensions = identity.apiKey && rule.limits.apiKey
+            ? ['apiKey']
+            : DIMENSIONS.filter(dimension => dimension !== 'apiKey');
+
+        let limited = null;
+        for (const dimension of dimensions) {
+            const policy = rule.limits[dimension];
+            if (!policy || !identity[dimension]) continue;
+
+            const result = await this.store.take(`${rule.path}:${dimension}:${identity[dimension]}`, policy);
+            const candidate = { ...result, dimension, policy };
+
+            if (!result.allowed) return { allowed: false, limited: candidate };
+            if (!limited || result.remaining < limited.remaining) limited = candidate;
+        }
+
+        return limited ? { allowed: true, limited } : null;
+    }
+
+    /**
+     * Express middleware: sets RateLimit-* headers and answers 429 when a bucket is empty
+     */
+    middleware() {
+        return async (req, res, next) => {
+            let result;
+            try {
+                result = await this.check(req);
+            } catch (error) {
+                // A broken store shouldn't take the API down
+                console.error('❌ Rate limit check failed:', error.message);
+                return next();
+            }
+            if (!result) return next();
+
+            const { limited } = result;
+            res.set('RateLimit-Policy', `${limited.policy.capacity};w=${limited.policy.window}`);
+            res.set('RateLimit-Limit', String(limited.policy.capacity));
+            res.set('RateLimit-Remaining', String(limited.remaining));
+            res.set('RateLimit-Reset', String(Math.ceil(limited.resetMs / 1000)));
+
+            if (result.allowed) return next();
+
+            const retryAfter = Math.max(1, Math.ceil(limited.retryAfterMs / 1000));
+            console.warn(`🚦 Rate limited ${req.method} ${req.baseUrl}${req.path} (${limited.dimension}), retry after ${retryAfter}s`);
+            res.set('Retry-After', String(retryAfter));
+            res.status(429).json({
+                error: 'Too many requests',
+                message: `Rate limit exceeded. Please try again in ${retryAfter} seconds.`,
+                retryAfter
+            });
+        };
+    }
+}
+
+/**
+ * Load rate limit rules from a JSON file
+ */
+export function loadRateLimitRules(rulesFile = DEFAULT_RULES_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load rate limits from ${rulesFile}:`, error.message);
+        return { default: {}, routes: [] };
+    }
+}
+
+/**
+ * Exact path, or a prefix when the rule path ends with "/*"
+ */
+function matchPath(rulePath, requestPath) {
+    if (rulePath.endsWith('/*')) return requestPath.startsWith(rulePath.slice(0, -1));
+    return rulePath === requestPath;
+}
+
+// API keys are only kept (and used in bucket keys) as hashes
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 32);
+}
@@ -0,0 +1,165 @@
+/**
+ * Stable Record IDs and Slugs
+ *
+ * Records without an ID column get an ID hashed from the fields that identify them (a case's
+ * title, a firm's name), so the same row keeps its ID across cache refreshes and restarts.
+ *
+ * SlugRegistry gives every article a unique URL slug and remembers it:
+ * - An article keeps its slug while its title is unchanged
+ * - When two articles want the same slug, the one that already had it keeps it and the other
+ *   gets "-2", "-3", ...
+ * - When a title is edited the article gets a new slug and the old one redirects to it. Articles
+ *   with hashed IDs get a new ID with the new title, so an article that disappears and one with
+ *   the same text that appears in the same refresh are treated as the same article.
+ *
+ * Slugs are kept in memory, or in a JSON file (SLUG_REGISTRY_FILE) so redirects survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * "prefix_<12 hex chars>" from the identifying fields; case and spacing don't matter
+ */
+export function createRecordId(prefix, ...parts) {
+    const key = parts.map(part => String(part ?? '').trim().toLowerCase().replace(/\s+/g, ' ')).join('|');
+    return `${prefix}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Suffix repeated IDs ("_2", "_3") so rows with the same identifying fields stay distinct
+ */
+export function uniqueRecordIds(records) {
+    const counts = new Map();
+    return records.map(record => {
+        const count = (counts.get(record.id) || 0) + 1;
+        counts.set(record.id, count);
+        return count === 1 ? record : { ...record, id: `${record.id}_${count}` };
+    });
+}
+
+export function createSlug(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)/g, '');
+}
+
+export class SlugRegistry {
+    constructor(config = {}) {
+        // null keeps the registry in memory
+        this.file = config.file !== undefined ? config.file : process.env.SLUG_REGISTRY_FILE || null;
+        this.records = {};   // record ID -> { slug, base, fingerprint }
+        this.redirects = {}; // old slug -> current slug
+
+        if (this.file) this.load();
+    }
+
+    /**
+     * Give each article ({ id, title, slug?, description }) its registered slug, in order;
+     * returns the articles with "slug" set
+     */
+    assign(articles) {
+        const entries = articles.map(article => ({
+            article,
+            base: createSlug(article.slug || article.title) || 'article',
+            fingerprint: fingerprint(article)
+        }));
+        const present = new Set(articles.map(article => article.id));
+        const used = new Map(); // slug -> record ID, this refresh
+        const before = JSON.stringify([this.records, this.redirects]);
+
+        // Articles whose ID is new but whose text matches an article that is gone had their title edited
+        for (const entry of entries) {
+            if (this.records[entry.article.id] || !entry.fingerprint) continue;
+            const previousId = Object.keys(this.records).find(id => !present.has(id) && this.records[id].fingerprint === entry.fingerprint);
+            if (previousId) {
+                this.records[entry.article.id] = this.records[previousId];
+                delete this.records[previousId];
+            }
+        }
+
+        // Articles keep their slug while the title is unchanged, so they win collisions with newcomers
+        for (const entry of entries) {
+            const record = this.records[entry.article.id];
+            if (record?.base === entry.base && !used.has(record.slug)) {
+                entry.slug = record.slug;
+                used.set(record.slug, entry.article.id);
+            }
+        }
+
+        for (const entry of entries) {
+            if (!entry.slug) {
+                entry.slug = this.pickSlug(entry.base, used);
+                used.set(entry.slug, entry.article.id);
+            }
+
+            const previousSlug = this.records[entry.article.id]?.slug;
+            if (previousSlug && previousSlug !== entry.slug) this.addRedirect(previousSlug, entry.slug);
+            this.records[entry.article.id] = { slug: entry.slug, base: entry.base, fingerprint: entry.fingerprint };
+        }
+
+        // A live slug never redirects, and articles that are gone give theirs up
+        for (const [slug, id] of used) {
+            delete this.redirects[slug];
+            for (const [otherId, record] of Object.entries(this.records)) {
+                if (otherId !== id && record.slug === slug) delete this.records[otherId];
+            }
+        }
+
+        if (this.file && JSON.stringify([this.records, this.redirects]) !== before) this.save();
+        return entries.map(entry => ({ ...entry.article, slug: entry.slug }));
+    }
+
+    /**
+     * Current slug for an old slug, or null
+     */
+    resolve(slug) {
+        return this.redirects[slug] || null;
+    }
+
+    pickSlug(base, used) {
+        let slug = base;
+        for (let suffix = 2; used.has(slug); suffix++) {
+            slug = `${base}-${suffix}`;
+        }
+        return slug;
+    }
+
+    addRedirect(from, to) {
+        this.redirects[from] = to;
+        // Older slugs of the same article skip straight to the newest one
+        for (const [slug, target] of Object.entries(this.redirects)) {
+            if (target === from) this.redirects[slug] = to;
+        }
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.records = data.records || {};
+            this.redirects = data.redirects || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Could not load slug registry from ${this.file}:`, error.message);
+            }
+        }
+    }
+
+    // Read-only filesystems (serverless) keep working from memory
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({ records: this.records, redirects: this.redirects }, null, 2));
+        } catch (error) {
+            console.warn(`⚠️ Could not save slug registry to ${this.file}:`, error.message);
+        }
+    }
+}
+
+// The article's text without its title; null when there is none to compare
+function fingerprint(article) {
+    const text = String(article.description || article.content?.overview || '').trim().toLowerCase();
+    return text ? crypto.createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+}
@@ -0,0 +1,106 @@
+/**
+ * Crisis and Medical-Emergency Safety Detector
+ *
+ * Runs on every chat message before the LLM. When a message describes self-harm,
+ * a poisoning/overdose or an acute medical emergency, the chat route answers with the
+ * vetted response for that category (988, Poison Control, 911) instead of calling the model.
+ *
+ * Categories, patterns and responses live in config/safety-rules.json (or SAFETY_RULES_FILE)
+ * and are checked in file order, so the most serious category should come first.
+ * "weakPatterns" only count when the message isn't about a lawsuit or settlement
+ * (e.g. "Chantix suicide lawsuit" is a legal question, "thinking about suicide" is not).
+ * Patterns cover English and Spanish and are matched without accents; a category's
+ * "translations" hold its response in other languages, picked by the message's language.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectLanguage } from './language.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'safety-rules.json');
+
+export class SafetyDetector {
+    constructor(config = {}) {
+        this.rules = config.rules || loadSafetyRules(config.rulesFile || process.env.SAFETY_RULES_FILE || DEFAULT_RULES_FILE);
+        this.enabled = config.enabled ?? true;
+        this.legalContext = this.rules.legalContext ? new RegExp(this.rules.legalContext, 'i') : null;
+        this.categories = Object.entries(this.rules.categories || {}).map(([category, definition]) => ({
+            category,
+            label: definition.label || category,
+            patterns: (definition.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+            weakPatterns: (definition.weakPatterns || []).map(pattern => new RegExp(pattern, 'i')),
+            response: definition.response,
+            resources: definition.resources || [],
+            translations: definition.translations || {}
+        }));
+    }
+
+    /**
+     * Check a message; returns null when it is safe to continue to the LLM
+     * The response is in options.language (detected from the message when omitted), or English
+     */
+    detect(message, options = {}) {
+        if (!this.enabled) return null;
+
+        const text = normalizeText(message);
+        const isLegalContext = this.isLegalContext(text);
+
+        for (const rule of this.categories) {
+            let match = rule.patterns.map(pattern => pattern.exec(text)).find(Boolean);
+            let strength = 'strong';
+
+            if (!match && !isLegalContext) {
+                match = rule.weakPatterns.map(pattern => pattern.exec(text)).find(Boolean);
+                strength = 'weak';
+            }
+
+            if (match) {
+                const language = options.language || detectLanguage(message);
+                const translation = rule.translations[language] || {};
+                return {
+                    category: rule.category,
+                    label: translation.label || rule.label,
+                    matched: match[0],
+                    strength,
+                    language: translation.response ? language : 'en',
+                    response: translation.response || rule.response,
+                    resources: translation.resources || rule.resources
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a message is about a lawsuit or settlement (weak patterns don't count then)
+     */
+    isLegalContext(message) {
+        return this.legalContext ? this.legalContext.test(normalizeText(message)) : false;
+    }
+
+    getCategories() {
+        return this.categories.map(({ category, label }) => ({ category, label }));
+    }
+}
+
+// Curly apostrophes straightened and accents removed, so "can’t" and "suicidarme" match as typed
+function normalizeText(message) {
+    return String(message || '').replace(/[’‘]/g, "'").normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Load safety rules from a JSON file
+ */
+export function loadSafetyRules(rulesFile = DEFAULT_RULES_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load safety rules from ${rulesFile}:`, error.message);
+        return { categories: {} };
+    }
+}
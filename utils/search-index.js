@@ -0,0 +1,264 @@
+/**
+ * Article Search Index
+ *
+ * In-process full-text search over articles, ranked with BM25:
+ * - Words are folded (case, accents), stop words dropped and light-stemmed ("lawsuits" -> "lawsuit")
+ * - Fields are scored separately and boosted: title, description, body (overview, symptoms,
+ *   causes, legal options, settlements) and category
+ * - Query words missing from the index match indexed words one typo away (two for long words),
+ *   at a lower weight: "mesothelima" finds "mesothelioma"
+ * - "Quoted phrases" must appear in that order in one field
+ * Results carry highlighted snippets (<mark>, HTML-escaped) and category counts for facets.
+ *
+ * DataIntegrationService rebuilds the index whenever its article list is refreshed.
+ */
+
+import { detectLanguage, getStopWords, tokenize } from './language.js';
+
+export const DEFAULT_FIELD_BOOSTS = { title: 3, description: 1.5, body: 1, category: 0.5 };
+
+const FUZZY_WEIGHT = 0.6;
+const SNIPPET_WORDS = 30;
+const SNIPPET_LEAD = 8;
+
+export class SearchIndex {
+    constructor(config = {}) {
+        this.boosts = { ...DEFAULT_FIELD_BOOSTS, ...config.boosts };
+        this.k1 = config.k1 ?? 1.2;
+        this.b = config.b ?? 0.75;
+        this.build(config.articles || []);
+    }
+
+    /**
+     * Index a list of articles, replacing the previous ones
+     */
+    build(articles) {
+        const stopWords = getStopWords();
+        this.articles = articles;
+        this.postings = new Map(); // stem -> Map(document index -> { field: term frequency })
+        this.fieldLengths = Object.fromEntries(Object.keys(this.boosts).map(field => [field, 0]));
+
+        this.documents = articles.map((article, index) => {
+            const fields = {};
+            for (const [field, text] of Object.entries(articleFields(article))) {
+                if (!(field in this.boosts)) continue;
+                const words = tokenize(text);
+                // Stems in order (stop words included) for phrase matching
+                const stems = words.map(stem);
+                const terms = stems.filter((term, position) => !stopWords.has(words[position]));
+
+                for (const term of terms) {
+                    if (!this.postings.has(term)) this.postings.set(term, new Map());
+                    const frequencies = this.postings.get(term).get(index) || {};
+                    frequencies[field] = (frequencies[field] || 0) + 1;
+                    this.postings.get(term).set(index, frequencies);
+                }
+                fields[field] = { stems, length: terms.length };
+                this.fieldLengths[field] += terms.length;
+            }
+            return { article, fields };
+        });
+
+        this.averageLengths = Object.fromEntries(Object.entries(this.fieldLengths)
+            .map(([field, total]) => [field, total / (this.documents.length || 1)]));
+    }
+
+    /**
+     * Ranked articles for a query: { total, page, pageSize, totalPages, results, facets }
+     * results: [{ article, score, highlights: { title, snippet } }]; facets count the matches
+     * per category before the category filter. An empty query matches every article.
+     */
+    search(query, { category = null, page = 1, pageSize = 10 } = {}) {
+        const { terms, phrases } = parseQuery(query);
+        const expanded = terms.flatMap(term => this.expandTerm(term));
+        const scores = new Map();
+
+        if (!String(query || '').trim()) {
+            this.documents.forEach((document, index) => scores.set(index, 0));
+        }
+
+        for (const { term, weight } of expanded) {
+            const postings = this.postings.get(term);
+            const idf = Math.log(1 + (this.documents.length - postings.size + 0.5) / (postings.size + 0.5));
+
+            for (const [index, frequencies] of postings) {
+                let score = 0;
+                for (const [field, frequency] of Object.entries(frequencies)) {
+                    const length = this.documents[index].fields[field].length;
+                    const norm = this.k1 * (1 - this.b + this.b * length / (this.averageLengths[field] || 1));
+                    score += this.boosts[field] * frequency * (this.k1 + 1) / (frequency + norm);
+                }
+                scores.set(index, (scores.get(index) || 0) + idf * weight * score);
+            }
+        }
+
+        const matches = [...scores]
+            .filter(([index]) => phrases.every(phrase => this.hasPhrase(index, phrase)))
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+        const facets = { category: {} };
+        for (const [index] of matches) {
+            const value = this.documents[index].article.category || 'uncategorized';
+            facets.category[value] = (facets.category[value] || 0) + 1;
+        }
+
+        const filtered = category
+            ? matches.filter(([index]) => (this.documents[index].article.category || '').toLowerCase() === category.toLowerCase())
+            : matches;
+        const size = Math.max(1, pageSize);
+        const current = Math.max(1, page);
+        const highlightTerms = new Set([...expanded.map(entry => entry.term), ...phrases.flat()]);
+
+        return {
+            total: filtered.length,
+            page: current,
+            pageSize: size,
+            totalPages: Math.ceil(filtered.length / size),
+            results: filtered.slice((current - 1) * size, current * size).map(([index, score]) => ({
+                article: this.documents[index].article,
+                score: Math.round(score * 1000) / 1000,
+                highlights: highlightArticle(this.documents[index].article, highlightTerms)
+            })),
+            facets
+        };
+    }
+
+    /**
+     * The term itself when indexed, otherwise indexed terms within typo distance
+     */
+    expandTerm(term) {
+        if (this.postings.has(term)) return [{ term, weight: 1 }];
+        if (term.length < 4 || /^\d+$/.test(term)) return [];
+
+        const maxDistance = term.length >= 8 ? 2 : 1;
+        return [...this.postings.keys()]
+            .filter(candidate => Math.abs(candidate.length - term.length) <= maxDistance && editDistance(term, candidate, maxDistance) <= maxDistance)
+            .map(candidate => ({ term: candidate, weight: FUZZY_WEIGHT }));
+    }
+
+    hasPhrase(index, phrase) {
+        return Object.values(this.documents[index].fields).some(({ stems }) =>
+            stems.some((word, start) => phrase.every((term, offset) => stems[start + offset] === term))
+        );
+    }
+}
+
+/**
+ * Light English stemmer: plurals, -ing, -ed, -ly and a final "e", so "lawsuits"/"lawsuit" and
+ * "diseases"/"disease" index the same
+ */
+export function stem(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+    let result = word;
+    if (result.endsWith('sses')) result = result.slice(0, -2);
+    else if (result.endsWith('ies')) result = `${result.slice(0, -3)}y`;
+    else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) result = result.slice(0, -1);
+
+    for (const suffix of ['ing', 'ed', 'ly']) {
+        const base = result.slice(0, -suffix.length);
+        if (result.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) {
+            // "stopped" -> "stop"
+            result = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+            break;
+        }
+    }
+
+    return result.length > 3 && result.endsWith('e') ? result.slice(0, -1) : result;
+}
+
+/**
+ * Query words (stemmed, no stop words) and "quoted phrases" (stemmed word sequences)
+ */
+function parseQuery(query) {
+    const text = String(query || '');
+    const stopWords = getStopWords(detectLanguage(text));
+    const phrases = [...text.matchAll(/"([^"]+)"/g)]
+        .map(match => tokenize(match[1]).map(stem))
+        .filter(phrase => phrase.length > 1);
+    const terms = [...new Set(tokenize(text.replace(/"/g, ' ')).filter(word => !stopWords.has(word)).map(stem))];
+
+    return { terms, phrases };
+}
+
+function articleFields(article) {
+    const content = article.content || {};
+    return {
+        title: article.title || '',
+        description: article.description || '',
+        body: [content.overview, content.symptoms, content.causes, content.treatments, content.legalOptions, content.settlements]
+            .map(part => Array.isArray(part) ? part.join(', ') : part)
+            .filter(Boolean)
+            .join(' '),
+        category: article.category || ''
+    };
+}
+
+// Levenshtein distance with adjacent swaps, giving up past maxDistance
+function editDistance(a, b, maxDistance) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+            }
+        }
+        if (Math.min(...nextRow) > maxDistance) return maxDistance + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+function highlightArticle(article, terms) {
+    const content = article.content || {};
+    const candidates = [article.description, content.overview, articleFields(article).body].filter(Boolean);
+    const text = candidates.find(candidate => findWords(candidate).some(word => terms.has(word.stem))) || candidates[0] || '';
+
+    return {
+        title: highlight(article.title || '', terms),
+        snippet: snippet(text, terms)
+    };
+}
+
+// Words with their offsets in the original text
+function findWords(text) {
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        stem: stem(tokenize(match[0]).join(''))
+    }));
+}
+
+function highlight(text, terms) {
+    let result = '';
+    let position = 0;
+    for (const word of findWords(text)) {
+        if (!terms.has(word.stem)) continue;
+        result += `${escapeHtml(text.slice(position, word.start))}<mark>${escapeHtml(text.slice(word.start, word.end))}</mark>`;
+        position = word.end;
+    }
+    return result + escapeHtml(text.slice(position));
+}
+
+// About SNIPPET_WORDS words around the first match
+function snippet(text, terms) {
+    const words = findWords(text);
+    if (words.length <= SNIPPET_WORDS) return highlight(text, terms);
+
+    const first = Math.max(0, words.findIndex(word => terms.has(word.stem)));
+    const start = Math.max(0, Math.min(first - SNIPPET_LEAD, words.length - SNIPPET_WORDS));
+    const end = Math.min(words.length, start + SNIPPET_WORDS);
+    const excerpt = highlight(text.slice(words[start].start, words[end - 1].end), terms);
+
+    return `${start > 0 ? '…' : ''}${excerpt}${end < words.length ? '…' : ''}`;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
@@ -0,0 +1,251 @@
+/**
+ * Anonymous Sessions
+ *
+ * Gives every visitor an anonymous session ID (no login, no personal data) so queries,
+ * conversions and feedback can be grouped into visits:
+ * - Issued as a signed first-party cookie, and echoed in the X-Session-Id response header
+ *   for embeds that cannot rely on cookies (they send the token back in X-Session-Id)
+ * - Tokens are stateless (ID, start time, last activity, visitor ID, HMAC signature), so every
+ *   serverless instance can verify them
+ * - Re-signed on every request; a session ends after 30 minutes idle or 24 hours in total
+ * - The visitor ID (the visitor's first session ID) carries over to the next session, so
+ *   experiment variants stay put across sessions; a visitor is forgotten after 30 days away
+ * - IDs returned to the client (query IDs) can be signed for the session, so any instance can
+ *   tell whether a later request about them comes from the same session
+ * - SESSION_SECRET may list several comma-separated secrets: the first signs, the rest still
+ *   verify, so secrets can be rotated without ending every session
+ *
+ * Also summarizes tracked events per session for the analytics router.
+ */
+
+import crypto from 'crypto';
+
+export const SESSION_HEADER = 'X-Session-Id';
+
+const SIGNATURE_LENGTH = 32;
+
+let processSecret = null;
+
+function getDefaultSecrets() {
+    const configured = (process.env.SESSION_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    if (configured.length > 0) return configured;
+
+    if (!processSecret) {
+        processSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ SESSION_SECRET not set - sessions will not survive restarts or span instances');
+    }
+    return [processSecret];
+}
+
+export class SessionManager {
+    constructor(config = {}) {
+        this.secrets = config.secrets || getDefaultSecrets();
+        this.cookieName = config.cookieName || 'ii_session';
+        this.idleTimeout = config.idleTimeout || 30 * 60 * 1000; // 30 minutes
+        this.maxAge = config.maxAge || 24 * 60 * 60 * 1000; // 24 hours
+        this.visitorMaxAge = config.visitorMaxAge || 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.secureCookie = config.secureCookie ?? process.env.NODE_ENV === 'production';
+        this.sameSite = config.sameSite || 'lax';
+    }
+
+    createSessionId() {
+        return `sess_${crypto.randomUUID().replace(/-/g, '')}`;
+    }
+
+    sign(payload, secret = this.secrets[0]) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, SIGNATURE_LENGTH);
+    }
+
+    /**
+     * Signed token for a session: id.startedAt.lastSeen.visitorId.signature
+     * (visitorId defaults to the session ID)
+     */
+    issue(session) {
+        const payload = [session.id, session.startedAt.toString(36), session.lastSeen.toString(36), session.visitorId || session.id].join('.');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * Parse and check a token; null when malformed, tampered with or signed with an unknown secret
+     * Tokens issued before visitor IDs (id.startedAt.lastSeen.signature) are their own visitor
+     */
+    verify(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        const visitorId = parts.length === 5 ? parts[3] : parts[0];
+        if (![4, 5].includes(parts.length) || !isSessionId(parts[0]) || !isSessionId(visitorId)) return null;
+
+        if (!this.hasSignature(parts.slice(0, -1).join('.'), parts[parts.length - 1])) return null;
+
+        return {
+            id: parts[0],
+            startedAt: parseInt(parts[1], 36),
+            lastSeen: parseInt(parts[2], 36),
+            visitorId
+        };
+    }
+
+    // Signed with any of the secrets (the first signs, the rest are being rotated out)
+    hasSignature(payload, signature) {
+        const given = Buffer.from(signature);
+        return this.secrets.some(secret => {
+            const expected = Buffer.from(this.sign(payload, secret));
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        });
+    }
+
+    /**
+     * An ID handed to the client (e.g. a query ID) bound to the session it was issued to: id-signature
+     * Any instance can check it later without looking anything up
+     */
+    signFor(id, sessionId) {
+        return `${id}-${this.sign(`${id}.${sessionId}`)}`;
+    }
+
+    /**
+     * Whether a signFor() ID was issued to the session
+     */
+    isSignedFor(signedId, sessionId) {
+        const separator = signedId.length - SIGNATURE_LENGTH - 1;
+        if (separator < 1 || signedId[separator] !== '-') return false;
+        return this.hasSignature(`${signedId.slice(0, separator)}.${sessionId}`, signedId.slice(separator + 1));
+    }
+
+    isExpired(session, now = Date.now()) {
+        return now - session.lastSeen > this.idleTimeout || now - session.startedAt > this.maxAge;
+    }
+
+    /**
+     * The request's session: from the X-Session-Id header or cookie, or a new one
+     * (which keeps the visitor ID of an expired session seen in the last 30 days)
+     */
+    resolve(req) {
+        const now = Date.now();
+        const token = req.get(SESSION_HEADER) || readCookie(req.get('Cookie'), this.cookieName);
+        const existing = token ? this.verify(token) : null;
+
+        if (existing && !this.isExpired(existing, now)) {
+            return { ...existing, lastSeen: now, isNew: false };
+        }
+
+        const id = this.createSessionId();
+        const returning = existing && now - existing.lastSeen <= this.visitorMaxAge;
+        return { id, startedAt: now, lastSeen: now, visitorId: returning ? existing.visitorId : id, isNew: true, expired: Boolean(existing) };
+    }
+
+    /**
+     * Express middleware: sets req.session and returns the refreshed token
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (req.method === 'OPTIONS') return next();
+
+            const session = this.resolve(req);
+            const token = this.issue(session);
+
+            req.session = { id: session.id, visitorId: session.visitorId, startedAt: new Date(session.startedAt).toISOString(), isNew: session.isNew };
+
+            // The cookie outlives the session (the token's own times end it) so the visitor ID can carry over
+            res.cookie(this.cookieName, token, {
+                httpOnly: true,
+                secure: this.secureCookie,
+                sameSite: this.sameSite,
+                path: '/',
+                maxAge: this.visitorMaxAge
+            });
+            res.set(SESSION_HEADER, token);
+            next();
+        };
+    }
+}
+
+function isSessionId(value) {
+    return /^sess_[a-f0-9]{32}$/.test(value);
+}
+
+function readCookie(header, name) {
+    if (!header) return null;
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Group tracked queries and conversions into sessions
+ * Returns per-session stats (newest first) and an overview
+ */
+export function summarizeSessions(queries = [], conversions = []) {
+    const sessions = new Map();
+    const sessionFor = sessionId => {
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, { sessionId, events: [], queries: [], conversions: 0, liaCases: new Set() });
+        }
+        return sessions.get(sessionId);
+    };
+
+    for (const query of queries) {
+        if (!isTrackedSession(query.sessionId)) continue;
+        const session = sessionFor(query.sessionId);
+        session.queries.push(query);
+        session.events.push(new Date(query.timestamp).getTime());
+        if (query.liaCaseType) session.liaCases.add(query.liaCaseType);
+    }
+
+    for (const conversion of conversions) {
+        if (!isTrackedSession(conversion.sessionId)) continue;
+        const session = sessionFor(conversion.sessionId);
+        session.conversions++;
+        session.events.push(new Date(conversion.conversionTimestamp).getTime());
+    }
+
+    const rows = [...sessions.values()].map(session => {
+        const startedAt = Math.min(...session.events);
+        const lastActivityAt = Math.max(...session.events);
+        const firstQuery = [...session.queries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))[0];
+        return {
+            sessionId: session.sessionId,
+            startedAt: new Date(startedAt).toISOString(),
+            lastActivityAt: new Date(lastActivityAt).toISOString(),
+            durationSeconds: Math.round((lastActivityAt - startedAt) / 1000),
+            queries: session.queries.length,
+            conversions: session.conversions,
+            entryPage: firstQuery?.pageUrl ? firstQuery.pageUrl.split(/[?#]/)[0] : null,
+            liaCases: [...session.liaCases]
+        };
+    }).sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+
+    return { overview: summarizeSessionRows(rows), sessions: rows };
+}
+
+function summarizeSessionRows(rows) {
+    const count = (items, key) => items.reduce((counts, item) => {
+        for (const value of [].concat(item[key] ?? [])) counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+    const average = values => values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100 : 0;
+
+    return {
+        totalSessions: rows.length,
+        averageQueriesPerSession: average(rows.map(row => row.queries)),
+        averageDurationSeconds: Math.round(average(rows.map(row => row.durationSeconds))),
+        singleQuerySessions: rows.filter(row => row.queries <= 1).length,
+        sessionsWithConversions: rows.filter(row => row.conversions > 0).length,
+        topEntryPages: Object.entries(count(rows.filter(row => row.entryPage), 'entryPage'))
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([page, sessions]) => ({ page, sessions })),
+        liaCaseSessions: count(rows, 'liaCases')
+    };
+}
+
+// Events recorded before sessions existed carry 'unknown' or nothing
+function isTrackedSession(sessionId) {
+    return Boolean(sessionId) && sessionId !== 'unknown' && sessionId !== 'api_call';
+}
@@ -0,0 +1,246 @@
+/**
+ * Server-Sent Events for streaming chat
+ *
+ * Event protocol (each event carries an `id:` of the form <streamId>:<sequence>):
+ *   context      - conversation ID and the data the answer is grounded in (sent again after tool calls)
+ *   token        - a piece of the answer text
+ *   sources      - reputable sources for the answer
+ *   verification - verification result, including the final verified answer text
+ *   citations    - records behind the answer's [n] markers
+ *   lia_case     - matched active case, or null
+ *   usage        - token usage for the request
+ *   done         - end of the stream
+ *   error        - the request failed; the stream ends
+ *
+ * Events are kept in a short-lived replay buffer so a client that drops the
+ * connection can reconnect with Last-Event-ID and receive what it missed.
+ */
+
+import crypto from 'crypto';
+
+export const SSE_EVENTS = ['context', 'token', 'sources', 'verification', 'citations', 'lia_case', 'usage', 'done', 'error'];
+
+const TERMINAL_EVENTS = new Set(['done', 'error']);
+
+/**
+ * Holds recent events per stream so reconnecting clients can catch up
+ */
+export class SSEReplayBuffer {
+    constructor(config = {}) {
+        this.ttl = config.ttl || 5 * 60 * 1000; // Keep finished streams for 5 minutes
+        this.maxEventsPerStream = config.maxEventsPerStream || 5000;
+        this.streams = new Map();
+    }
+
+    createStream() {
+        this.prune();
+
+        const streamId = `str_${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+        this.streams.set(streamId, {
+            events: [],
+            sequence: 0,
+            finished: false,
+            updatedAt: Date.now(),
+            listeners: new Set()
+        });
+        return streamId;
+    }
+
+    /**
+     * Record an event and notify live subscribers; returns the stored event
+     */
+    append(streamId, event, data) {
+        const stream = this.streams.get(streamId);
+        if (!stream) return null;
+
+        stream.sequence++;
+        const entry = { id: `${streamId}:${stream.sequence}`, sequence: stream.sequence, event, data };
+
+        stream.events.push(entry);
+        if (stream.events.length > this.maxEventsPerStream) {
+            stream.events.shift();
+        }
+        stream.updatedAt = Date.now();
+        if (TERMINAL_EVENTS.has(event)) {
+            stream.finished = true;
+        }
+
+        for (const listener of stream.listeners) {
+            listener(entry);
+        }
+        if (stream.finished) {
+            stream.listeners.clear();
+        }
+
+        return entry;
+    }
+
+    /**
+     * Events after the given sequence number (null if the stream is unknown or expired)
+     */
+    getEventsAfter(streamId, sequence = 0) {
+        const stream = this.streams.get(streamId);
+        if (!stream || this.isExpired(stream)) return null;
+        return stream.events.filter(entry => entry.sequence > sequence);
+    }
+
+    isFinished(streamId) {
+        return this.streams.get(streamId)?.finished ?? true;
+    }
+
+    /**
+     * Listen for new events on a stream that is still running
+     */
+    subscribe(streamId, listener) {
+        const stream = this.streams.get(streamId);
+        if (!stream || stream.finished) return () => {};
+
+        stream.listeners.add(listener);
+        return () => stream.listeners.delete(listener);
+    }
+
+    isExpired(stream) {
+        return stream.finished && Date.now() - stream.updatedAt > this.ttl;
+    }
+
+    /**
+     * Drop finished streams past the TTL (unfinished ones are dropped after 2x TTL of silence)
+     */
+    prune() {
+        const now = Date.now();
+        for (const [streamId, stream] of this.streams) {
+            if (this.isExpired(stream) || now - stream.updatedAt > this.ttl * 2) {
+                this.streams.delete(streamId);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            activeStreams: [...this.streams.values()].filter(stream => !stream.finished).length,
+            bufferedStreams: this.streams.size,
+            ttlSeconds: Math.round(this.ttl / 1000)
+        };
+    }
+}
+
+/**
+ * Parse a Last-Event-ID header (<streamId>:<sequence>)
+ */
+export function parseLastEventId(lastEventId) {
+    const match = /^(str_[a-f0-9]+):(\d+)$/.exec(String(lastEventId || '').trim());
+    if (!match) return null;
+    return { streamId: match[1], sequence: parseInt(match[2], 10) };
+}
+
+/**
+ * Writes typed events to one HTTP response, with heartbeats, and records them for replay.
+ * Events keep being buffered after the client disconnects so it can resume.
+ */
+export class SSEStream {
+    constructor(res, config = {}) {
+        this.res = res;
+        this.buffer = config.buffer;
+        this.streamId = config.streamId || this.buffer.createStream();
+        this.heartbeatInterval = config.heartbeatInterval || 15000;
+        this.retry = config.retry || 3000;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Send SSE headers and start heartbeats
+     */
+    open(headers = {}) {
+        this.res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+            // CORS headers come from the app's cors middleware, which knows the allowed origins
+            'Content-Encoding': 'identity',
+            ...headers
+        });
+        this.write(`retry: ${this.retry}\n\n`);
+
+        // Comment lines keep proxies and load balancers from closing an idle connection
+        this.heartbeatTimer = setInterval(() => this.write(': heartbeat\n\n'), this.heartbeatInterval);
+        this.res.on('close', () => this.stopHeartbeat());
+        return this;
+    }
+
+    /**
+     * Send a named event with a JSON payload
+     */
+    send(event, data = {}) {
+        const entry = this.buffer.append(this.streamId, event, data);
+        this.write(formatEvent(entry || { id: null, event, data }));
+        if (TERMINAL_EVENTS.has(event)) {
+            this.close();
+        }
+        return entry;
+    }
+
+    write(chunk) {
+        if (this.res.writableEnded || this.res.destroyed) return false;
+        return this.res.write(chunk, 'utf8');
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    close() {
+        this.stopHeartbeat();
+        if (!this.res.writableEnded && !this.res.destroyed) {
+            this.res.end();
+        }
+    }
+}
+
+/**
+ * Serialize one event in SSE wire format
+ */
+export function formatEvent({ id, event, data }) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    return frame;
+}
+
+/**
+ * Resume a stream for a client that reconnected with Last-Event-ID:
+ * replay missed events, then follow the stream live until it finishes.
+ * Returns false (nothing written) when the stream is unknown or expired.
+ */
+export function resumeStream(req, res, buffer, config = {}) {
+    const lastEvent = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!lastEvent) return false;
+
+    const missed = buffer.getEventsAfter(lastEvent.streamId, lastEvent.sequence);
+    if (!missed) return false;
+
+    console.log(`🔁 Resuming stream ${lastEvent.streamId} from event ${lastEvent.sequence} (${missed.length} missed)`);
+
+    const stream = new SSEStream(res, { ...config, buffer, streamId: lastEvent.streamId }).open();
+    for (const entry of missed) {
+        stream.write(formatEvent(entry));
+    }
+
+    if (buffer.isFinished(lastEvent.streamId)) {
+        stream.close();
+        return true;
+    }
+
+    const unsubscribe = buffer.subscribe(lastEvent.streamId, entry => {
+        stream.write(formatEvent(entry));
+        if (TERMINAL_EVENTS.has(entry.event)) {
+            stream.close();
+        }
+    });
+    res.on('close', unsubscribe);
+    return true;
+}
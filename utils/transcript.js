@@ -0,0 +1,326 @@
+/**
+ * Conversation transcripts (Markdown, standalone HTML and PDF)
+ *
+ * Users save what the assistant told them to bring to an attorney or doctor. A transcript
+ * holds each question and answer with its timestamp, the records the answer cited and
+ * the reputable sources shown with it, followed by the educational disclaimer.
+ * Everything is rendered here - the PDF is written by hand (Helvetica, WinAnsi text),
+ * so no external service or PDF library is needed.
+ */
+
+/**
+ * Question/answer exchanges of a stored conversation
+ * queryId limits the transcript to a single answer (null when that answer isn't in the conversation);
+ * baseUrl turns site-relative citation links (/article/...) into full URLs
+ */
+export function buildTranscript(conversation, { queryId = null, title, disclaimer, baseUrl = '' } = {}) {
+    const exchanges = [];
+
+    for (let i = 0; i < conversation.turns.length; i++) {
+        const turn = conversation.turns[i];
+        if (turn.role !== 'assistant') continue;
+
+        const question = conversation.turns[i - 1]?.role === 'user' ? conversation.turns[i - 1].content : '';
+        exchanges.push({
+            queryId: turn.queryId || null,
+            question,
+            answer: turn.content,
+            timestamp: turn.timestamp,
+            citations: (turn.citations || [])
+                .filter(citation => citation.url)
+                .map(citation => ({ ...citation, url: citation.url.startsWith('/') ? `${baseUrl}${citation.url}` : citation.url })),
+            reputableSources: turn.reputableSources || []
+        });
+    }
+
+    const selected = queryId ? exchanges.filter(exchange => exchange.queryId === queryId) : exchanges;
+    if (queryId && selected.length === 0) return null;
+
+    return {
+        title,
+        conversationId: conversation.id,
+        generatedAt: new Date().toISOString(),
+        exchanges: selected,
+        disclaimer
+    };
+}
+
+/**
+ * Markdown transcript
+ */
+export function renderMarkdown(transcript) {
+    const lines = [`# ${transcript.title}`, '', `Generated ${formatTimestamp(transcript.generatedAt)}`, ''];
+
+    transcript.exchanges.forEach((exchange, index) => {
+        lines.push(`## Question ${index + 1}`, '', `_${formatTimestamp(exchange.timestamp)}_`, '');
+        lines.push(`**You asked:** ${exchange.question}`, '', exchange.answer, '');
+
+        if (exchange.citations.length > 0) {
+            lines.push('**References:**', '');
+            exchange.citations.forEach(citation => lines.push(`${citation.id}. [${citation.title}](${citation.url})`));
+            lines.push('');
+        }
+        if (exchange.reputableSources.length > 0) {
+            lines.push('**Other Helpful Sources:**', '');
+            exchange.reputableSources.forEach(source => lines.push(`- [${source.sourceTitle}](${source.sourceUrl}) (${source.sourceType})`));
+            lines.push('');
+        }
+    });
+
+    lines.push('---', '', `_${transcript.disclaimer}_`, '');
+    return lines.join('\n');
+}
+
+/**
+ * Standalone, print-friendly HTML transcript
+ * formatSources: ReputableSourcesService.formatSourcesForResponse, used for the sources block
+ */
+export function renderHTML(transcript, formatSources) {
+    const exchanges = transcript.exchanges.map((exchange, index) => {
+        const references = exchange.citations.length > 0
+            ? `<p><strong>References:</strong></p>\n<ol class="references">${exchange.citations.map(citation =>
+                `<li value="${citation.id}"><a href="${escapeHTML(citation.url)}">${escapeHTML(citation.title)}</a> <span class="url">${escapeHTML(citation.url)}</span></li>`).join('')}</ol>`
+            : '';
+        // Source fields come from the sheet - escape them before the shared formatter builds its markup
+        const sources = exchange.reputableSources.length > 0
+            ? `<div class="sources">${formatSources(exchange.reputableSources.map(escapeSource)).trim().replace(/\n/g, '<br>\n')}</div>`
+            : '';
+
+        return `<section class="exchange">
+<h2>Question ${index + 1}</h2>
+<p class="timestamp">${escapeHTML(formatTimestamp(exchange.timestamp))}</p>
+<p class="question"><strong>You asked:</strong> ${escapeHTML(exchange.question)}</p>
+<div class="answer">${markdownToHTML(exchange.answer)}</div>
+${references}
+${sources}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(transcript.title)}</title>
+<style>
+body { font-family: Georgia, 'Times New Roman', serif; max-width: 720px; margin: 2em auto; padding: 0 1em; color: #222; line-height: 1.5; }
+h1 { font-size: 1.6em; border-bottom: 2px solid #222; padding-bottom: 0.3em; }
+h2 { font-size: 1.2em; margin-top: 2em; }
+.timestamp, .generated, .url { color: #666; font-size: 0.9em; }
+.question { background: #f4f4f4; padding: 0.6em 0.8em; }
+.sources { margin-top: 1em; font-size: 0.95em; }
+.disclaimer { margin-top: 3em; border-top: 1px solid #999; padding-top: 1em; font-style: italic; font-size: 0.9em; }
+@media print {
+  body { margin: 0; max-width: none; }
+  .exchange { page-break-inside: avoid; }
+  a { color: #222; }
+  .sources a::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #666; }
+}
+</style>
+</head>
+<body>
+<h1>${escapeHTML(transcript.title)}</h1>
+<p class="generated">Generated ${escapeHTML(formatTimestamp(transcript.generatedAt))}</p>
+${exchanges}
+<p class="disclaimer">${escapeHTML(transcript.disclaimer)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * PDF transcript (Buffer)
+ */
+export function renderPDF(transcript) {
+    const writer = new PDFTextLayout();
+
+    writer.heading(transcript.title, 16);
+    writer.paragraph(`Generated ${formatTimestamp(transcript.generatedAt)}`, { size: 9 });
+
+    transcript.exchanges.forEach((exchange, index) => {
+        writer.space(10);
+        writer.heading(`Question ${index + 1}`, 13);
+        writer.paragraph(formatTimestamp(exchange.timestamp), { size: 9 });
+        writer.paragraph(`You asked: ${exchange.question}`, { bold: true });
+        for (const block of plainText(exchange.answer).split(/\n{2,}/)) {
+            writer.paragraph(block);
+        }
+
+        if (exchange.citations.length > 0) {
+            writer.paragraph('References:', { bold: true });
+            exchange.citations.forEach(citation => writer.paragraph(`[${citation.id}] ${citation.title} - ${citation.url}`, { size: 10 }));
+        }
+        if (exchange.reputableSources.length > 0) {
+            writer.paragraph('Other Helpful Sources:', { bold: true });
+            exchange.reputableSources.forEach(source => writer.paragraph(`- ${source.sourceTitle} (${source.sourceType}) - ${source.sourceUrl}`, { size: 10 }));
+        }
+    });
+
+    writer.space(16);
+    writer.paragraph(transcript.disclaimer, { size: 9 });
+    return writer.toBuffer();
+}
+
+// Letter size, 0.75in margins
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+// Average Helvetica glyph width as a share of the font size, for line wrapping
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+/**
+ * Wraps text onto letter pages and writes them as a PDF 1.4 file
+ */
+class PDFTextLayout {
+    constructor() {
+        this.pages = [[]];
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    heading(text, size) {
+        this.paragraph(text, { size, bold: true });
+    }
+
+    paragraph(text, { size = 11, bold = false } = {}) {
+        const maxChars = Math.floor((PAGE_WIDTH - MARGIN * 2) / (size * AVERAGE_CHAR_WIDTH));
+        for (const line of String(text || '').split('\n')) {
+            for (const wrapped of wrapLine(line, maxChars)) {
+                this.line(wrapped, size, bold);
+            }
+        }
+        this.space(size * 0.5);
+    }
+
+    line(text, size, bold) {
+        const leading = size * 1.35;
+        if (this.y - leading < MARGIN) {
+            this.pages.push([]);
+            this.y = PAGE_HEIGHT - MARGIN;
+        }
+        this.y -= leading;
+        this.pages[this.pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${this.y.toFixed(2)} Td (${escapePDFText(text)}) Tj ET`);
+    }
+
+    space(points) {
+        this.y -= points;
+    }
+
+    toBuffer() {
+        // 1 catalog, 2 page tree, 3-4 fonts, then a page and a content stream per page
+        const objects = [];
+        const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+        this.pages.forEach((commands, index) => {
+            const pageId = pageIds[index];
+            const stream = commands.join('\n');
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+        });
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = Buffer.byteLength(output, 'latin1');
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+// Typographic characters Helvetica/WinAnsi can show as plain text
+const PDF_REPLACEMENTS = {
+    '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"',
+    '\u2013': '-', '\u2014': '-', '\u2022': '-', '\u2026': '...', '\u00a0': ' '
+};
+
+/**
+ * Text as a PDF string literal body: Latin-1 only, with \, ( and ) escaped
+ */
+function escapePDFText(text) {
+    return String(text)
+        .replace(/[\u2018\u2019\u201c\u201d\u2013\u2014\u2022\u2026\u00a0]/g, char => PDF_REPLACEMENTS[char])
+        .replace(/[^\x20-\x7e\u00a1-\u00ff]/g, '?')
+        .replace(/[\\()]/g, char => `\\${char}`);
+}
+
+// Break a line at spaces so no piece is longer than maxChars (long words are split)
+function wrapLine(line, maxChars) {
+    if (line.length <= maxChars) return [line];
+
+    const lines = [];
+    let current = '';
+    for (const word of line.split(/\s+/)) {
+        let rest = word;
+        while (rest.length > maxChars) {
+            if (current) lines.push(current);
+            lines.push(rest.slice(0, maxChars));
+            rest = rest.slice(maxChars);
+            current = '';
+        }
+        if (!current) {
+            current = rest;
+        } else if (current.length + 1 + rest.length <= maxChars) {
+            current += ` ${rest}`;
+        } else {
+            lines.push(current);
+            current = rest;
+        }
+    }
+    if (current) lines.push(current);
+    return lines;
+}
+
+// Answer Markdown without its markup, for the PDF
+function plainText(markdown) {
+    return String(markdown || '')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*[*-]\s+/gm, '- ')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)');
+}
+
+// Minimal Markdown for answers: paragraphs, line breaks, bold and links
+function markdownToHTML(markdown) {
+    return String(markdown || '')
+        .split(/\n{2,}/)
+        .map(block => `<p>${escapeHTML(block)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>')
+            .replace(/\n/g, '<br>\n')}</p>`)
+        .join('\n');
+}
+
+function escapeSource(source) {
+    return {
+        ...source,
+        sourceTitle: escapeHTML(source.sourceTitle),
+        sourceType: escapeHTML(source.sourceType),
+        sourceUrl: escapeHTML(source.sourceUrl)
+    };
+}
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? '' : date.toUTCString();
+}